@@ -0,0 +1,473 @@
+// Healthcare Voice Agent - Adherence Answer Extraction
+// Pulls typed adherence answers (filledPrescription, missedDoses, sideEffects) out of the patient's own words.
+// Rules run on every patient turn during the call; at the end of the call an LLM pass reads the whole
+// transcript and each answer keeps the best-supported value with its evidence quotes and a confidence score.
+// Patients with several prescriptions get one extractor per medication (see MedicationAdherenceTracker).
+
+const ADHERENCE_FIELDS = ['filledPrescription', 'missedDoses', 'sideEffects'];
+
+// Answers below this confidence are stored as null (the evidence is still kept for the nursing team)
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+const MAX_QUOTE_LENGTH = 200;
+
+const NUMBER_WORDS = Object.fromEntries([
+    ['no', 0], ['zero', 0], ['none', 0], ['a', 1], ['an', 1], ['one', 1], ['single', 1], ['two', 2], ['three', 3],
+    ['four', 4], ['five', 5], ['six', 6], ['seven', 7], ['eight', 8], ['nine', 9], ['ten', 10]
+]);
+
+// Side effect name -> phrases patients use for it
+const SIDE_EFFECT_TERMS = {
+    dizziness: /dizz(y|iness)|light-?headed/,
+    nausea: /nause(a|ous)|queasy|sick to my stomach/,
+    vomiting: /vomit|throwing up|threw up/,
+    headache: /headaches?/,
+    fever: /fever/,
+    rash: /rash|itch(y|ing)|hives/,
+    fatigue: /tired|fatigue|exhausted|drowsy|sleepy/,
+    'stomach upset': /stomach (ache|pain|upset)|upset stomach|tummy/,
+    diarrhea: /diarrh(o)?ea/,
+    constipation: /constipat/,
+    'muscle pain': /muscle (pain|ache|cramp)s?|cramps/,
+    swelling: /swell(ing|en)|swollen/,
+    cough: /cough/,
+    'shortness of breath': /short(ness)? of breath|can'?t breathe|breathless/,
+    'chest pain': /chest pain/,
+    insomnia: /can'?t sleep|insomnia|trouble sleeping/,
+    palpitations: /palpitations|heart (is )?racing|racing heart/
+};
+
+const EXTRACTION_PROMPT = `You extract medication adherence answers from the transcript of a post-discharge follow-up call.
+Return ONLY a JSON object with exactly these keys:
+{
+  "filledPrescription": { "value": true | false | null, "evidence": "<quote>", "confidence": <0-1> },
+  "missedDoses": { "value": <non-negative integer> | null, "evidence": "<quote>", "confidence": <0-1> },
+  "sideEffects": { "value": ["<side effect>", ...] | null, "evidence": "<quote>", "confidence": <0-1> }
+}
+Rules:
+- Only use what the PATIENT said. Use null when the patient did not answer the question.
+- "evidence" must be copied word for word from one of the patient's lines.
+- sideEffects is an empty array when the patient said they have no side effects.
+- confidence is how sure you are that the value is what the patient meant.`;
+
+// Shorten a patient utterance to a quotable length
+function toQuote(text) {
+    const trimmed = text.trim().replace(/\s+/g, ' ');
+    return trimmed.length > MAX_QUOTE_LENGTH ? `${ trimmed.slice(0, MAX_QUOTE_LENGTH - 3) }...` : trimmed;
+}
+
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[’‘]/g, '\'').replace(/\s+/g, ' ').trim();
+}
+
+function parseCount(word) {
+    if (/^\d+$/.test(word)) {
+        return Number(word);
+    }
+    return NUMBER_WORDS[word] ?? null;
+}
+
+// --- Rules applied to a single patient utterance ---
+
+// Taking the medication, so "every day" is read as a dose schedule and not "throwing up every day"
+const TAKING = /\b(take|takes|taking|took|taken)\b/;
+
+function extractFilledPrescription(text, lastQuestion) {
+    if (/\b(haven'?t|have not|didn'?t|did not|couldn'?t|could not|not able to|forgot to)\b[^.?!]{0,30}\b(pick|get|fill|collect)/.test(text) ||
+        /\bnot (yet )?(picked|collected|filled|gotten)\b|\bnot (picked|collected|filled) (it |them )?up yet\b/.test(text)) {
+        return { value: false, confidence: 0.8 };
+    }
+    if (/\b(picked (it |them )?up|filled (it|them|my prescription)|collected (it|them)|got (it|them|my (medication|medicine|meds|prescription|pills)))\b/.test(text) ||
+        /\b(i have|i've got) (it|them|my (medication|medicine|meds|prescription|pills))\b/.test(text)) {
+        return { value: true, confidence: 0.8 };
+    }
+
+    // A bare yes/no straight after the pickup question
+    if (/pick(ed)? up|fill(ed)?|pharmacy/.test(lastQuestion)) {
+        if (/^(yes|yeah|yep|yup|i have|i did|sure|of course)\b/.test(text)) {
+            return { value: true, confidence: 0.6 };
+        }
+        if (/^(no|nope|not yet)\b/.test(text)) {
+            return { value: false, confidence: 0.6 };
+        }
+    }
+    return null;
+}
+
+function extractMissedDoses(text, lastQuestion) {
+    if (/\b(haven'?t|have not|never|not) missed (a |any |one |a single )?(dose|day|pill|one)?s?\b|\bno missed doses\b|\bnot missed any\b/.test(text) ||
+        /\bhaven'?t skipped\b/.test(text) ||
+        (TAKING.test(text) && /\bevery (single )?(day|dose|morning|night)\b/.test(text))) {
+        return { value: 0, confidence: 0.75 };
+    }
+
+    const counted = /\b(?:missed|skipped|forgot(?: to take)?)\s+(\d+|a couple(?: of)?|a few|an?|one|two|three|four|five|six|seven|eight|nine|ten)\s*(doses?|days?|times?|pills?|tablets?)?\b/.exec(text);
+    if (counted) {
+        if (counted[1].startsWith('a couple')) {
+            return { value: 2, confidence: 0.5 };
+        }
+        if (counted[1] === 'a few') {
+            return { value: 3, confidence: 0.4 };
+        }
+        const count = parseCount(counted[1]);
+        if (count !== null) {
+            return { value: count, confidence: 0.8 };
+        }
+    }
+
+    // "Every day" straight after a question about taking it
+    if (TAKING.test(lastQuestion) && /^(yes,? |yeah,? |yep,? )?(every (single )?day|every dose|daily)\b/.test(text)) {
+        return { value: 0, confidence: 0.6 };
+    }
+
+    // A bare answer straight after a missed-dose question
+    if (/miss(ed)?|skip(ped)?/.test(lastQuestion)) {
+        const bare = /^(none|no|nope|zero|never|\d+|one|two|three|four|five)\b(?! (side effects?|problems?|issues?|reactions?)\b)/.exec(text);
+        if (bare) {
+            const count = ['no', 'nope', 'never'].includes(bare[1]) ? 0 : parseCount(bare[1]);
+            if (count !== null) {
+                return { value: count, confidence: 0.6 };
+            }
+        }
+    }
+    return null;
+}
+
+function extractSideEffects(text, lastQuestion) {
+    const found = Object.entries(SIDE_EFFECT_TERMS)
+        .filter(([, pattern]) => {
+            const match = pattern.exec(text);
+            if (!match) {
+                return false;
+            }
+            // Skip negated mentions such as "no headaches" or "not dizzy"
+            const before = text.slice(Math.max(0, match.index - 25), match.index);
+            return !/\b(no|not|without|never|any)\b[^.,;]*$/.test(before);
+        })
+        .map(([name]) => name);
+
+    if (found.length > 0) {
+        return { value: found, confidence: 0.75 };
+    }
+    if (/\bno (side effects?|reactions?)\b|\bhaven'?t (had|noticed) any (side effects?|problems|issues)\b/.test(text)) {
+        return { value: [], confidence: 0.8 };
+    }
+    if (/\bno (problems?|issues?)\b|\bfeeling (fine|good|great|well)\b/.test(text)) {
+        return { value: [], confidence: 0.6 };
+    }
+    if (/side effects?|problems?|reactions?/.test(lastQuestion) && /^(no|nope|none|nothing)\b/.test(text)) {
+        return { value: [], confidence: 0.6 };
+    }
+    return null;
+}
+
+const RULES = {
+    filledPrescription: extractFilledPrescription,
+    missedDoses: extractMissedDoses,
+    sideEffects: extractSideEffects
+};
+
+// --- LLM output checking ---
+
+// Check one field of the LLM's JSON: typed value, confidence in [0, 1] and a quote the patient really said
+function checkLlmField(field, answer, patientLines) {
+    if (!answer || typeof answer !== 'object' || answer.value === null || answer.value === undefined) {
+        return null;
+    }
+
+    const { value } = answer;
+    const typed = (field === 'filledPrescription' && typeof value === 'boolean') ||
+        (field === 'missedDoses' && Number.isInteger(value) && value >= 0) ||
+        (field === 'sideEffects' && Array.isArray(value) && value.every(item => typeof item === 'string'));
+    if (!typed) {
+        return null;
+    }
+
+    const evidence = normalize(answer.evidence);
+    const quote = evidence && patientLines.find(line => normalize(line).includes(evidence.replace(/^"|"$/g, '')));
+    if (!quote) {
+        return null;
+    }
+
+    const confidence = Math.min(Math.max(Number(answer.confidence) || 0, 0), 1);
+    return {
+        value: field === 'sideEffects' ? value.map(item => item.trim().toLowerCase()).filter(Boolean) : value,
+        confidence,
+        evidence: [toQuote(answer.evidence)],
+        source: 'llm'
+    };
+}
+
+// Pull the JSON object out of an LLM reply that may be wrapped in a code fence
+function parseJsonReply(content) {
+    const match = /\{[\s\S]*\}/.exec(content || '');
+    return match ? JSON.parse(match[0]) : null;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(Array.isArray(a) ? [...a].sort() : a) === JSON.stringify(Array.isArray(b) ? [...b].sort() : b);
+}
+
+class AdherenceExtractor {
+    constructor(options = {}) {
+        // complete(systemPrompt, messages) -> { content }; without it only the rules are used
+        this.complete = options.complete || null;
+        // Medication these answers are about; the LLM pass ignores what the patient says about other ones
+        this.medicationName = options.medicationName || null;
+        this.minConfidence = options.minConfidence ?? (Number(process.env.ADHERENCE_MIN_CONFIDENCE) || DEFAULT_MIN_CONFIDENCE);
+
+        // field -> { value, confidence, evidence: [quotes], source, turn }
+        this.findings = {};
+        this.turns = 0;
+    }
+
+    // Run the rules on one patient utterance; lastQuestion is the assistant line it answers
+    observe(userText, lastQuestion = '') {
+        if (!userText || !userText.trim()) {
+            return this.findings;
+        }
+
+        this.turns++;
+        const text = normalize(userText);
+        const question = normalize(lastQuestion);
+
+        for (const field of ADHERENCE_FIELDS) {
+            const result = RULES[field](text, question);
+            if (result) {
+                this.record(field, { ...result, evidence: [toQuote(userText)], source: 'rules', turn: this.turns });
+            }
+        }
+        return this.findings;
+    }
+
+    // Keep a new finding unless the current one is better supported. Side effects accumulate across turns.
+    record(field, finding) {
+        const current = this.findings[field];
+        if (!current) {
+            this.findings[field] = finding;
+            return;
+        }
+
+        if (field === 'sideEffects' && current.value.length > 0) {
+            if (finding.value.length > 0) {
+                const merged = [...new Set([...current.value, ...finding.value])];
+                this.findings[field] = {
+                    ...finding,
+                    value: merged,
+                    confidence: Math.max(current.confidence, finding.confidence),
+                    evidence: [...current.evidence, ...finding.evidence]
+                };
+            }
+            // A general "no problems" later on does not cancel side effects already reported
+            return;
+        }
+
+        if (finding.confidence >= current.confidence) {
+            this.findings[field] = finding;
+        }
+    }
+
+    // Ask the LLM to read the whole transcript; returns checked findings per field, or {} if it fails
+    async extractWithLlm(history) {
+        const lines = history.filter(message => (message.role === 'user' || message.role === 'assistant') && message.content);
+        const patientLines = lines.filter(message => message.role === 'user').map(message => message.content);
+        if (!this.complete || patientLines.length === 0) {
+            return {};
+        }
+
+        const transcript = lines
+            .map(message => `${ message.role === 'user' ? 'Patient' : 'Assistant' }: ${ message.content }`)
+            .join('\n');
+
+        try {
+            const prompt = this.medicationName
+                ? `${ EXTRACTION_PROMPT }\n- Only count answers about ${ this.medicationName }; ignore what the patient says about any other medication.`
+                : EXTRACTION_PROMPT;
+            const reply = await this.complete(prompt, [{ role: 'user', content: transcript }]);
+            const parsed = parseJsonReply(reply && reply.content);
+            if (!parsed) {
+                throw new Error('reply did not contain a JSON object');
+            }
+
+            const findings = {};
+            for (const field of ADHERENCE_FIELDS) {
+                const checked = checkLlmField(field, parsed[field], patientLines);
+                if (checked) {
+                    findings[field] = checked;
+                } else if (parsed[field] && parsed[field].value !== null && parsed[field].value !== undefined) {
+                    console.warn(`[Adherence] Ignoring LLM ${ field }: wrong type or evidence not found in transcript`);
+                }
+            }
+            return findings;
+        } catch (error) {
+            console.error('[Adherence] LLM extraction failed, keeping rule-based answers:', error.message);
+            return {};
+        }
+    }
+
+    // End-of-call pass: combine rule findings with the LLM's reading of the transcript
+    async finalize(history = []) {
+        const llmFindings = await this.extractWithLlm(history);
+
+        for (const field of ADHERENCE_FIELDS) {
+            const fromRules = this.findings[field];
+            const fromLlm = llmFindings[field];
+            if (!fromLlm) {
+                continue;
+            }
+
+            if (fromRules && sameValue(fromRules.value, fromLlm.value)) {
+                // Both readings agree, so the answer is better supported than either alone
+                this.findings[field] = {
+                    ...fromLlm,
+                    confidence: Math.min(Math.max(fromRules.confidence, fromLlm.confidence) + 0.1, 0.99),
+                    evidence: [
+                        ...fromRules.evidence,
+                        ...fromLlm.evidence.filter(quote => !fromRules.evidence.some(line => normalize(line).includes(normalize(quote))))
+                    ],
+                    source: 'rules+llm'
+                };
+            } else if (!fromRules || fromLlm.confidence > fromRules.confidence) {
+                this.findings[field] = fromLlm;
+            }
+        }
+
+        return this.getAnswers();
+    }
+
+    // Typed answers for adherenceAnswers plus the evidence behind each one
+    getAnswers() {
+        const answers = {};
+        const evidence = {};
+
+        for (const field of ADHERENCE_FIELDS) {
+            const finding = this.findings[field];
+            answers[field] = finding && finding.confidence >= this.minConfidence ? finding.value : null;
+            if (finding) {
+                evidence[field] = {
+                    value: finding.value,
+                    confidence: Math.round(finding.confidence * 100) / 100,
+                    evidence: finding.evidence,
+                    source: finding.source
+                };
+            }
+        }
+
+        return { ...answers, evidence };
+    }
+
+    // Whether any adherence answer has been heard yet
+    hasFindings() {
+        return Object.keys(this.findings).length > 0;
+    }
+}
+
+// First word of a medication name, as patients say it ("Amlodipine" for "Amlodipine Besylate")
+function spokenName(medicationName) {
+    return normalize(medicationName).split(' ')[0];
+}
+
+// Walks through a patient's prescriptions one at a time, keeping separate adherence answers for each medication
+class MedicationAdherenceTracker {
+    constructor(prescriptions = [], options = {}) {
+        this.medications = prescriptions.map(prescription => ({
+            prescription,
+            extractor: new AdherenceExtractor({ ...options, medicationName: prescription.medicationName }),
+            reviewed: false
+        }));
+        this.currentIndex = 0;
+    }
+
+    // Prescription currently being discussed; null once every medication has been reviewed
+    get current() {
+        const medication = this.medications[this.currentIndex];
+        return medication ? medication.prescription : null;
+    }
+
+    // Findings so far for the medication being discussed
+    get currentFindings() {
+        const medication = this.medications[this.currentIndex];
+        return medication ? medication.extractor.findings : {};
+    }
+
+    // Prescriptions not yet reviewed, excluding the current one
+    remaining() {
+        return this.medications.slice(this.currentIndex + 1).filter(medication => !medication.reviewed).map(medication => medication.prescription);
+    }
+
+    // Medications named in a line of the conversation
+    namedIn(text) {
+        const normalized = normalize(text);
+        return this.medications.filter(medication => normalized.includes(spokenName(medication.prescription.medicationName)));
+    }
+
+    // Medications a patient utterance is about: the ones it names, else the one the question named,
+    // else the one being discussed (late remarks after the walkthrough go with the last medication)
+    medicationsFor(userText, lastQuestion) {
+        const inAnswer = this.namedIn(userText);
+        if (inAnswer.length > 0) {
+            return inAnswer;
+        }
+        const inQuestion = this.namedIn(lastQuestion);
+        if (inQuestion.length === 1) {
+            return inQuestion;
+        }
+        const current = this.medications[this.currentIndex] || this.medications[this.medications.length - 1];
+        return current ? [current] : [];
+    }
+
+    observe(userText, lastQuestion = '') {
+        this.medicationsFor(userText, lastQuestion).forEach(medication => medication.extractor.observe(userText, lastQuestion));
+        return this.currentFindings;
+    }
+
+    // Mark the current medication reviewed and move on; returns the next prescription, or null when all are done
+    advance() {
+        const medication = this.medications[this.currentIndex];
+        if (medication) {
+            medication.reviewed = true;
+        }
+        while (this.currentIndex < this.medications.length && this.medications[this.currentIndex].reviewed) {
+            this.currentIndex++;
+        }
+        return this.current;
+    }
+
+    isComplete() {
+        return this.current === null;
+    }
+
+    async finalize(history = []) {
+        for (const medication of this.medications) {
+            await medication.extractor.finalize(history);
+        }
+        return this.getAnswers();
+    }
+
+    // Overall answers across every medication plus the answers and evidence for each one
+    getAnswers() {
+        const medications = this.medications.map(medication => ({
+            medicationName: medication.prescription.medicationName,
+            ...medication.extractor.getAnswers()
+        }));
+
+        const known = field => medications.map(answers => answers[field]).filter(value => value !== null);
+        const filled = known('filledPrescription');
+        const missed = known('missedDoses');
+        const sideEffects = known('sideEffects');
+
+        return {
+            // Filled only when every prescription was; not filled as soon as one was not
+            filledPrescription: filled.includes(false) ? false : (filled.length === medications.length && filled.length > 0 ? true : null),
+            missedDoses: missed.length > 0 ? missed.reduce((total, count) => total + count, 0) : null,
+            sideEffects: sideEffects.length > 0 ? [...new Set(sideEffects.flat())] : null,
+            medications
+        };
+    }
+
+    hasFindings() {
+        return this.medications.some(medication => medication.extractor.hasFindings());
+    }
+}
+
+module.exports = { AdherenceExtractor, MedicationAdherenceTracker, ADHERENCE_FIELDS };
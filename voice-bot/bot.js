@@ -1,160 +1,111 @@
     // Healthcare Voice Agent with Triage Routing
 // At the top of your bot.js file, with other requires
-const fs = require('fs');
-const path = require('path');
-const { ActivityHandler, MessageFactory } = require('botbuilder');
-const axios = require('axios');
-const { SchedulingPlugin } = require('./schedulingPlugin');
+const { ActivityHandler, ActivityTypes, EndOfConversationCodes, MessageFactory } = require('botbuilder');
+const { SchedulingPlugin, SCHEDULING_TOOLS } = require('./schedulingPlugin');
+const { ConversationFlowLibrary, localizeFlow, renderTemplate } = require('./conversationFlow');
+const { createPatientRepository } = require('./patientRepository');
+const { MedicationAdherenceTracker } = require('./adherenceExtractor');
+const { RedFlagEngine, SEVERITIES } = require('./redFlagEngine');
+const { createLlmProvider } = require('./llmProvider');
+const { summarizeCall, adherenceStatus } = require('./callSummary');
+const { resolveLanguage, detectLanguage } = require('./languages');
+const { IdentityVerifier } = require('./identityVerification');
+const { classifyReply, parseCallbackTime, describeCallbackTime } = require('./callOutcomes');
+const { resolvePatientTimeZone } = require('./callCampaign');
+const { ConversationMemory, estimateTokens, countTokens } = require('./conversationMemory');
+const { SentenceStream, sendInOrder } = require('./sentenceStream');
+const { IntentClassifier } = require('./intentClassifier');
 require('dotenv').config();
 
-// --- Configuration and Initialization (No Changes) ---
-const requiredEnvVars = ['AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_KEY', 'AZURE_OPENAI_DEPLOYMENT_NAME'];
-const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
-if (missingEnvVars.length > 0) {
-    const errorMsg = `[Bot] Missing required environment variables: ${missingEnvVars.join(', ')}`;
-    console.error(errorMsg);
-    throw new Error(errorMsg);
+// LLM provider shared by bots built without one, created on first use so requiring this file needs no credentials
+let defaultLlmProvider = null;
+function getDefaultLlmProvider() {
+    if (!defaultLlmProvider) {
+        defaultLlmProvider = createLlmProvider();
+        console.log(`[Bot] Using ${ defaultLlmProvider.name } LLM provider`);
+    }
+    return defaultLlmProvider;
 }
 
-const AZURE_OPENAI_CONFIG = {
-    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-    apiKey: process.env.AZURE_OPENAI_KEY,
-    deploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME,
-    apiVersion: '2024-05-01-preview',
-    maxRetries: 3,
-    retryDelayMs: 1000,
-    timeoutMs: 30000
-};
-
-
-// --- Core Prompts and Shared Instructions ---
-
-// =========================================================================================
-// IMPROVEMENT 1: The emergency response is now a concluding instruction, not a handoff offer.
-// =========================================================================================
-const EMERGENCY_SAFETY_RESPONSE = "Thanks for letting me know. That could be important. If you're experiencing anything like chest pain, trouble breathing, or feeling very unwell, please call your doctor or 911 right away.";
-
-const SHARED_INSTRUCTIONS = `
-### SHARED BEHAVIOR AND RULES ###
-- You are Jenny, an AI assistant calling on behalf of Dr. {Doctor_Name}. You initiated this post-discharge follow-up call.
-- This is an OUTBOUND CALL - you called the patient {Patient_Name} to check on their recovery and medication adherence.
-- Your role is to handle medication adherence checks and schedule follow-up appointments. You cannot connect to a live doctor or nurse.
-- You are speaking with {Patient_Name}, who was recently discharged and prescribed {treatment_name}.
-- Maintain a warm, respectful, and calming tone as you would in a professional healthcare call.
-- CRITICAL SAFETY PROTOCOL: If the user mentions severe side effects (e.g., "dizzy," "chest pain," "can't breathe"), you must immediately stop your current task and provide the exact scripted safety response: "${EMERGENCY_SAFETY_RESPONSE}" continue the conversation without sounding dismissive. "I'm really glad you’ve been taking your medication as prescribed. Let’s also make sure you're scheduled for your follow-up appointment."
-- CRITICAL HANDOFF PROTOCOL: If the conversation history shows a switch from another specialist, you MUST briefly acknowledge the previous topic before proceeding.
-- CRITICAL CONFIRMATION RULE: Always confirm critical information like medication names and appointment times by reading them back to the user.
-- Remember: You initiated this call to check on the patient's well-being and medication compliance.
-`;
-
-const ADHERENCE_AGENT_PROMPT = `${SHARED_INSTRUCTIONS}
-
-### YOUR CURRENT SPECIALTY: MEDICATION ADHERENCE ###
-Your goal is to be supportive and identify any issues for the nursing team to review later.
-
-**Patient Context:**
-- Patient Name: {Patient_Name}
-- Doctor: Dr. {Doctor_Name}
-- Medication: {treatment_name}
-- Prescription Details: {medication_details}
-
-**Conversation Awareness:**
-- Read the conversation history. If the patient has already confirmed they have their medication, DO NOT ask if they have picked it up. Skip directly to the dosage check.
-
-**TONE AND PROFESSIONALISM:**
-- Speak warmly and respectfully, like a supportive medical assistant.
-- Use brief, conversational language — avoid sounding scripted or robotic.
-- Be reassuring and calm, especially when discussing symptoms or care instructions.
-- Use simple phrasing and contractions (e.g., “you’ve,” “let’s,” “I’m glad”) to sound more natural.
-- Maintain a lightly casual tone, like you're here to help — not to interrogate.
-
-**COMPLETION DETECTION:**
-- If the patient indicates they have NO PROBLEMS, NO ISSUES, NO SIDE EFFECTS, or that everything is FINE/GOOD/WELL with their medication, immediately transition to scheduling
-- Look for phrases like: "no problems", "no issues", "fine", "good", "well", "no side effects", "everything is good"
-- When transitioning, say: "Great! Sounds like you're on track with your meds. Can we go ahead and schedule your follow-up with Dr. {Doctor_Name} now?"
-
-**Conversation Structure (Only if issues need to be explored):**
-1.  **Initial Check:** If not already discussed, ask: "Have you picked up your {treatment_name} prescription yet?"
-2.  **Dosage/Timing Check:** Verify how they are taking the medication. Be specific about the prescribed dosage.
-    - Example: "The instructions are for {medication_details}. How’s that schedule going for you?"
-3.  **Quick Issue Check:** Ask directly: "Any side effects or problems with your {treatment_name}?"
-4.  **If NO ISSUES:** Immediately transition to scheduling using the completion phrase above
-5.  **If ISSUES MENTIONED:**
-    - **Severe Side Effects:** Use the EMERGENCY_SAFETY_RESPONSE, then immediately ask: "Would you like help scheduling your follow-up with Dr. {Doctor_Name}?"
-    - **Non-Urgent Issues:** Acknowledge and inform the patient you will document the issue for Dr. {Doctor_Name}'s team.
-6.  **End of Adherence Flow:** Once any issues are addressed, transition to scheduling: "The last thing is to schedule your follow-up appointment with Dr. {Doctor_Name}. Are you available to do that now?"
-
-**PRIORITY:** Always look for completion signals first. Don't unnecessarily prolong the adherence conversation if the patient indicates no problems.
-`;
-
-let CACHED_SCHEDULING_AGENT_PROMPT = null;
-let PROMPT_CACHE_DATE = null;
+// Clinical red-flag rules, loaded once so an invalid rules file stops the server at startup
+const DEFAULT_RED_FLAG_ENGINE = new RedFlagEngine();
 
-function getSchedulingAgentPrompt(patientRecord) {
-    const today = new Date();
-    const currentDateString = today.toDateString();
+// Local intent router tried before the triage LLM, trained once at startup (see intentClassifier.js)
+const DEFAULT_INTENT_CLASSIFIER = new IntentClassifier();
 
-    if (!CACHED_SCHEDULING_AGENT_PROMPT || PROMPT_CACHE_DATE !== currentDateString) {
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+// Conversation turns copied into an escalation so the nurse sees what led up to it
+const ESCALATION_EXCERPT_TURNS = 6;
 
-        const todayISO = today.toISOString().split('T')[0];
-        const tomorrowISO = tomorrow.toISOString().split('T')[0];
+// What the transcript keeps of an answer to the identity question
+const IDENTITY_ANSWER = '[identity answer]';
 
-        // Create personalized shared instructions for scheduling
-        const personalizedSharedInstructions = SHARED_INSTRUCTIONS
-            .replace(/{Patient_Name}/g, patientRecord.patientName)
-            .replace(/{Doctor_Name}/g, patientRecord.doctorName)
-            .replace(/{treatment_name}/g, patientRecord.prescriptions[0].medicationName);
+// Longest reply asked of the LLM; kept free in the context budget
+const MAX_REPLY_TOKENS = 800;
 
-        CACHED_SCHEDULING_AGENT_PROMPT = `${personalizedSharedInstructions}
+// callOpenAI options for the agents' replies to the patient, which are spoken as they stream in
+const AGENT_REPLY = { stage: 'agent', speak: true };
 
-### YOUR CURRENT SPECIALTY: APPOINTMENT SCHEDULING ###
-You help ${patientRecord.patientName} book, reschedule, or cancel follow-up appointments with Dr. ${patientRecord.doctorName}. You cannot assist with any other requests.
+// Scheduling tools that change the follow-up appointment; their calls and results stay verbatim in the LLM's context
+const APPOINTMENT_CHANGING_TOOLS = ['createAppointment', 'rescheduleAppointment', 'cancelAppointment'];
 
-**IMPORTANT: CURRENT DATE CONTEXT**
-- Today's date is: ${today.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })} (${todayISO})
-- "tomorrow" = ${tomorrowISO}
-- Patient was discharged recently and needs a follow-up appointment
+// Folds older turns into the rolling state note the agents see in place of them (see conversationMemory.js)
+const SUMMARY_PROMPT = [
+    'You keep a compact state note of a follow-up phone call between Jenny, a nurse assistant, and a patient.',
+    'Update the note with the new lines. Keep what was asked and answered about each medication (picked up, how it is taken, missed doses, side effects), appointment times discussed, questions still open and anything the patient asked Jenny to remember.',
+    'Write short factual bullet points in English, at most 120 words in all. Do not add anything that was not said.'
+].join('\n');
 
-**Business Hours (Clinic Time Zone):**
-- Available slots: 9:00 AM, 11:00 AM, 2:00 PM
+// Follow-up call protocols (flows/), loaded once so an invalid flow definition stops the server at startup
+const DEFAULT_FLOW_LIBRARY = new ConversationFlowLibrary();
 
-**Your Tool-Use Protocol:**
-Use the scheduling tools to help ${patientRecord.patientName} book their follow-up appointment with Dr. ${patientRecord.doctorName}.
-`;
-        PROMPT_CACHE_DATE = currentDateString;
-    }
-    return CACHED_SCHEDULING_AGENT_PROMPT;
+// "Levothyroxine 50mcg, taken Once daily"
+function describePrescription(prescription) {
+    return `${ prescription.medicationName } ${ prescription.dosage }, taken ${ prescription.frequency }`;
 }
 
-// =========================================================================================
-// IMPROVEMENT 2: The Triage Agent is simplified. The "connect to nurse" route is removed.
-// =========================================================================================
-const TRIAGE_AGENT_PROMPT = `You are a precise internal routing agent. Analyze the user's message and respond with ONLY a routing command.
-
-**Priority 1: Safety Override**
-- If user input contains keywords of severe distress ("breathless," "dizzy," "chest pain," "can't breathe," "emergency") -> "ROUTE_TO_SAFETY"
+// "headache and fever"; and is the call language's word for "and"
+function listItems(items, and = 'and') {
+    return items.length > 1 ? `${ items.slice(0, -1).join(', ') } ${ and } ${ items[items.length - 1] }` : items[0];
+}
 
-**Priority 2: Completion Detection**
-- If user indicates NO PROBLEMS, NO ISSUES, or everything is FINE/GOOD/WELL with medication -> "ROUTE_TO_SCHEDULING"
-- Look for phrases: "no problems", "no issues", "fine", "good", "well", "no side effects", "everything is good", "managing well"
+// "Amlodipine and Atorvastatin"
+function listMedications(prescriptions, and) {
+    return listItems(prescriptions.map(prescription => prescription.medicationName), and);
+}
 
-**Priority 3: Task-Oriented Requests**
-- **User asks about medication**, prescriptions, side effects, doses, how to take medicine, pills, meds, "my medication", "medication details", "prescription", "taking", "picked up", "pharmacy" -> "ROUTE_TO_ADHERENCE"
-- **User asks about appointments**, scheduling, booking, calendar, visits, rescheduling, canceling -> "ROUTE_TO_SCHEDULING"
+// Distinct symptoms named by a set of red flags
+function listSymptoms(flags, and) {
+    return listItems([...new Set(flags.map(flag => flag.symptom))], and);
+}
 
-**Priority 4: Affirmative Responses to Medication Questions**
-- If user responds with "yes", "no", "I have", "I picked", "I got", "I took", "I am taking", "already", "picked up", "paid" in context of medication -> "ROUTE_TO_ADHERENCE"
+// The wrap-up message that reads back each adherence status (see callSummary.js)
+const WRAP_UP_MEDICATION_MESSAGES = {
+    adherent: 'medicationAdherent',
+    'missed-doses': 'medicationMissedDoses',
+    'not-filled': 'medicationNotFilled',
+    unknown: 'medicationUnknown'
+};
 
-**Priority 5: General Conversation / Unclear Intent**
-- If the user provides a simple greeting, confirmation, or a non-specific statement, or if the intent is truly unclear -> "ROUTE_TO_FALLBACK"
+// "Tuesday, January 15 at 10:00 AM" for a calendar time as booked ("2030-01-15T10:00:00"), in the call's language;
+// the time is the clinic's wall-clock time, so it is not moved into another time zone
+function describeAppointmentTime(dateTime, locale) {
+    const match = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2})/.exec(dateTime || '');
+    if (!match) {
+        return dateTime;
+    }
+    return new Intl.DateTimeFormat(locale, { timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+        .format(new Date(`${ match[1] }:00Z`));
+}
 
-Respond with ONLY the routing command. Do not add any other text.`;
+// True when the text contains any of the phrases, ignoring case
+function mentionsAny(text, phrases) {
+    const lowerText = String(text || '').toLowerCase();
+    return (phrases || []).some(phrase => lowerText.includes(phrase.toLowerCase()));
+}
 
 
 class EchoBot extends ActivityHandler {
-    constructor(patientRecord) { // Accept the patient record
+    constructor(patientRecord, options = {}) { // Accept the patient record
         super();
 
         if (!patientRecord) {
@@ -162,23 +113,92 @@ class EchoBot extends ActivityHandler {
         }
 
         this.patientRecord = patientRecord; // Store the patient's data
-
-        this.activeAgent = 'triage';
+        // Shared patient store; falls back to the configured default when the bot is built standalone
+        this.patientRepository = options.patientRepository || createPatientRepository();
+        // Chat completions (Azure OpenAI, OpenAI-compatible, mock or replay, chosen by LLM_PROVIDER)
+        this.llmProvider = options.llmProvider || getDefaultLlmProvider();
+
+        // The follow-up protocol this call runs (states, prompts, transitions, tools); activeAgent is its current state.
+        // baseFlow is the protocol as written (English) and flow the same protocol as spoken in the call's language.
+        this.flowLibrary = options.flowLibrary || DEFAULT_FLOW_LIBRARY;
+        this.baseFlow = options.flow || this.flowLibrary.forPatient(this.patientRecord);
+        // The call starts in the patient's preferred language (DEFAULT_LANGUAGE when none is set); the first reply
+        // that clearly shows another language switches the rest of the call to it
+        this.language = resolveLanguage(options.language || this.patientRecord.preferredLanguage);
+        this.languageDetected = false;
+        this.flow = localizeFlow(this.baseFlow, this.language.code);
+        this.activeAgent = this.flow.initialState;
         this.conversationHistory = [];
-        this.schedulingPlugin = new SchedulingPlugin(this.patientRecord.patientName); // Pass patient name to plugin
+        // What the agents are sent of conversationHistory: the latest turns, clinically important ones, and a state note
+        // for the rest once the call outgrows the context budget (options.contextBudget takes { maxTokens, recentTurns }).
+        // Each patient turn's LLM requests, prompt tokens and time spent per stage are kept in turnStats.
+        this.memory = new ConversationMemory({
+            ...options.contextBudget,
+            summarize: (note, lines) => this.summarizeHistory(note, lines)
+        });
+        this.turnStats = { turns: [], promptTokens: 0, llmRequests: 0 };
+        this.currentTurn = null;
+        // The sentences of the reply being spoken early, while streamMessage runs (see sentenceStream.js)
+        this.speech = null;
+        // Calendar behind the scheduling tools; Microsoft Graph unless another calendar is passed in
+        this.schedulingPlugin = options.schedulingPlugin || new SchedulingPlugin(this.patientRecord.patientName);
         this.conversationId = null;
         this.hasSeenUser = new Set();
-
-        // Add conversation state tracking
+        // Whoever answers confirms their date of birth (or MRN digits) before anything about the patient is said;
+        // options.identityVerification takes { required, maxAttempts }. channel ("call" or "chat") and opened are set when
+        // it opens; a message before then gets the opening in reply.
+        this.identity = new IdentityVerifier(this.patientRecord, options.identityVerification);
+        this.channel = 'call';
+        this.opened = false;
+        // How the call ended, once Jenny has ended it (see callOutcomes.js): { outcome, at, callbackAt }, stored on the call
+        // attempt; "completed" after the wrap-up's goodbye. closingLine is Jenny's last line, repeated to anything said after it.
+        this.callOutcome = null;
+        this.closingLine = null;
+        this.awaitingCallbackTime = false;
+
+        // Typed adherence answers with evidence for each prescription, filled in as the patient talks and
+        // finalized when the call ends. The adherence flow walks through the prescriptions one at a time.
+        this.adherenceTracker = new MedicationAdherenceTracker(this.patientRecord.prescriptions, {
+            complete: (systemPrompt, messages) => this.callOpenAI(systemPrompt, messages, [], { stage: 'extraction' })
+        });
+        // Deterministic red-flag rules checked on every patient turn before the LLM; flags found are kept here
+        // and saved to the patient record as they are found
+        this.redFlagEngine = options.redFlagEngine || DEFAULT_RED_FLAG_ENGINE;
+        // Routes most turns without asking the triage LLM; options.intentClassifier overrides it (e.g. a threshold)
+        this.intentClassifier = options.intentClassifier || DEFAULT_INTENT_CLASSIFIER;
+        this.redFlags = [];
+        this.turnAssessment = null;
+        // Everything said on the call (patient, bot, nurse) in order, for supervisors watching live.
+        // While a nurse has taken over (takeover = { nurse, startedAt }) the bot listens but does not reply.
+        this.transcript = [];
+        this.transcriptListeners = new Set();
+        this.takeover = null;
+        // Care-team escalation queue; each turn with red flags raises one escalation for the nurses
+        this.escalationQueue = options.escalationQueue || null;
+
+        // Where the finished call is saved for review and scoring (see transcriptStore.js); not saved without one
+        this.transcriptStore = options.transcriptStore || null;
+
+        // Follow-up appointment booked during this call, saved with the adherence answers; every booking,
+        // reschedule and cancellation is also listed for the end-of-call summary
+        this.appointmentData = null;
+        this.appointmentChanges = [];
+        this.callEnded = false;
+        this.callEnding = null;
+        // Told once the call has ended and its record is saved, so the session and its phone line or chat can be closed
+        this.callEndListeners = new Set();
+
+        // Add conversation state tracking (pickup and dosage refer to the medication currently being discussed).
+        // Flow states are started once the patient or Jenny gets onto them and completed when their criteria are met.
         this.conversationState = {
             medicationPickedUp: false,
             dosageDiscussed: false,
-            adherenceCompleted: false,
-            schedulingStarted: false,
-            schedulingCompleted: false
+            startedStates: [],
+            completedStates: [],
+            stateTurns: {}
         };
 
-        console.log(`[Bot] Initialized for patient: ${this.patientRecord.patientName} (${this.patientRecord.DocumentID})`);
+        console.log(`[Bot] Initialized for patient: ${ this.patientRecord.patientName } (${ this.patientRecord.DocumentID }) with flow ${ this.flow.id }@${ this.flow.version } in ${ this.language.code }`);
 
         this.onMessage(async (context, next) => {
             const userText = context.activity.text;
@@ -187,42 +207,60 @@ class EchoBot extends ActivityHandler {
             if (!this.hasSeenUser.has(this.conversationId)) {
                 this.hasSeenUser.add(this.conversationId);
 
-                // Create a personalized welcome message
-                const welcomeMessage = `Hello ${this.patientRecord.patientName}! This is an AI assistant calling on behalf of Dr. ${this.patientRecord.doctorName}. I'm here to help with your medication follow-up for your recent discharge. How are you feeling today?`;
+                // Create a personalized welcome message (the identity question first, when that is needed)
+                const welcomeMessage = await this.openConversation('chat');
 
                 const formattedWelcome = this.formatSpeechResponse(welcomeMessage, 'welcome');
-                await context.sendActivity(MessageFactory.text(welcomeMessage, formattedWelcome));
-                this.conversationHistory.push({ role: 'assistant', content: welcomeMessage });
+                await context.sendActivity(this.createReply(welcomeMessage, formattedWelcome));
+                await this.sendEndOfConversation(context);
                 await next();
                 return;
             }
 
             if (!userText || userText.trim().length === 0) {
-                await context.sendActivity("Sorry, I didn’t catch that—could you say it again?");
+                const didNotCatch = this.renderText(this.flow.messages.didNotCatch);
+                await context.sendActivity(this.createReply(didNotCatch, this.formatSpeechResponse(didNotCatch)));
                 await next();
                 return;
             }
 
             try {
-                // For Bot Framework calls, don't add to conversation history
-                // as processMessage now handles it directly
-                const response = await this.processMessage(userText);
-
-                // Enhanced voice formatting based on current agent context
-                const speechContext = this.getSpeechContextFromResponse(response);
-                const formattedResponse = this.formatSpeechResponse(response, speechContext);
-                await context.sendActivity(MessageFactory.text(response, formattedResponse));
-
+                // Each sentence of the reply goes out as its own activity as soon as it is complete, so the client
+                // can start speaking before the whole turn is done (over the streaming connection too)
+                const sender = sendInOrder(sentence => {
+                    // Enhanced voice formatting based on current agent context
+                    const speechContext = this.getSpeechContextFromResponse(sentence.text);
+                    return context.sendActivity(this.createReply(sentence.text, this.formatSpeechResponse(sentence.text, speechContext)));
+                });
+                const response = await this.streamMessage(userText, sentence => sender.send(sentence));
+                await sender.done();
+                if (response === null) {
+                    // A nurse has taken over; their replies reach the patient separately
+                    await next();
+                    return;
+                }
             } catch (error) {
                 console.error(`[Bot] Error processing message: ${error.message}`);
                 const errorResponse = this.getErrorResponse(error);
-                await context.sendActivity(MessageFactory.text(errorResponse, errorResponse));
+                await context.sendActivity(this.createReply(errorResponse, this.formatSpeechResponse(errorResponse)));
             }
 
+            await this.sendEndOfConversation(context);
             await next();
         });
     }
 
+    // Once the call has ended, tell the Bot Framework client the conversation is over so it closes the chat
+    async sendEndOfConversation(context) {
+        if (this.callEnded) {
+            await context.sendActivity({
+                type: ActivityTypes.EndOfConversation,
+                code: EndOfConversationCodes.CompletedSuccessfully,
+                value: this.callOutcome
+            });
+        }
+    }
+
     // =========================================================================================
     // IMPROVEMENT 3: The processMessage function is simplified to remove the nurse-connection
     //                logic and provide a clearer fallback path.
@@ -230,187 +268,859 @@ class EchoBot extends ActivityHandler {
     async processMessage(userText) {
         // Handle special start call trigger
         if (userText === '__START_CALL__') {
-            const welcomeMessage = `Hello ${this.patientRecord.patientName}! this is Jenny calling for Dr. ${this.patientRecord.doctorName} with your follow-up. Hope you're well! Have you picked up your medication yet for ${this.patientRecord.prescriptions[0].medicationName}?`;
-            this.conversationHistory.push({ role: 'assistant', content: welcomeMessage });
-            return welcomeMessage; // Return clean text instead of SSML
+            return this.openConversation('call'); // Return clean text instead of SSML
+        }
+
+        // A chat that starts with a message gets the opening (the identity question) in reply, so its first message is
+        // never taken as an answer to a question Jenny has not asked
+        if (!this.opened) {
+            return this.openConversation('chat');
         }
 
+        // A call that has ended (wrapped up, the patient could not be confirmed, or the call went off script) says nothing more
+        if (this.callOutcome) {
+            return this.closingLine;
+        }
+
+        // The first clear reply settles the language the rest of the call is spoken in
+        await this.detectPatientLanguage(userText);
+
+        // An answering machine, someone other than the patient, a request to call back later or a refusal ends the call
+        const offScriptReply = await this.handleOffScriptReply(userText);
+        if (offScriptReply !== null) {
+            return offScriptReply;
+        }
+
+        if (!this.identity.verified) {
+            return this.verifyIdentity(userText);
+        }
+
+        // Extract adherence answers from what the patient just said, in reply to the last thing Jenny asked
+        const lastQuestion = [...this.conversationHistory].reverse().find(message => message.role === 'assistant' && message.content);
+        this.adherenceTracker.observe(userText, lastQuestion ? lastQuestion.content : '');
+
         // Add user message to conversation history
-        this.conversationHistory.push({ role: 'user', content: userText });
+        const patientMessage = { role: 'user', content: userText };
+        this.conversationHistory.push(patientMessage);
+        this.recordTranscript('patient', userText);
+        this.startTurn();
+        const redFlagsBefore = this.redFlags.length;
 
         // Update conversation state based on user response
         this.updateConversationState(userText);
 
-        // Check conversation state to determine appropriate routing
-        console.log(`[Bot] Current conversation state:`, this.conversationState);
+        // Clinical red flags are checked before any LLM call: emergencies get the scripted safety response,
+        // urgent flags a same-day callback notice ahead of the normal reply, routine ones are noted for the team
+        const assessment = this.redFlagEngine.evaluate(userText, {
+            prescriptions: this.patientRecord.prescriptions,
+            lastQuestion: lastQuestion ? lastQuestion.content : ''
+        });
+        this.turnAssessment = assessment;
+        if (assessment.flags.length > 0) {
+            await this.recordRedFlags(assessment.flags);
+        }
 
-        const route = await this.callTriageAgent(userText);
-        console.log(`[Bot] Triage decision: ${route}`);
+        // Under nurse takeover the answers and red flags above are still recorded, but the nurse does the talking
+        if (this.takeover) {
+            this.memory.pin(patientMessage);
+            this.endTurn();
+            return null;
+        }
 
-        // Handle safety override with scheduling continuation
-        if (route.includes('ROUTE_TO_SAFETY')) {
-            const response = EMERGENCY_SAFETY_RESPONSE + " Would you like to schedule your follow-up with Dr. " + this.patientRecord.doctorName + "?";
-            this.conversationHistory.push({ role: 'assistant', content: response });
-            // Mark adherence as completed so next interaction goes to scheduling
-            this.conversationState.adherenceCompleted = true;
+        let response;
+        if (assessment.severity === 'emergency') {
+            response = this.getSafetyResponse();
+        } else {
+            // The same-day callback notice can be spoken while the agents work out the rest of the reply
+            const urgentNotice = assessment.severity === 'urgent' ? this.getUrgentNotice(assessment.flags) : null;
+            if (urgentNotice && this.speech) {
+                this.speech.push(`${ urgentNotice } `);
+            }
+            response = await this.routeMessage(userText);
+            if (urgentNotice) {
+                response = `${ urgentNotice } ${ response }`;
+            }
+        }
+
+        const replyMessage = { role: 'assistant', content: response };
+        this.conversationHistory.push(replyMessage);
+        this.recordTranscript('bot', response);
+
+        // Safety events and confirmations stay verbatim in what the agents see, however long the call gets
+        if (this.redFlags.length > redFlagsBefore || this.currentTurn.clinical) {
+            this.memory.pin(patientMessage, replyMessage);
+        }
+        if (this.speech) {
+            this.speech.finish(response);
+        }
+        this.endTurn();
+
+        // The wrap-up has said goodbye: the call has run its course
+        const state = this.flow.states[this.activeAgent];
+        if (state.type === 'wrap-up' && this.isStateCompleted(state.id)) {
+            this.finishCall('completed', this.renderText(state.messages.goodbye));
+        }
+        return response;
+    }
+
+    // processMessage, with each sentence of the reply handed to onSentence({ text, index, final, elapsedMs }) as soon as
+    // it is complete: an agent's sentences while the LLM is still streaming the rest, then whatever the bot adds to
+    // them. Resolves with the whole reply, as processMessage does.
+    async streamMessage(userText, onSentence) {
+        const speech = new SentenceStream(onSentence);
+        this.speech = speech;
+        try {
+            const response = await this.processMessage(userText);
+            if (response !== null && !speech.finished) {
+                speech.finish(response);
+            }
             return response;
+        } finally {
+            this.speech = null;
+        }
+    }
+
+    // Detect the language of the patient's reply until one is clear; switch to it when it differs from the call's.
+    // A patient with no preferred language yet gets the detected one saved for their next call.
+    async detectPatientLanguage(userText) {
+        if (this.languageDetected) {
+            return;
+        }
+        // A reply in English keeps an English call's voice, else gets the default language when that is English
+        const defaultLanguage = resolveLanguage(null);
+        const detected = detectLanguage(userText, {
+            current: this.language.code,
+            english: defaultLanguage.script === 'Latn' ? defaultLanguage.code : undefined
+        });
+        if (!detected) {
+            return;
+        }
+
+        this.languageDetected = true;
+        if (detected.code !== this.language.code) {
+            console.log(`[Bot] Patient replied in ${ detected.code } (${ detected.method }, confidence ${ detected.confidence }); switching from ${ this.language.code }`);
+            this.setLanguage(detected.code);
+        }
+        await this.savePreferredLanguage();
+    }
+
+    // Keep the detected language for the patient's next call, once it is known to be the patient who answered
+    async savePreferredLanguage() {
+        if (!this.languageDetected || !this.identity.verified || this.patientRecord.preferredLanguage) {
+            return;
+        }
+        try {
+            this.patientRecord = await this.patientRepository.updatePatient(this.patientRecord.DocumentID, { preferredLanguage: this.language.code });
+        } catch (error) {
+            console.error('[Bot] Error saving preferred language:', error.message);
+        }
+    }
+
+    // The first thing said on a call or in a chat: the greeting with the patient's details, or, until whoever answered
+    // is confirmed to be the patient, only Jenny's name and the identity question
+    async openConversation(channel) {
+        this.channel = channel;
+        this.opened = true;
+        const { verification } = this.flow;
+        if (this.identity.failed) {
+            // Nothing on the record to confirm the patient with
+            return this.endUnverifiedCall(`${ verification.intro } ${ verification.failed }`);
+        }
+        if (!this.identity.verified) {
+            const prompt = `${ verification.intro } ${ this.getVerificationQuestion() }`;
+            this.recordTranscript('bot', prompt);
+            return prompt;
+        }
+        return this.greet();
+    }
+
+    // Greet the patient by name; a call's greeting ends with the opening question of the flow's first state
+    greet(preface = '') {
+        let greeting;
+        if (this.channel === 'chat') {
+            greeting = this.renderText(this.flow.greetings.chat);
+        } else {
+            const initialState = this.flow.states[this.flow.initialState];
+            const opening = initialState.type === 'medication-review' && this.patientRecord.prescriptions.length > 1 && initialState.messages.openingMultiple
+                ? initialState.messages.openingMultiple
+                : initialState.opening;
+            this.markStateStarted(initialState.id);
+            greeting = this.renderText(this.flow.greetings.call, { opening: this.renderText(opening) });
+        }
+        greeting = preface ? `${ preface } ${ greeting }` : greeting;
+        this.conversationHistory.push({ role: 'assistant', content: greeting });
+        this.recordTranscript('bot', greeting);
+        return greeting;
+    }
+
+    getVerificationQuestion() {
+        return this.flow.verification.questions[this.identity.method];
+    }
+
+    // Check an answer to the identity question. A match moves on to the greeting; a wrong or unclear answer is asked
+    // again until the attempts run out, which ends the call. Answers are kept out of the LLM's history, and the
+    // transcript keeps only their outcome, never the date of birth or MRN.
+    async verifyIdentity(userText) {
+        // During a takeover the nurse asks the question, and the bot only notes that it was answered
+        if (this.takeover) {
+            this.recordTranscript('patient', IDENTITY_ANSWER, { identityAnswer: true, outcome: 'takeover' });
+            return null;
+        }
+
+        const { verification } = this.flow;
+        // An emergency still gets the safety script, which says nothing about the patient, before the question again
+        if (this.redFlagEngine.evaluate(userText).severity === 'emergency') {
+            this.recordTranscript('patient', userText);
+            console.warn(`[Verification] Emergency described before identity was confirmed on ${ this.conversationId }`);
+            return this.sayLine(`${ this.flow.safety.script } ${ this.getVerificationQuestion() }`);
+        }
+
+        const outcome = this.identity.check(userText);
+        this.recordTranscript('patient', IDENTITY_ANSWER, { identityAnswer: true, outcome });
+        console.log(`[Verification] ${ this.patientRecord.DocumentID }: ${ outcome } (attempt ${ this.identity.attempts } of ${ this.identity.maxAttempts })`);
+        if (outcome === 'failed') {
+            return this.endUnverifiedCall(verification.failed);
+        }
+        if (outcome !== 'verified') {
+            return this.sayLine(renderTemplate(verification[outcome], { question: this.getVerificationQuestion() }));
+        }
+
+        this.recordTranscript('system', 'Identity verified', { event: 'identity-verified', method: this.identity.method });
+        await this.savePreferredLanguage();
+        return this.greet(verification.verified);
+    }
+
+    // Say the closing line and end a call whose patient could not be confirmed. The failure is logged, saved on the
+    // record and raised to the care team, who reach the patient another way as the closing line promises.
+    async endUnverifiedCall(text) {
+        console.warn(`[Verification] Could not confirm the identity of ${ this.patientRecord.DocumentID } (${ this.identity.status }, ${ this.identity.attempts } attempt(s)); ending the call without disclosing anything`);
+        this.callOutcome = { outcome: 'identity-not-verified', at: new Date().toISOString() };
+        this.closingLine = text;
+        this.recordTranscript('bot', text);
+        this.recordTranscript('system', 'Identity not verified; call ended', { event: 'identity-not-verified', status: this.identity.status, attempts: this.identity.attempts });
+        await this.raiseCallEndedEscalation('identity-not-verified', this.identity.status === 'unverifiable'
+            ? 'Follow-up call ended: no date of birth or MRN on file to verify identity'
+            : `Follow-up call ended: identity not verified after ${ this.identity.attempts } attempts`);
+        await this.endCall('identity-not-verified');
+        return text;
+    }
+
+    // A reply that takes the call off script (see callOutcomes.js) ends it with the flow's closing line for that outcome;
+    // asked to call back without a time, Jenny asks for one first. Returns null when the call carries on as usual.
+    // Red flags come first: an emergency gets the safety script, and an urgent flag is raised before the call ends.
+    async handleOffScriptReply(userText) {
+        if (this.takeover) {
+            return null;
+        }
+        const classified = classifyReply(userText, { verified: this.identity.verified }) ||
+            (this.awaitingCallbackTime ? { outcome: 'call-back-later', matched: null } : null);
+        if (!classified) {
+            return null;
+        }
+
+        const assessment = this.redFlagEngine.evaluate(userText, { prescriptions: this.patientRecord.prescriptions });
+        if (assessment.severity === 'emergency') {
+            return null;
+        }
+        // A confirmed patient talking about their symptoms or medications is answering, not asking to end the call
+        const medicationNames = this.patientRecord.prescriptions.map(prescription => prescription.medicationName);
+        const talksAboutCare = assessment.flags.length > 0 ||
+            this.intentClassifier.matchRules(userText, ['ROUTE_TO_ADHERENCE', 'ROUTE_TO_SYMPTOMS', 'ROUTE_TO_RECOVERY'], medicationNames).length > 0;
+        if (classified.matched && this.identity.verified && talksAboutCare) {
+            console.log(`[Outcome] ${ this.patientRecord.DocumentID }: "${ classified.matched }" taken as part of the answer, not ${ classified.outcome }`);
+            return null;
         }
 
-        // Determine target agent based on conversation state and triage
-        let targetAgent = null;
+        console.log(`[Outcome] ${ this.patientRecord.DocumentID }: ${ classified.outcome }${ classified.matched ? ` ("${ classified.matched }")` : '' }`);
+        this.recordPatientLine(userText);
+        const urgentFlags = assessment.flags.filter(flag => flag.severity === 'urgent');
+        if (urgentFlags.length > 0) {
+            await this.recordRedFlags(urgentFlags);
+        }
+        const { outcomes } = this.flow;
+        switch (classified.outcome) {
+        case 'voicemail':
+            return this.leaveVoicemail();
+        case 'wrong-person':
+            return this.endCallWithOutcome('wrong-person', outcomes.wrongPerson);
+        case 'refused':
+            return this.endCallWithOutcome('refused', outcomes.refused);
+        default:
+            return this.arrangeCallback(userText);
+        }
+    }
+
+    // Note the time the patient asked to be called back at, in their time zone; asked once when they gave none
+    async arrangeCallback(userText) {
+        const { outcomes } = this.flow;
+        const timeZone = resolvePatientTimeZone(this.patientRecord, process.env.CAMPAIGN_DEFAULT_TIME_ZONE);
+        const callbackAt = parseCallbackTime(userText, { timeZone });
+        if (!callbackAt && !this.awaitingCallbackTime) {
+            this.awaitingCallbackTime = true;
+            return this.sayLine(outcomes.askCallbackTime);
+        }
+
+        this.awaitingCallbackTime = false;
+        if (!callbackAt) {
+            return this.endCallWithOutcome('call-back-later', outcomes.callbackLater);
+        }
+        const when = describeCallbackTime(callbackAt, { locale: this.language.code, timeZone });
+        return this.endCallWithOutcome('call-back-later', renderTemplate(outcomes.callbackScheduled, { when }), { callbackAt: callbackAt.toISOString() });
+    }
+
+    // The message left on an answering machine: that the care team called, and nothing about the patient
+    async leaveVoicemail() {
+        return this.endCallWithOutcome('voicemail', this.flow.outcomes.voicemail);
+    }
 
-        if (route.includes('ROUTE_TO_ADHERENCE') && !this.conversationState.adherenceCompleted) {
-            targetAgent = 'adherence';
-        } else if (route.includes('ROUTE_TO_SCHEDULING') ||
-                  (this.conversationState.adherenceCompleted && !this.conversationState.schedulingCompleted)) {
-            targetAgent = 'scheduling';
-        } else if (!this.conversationState.adherenceCompleted) {
-            // If adherence is not completed, default to adherence agent
-            targetAgent = 'adherence';
+    // Say the closing line and end the call with its outcome, which the call router stores on the call attempt.
+    // A refusal is passed to the care team, who decide whether to reach the patient another way.
+    async endCallWithOutcome(outcome, text, details = {}) {
+        if (this.callEnded) {
+            return null;
         }
+        this.sayLine(text);
+        this.finishCall(outcome, text, details);
+        return text;
+    }
+
+    // End the call with its outcome once Jenny's last line (closingLine) has been said. The closing line is returned
+    // straight away; saving the call (and its end-of-call LLM passes) carries on in the background.
+    finishCall(outcome, closingLine, details = {}) {
+        this.callOutcome = { outcome, at: new Date().toISOString(), ...details };
+        this.closingLine = closingLine;
+        this.recordTranscript('system', `Call ended: ${ outcome }`, { event: 'call-outcome', ...this.callOutcome });
+        if (outcome === 'refused') {
+            this.raiseCallEndedEscalation('call-refused', 'Follow-up call ended: the person who answered declined the call');
+        }
+        this.endCall(outcome).catch(error => {
+            console.error(`[Bot] Failed to save call data for ${ this.conversationId }:`, error.message);
+        });
+    }
+
+    // Routine escalation for a call that ended without the follow-up being done
+    async raiseCallEndedEscalation(ruleId, reason) {
+        if (!this.escalationQueue) {
+            return;
+        }
+        try {
+            await this.escalationQueue.raise({
+                patient: this.patientRecord,
+                severity: 'routine',
+                reason,
+                ruleIds: [ruleId],
+                conversationId: this.conversationId
+            });
+        } catch (error) {
+            console.error('[Bot] Error raising escalation:', error.message);
+        }
+    }
+
+    // The outcome code for the call attempt: how the call ended early, else completed when every flow state was
+    // reached and dropped when the line went dead before that
+    getCallOutcome() {
+        if (this.callOutcome) {
+            return this.callOutcome.outcome;
+        }
+        return this.flow.sequence.every(stateId => this.isStateCompleted(stateId)) ? 'completed' : 'dropped';
+    }
+
+    // A patient line outside the flow; it joins the LLM's history only once the patient is confirmed
+    recordPatientLine(text) {
+        if (this.identity.verified) {
+            this.conversationHistory.push({ role: 'user', content: text });
+        }
+        this.recordTranscript('patient', text);
+    }
+
+    // A line of Jenny's outside the flow, kept the same way
+    sayLine(text) {
+        if (this.identity.verified) {
+            this.conversationHistory.push({ role: 'assistant', content: text });
+        }
+        this.recordTranscript('bot', text);
+        return text;
+    }
+
+    // Speak the rest of the call in another language: its translated flow lines, voice and recognition locale
+    setLanguage(code) {
+        this.language = resolveLanguage(code);
+        this.flow = localizeFlow(this.baseFlow, this.language.code);
+    }
+
+    // Locales to recognize the patient's next answer in: the call's language, plus the default language and
+    // English until the patient's language is settled
+    getRecognitionLocales() {
+        if (this.languageDetected) {
+            return [this.language.recognitionLocale];
+        }
+        const defaultLanguage = resolveLanguage(null);
+        const english = [this.language, defaultLanguage].some(language => language.script === 'Latn') ? [] : ['en-US'];
+        return [...new Set([this.language.recognitionLocale, defaultLanguage.recognitionLocale, ...english])];
+    }
 
-        if (targetAgent) {
-            if (this.activeAgent !== targetAgent) {
-                console.log(`[Bot] Switching agent from ${this.activeAgent} to ${targetAgent}.`);
-                this.activeAgent = targetAgent;
+    // Outgoing message with its SSML and the call's locale, so clients listen and speak in the right language
+    createReply(text, ssml) {
+        const reply = MessageFactory.text(text, ssml);
+        reply.locale = this.language.code;
+        return reply;
+    }
+
+    // Add a line to the live transcript and pass it to anyone watching; each line carries the language it was spoken in
+    recordTranscript(speaker, text, details = {}) {
+        const entry = { seq: this.transcript.length + 1, speaker, text, at: new Date().toISOString(), language: this.language.code, ...details };
+        this.transcript.push(entry);
+        this.transcriptListeners.forEach(listener => {
+            try {
+                listener(entry);
+            } catch (error) {
+                console.error('[Bot] Transcript listener failed:', error.message);
             }
+        });
+        return entry;
+    }
 
-            let response;
-            if (this.activeAgent === 'adherence') {
-                response = await this.callAdherenceAgent(userText);
-            } else if (this.activeAgent === 'scheduling') {
-                if (!this.conversationState.schedulingStarted) {
-                    this.conversationState.schedulingStarted = true;
-                    response = `Great! Let’s book your follow-up with Dr. ${this.patientRecord.doctorName}. What days work for you?`;
-                } else {
-                    response = await this.handleSchedulingWithTools();
-                }
+    // Watch the transcript as it grows; returns a function that stops watching
+    onTranscript(listener) {
+        this.transcriptListeners.add(listener);
+        return () => this.transcriptListeners.delete(listener);
+    }
+
+    // A nurse takes over the conversation; the bot stops replying until control is handed back
+    beginTakeover(nurse) {
+        this.takeover = { nurse, startedAt: new Date().toISOString() };
+        this.recordTranscript('system', `${ nurse } took over the conversation`, { event: 'takeover', nurse });
+        console.log(`[Bot] ${ nurse } took over the conversation with ${ this.patientRecord.patientName }`);
+    }
+
+    // A line the nurse said to the patient. It joins the history as an assistant turn so the bot
+    // carries on from it after the hand-back.
+    addNurseMessage(text) {
+        const message = { role: 'assistant', content: text };
+        this.conversationHistory.push(message);
+        this.memory.pin(message);
+        return this.recordTranscript('nurse', text, { nurse: this.takeover.nurse });
+    }
+
+    // The nurse hands control back; returns the line the bot uses to pick the call up again
+    endTakeover() {
+        const { nurse } = this.takeover;
+        this.takeover = null;
+        this.recordTranscript('system', `${ nurse } handed the conversation back to Jenny`, { event: 'handback', nurse });
+        console.log(`[Bot] ${ nurse } handed the conversation with ${ this.patientRecord.patientName } back`);
+
+        // Until the patient is confirmed, Jenny picks up with the identity question rather than anything about them
+        if (!this.identity.verified) {
+            return this.sayLine(renderTemplate(this.flow.messages.handback, { resume: this.getVerificationQuestion() }));
+        }
+        const resumeMessage = this.renderText(this.flow.messages.handback, { resume: this.getResumeQuestion() });
+        this.conversationHistory.push({ role: 'assistant', content: resumeMessage });
+        this.recordTranscript('bot', resumeMessage);
+        return resumeMessage;
+    }
+
+    // The question for wherever the call stands: the medication under discussion, the flow state in progress, or wrapping up
+    getResumeQuestion() {
+        const state = this.isStateCompleted(this.activeAgent)
+            ? this.flow.states[this.flow.sequence.find(stateId => !this.isStateCompleted(stateId))]
+            : this.flow.states[this.activeAgent];
+        if (!state) {
+            return this.renderText(this.flow.messages.anythingElse);
+        }
+        if (state.type === 'medication-review') {
+            return this.renderText(this.conversationState.medicationPickedUp ? state.messages.resumeDosage : state.messages.resumePickup);
+        }
+        if (state.type === 'wrap-up' && this.isStateStarted(state.id)) {
+            return this.renderText(this.flow.messages.anythingElse);
+        }
+        return this.renderText(state.resume || state.opening || this.flow.messages.anythingElse);
+    }
+
+    // Fill a flow text's {placeholders} for this patient and the medication under discussion; extra adds or overrides values
+    renderText(text, extra = {}) {
+        const medication = this.adherenceTracker.current || this.patientRecord.prescriptions[0];
+        const [nextMedication] = this.adherenceTracker.remaining();
+        const today = new Date();
+        const tomorrow = new Date(today);
+        tomorrow.setDate(tomorrow.getDate() + 1);
+
+        return renderTemplate(text, {
+            Patient_Name: this.patientRecord.patientName,
+            Doctor_Name: this.patientRecord.doctorName,
+            prescribed_medications: listMedications(this.patientRecord.prescriptions, this.language.and),
+            medication_count: this.patientRecord.prescriptions.length,
+            treatment_name: medication.medicationName,
+            medication_details: describePrescription(medication),
+            next_medication: nextMedication ? nextMedication.medicationName : null,
+            emergency_script: this.flow.safety.script,
+            today_long: today.toLocaleDateString(this.language.code, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+            today: today.toISOString().split('T')[0],
+            tomorrow: tomorrow.toISOString().split('T')[0],
+            ...extra
+        });
+    }
+
+    // Facts the flow's conditions and completion criteria are tested against
+    getFlowFacts() {
+        const facts = {
+            medicationPickedUp: this.conversationState.medicationPickedUp,
+            dosageDiscussed: this.conversationState.dosageDiscussed,
+            medicationsRemaining: this.adherenceTracker.remaining().length > 0,
+            medicationsReviewed: !this.adherenceTracker.current,
+            appointmentBooked: Boolean(this.appointmentData && this.appointmentData.scheduled),
+            safetyEvent: this.redFlags.some(flag => flag.severity === 'emergency')
+        };
+        Object.keys(this.flow.states).forEach(stateId => {
+            facts[`${ stateId }Started`] = this.isStateStarted(stateId);
+            facts[`${ stateId }Completed`] = this.isStateCompleted(stateId);
+        });
+        return facts;
+    }
+
+    // A flow condition holds when every "when" fact is true and no "unless" fact is
+    conditionHolds(condition, facts = this.getFlowFacts()) {
+        return (condition.when || []).every(fact => facts[fact]) && !(condition.unless || []).some(fact => facts[fact]);
+    }
+
+    isStateStarted(stateId) {
+        return this.conversationState.startedStates.includes(stateId);
+    }
+
+    isStateCompleted(stateId) {
+        return this.conversationState.completedStates.includes(stateId);
+    }
+
+    markStateStarted(stateId) {
+        if (!this.isStateStarted(stateId)) {
+            this.conversationState.startedStates.push(stateId);
+            console.log(`[Bot] State updated: ${ stateId } started`);
+        }
+    }
+
+    markStateCompleted(stateId, reason) {
+        if (!this.isStateCompleted(stateId)) {
+            this.conversationState.completedStates.push(stateId);
+            console.log(`[Bot] State updated: ${ stateId } completed (${ reason })`);
+        }
+    }
+
+    // Complete every flow state whose criteria are now met. Fact criteria apply to any state; what the patient
+    // or Jenny said this turn and the turn limit apply to the current conversation state. Returns { stateId: reason }.
+    updateFlowCompletion({ patientText = '', reply = '' } = {}) {
+        const facts = this.getFlowFacts();
+        const completed = {};
+        Object.values(this.flow.states).forEach(state => {
+            if (this.isStateCompleted(state.id)) {
+                return;
+            }
+            const { completeWhen } = state;
+            const inConversation = state.id === this.activeAgent && ['conversation', 'wrap-up'].includes(state.type);
+            let reason = null;
+            if (completeWhen.facts && completeWhen.facts.every(fact => facts[fact])) {
+                reason = 'facts';
+            } else if (inConversation && mentionsAny(reply, completeWhen.assistantSays)) {
+                reason = 'assistantSays';
+            } else if (inConversation && mentionsAny(patientText, completeWhen.patientSays)) {
+                reason = 'patientSays';
+            } else if (inConversation && completeWhen.maxTurns && (this.conversationState.stateTurns[state.id] || 0) >= completeWhen.maxTurns) {
+                reason = 'maxTurns';
             }
+            if (reason) {
+                this.markStateCompleted(state.id, reason);
+                completed[state.id] = reason;
+            }
+        });
+        return completed;
+    }
 
-            this.conversationHistory.push({ role: 'assistant', content: response });
-            return response;
+    // The line that moves the call on from a completed state: the next state's handoff, if it has one, or the
+    // read-back when the call moves on to its wrap-up
+    getHandoff(state) {
+        const next = state.next && this.flow.states[state.next];
+        if (next && next.type === 'wrap-up') {
+            return this.openWrapUp(next);
         }
+        return next && next.handoff ? this.renderText(next.handoff) : '';
+    }
 
-        // Enhanced fallback logic
-        console.log('[Bot] Executing fallback logic.');
+    // The state to handle this turn: the triaged one when the flow allows moving there, otherwise the first
+    // unfinished state in the flow's sequence, otherwise the current state if the patient can still talk to it
+    resolveTargetState(route) {
+        const facts = this.getFlowFacts();
+        const current = this.flow.states[this.activeAgent];
+
+        const routed = Object.entries(this.flow.triage.routes).find(([routeName]) => route.includes(routeName));
+        if (routed) {
+            const target = this.flow.states[routed[1]];
+            const allowed = target.id === current.id ||
+                current.transitions.some(transition => transition.to === target.id && this.conditionHolds(transition, facts));
+            if (allowed && !facts[`${ target.id }Completed`]) {
+                return target;
+            }
+        }
 
-        if (this.conversationState.adherenceCompleted && !this.conversationState.schedulingStarted) {
-            this.conversationState.schedulingStarted = true;
-            const response = "Perfect! Now let's schedule your follow-up appointment with Dr. " + this.patientRecord.doctorName + ". What days work best for you?";
-            this.conversationHistory.push({ role: 'assistant', content: response });
-            return response;
+        const pending = this.flow.sequence.find(stateId => !facts[`${ stateId }Completed`]);
+        if (pending) {
+            return this.flow.states[pending];
+        }
+        return current.type === 'conversation' ? current : null;
+    }
+
+    // Route a patient turn through triage to the flow state that should answer it and return the reply
+    async routeMessage(userText) {
+        // Check conversation state to determine appropriate routing
+        console.log(`[Bot] Current flow state: ${ this.activeAgent }`, this.conversationState);
+
+        const route = await this.callTriageAgent(userText);
+        console.log(`[Bot] Triage decision: ${route}`);
+
+        // Handle safety override with scheduling continuation
+        if (route.includes('ROUTE_TO_SAFETY')) {
+            // Distress the red-flag rules did not recognise is still recorded for the care team
+            await this.recordRedFlags([{
+                ruleId: 'triage-safety',
+                symptom: 'severe distress',
+                severity: 'emergency',
+                matched: userText.trim(),
+                quote: userText.trim()
+            }]);
+            return this.getSafetyResponse();
         }
 
+        const targetState = this.resolveTargetState(route);
+        if (targetState) {
+            if (this.activeAgent !== targetState.id) {
+                console.log(`[Bot] Switching state from ${ this.activeAgent } to ${ targetState.id }.`);
+                this.activeAgent = targetState.id;
+            }
+            this.conversationState.stateTurns[targetState.id] = (this.conversationState.stateTurns[targetState.id] || 0) + 1;
+
+            if (targetState.type === 'medication-review') {
+                return this.callAdherenceAgent(targetState, userText);
+            }
+            if (targetState.type === 'conversation') {
+                return this.callStateAgent(targetState, userText);
+            }
+            if (targetState.type === 'wrap-up') {
+                return this.callWrapUpAgent(targetState, userText);
+            }
+            this.markStateCompleted(targetState.id, 'reached');
+            return this.renderText(targetState.opening || this.flow.messages.anythingElse);
+        }
+
+        // Every state is done and the last one takes no more questions
+        console.log('[Bot] Executing fallback logic.');
+
+        const unclear = this.renderText(this.flow.messages.unclear);
         const lastBotMessage = this.conversationHistory[this.conversationHistory.length - 2]?.content;
-        if (lastBotMessage && lastBotMessage.includes("I want to make sure I understand")) {
-            const response = "I understand you're trying to help. Let me ask directly - do you have any side effects from your medication, or would you like to schedule your follow-up appointment?";
-            this.conversationHistory.push({ role: 'assistant', content: response });
-            return response;
+        if (lastBotMessage === unclear) {
+            return this.renderText(this.flow.messages.stillUnclear);
         }
+        return unclear;
+    }
 
-        // For first-time unclear responses, be more helpful
-        const response = `I want to make sure I understand you correctly. I'm calling to check on your ${this.patientRecord.prescriptions[0].medicationName} prescription. Are you taking it as prescribed, or do you have any questions about your medication?`;
-        this.conversationHistory.push({ role: 'assistant', content: response });
-        return response;
+    // Scripted emergency response; the call then moves on to the flow's safety.continueIn state
+    getSafetyResponse() {
+        // Close the states before it so the next interaction goes there
+        const { continueIn } = this.flow.safety;
+        const index = this.flow.sequence.indexOf(continueIn);
+        const closing = index === -1 ? [this.activeAgent] : this.flow.sequence.slice(0, index);
+        closing.filter(stateId => stateId !== continueIn).forEach(stateId => this.markStateCompleted(stateId, 'safety response'));
+        return `${ this.flow.safety.script } ${ this.renderText(this.flow.safety.followUp) }`;
+    }
+
+    // Same-day callback notice for urgent red flags
+    getUrgentNotice(flags) {
+        const urgent = flags.filter(flag => flag.severity === 'urgent');
+        const symptoms = listSymptoms(urgent, this.language.and);
+        return this.renderText(this.flow.messages.urgentNotice, {
+            symptoms,
+            Symptoms: `${ symptoms.charAt(0).toUpperCase() }${ symptoms.slice(1) }`
+        });
+    }
+
+    // Keep red flags found on this call and add them to the patient record straight away, so they survive a dropped call
+    async recordRedFlags(flags) {
+        const detectedAt = new Date().toISOString();
+        const records = flags.map(flag => ({
+            ...flag,
+            detectedAt,
+            ...(this.conversationId ? { conversationId: this.conversationId } : {})
+        }));
+        records.forEach(record => console.warn(`[RedFlag] ${ record.severity.toUpperCase() } ${ record.ruleId } for ${ this.patientRecord.DocumentID }: "${ record.matched }"`));
+
+        const escalationId = await this.raiseEscalation(records);
+        if (escalationId) {
+            records.forEach(record => {
+                record.escalationId = escalationId;
+            });
+        }
+        this.redFlags.push(...records);
+
+        try {
+            this.patientRecord = await this.patientRepository.appendRedFlags(this.patientRecord.DocumentID, records);
+        } catch (error) {
+            console.error('[Bot] Error saving red flags:', error.message);
+        }
+    }
+
+    // Put the turn's red flags in front of the care team as one escalation at the most severe tier; returns its id
+    async raiseEscalation(flags) {
+        if (!this.escalationQueue) {
+            return null;
+        }
+
+        try {
+            const severity = SEVERITIES.find(tier => flags.some(flag => flag.severity === tier));
+            const escalation = await this.escalationQueue.raise({
+                patient: this.patientRecord,
+                severity,
+                reason: listSymptoms(flags),
+                ruleIds: flags.map(flag => flag.ruleId),
+                medicationNames: [...new Set(flags.map(flag => flag.medicationName).filter(Boolean))],
+                quote: flags[0].quote,
+                excerpt: this.transcript
+                    .filter(entry => entry.speaker !== 'system' && !entry.identityAnswer)
+                    .slice(-ESCALATION_EXCERPT_TURNS)
+                    .map(entry => ({ role: entry.speaker === 'bot' ? 'assistant' : entry.speaker, text: entry.text })),
+                conversationId: this.conversationId
+            });
+            return escalation.id;
+        } catch (error) {
+            console.error('[Bot] Error raising escalation:', error.message);
+            return null;
+        }
     }
 
     getErrorResponse(error) {
         if (error.message.includes('timeout')) {
-            return "I'm having a little trouble connecting right now. Could you please say that again?";
+            return this.renderText(this.flow.messages.connectionTrouble);
         } else if (error.message.includes('authentication')) {
-            return "I'm having trouble with my system connection. We may need to try again later.";
+            return this.renderText(this.flow.messages.systemTrouble);
         } else {
-            return "I'm sorry, I encountered a technical issue. Let's try that one more time.";
+            return this.renderText(this.flow.messages.technicalIssue);
         }
     }
 
+    // Pick the ROUTE_TO_* route for a patient turn: the local intent classifier when it is confident, otherwise the
+    // triage LLM. If the LLM fails, the classifier's best guess is used so routing keeps working through an outage.
     async callTriageAgent(userText) {
-        try {
-            const lastBotMessage = this.conversationHistory[this.conversationHistory.length - 2]?.content || 'None';
+        const lastBotMessage = this.conversationHistory[this.conversationHistory.length - 2]?.content || 'None';
+        const currentState = this.flow.states[this.activeAgent];
+        const pendingState = this.isStateCompleted(currentState.id)
+            ? this.flow.sequence.find(stateId => !this.isStateCompleted(stateId))
+            : currentState.id;
+        const preferredRoute = Object.keys(this.flow.triage.routes).find(route => this.flow.triage.routes[route] === pendingState);
+
+        const startedAt = Date.now();
+        const local = this.intentClassifier.classify(userText, {
+            routes: Object.keys(this.flow.triage.routes),
+            preferredRoute,
+            medicationNames: this.patientRecord.prescriptions.map(prescription => prescription.medicationName)
+        });
+        this.addStageTime('triage', Date.now() - startedAt);
+        if (local.confident) {
+            this.recordRouting(local.route, local.source, local.confidence);
+            return local.route;
+        }
 
+        try {
             // Create enhanced context for triage decision
             const conversationContext = `
 **Conversation State:**
+- Current step: ${ currentState.id }${ currentState.description ? ` (${ currentState.description })` : '' }
+- Completed steps: ${ this.conversationState.completedStates.join(', ') || 'none' }
+- Medication being discussed: ${ this.adherenceTracker.current ? this.adherenceTracker.current.medicationName : 'none (all reviewed)' }
+- Medications still to review after it: ${ this.adherenceTracker.remaining().length }
 - Medication picked up: ${this.conversationState.medicationPickedUp}
 - Dosage discussed: ${this.conversationState.dosageDiscussed}
-- Adherence completed: ${this.conversationState.adherenceCompleted}
-- Scheduling started: ${this.conversationState.schedulingStarted}
 
 **Last bot message:** "${lastBotMessage}"
 **User message:** "${userText}"
 
 **Routing Priority:**
-1. If adherence is completed, prefer ROUTE_TO_SCHEDULING
-2. If medication/adherence topics are still active, prefer ROUTE_TO_ADHERENCE
+1. ${ preferredRoute ? `The call is on the ${ pendingState } step, so prefer ${ preferredRoute }` : 'Prefer the route for the topic the call is on' }
+2. Once a step is completed, prefer the route for the step that follows it
 3. Use standard routing rules for new topics
 `;
 
-            const response = await this.callOpenAI(TRIAGE_AGENT_PROMPT, [{ role: 'user', content: conversationContext }], false);
+            const response = await this.callOpenAI(this.renderText(this.flow.triage.prompt.join('\n')), [{ role: 'user', content: conversationContext }], [], { stage: 'triage' });
+            this.recordRouting(response.content, 'llm', null);
             return response.content;
         } catch (error) {
-            console.error('[Bot] Triage agent error:', error.message);
-            throw new Error('Failed to process triage request');
+            console.error(`[Bot] Triage agent error, routing by the local classifier (${ local.route }, ${ local.confidence.toFixed(2) }):`, error.message);
+            this.recordRouting(local.route, `${ local.source } (LLM unavailable)`, local.confidence);
+            return local.route;
+        }
+    }
+
+    // How this turn was routed, kept with its turn stats: the route, what decided it and the classifier's confidence
+    recordRouting(route, source, confidence) {
+        if (this.currentTurn) {
+            this.currentTurn.routing = { route, source, confidence };
+        }
+    }
+
+    // System prompt for a flow state: the flow's shared instructions, the state's prompt and the context prompts that apply now
+    buildStatePrompt(state) {
+        const facts = this.getFlowFacts();
+        const sections = [
+            this.flow.sharedInstructions,
+            state.prompt,
+            ...state.contextPrompts.filter(contextPrompt => this.conditionHolds(contextPrompt, facts)).map(contextPrompt => contextPrompt.prompt)
+        ];
+        if (this.language.name !== 'English') {
+            sections.push(this.getLanguageInstructions());
         }
+        return this.renderText(sections.map(lines => lines.join('\n')).join('\n\n'));
     }
 
-    async callAdherenceAgent(userText) {
+    // Prompts are written in English; the patient hears the reply in the call's language
+    getLanguageInstructions() {
+        const { name, code } = this.language;
+        return [
+            `### LANGUAGE: ${ name.toUpperCase() } (${ code }) ###`,
+            `- The patient speaks ${ name }. Reply ONLY in ${ name }, in simple, polite, everyday ${ name } as spoken on a phone call.`,
+            '- Keep medication names, doses, dates and times exactly as written so the patient can match them to their prescription.',
+            `- When a rule above gives an exact English sentence to say, say it in ${ name } with the same meaning.`
+        ];
+    }
+
+    // A medication-review state: walk through the prescriptions one at a time
+    async callAdherenceAgent(state, userText) {
         try {
-            // Get the patient's primary medication
-            const primaryMedication = this.patientRecord.prescriptions[0];
-            const medicationDetails = `${primaryMedication.medicationName} ${primaryMedication.dosage}, taken ${primaryMedication.frequency}`;
-
-            // Create context-aware prompt based on conversation state
-            let contextualPrompt = ADHERENCE_AGENT_PROMPT;
-
-            // Add conversation state context
-            if (this.conversationState.medicationPickedUp && this.conversationState.dosageDiscussed) {
-                contextualPrompt += `\n\n**IMPORTANT CONVERSATION CONTEXT:**
-- Patient has already confirmed they picked up their medication
-- Patient has confirmed they are taking the correct dosage
-- DO NOT repeat questions about picking up medication or dosage
-- Focus on side effects, missed doses, or transition to scheduling
-- If patient indicates no problems, transition to scheduling with: "The last thing is to schedule your follow-up appointment with Dr. ${this.patientRecord.doctorName}. Are you available to do that now?"`;
-            } else if (this.conversationState.medicationPickedUp) {
-                contextualPrompt += `\n\n**IMPORTANT CONVERSATION CONTEXT:**
-- Patient has already confirmed they picked up their medication
-- DO NOT ask about picking up medication again
-- Focus on dosage and timing questions`;
-            }
+            // The medication currently being walked through; the others follow one at a time
+            const medication = this.adherenceTracker.current || this.patientRecord.prescriptions[0];
+            const [nextMedication] = this.adherenceTracker.remaining();
 
             // Check if user response indicates completion (no issues)
             const userResponse = userText.toLowerCase();
-            // Non-severe side effect handling (headache, fever, etc.)
-            if (userResponse.includes('headache') || userResponse.includes('fever')) {
-                this.conversationState.adherenceCompleted = true;
-                return `Thank you for sharing. I'll notify Dr. ${this.patientRecord.doctorName}'s team about your headache and fever. Now, let's schedule your follow-up appointment with Dr. ${this.patientRecord.doctorName}. Are you available to do that now?`;
+            // Routine side effects found by the red-flag rules (headache, nausea, ...) are noted for the care team
+            if (this.turnAssessment && this.turnAssessment.severity === 'routine') {
+                return this.finishMedication(state, this.renderText(state.messages.routineSymptoms, { symptoms: listSymptoms(this.turnAssessment.flags, this.language.and) }));
             }
             if ((userResponse.includes('no') && (userResponse.includes('problem') || userResponse.includes('side effect') || userResponse.includes('issue'))) ||
                 (userResponse.includes('fine') || userResponse.includes('good') || userResponse.includes('well')) ||
                 (userResponse.includes('everything is good') || userResponse.includes('managing well')) ||
                 (userResponse.includes('regular') && userResponse.includes('taking'))) {
-                // User indicates no issues, transition to scheduling
-                this.conversationState.adherenceCompleted = true;
-                console.log('[Bot] Adherence completed due to no problems indicated');
-                return `Perfect! It sounds like you're managing your medication well. The last thing is to schedule your follow-up appointment with Dr. ${this.patientRecord.doctorName}. Are you available to do that now?`;
+                // User indicates no issues with this medication, move on to the next one or out of the review
+                console.log(`[Bot] ${ medication.medicationName } reviewed: no problems indicated`);
+                return this.finishMedication(state, this.renderText(nextMedication ? state.messages.medicationCovered : state.messages.allMedicationsCovered));
             }
 
-            // Personalize the prompt with the patient's medication details
-            const personalizedAdherencePrompt = contextualPrompt
-                .replace(/{treatment_name}/g, primaryMedication.medicationName)
-                .replace(/{medication_details}/g, medicationDetails)
-                .replace(/{Patient_Name}/g, this.patientRecord.patientName)
-                .replace(/{Doctor_Name}/g, this.patientRecord.doctorName);
-
-            const response = await this.callOpenAI(personalizedAdherencePrompt, this.conversationHistory, false);
+            const systemPrompt = this.buildStatePrompt(state);
+            const response = await this.callOpenAI(systemPrompt, await this.getContextHistory(systemPrompt), [], AGENT_REPLY);
             if (!response || !response.content) {
                 throw new Error('Invalid response from adherence agent');
             }
 
-            // Check if adherence is completed based on response content
-            if (response.content.includes('schedule your follow-up appointment') ||
-                response.content.includes('The last thing is to schedule')) {
-                this.conversationState.adherenceCompleted = true;
-                console.log('[Bot] Adherence phase completed, ready to transition to scheduling');
+            // Follow the agent when it moves on to the next medication
+            if (nextMedication && response.content.includes(nextMedication.medicationName)) {
+                this.advanceMedication();
+            } else if (!nextMedication && mentionsAny(response.content, state.completeWhen.assistantSays)) {
+                // The agent has closed the review and handed over to the next step itself
+                this.advanceMedication();
+                console.log(`[Bot] ${ state.id } completed by the agent, ready to move on`);
             }
 
             return response.content;
@@ -420,6 +1130,105 @@ class EchoBot extends ActivityHandler {
         }
     }
 
+    // Move past the medication being discussed; the review state completes once every medication has been reviewed
+    advanceMedication() {
+        const next = this.adherenceTracker.advance();
+        this.conversationState.medicationPickedUp = false;
+        this.conversationState.dosageDiscussed = false;
+        if (next) {
+            console.log(`[Bot] Moving on to the next medication: ${ next.medicationName }`);
+        } else {
+            this.updateFlowCompletion();
+        }
+        return next;
+    }
+
+    // Close the current medication with an acknowledgement, then ask about the next one or hand over to the next state
+    finishMedication(state, acknowledgement) {
+        const next = this.advanceMedication();
+        if (next) {
+            return `${ acknowledgement } ${ this.renderText(state.messages.nextMedication, { next_medication: next.medicationName }) }`;
+        }
+        const handoff = state.next ? this.getHandoff(state) : this.renderText(this.flow.messages.anythingElse);
+        return handoff ? `${ acknowledgement } ${ handoff }` : acknowledgement;
+    }
+
+    // A conversation state: its opening line on the way in, then the LLM with the tools the state allows.
+    // When the turn completes the state by facts, patient words or the turn limit, the next state's handoff follows.
+    async callStateAgent(state, userText) {
+        let response;
+        if (!this.isStateStarted(state.id) && state.opening) {
+            this.markStateStarted(state.id);
+            response = this.renderText(state.opening);
+        } else {
+            this.markStateStarted(state.id);
+            response = await this.handleStateWithTools(state);
+        }
+
+        const completed = this.updateFlowCompletion({ patientText: userText, reply: response });
+        if (completed[state.id] && completed[state.id] !== 'assistantSays') {
+            const handoff = this.getHandoff(state);
+            if (handoff) {
+                response = `${ response } ${ handoff }`;
+            }
+        }
+        return response;
+    }
+
+    // The wrap-up state: read back what was agreed on the way in, then answer any last questions until the patient has
+    // nothing else or the turn limit is reached, and say goodbye. processMessage ends the call after the goodbye.
+    async callWrapUpAgent(state, userText) {
+        if (!this.isStateStarted(state.id)) {
+            return this.openWrapUp(state);
+        }
+        if (mentionsAny(userText, state.completeWhen.patientSays)) {
+            this.markStateCompleted(state.id, 'patientSays');
+            return this.renderText(state.messages.goodbye);
+        }
+
+        const answer = await this.handleStateWithTools(state);
+        const completed = this.updateFlowCompletion({ reply: answer });
+        return `${ answer } ${ this.renderText(completed[state.id] ? state.messages.goodbye : this.flow.messages.anythingElse) }`;
+    }
+
+    // Start the wrap-up: what the patient said about each medication and the follow-up appointment, then whether
+    // there is anything else
+    openWrapUp(state) {
+        this.markStateStarted(state.id);
+        this.markTurnClinical();
+        const readBack = this.renderText(state.opening, {
+            medication_status: this.describeMedicationStatus(state),
+            appointment_status: this.describeAppointmentStatus(state)
+        });
+        return `${ readBack } ${ this.renderText(this.flow.messages.anythingElse) }`;
+    }
+
+    // "you're taking Amlodipine as prescribed and you still need to pick up Atorvastatin": medications with the same
+    // adherence status are read back together
+    describeMedicationStatus(state) {
+        const { medications } = this.adherenceTracker.getAnswers();
+        const byStatus = new Map();
+        this.patientRecord.prescriptions.forEach(prescription => {
+            const answers = medications.find(medication => medication.medicationName === prescription.medicationName) || {};
+            const status = adherenceStatus(answers);
+            byStatus.set(status, [...(byStatus.get(status) || []), prescription]);
+        });
+        return listItems([...byStatus].map(([status, prescriptions]) => this.renderText(state.messages[WRAP_UP_MEDICATION_MESSAGES[status]], {
+            treatment_name: listMedications(prescriptions, this.language.and)
+        })), this.language.and);
+    }
+
+    // The follow-up appointment booked on this call or already on file, if there is one
+    describeAppointmentStatus(state) {
+        const appointment = this.appointmentData || this.patientRecord.followUpAppointment;
+        if (!appointment || !appointment.scheduled || !appointment.appointmentDateTime) {
+            return this.renderText(state.messages.noAppointment);
+        }
+        return this.renderText(state.messages.appointmentBooked, {
+            appointment_time: describeAppointmentTime(appointment.appointmentDateTime, this.language.code)
+        });
+    }
+
     // Helper: Get summary of all upcoming appointments
     async getAppointmentSummary() {
         try {
@@ -428,11 +1237,13 @@ class EchoBot extends ActivityHandler {
             const dateISO = today.toISOString().split('T')[0];
             const response = await this.schedulingPlugin.listAppointments(dateISO);
             if (response && Array.isArray(response) && response.length > 0) {
-                let summary = "Here is your updated appointment schedule:\n";
-                response.forEach((appt, idx) => {
-                    summary += `${idx + 1}. ${appt.subject} at ${new Date(appt.startDateTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}\n`;
-                });
-                return summary;
+                const { messages } = this.flow;
+                const lines = response.map((appt, idx) => this.renderText(messages.appointmentScheduleItem, {
+                    appointment_number: idx + 1,
+                    appointment_subject: appt.subject,
+                    appointment_time: new Date(appt.startDateTime).toLocaleTimeString(this.language.code, { hour: '2-digit', minute: '2-digit' })
+                }));
+                return `${ [this.renderText(messages.appointmentSchedule), ...lines].join('\n') }\n`;
             }
         } catch (e) { return ""; }
         return "";
@@ -442,6 +1253,15 @@ class EchoBot extends ActivityHandler {
     updateConversationState(userText) {
         const lowerText = userText.toLowerCase();
 
+        // Typed answers already extracted for the current medication also count
+        const findings = this.adherenceTracker.currentFindings;
+        if (findings.filledPrescription && findings.filledPrescription.value === true) {
+            this.conversationState.medicationPickedUp = true;
+        }
+        if (findings.missedDoses) {
+            this.conversationState.dosageDiscussed = true;
+        }
+
         // Check for medication pickup confirmation
         if ((lowerText.includes('pick') || lowerText.includes('got') || lowerText.includes('have')) &&
             (lowerText.includes('medication') || lowerText.includes('prescription'))) {
@@ -459,26 +1279,31 @@ class EchoBot extends ActivityHandler {
             console.log('[Bot] State updated: dosage discussed');
         }
 
-        // Check for "no problems/issues" responses - these should complete adherence
-        if ((lowerText.includes('no') &&
+        // Check for "no problems/issues" responses - these should complete the medication review
+        const noProblems = (lowerText.includes('no') &&
              (lowerText.includes('problem') || lowerText.includes('issue') || lowerText.includes('side effect'))) ||
             (lowerText.includes('fine') || lowerText.includes('good') || lowerText.includes('well') ||
-             lowerText.includes('everything is good') || lowerText.includes('managing well'))) {
-            this.conversationState.adherenceCompleted = true;
-            console.log('[Bot] State updated: adherence completed (no problems indicated)');
+             lowerText.includes('everything is good') || lowerText.includes('managing well'));
+        if (noProblems && this.flow.states[this.activeAgent].type === 'medication-review') {
+            // With more medications to go, the adherence agent moves on to the next one instead
+            if (this.adherenceTracker.remaining().length === 0) {
+                this.advanceMedication();
+                console.log('[Bot] State updated: medication review completed (no problems indicated)');
+            }
         }
 
-        // Check for scheduling-related responses
-        if (lowerText.includes('schedule') || lowerText.includes('appointment') ||
-            lowerText.includes('book') || lowerText.includes('available')) {
-            this.conversationState.schedulingStarted = true;
-            console.log('[Bot] State updated: scheduling started');
-        }
+        // States the patient has brought up themselves ("can I book an appointment?")
+        Object.values(this.flow.states)
+            .filter(state => state.startedBy && state.startedBy.test(userText))
+            .forEach(state => this.markStateStarted(state.id));
     }
 
-    async handleSchedulingWithTools() {
+    // Run a conversation state through the LLM, offering only the tools the state lists
+    async handleStateWithTools(state) {
+        const tools = SCHEDULING_TOOLS.filter(tool => state.tools.includes(tool.function.name));
         try {
-            const aiResponse = await this.callOpenAI(getSchedulingAgentPrompt(this.patientRecord), this.conversationHistory, true);
+            const systemPrompt = this.buildStatePrompt(state);
+            const aiResponse = await this.callOpenAI(systemPrompt, await this.getContextHistory(systemPrompt, tools), tools, AGENT_REPLY);
 
             if (!aiResponse) throw new Error('Invalid response from scheduling agent');
 
@@ -491,9 +1316,16 @@ class EchoBot extends ActivityHandler {
 
                 let toolResult = '';
                 try {
-                    // Dynamically call the plugin method
-                    if (typeof this.schedulingPlugin[functionName] === 'function') {
-                        toolResult = await this.schedulingPlugin[functionName](...Object.values(functionArgs));
+                    // Dynamically call the plugin method, if this state of the flow allows it
+                    if (!state.tools.includes(functionName)) {
+                        throw new Error(`${ functionName } is not available in the ${ state.id } step`);
+                    } else if (typeof this.schedulingPlugin[functionName] === 'function') {
+                        const toolStartedAt = Date.now();
+                        try {
+                            toolResult = await this.schedulingPlugin[functionName](...Object.values(functionArgs));
+                        } finally {
+                            this.addStageTime('tools', Date.now() - toolStartedAt);
+                        }
                     } else {
                         throw new Error(`Unknown function: ${functionName}`);
                     }
@@ -502,14 +1334,22 @@ class EchoBot extends ActivityHandler {
                     toolResult = `Error: ${toolError.message}`;
                 }
 
-                this.conversationHistory.push({ role: 'assistant', content: null, tool_calls: aiResponse.tool_calls });
-                this.conversationHistory.push({ role: 'tool', tool_call_id: toolCall.id, name: functionName, content: toolResult });
+                this.trackAppointment(functionName, functionArgs, toolResult);
+
+                const toolRequest = { role: 'assistant', content: null, tool_calls: aiResponse.tool_calls };
+                const toolResponse = { role: 'tool', tool_call_id: toolCall.id, name: functionName, content: toolResult };
+                this.conversationHistory.push(toolRequest, toolResponse);
+                if (APPOINTMENT_CHANGING_TOOLS.includes(functionName)) {
+                    this.memory.pin(toolRequest, toolResponse);
+                    this.markTurnClinical();
+                }
 
                 // Final call to get a natural language response
-                const finalResponse = await this.callOpenAI(getSchedulingAgentPrompt(this.patientRecord), this.conversationHistory, true);
+                const finalPrompt = this.buildStatePrompt(state);
+                const finalResponse = await this.callOpenAI(finalPrompt, await this.getContextHistory(finalPrompt, tools), tools, AGENT_REPLY);
 
                 // Appointment summary after create/reschedule/cancel
-                if (['createAppointment', 'rescheduleAppointment', 'cancelAppointment'].includes(functionName)) {
+                if (APPOINTMENT_CHANGING_TOOLS.includes(functionName)) {
                     const summary = await this.getAppointmentSummary();
                     if (finalResponse && finalResponse.content) {
                         return `${finalResponse.content}\n\n${summary}`;
@@ -535,96 +1375,111 @@ class EchoBot extends ActivityHandler {
             }
 
         } catch (error) {
-            console.error('[Bot] Scheduling error:', error.message);
-            return "I apologize, I'm having trouble accessing the appointment calendar right now. Can we try again in a few moments?";
+            console.error(`[Bot] ${ state.id } error:`, error.message);
+            if (tools.length === 0) {
+                return this.getErrorResponse(error);
+            }
+            return this.renderText(this.flow.messages.calendarTrouble);
+        }
+    }
+
+    // The conversation to send with an agent's system prompt and tools: the history cut to the context budget
+    async getContextHistory(systemPrompt, tools = []) {
+        const reserved = estimateTokens(systemPrompt) + (tools.length > 0 ? estimateTokens(JSON.stringify(tools)) : 0) + MAX_REPLY_TOKENS;
+        return this.memory.contextFor(this.conversationHistory, reserved);
+    }
+
+    // Fold older lines of the call into the state note; the LLM writes it, without a tool or the budget's own history
+    async summarizeHistory(note, lines) {
+        const response = await this.callOpenAI(SUMMARY_PROMPT, [{
+            role: 'user',
+            content: `Current note:\n${ note || '(none yet)' }\n\nNew lines:\n${ lines.join('\n') }`
+        }], [], { stage: 'summary' });
+        return response && response.content;
+    }
+
+    // Count the LLM requests, prompt tokens and milliseconds per stage (triage, agent, tools, summary, extraction) of one
+    // patient turn, and how it was routed; clinical marks a turn to keep verbatim
+    startTurn() {
+        this.currentTurn = {
+            turn: this.turnStats.turns.length + 1,
+            llmRequests: 0,
+            promptTokens: 0,
+            latencyMs: {},
+            routing: null,
+            startedAt: Date.now(),
+            clinical: false
+        };
+    }
+
+    addStageTime(stage, ms) {
+        if (this.currentTurn) {
+            this.currentTurn.latencyMs[stage] = (this.currentTurn.latencyMs[stage] || 0) + ms;
+        }
+    }
+
+    markTurnClinical() {
+        if (this.currentTurn) {
+            this.currentTurn.clinical = true;
         }
     }
 
-    // callOpenAI and other helper functions remain the same as v2.1
-    async callOpenAI(systemPrompt, history, includeTools = true) {
+    endTurn() {
+        if (!this.currentTurn) {
+            return;
+        }
+        const { clinical, startedAt, ...usage } = this.currentTurn;
+        usage.latencyMs.total = Date.now() - startedAt;
+        // Time until the patient could hear the reply begin, when it was spoken sentence by sentence
+        if (this.speech && this.speech.firstSentenceMs !== null) {
+            usage.latencyMs.firstSentence = this.speech.firstSentenceMs;
+        }
+        this.turnStats.turns.push(usage);
+        this.currentTurn = null;
+        const stages = Object.entries(usage.latencyMs).map(([stage, ms]) => `${ stage } ${ ms }ms`).join(', ');
+        console.log(`[Bot] Turn ${ usage.turn }: ${ usage.llmRequests } LLM request(s), ~${ usage.promptTokens } prompt tokens; ${ stages }`);
+    }
+
+    // One chat completion from the configured LLM provider; tools are the function specs the caller offers. The time it
+    // takes counts towards options.stage. With options.speak, a reply streamed while early speech is on (streamMessage)
+    // has its sentences spoken as they arrive.
+    async callOpenAI(systemPrompt, history, tools = [], options = {}) {
         const messages = [{ role: 'system', content: systemPrompt }, ...history];
 
-        const tools = includeTools ? [
-            { type: 'function', function: { name: 'findAvailability', description: 'Checks for available appointment slots on a specific date (YYYY-MM-DD).', parameters: { type: 'object', properties: { date: { type: 'string', description: 'The date to check, in YYYY-MM-DD format.' } }, required: ['date'] } } },
-            { type: 'function', function: { name: 'createAppointment', description: 'Books a new appointment.', parameters: { type: 'object', properties: { appointmentDateTime: { type: 'string', description: 'The appointment time in ISO 8601 format (e.g., "2025-07-15T14:00:00").' }, patientName: { type: 'string', description: "The patient's name." } }, required: ['appointmentDateTime', 'patientName'] } } },
-            { type: 'function', function: { name: 'listAppointments', description: 'Lists all appointments for a specific date (YYYY-MM-DD).', parameters: { type: 'object', properties: { date: { type: 'string', description: 'The date to check, in YYYY-MM-DD format.' } }, required: ['date'] } } },
-            { type: 'function', function: { name: 'cancelAppointment', description: 'Cancels an existing appointment.', parameters: { type: 'object', properties: { date: { type: 'string', description: 'The appointment date in YYYY-MM-DD format.' }, time: { type: 'string', description: 'The appointment time (e.g., "9:00 AM").' } }, required: ['date', 'time'] } } },
-            { type: 'function', function: { name: 'rescheduleAppointment', description: 'Reschedules an appointment.', parameters: { type: 'object', properties: { originalDate: { type: 'string', description: 'The original appointment date (YYYY-MM-DD).' }, originalTime: { type: 'string', description: 'The original appointment time.' }, newDateTime: { type: 'string', description: 'The new appointment time in ISO 8601 format.' }, patientName: { type: 'string', description: "The patient's name." } }, required: ['originalDate', 'originalTime', 'newDateTime', 'patientName'] } } },
-        ] : [];
+        const promptTokens = countTokens(messages) + (tools.length > 0 ? estimateTokens(JSON.stringify(tools)) : 0);
+        this.turnStats.promptTokens += promptTokens;
+        this.turnStats.llmRequests += 1;
+        if (this.currentTurn) {
+            this.currentTurn.promptTokens += promptTokens;
+            this.currentTurn.llmRequests += 1;
+        }
 
         const requestBody = {
             messages,
-            max_tokens: 800,
+            max_tokens: MAX_REPLY_TOKENS,
             temperature: 0.6,
             top_p: 0.95,
             frequency_penalty: 0,
             presence_penalty: 0
         };
 
-        if (includeTools && tools.length > 0) {
+        if (tools.length > 0) {
             requestBody.tools = tools;
             requestBody.tool_choice = 'auto';
         }
 
-        let lastError;
-        for (let attempt = 0; attempt < AZURE_OPENAI_CONFIG.maxRetries; attempt++) {
-            try {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), AZURE_OPENAI_CONFIG.timeoutMs);
-
-                const response = await axios.post(
-                    `${AZURE_OPENAI_CONFIG.endpoint}openai/deployments/${AZURE_OPENAI_CONFIG.deploymentName}/chat/completions?api-version=${AZURE_OPENAI_CONFIG.apiVersion}`,
-                    requestBody,
-                    {
-                        headers: { 'api-key': AZURE_OPENAI_CONFIG.apiKey, 'Content-Type': 'application/json' },
-                        signal: controller.signal
-                    }
-                );
-                clearTimeout(timeoutId);
-
-                if (!response.data?.choices?.[0]?.message) {
-                    throw new Error('Invalid response structure from Azure OpenAI');
-                }
-
-                console.log(`[Bot] Azure OpenAI call successful (attempt ${attempt + 1})`);
-                return response.data.choices[0].message;
-
-            } catch (error) {
-                lastError = error;
-                console.error(`[Bot] Azure OpenAI API error (attempt ${attempt + 1}):`, error.message);
-
-                if (this.isRetryableError(error)) {
-                    if (attempt < AZURE_OPENAI_CONFIG.maxRetries - 1) {
-                        const delay = AZURE_OPENAI_CONFIG.retryDelayMs * Math.pow(2, attempt) + Math.random() * 1000;
-                        console.log(`[Bot] Retrying in ${delay.toFixed(0)}ms...`);
-                        await this.sleep(delay);
-                        continue;
-                    }
-                }
-                break;
+        const speech = options.speak ? this.speech : null;
+        const startedAt = Date.now();
+        try {
+            if (!speech) {
+                return await this.llmProvider.complete(requestBody);
             }
+            const message = await this.llmProvider.stream(requestBody, text => speech.push(text));
+            speech.endPart();
+            return message;
+        } finally {
+            this.addStageTime(options.stage || 'llm', Date.now() - startedAt);
         }
-
-        console.error('[Bot] Azure OpenAI API failed after all retries.');
-        if (lastError.response?.status === 429) throw new Error('rate limit');
-        if (lastError.response?.status === 401) throw new Error('authentication');
-        if (lastError.name === 'AbortError') throw new Error('timeout');
-        throw new Error('API error');
-    }
-
-    isRetryableError(error) {
-        if (error.name === 'AbortError' || ['ECONNRESET', 'ETIMEDOUT'].includes(error.code)) {
-            return true;
-        }
-        if (error.response) {
-            const status = error.response.status;
-            return status >= 500 || status === 429;
-        }
-        return false;
-    }
-
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     // Determine appropriate speech context based on response content and active agent
@@ -634,11 +1489,10 @@ class EchoBot extends ActivityHandler {
             return 'emergency';
         }
 
-        // Context based on current active agent
-        if (this.activeAgent === 'adherence') {
-            return 'adherence';
-        } else if (this.activeAgent === 'scheduling') {
-            return 'scheduling';
+        // Context based on the speech style of the current flow state
+        const state = this.flow.states[this.activeAgent];
+        if (state && state.speech) {
+            return state.speech;
         }
 
         // Content-based context detection
@@ -655,19 +1509,22 @@ class EchoBot extends ActivityHandler {
         return 'normal';
     }
 
-    // Enhanced speech formatting for better TTS quality
+    // Enhanced speech formatting for better TTS quality, in the call language's neural voice
     formatSpeechResponse(text, context = 'normal') {
+        const { code, voice, voiceStyles } = this.language;
+        // Speaking styles are only available on Jenny
+        const style = (name, degree) => voiceStyles ? ` style="${ name }"${ degree ? ` styledegree="${ degree }"` : '' }` : '';
         const ssmlTemplates = {
-            welcome: `<speak version="1.0" xml:lang="en-US">
-                <voice name="en-US-JennyNeural" style="customerservice" styledegree="0.8">
+            welcome: `<speak version="1.0" xml:lang="${ code }">
+                <voice name="${ voice }"${ style('customerservice', '0.8') }>
                     <prosody rate="0.9" pitch="medium">
                         ${text}
                     </prosody>
                 </voice>
             </speak>`,
 
-            adherence: `<speak version="1.0" xml:lang="en-US">
-                <voice name="en-US-JennyNeural" style="empathetic">
+            adherence: `<speak version="1.0" xml:lang="${ code }">
+                <voice name="${ voice }"${ style('empathetic') }>
                     <prosody rate="0.85" pitch="medium">
                         ${text.replace(/(\d+)\s*(mg|milligrams?|mcg|micrograms?)/gi,
                             '<emphasis level="moderate">$1 $2</emphasis>')
@@ -679,8 +1536,8 @@ class EchoBot extends ActivityHandler {
                 </voice>
             </speak>`,
 
-            scheduling: `<speak version="1.0" xml:lang="en-US">
-                <voice name="en-US-JennyNeural" style="customerservice">
+            scheduling: `<speak version="1.0" xml:lang="${ code }">
+                <voice name="${ voice }"${ style('customerservice') }>
                     <prosody rate="0.9">
                         ${text.replace(/(\d{1,2}:\d{2}\s*(AM|PM))/gi,
                             '<emphasis level="strong">$1</emphasis>')}
@@ -688,16 +1545,16 @@ class EchoBot extends ActivityHandler {
                 </voice>
             </speak>`,
 
-            emergency: `<speak version="1.0" xml:lang="en-US">
-                <voice name="en-US-JennyNeural" style="urgent">
+            emergency: `<speak version="1.0" xml:lang="${ code }">
+                <voice name="${ voice }"${ style('urgent') }>
                     <prosody rate="1.0" pitch="high">
                         <emphasis level="strong">${text}</emphasis>
                     </prosody>
                 </voice>
             </speak>`,
 
-            normal: `<speak version="1.0" xml:lang="en-US">
-                <voice name="en-US-JennyNeural" style="customerservice">
+            normal: `<speak version="1.0" xml:lang="${ code }">
+                <voice name="${ voice }"${ style('customerservice') }>
                     <prosody rate="0.9" pitch="medium">
                         ${text}
                     </prosody>
@@ -708,43 +1565,195 @@ class EchoBot extends ActivityHandler {
         return ssmlTemplates[context] || ssmlTemplates.normal;
     }
 
-    // Save patient call data and update the JSON file
-    async savePatientCallData(adherenceData = null, appointmentData = null) {
+    // Remember the appointment booked (or cancelled) by a successful scheduling tool call
+    trackAppointment(functionName, functionArgs, toolResult) {
+        const result = String(toolResult || '');
+        if (/successfully (booked|rescheduled)/i.test(result)) {
+            this.appointmentData = {
+                scheduled: true,
+                appointmentDateTime: functionArgs.appointmentDateTime || functionArgs.newDateTime,
+                confirmationSent: false
+            };
+            this.appointmentChanges.push(functionName === 'rescheduleAppointment'
+                ? { action: 'rescheduled', appointmentDateTime: functionArgs.newDateTime, previousDateTime: `${ functionArgs.originalDate } ${ functionArgs.originalTime }` }
+                : { action: 'booked', appointmentDateTime: functionArgs.appointmentDateTime });
+        } else if (functionName === 'cancelAppointment' && /successfully canceled/i.test(result)) {
+            this.appointmentData = { scheduled: false, appointmentDateTime: null, confirmationSent: false };
+            this.appointmentChanges.push({ action: 'canceled', appointmentDateTime: null, previousDateTime: `${ functionArgs.date } ${ functionArgs.time }` });
+        }
+    }
+
+    // End of call: save what the call found, then tell anyone listening that the call is over. Resolves with the
+    // final adherence answers, or null when there was nothing to save; a later call waits for the same save.
+    endCall(reason = 'ended') {
+        if (!this.callEnding) {
+            this.callEnded = true;
+            this.callEnding = this.saveAndAnnounceCallEnd(reason);
+        }
+        return this.callEnding;
+    }
+
+    async saveAndAnnounceCallEnd(reason) {
+        const adherence = await this.saveCallRecord(reason);
+        const event = { conversationId: this.conversationId, reason, outcome: this.getCallOutcome() };
+        this.callEndListeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('[Bot] Call end listener failed:', error.message);
+            }
+        });
+        return adherence;
+    }
+
+    // Watch for the end of the call ({ conversationId, reason, outcome }); returns a function that stops watching
+    onCallEnd(listener) {
+        this.callEndListeners.add(listener);
+        return () => this.callEndListeners.delete(listener);
+    }
+
+    // Run the final adherence extraction and save the answers (and any booked appointment) with the nurse summary
+    async saveCallRecord(reason) {
+        if (!this.identity.verified) {
+            // Nothing about the patient was asked or said; keep how the identity check went and how the call ended
+            const identityChecked = this.identity.failed || this.identity.attempts > 0;
+            if (identityChecked) {
+                await this.saveIdentityVerification();
+            }
+            if (identityChecked || this.callOutcome) {
+                await this.saveTranscript(reason);
+            }
+            console.log(`[Bot] Call ended (${ reason }) before the patient's identity was confirmed`);
+            return null;
+        }
+
+        const patientSpoke = this.conversationHistory.some(message => message.role === 'user');
+        if (!patientSpoke && !this.appointmentData) {
+            console.log(`[Bot] Call ended (${ reason }) before the patient said anything; nothing to save`);
+            return null;
+        }
+
+        const adherence = await this.adherenceTracker.finalize(this.conversationHistory);
+        const summary = this.getCallSummary(adherence, reason);
+        await this.savePatientCallData(this.adherenceTracker.hasFindings() ? adherence : null, this.appointmentData, summary);
+        await this.saveTranscript(reason);
+        console.log(`[Bot] Call ended (${ reason }); adherence answers:`, JSON.stringify({
+            filledPrescription: adherence.filledPrescription,
+            missedDoses: adherence.missedDoses,
+            sideEffects: adherence.sideEffects
+        }));
+        return adherence;
+    }
+
+    // Structured summary of the call for the care team (see callSummary.js)
+    getCallSummary(adherence, reason) {
+        return summarizeCall({
+            patientRecord: this.patientRecord,
+            flow: this.flow,
+            conversationId: this.conversationId,
+            language: this.language.code,
+            startedAt: this.transcript.length > 0 ? this.transcript[0].at : null,
+            endedAt: new Date().toISOString(),
+            endReason: reason,
+            adherence,
+            redFlags: this.redFlags,
+            transcript: this.transcript,
+            appointmentChanges: this.appointmentChanges,
+            completedStates: this.conversationState.completedStates
+        });
+    }
+
+    // Save the outcome of the identity check on the patient record
+    async saveIdentityVerification() {
         try {
-            const patientsFilePath = path.join(__dirname, 'patients.json');
-            const patientsData = JSON.parse(fs.readFileSync(patientsFilePath, 'utf-8'));
-
-            // Find the current patient record
-            const patientIndex = patientsData.findIndex(p => p.DocumentID === this.patientRecord.DocumentID);
-
-            if (patientIndex !== -1) {
-                // Update call information
-                patientsData[patientIndex].followUpCall.callInitiated = true;
-                patientsData[patientIndex].followUpCall.callTimestamp = new Date().toISOString();
-
-                if (adherenceData) {
-                    patientsData[patientIndex].followUpCall.adherenceAnswers = {
-                        ...patientsData[patientIndex].followUpCall.adherenceAnswers,
-                        ...adherenceData
-                    };
+            this.patientRecord = await this.patientRepository.updatePatient(this.patientRecord.DocumentID, {
+                followUpCall: {
+                    callInitiated: true,
+                    callTimestamp: new Date().toISOString(),
+                    identityVerification: this.identity.toRecord(this.conversationId)
                 }
+            });
+        } catch (error) {
+            console.error('[Bot] Error saving identity verification:', error.message);
+        }
+    }
+
+    // Save the finished call (who, which protocol, what was said, red flags and any booking) for review and scoring
+    async saveTranscript(reason) {
+        if (!this.transcriptStore) {
+            return;
+        }
+
+        try {
+            const endedAt = new Date().toISOString();
+            await this.transcriptStore.save({
+                conversationId: this.conversationId || `${ this.patientRecord.DocumentID }-${ Date.now() }`,
+                documentId: this.patientRecord.DocumentID,
+                patientName: this.patientRecord.patientName,
+                doctorName: this.patientRecord.doctorName,
+                prescriptions: this.patientRecord.prescriptions,
+                flow: { id: this.flow.id, version: this.flow.version },
+                language: this.language.code,
+                identityVerification: this.identity.toRecord(this.conversationId),
+                outcome: this.callOutcome,
+                startedAt: this.transcript.length > 0 ? this.transcript[0].at : endedAt,
+                endedAt,
+                endReason: reason,
+                appointment: this.appointmentData,
+                redFlags: this.redFlags,
+                transcript: this.transcript
+            });
+        } catch (error) {
+            console.error('[Bot] Error saving call transcript:', error.message);
+        }
+    }
 
-                if (appointmentData) {
-                    patientsData[patientIndex].followUpAppointment = {
-                        ...patientsData[patientIndex].followUpAppointment,
-                        ...appointmentData
-                    };
+    // Save patient call data through the patient repository
+    async savePatientCallData(adherenceData = null, appointmentData = null, summary = null) {
+        try {
+            const existing = await this.patientRepository.getPatient(this.patientRecord.DocumentID);
+            if (!existing) {
+                console.error(`[Bot] Patient ${ this.patientRecord.DocumentID } not found in patient store`);
+                return;
+            }
+
+            // Update call information
+            const changes = {
+                followUpCall: {
+                    callInitiated: true,
+                    callTimestamp: new Date().toISOString(),
+                    protocol: { id: this.flow.id, version: this.flow.version },
+                    language: this.language.code
                 }
+            };
+            if (this.identity.status !== 'not-required') {
+                changes.followUpCall.identityVerification = this.identity.toRecord(this.conversationId);
+            }
 
-                // Mark call as completed if both adherence and appointment are done
-                if (adherenceData && appointmentData) {
-                    patientsData[patientIndex].followUpCall.callCompleted = true;
+            if (adherenceData) {
+                // Overall answers, plus each medication's answers with their evidence quotes and confidence scores
+                const { medications, ...answers } = adherenceData;
+                changes.followUpCall.adherenceAnswers = answers;
+                if (medications) {
+                    changes.followUpCall.medicationAnswers = medications;
                 }
+            }
 
-                // Save back to file
-                fs.writeFileSync(patientsFilePath, JSON.stringify(patientsData, null, 2));
-                console.log(`[Bot] Updated patient data for ${this.patientRecord.patientName}`);
+            if (appointmentData) {
+                changes.followUpAppointment = appointmentData;
             }
+
+            if (summary) {
+                changes.followUpCall.summary = summary;
+            }
+
+            // Mark call as completed once it has been wrapped up, or if both adherence and appointment are done
+            if ((this.callOutcome && this.callOutcome.outcome === 'completed') || (adherenceData && appointmentData)) {
+                changes.followUpCall.callCompleted = true;
+            }
+
+            this.patientRecord = await this.patientRepository.updatePatient(this.patientRecord.DocumentID, changes);
+            console.log(`[Bot] Updated patient data for ${ this.patientRecord.patientName }`);
         } catch (error) {
             console.error('[Bot] Error saving patient call data:', error.message);
         }
@@ -0,0 +1,313 @@
+// Healthcare Voice Agent - Outbound Call Campaign Scheduler
+// Works out when each discharged patient is due a follow-up call, orders the queue by urgency,
+// keeps calls inside local calling hours, retries unanswered calls with backoff and calls back when a patient asked to be
+// called later.
+
+const { isValidTimeZone } = require('./patientSchema');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Outcomes that mean nobody took the call, so the attempt should be retried later
+const UNANSWERED_OUTCOMES = ['no-answer', 'busy', 'voicemail', 'failed'];
+
+// Outcomes that are retried with backoff too: the call reached someone but not the follow-up (see callOutcomes.js).
+// A call-back the patient gave a time for is placed at that time instead.
+const RETRY_OUTCOMES = [...UNANSWERED_OUTCOMES, 'dropped', 'wrong-person', 'call-back-later', 'identity-not-verified'];
+
+// Outcomes of a call that has not reported how it ended yet. Past staleCallMs (the process restarted mid-call, or only
+// the connection was recorded) the attempt is taken as unsuccessful and retried with backoff.
+const IN_PROGRESS_OUTCOMES = ['dialing', 'connected', 'in-progress'];
+
+// Dial prefix -> IANA time zone, used when a patient record has no explicit timeZone
+const DIAL_PREFIX_TIME_ZONES = [
+    { prefix: '+91', timeZone: 'Asia/Kolkata' },
+    { prefix: '+44', timeZone: 'Europe/London' },
+    { prefix: '+61', timeZone: 'Australia/Sydney' },
+    { prefix: '+1', timeZone: 'America/New_York' }
+];
+
+// The patient's time zone: timeZone on the record, else the one their phone number's dial prefix implies
+function resolvePatientTimeZone(patient, defaultTimeZone = 'UTC') {
+    if (patient.timeZone) {
+        return patient.timeZone;
+    }
+
+    const match = DIAL_PREFIX_TIME_ZONES.find(entry => (patient.phoneNumber || '').startsWith(entry.prefix));
+    return match ? match.timeZone : defaultTimeZone;
+}
+
+const STATUS_ORDER = ['ready', 'outside-hours', 'backoff', 'callback', 'not-due', 'in-call', 'declined', 'exhausted', 'invalid-record'];
+
+class CallCampaign {
+    constructor(patientFactory, options = {}) {
+        if (!patientFactory) {
+            throw new Error('A patient bot factory is required');
+        }
+
+        this.patientFactory = patientFactory;
+        this.dialer = options.dialer || null;
+        this.isInCall = options.isInCall || (() => false);
+
+        const env = process.env;
+        this.config = {
+            firstCallDelayDays: numberOr(options.firstCallDelayDays, env.CAMPAIGN_FIRST_CALL_DELAY_DAYS, 2),
+            callingHoursStart: numberOr(options.callingHoursStart, env.CAMPAIGN_CALLING_HOURS_START, 9),
+            callingHoursEnd: numberOr(options.callingHoursEnd, env.CAMPAIGN_CALLING_HOURS_END, 20),
+            maxAttempts: numberOr(options.maxAttempts, env.CAMPAIGN_MAX_ATTEMPTS, 3),
+            retryBaseDelayMs: numberOr(options.retryBaseDelayMs, env.CAMPAIGN_RETRY_BASE_DELAY_MS, 2 * HOUR_MS),
+            staleCallMs: numberOr(options.staleCallMs, env.CAMPAIGN_STALE_CALL_MS, HOUR_MS),
+            pollIntervalMs: numberOr(options.pollIntervalMs, env.CAMPAIGN_POLL_INTERVAL_MS, 5 * 60 * 1000),
+            defaultTimeZone: options.defaultTimeZone || env.CAMPAIGN_DEFAULT_TIME_ZONE || 'UTC'
+        };
+
+        this.timer = null;
+    }
+
+    // Resolve the patient's local time zone from the record or their phone number
+    getPatientTimeZone(patient) {
+        return resolvePatientTimeZone(patient, this.config.defaultTimeZone);
+    }
+
+    // Hour and minute of the given instant in a time zone
+    getLocalTime(date, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+
+        const hour = Number(parts.find(part => part.type === 'hour').value);
+        const minute = Number(parts.find(part => part.type === 'minute').value);
+        return { hour, minute, label: `${ String(hour).padStart(2, '0') }:${ String(minute).padStart(2, '0') }` };
+    }
+
+    // Earliest instant at or after `date` that falls inside permitted calling hours
+    nextCallingWindow(date, timeZone) {
+        const { hour, minute } = this.getLocalTime(date, timeZone);
+        const localMinutes = hour * 60 + minute;
+        const startMinutes = this.config.callingHoursStart * 60;
+        const endMinutes = this.config.callingHoursEnd * 60;
+
+        if (localMinutes >= startMinutes && localMinutes < endMinutes) {
+            return date;
+        }
+
+        const waitMinutes = localMinutes < startMinutes
+            ? startMinutes - localMinutes
+            : (24 * 60 - localMinutes) + startMinutes;
+        return new Date(date.getTime() + waitMinutes * 60 * 1000);
+    }
+
+    // Work out the follow-up window for a patient from discharge date and window length
+    getFollowUpWindow(patient) {
+        const dischargedAt = new Date(patient.dischargeDate);
+        const windowWeeks = patient.followUpWindowWeeks || 2;
+
+        return {
+            dueAt: new Date(dischargedAt.getTime() + this.config.firstCallDelayDays * DAY_MS),
+            deadline: new Date(dischargedAt.getTime() + windowWeeks * 7 * DAY_MS),
+            windowWeeks
+        };
+    }
+
+    // Backoff delay before retrying after `unansweredCount` unanswered attempts
+    getRetryDelay(unansweredCount) {
+        return this.config.retryBaseDelayMs * Math.pow(2, Math.max(unansweredCount - 1, 0));
+    }
+
+    // Whether an attempt has been in progress for longer than any call lasts
+    isStaleAttempt(attempt, now) {
+        return IN_PROGRESS_OUTCOMES.includes(attempt.outcome) && now - new Date(attempt.attemptedAt) >= this.config.staleCallMs;
+    }
+
+    // Build the queue entry (status, next eligible time and the reasons behind them) for one patient
+    evaluatePatient(patient, now = new Date()) {
+        const timeZone = this.getPatientTimeZone(patient);
+        const { dueAt, deadline, windowWeeks } = this.getFollowUpWindow(patient);
+        const attempts = patient.followUpCall.callAttempts || [];
+        const unanswered = attempts.filter(attempt => RETRY_OUTCOMES.includes(attempt.outcome) || this.isStaleAttempt(attempt, now));
+        const lastAttempt = attempts[attempts.length - 1] || null;
+        const reasons = [];
+
+        const daysUntilDeadline = Math.ceil((deadline.getTime() - now.getTime()) / DAY_MS);
+        if (daysUntilDeadline < 0) {
+            reasons.push(`Overdue: ${ windowWeeks }-week follow-up window ended ${ -daysUntilDeadline } day(s) ago`);
+        } else {
+            reasons.push(`${ daysUntilDeadline } day(s) left in ${ windowWeeks }-week follow-up window`);
+        }
+
+        let status = 'ready';
+        let nextEligibleAt = now;
+
+        // A record saved before time zones were validated is reported and not called, rather than failing the whole queue
+        const validTimeZone = isValidTimeZone(timeZone);
+        if (!validTimeZone) {
+            status = 'invalid-record';
+            nextEligibleAt = null;
+            reasons.push(`Invalid time zone "${ timeZone }" on the patient record; not called until it is fixed`);
+        } else if (this.isInCall(patient.DocumentID)) {
+            status = 'in-call';
+            nextEligibleAt = null;
+            reasons.push('Call currently in progress');
+        } else if (lastAttempt && IN_PROGRESS_OUTCOMES.includes(lastAttempt.outcome) && !this.isStaleAttempt(lastAttempt, now)) {
+            status = 'in-call';
+            nextEligibleAt = new Date(new Date(lastAttempt.attemptedAt).getTime() + this.config.staleCallMs);
+            reasons.push(`Last call attempt (${ lastAttempt.outcome }, ${ lastAttempt.attemptedAt }) has not reported how it ended`);
+        } else if (lastAttempt && lastAttempt.outcome === 'refused') {
+            status = 'declined';
+            nextEligibleAt = null;
+            reasons.push(`Patient declined the follow-up call on ${ lastAttempt.attemptedAt }`);
+        } else if (unanswered.length >= this.config.maxAttempts) {
+            status = 'exhausted';
+            nextEligibleAt = null;
+            reasons.push(`Retry limit reached: ${ unanswered.length } unsuccessful attempt(s) of ${ this.config.maxAttempts }`);
+        } else {
+            if (dueAt > now) {
+                status = 'not-due';
+                nextEligibleAt = dueAt;
+                reasons.push(`Not due until ${ dueAt.toISOString() } (${ this.config.firstCallDelayDays } day(s) after discharge)`);
+            }
+
+            if (lastAttempt && lastAttempt.callbackAt) {
+                const callbackAt = new Date(lastAttempt.callbackAt);
+                if (callbackAt > nextEligibleAt) {
+                    status = 'callback';
+                    nextEligibleAt = callbackAt;
+                    reasons.push(`Patient asked to be called back at ${ lastAttempt.callbackAt }`);
+                }
+            } else if (lastAttempt && unanswered.includes(lastAttempt)) {
+                const retryAt = new Date(new Date(lastAttempt.attemptedAt).getTime() + this.getRetryDelay(unanswered.length));
+                if (retryAt > nextEligibleAt) {
+                    status = 'backoff';
+                    nextEligibleAt = retryAt;
+                    reasons.push(`Retrying after ${ unanswered.length } unsuccessful attempt(s) (last: ${ lastAttempt.outcome })`);
+                }
+            }
+
+            const windowOpensAt = this.nextCallingWindow(nextEligibleAt, timeZone);
+            if (windowOpensAt > nextEligibleAt) {
+                if (status === 'ready') {
+                    status = 'outside-hours';
+                    const localNow = this.getLocalTime(now, timeZone);
+                    reasons.push(`Outside calling hours (${ localNow.label } in ${ timeZone }, allowed ${ this.config.callingHoursStart }:00-${ this.config.callingHoursEnd }:00)`);
+                }
+                nextEligibleAt = windowOpensAt;
+            }
+        }
+
+        return {
+            documentId: patient.DocumentID,
+            patientName: patient.patientName,
+            doctorName: patient.doctorName,
+            phoneNumber: patient.phoneNumber,
+            timeZone,
+            localTime: validTimeZone ? this.getLocalTime(now, timeZone).label : null,
+            dischargeDate: patient.dischargeDate,
+            dueAt: dueAt.toISOString(),
+            deadline: deadline.toISOString(),
+            daysUntilDeadline,
+            attempts: attempts.length,
+            unansweredAttempts: unanswered.length,
+            status,
+            nextEligibleAt: nextEligibleAt ? nextEligibleAt.toISOString() : null,
+            reasons
+        };
+    }
+
+    // Full campaign queue: callable patients first, most urgent deadline first
+    async getQueue(now = new Date()) {
+        const candidates = await this.patientFactory.listPatients({ callCompleted: false });
+
+        const queue = candidates
+            .map(patient => this.evaluatePatient(patient, now))
+            .sort((a, b) => {
+                const byStatus = STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status);
+                if (byStatus !== 0) {
+                    return byStatus;
+                }
+                if (a.status !== 'ready' && a.nextEligibleAt && b.nextEligibleAt && a.nextEligibleAt !== b.nextEligibleAt) {
+                    return a.nextEligibleAt < b.nextEligibleAt ? -1 : 1;
+                }
+                return new Date(a.deadline) - new Date(b.deadline);
+            });
+
+        queue.forEach((entry, index) => { entry.position = index + 1; });
+        return queue;
+    }
+
+    // Next patient that may be dialled right now, or null
+    async getNextPatient(now = new Date()) {
+        const queue = await this.getQueue(now);
+        const next = queue.find(entry => entry.status === 'ready');
+        return next ? this.patientFactory.getPatientById(next.documentId) : null;
+    }
+
+    // Store the outcome of a dial attempt on the patient record
+    async recordAttempt(documentId, outcome, details = {}) {
+        return this.patientFactory.recordCallAttempt(documentId, {
+            attemptedAt: new Date().toISOString(),
+            outcome,
+            ...details
+        });
+    }
+
+    // Dial every patient that is ready now; returns the document IDs that were dialled
+    async runOnce(now = new Date()) {
+        if (!this.dialer) {
+            return [];
+        }
+
+        const queue = await this.getQueue(now);
+        const ready = queue.filter(entry => entry.status === 'ready');
+        const dialled = [];
+
+        for (const entry of ready) {
+            const patient = await this.patientFactory.getPatientById(entry.documentId);
+            try {
+                console.log(`[Campaign] Dialling ${ patient.patientName } (${ entry.reasons[0] })`);
+                await this.dialer(patient);
+                dialled.push(entry.documentId);
+            } catch (error) {
+                console.error(`[Campaign] Failed to dial ${ patient.patientName }:`, error.message);
+                await this.recordAttempt(entry.documentId, 'failed', { error: error.message });
+            }
+        }
+
+        return dialled;
+    }
+
+    // Poll the queue on an interval and dial whoever is ready
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        console.log(`[Campaign] Auto-dial started (every ${ this.config.pollIntervalMs }ms)`);
+        this.timer = setInterval(() => {
+            this.runOnce().catch(error => console.error('[Campaign] Run failed:', error.message));
+        }, this.config.pollIntervalMs);
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// First defined numeric value from an explicit option, an env var string or a default
+function numberOr(option, envValue, fallback) {
+    if (option !== undefined && option !== null) {
+        return Number(option);
+    }
+    if (envValue !== undefined && envValue !== '') {
+        return Number(envValue);
+    }
+    return fallback;
+}
+
+module.exports = { CallCampaign, UNANSWERED_OUTCOMES, RETRY_OUTCOMES, resolvePatientTimeZone };
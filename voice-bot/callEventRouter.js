@@ -0,0 +1,181 @@
+// Healthcare Voice Agent - Call Event Router
+// Places outbound calls through a telephony adapter and routes the resulting call events
+// into the EchoBot session bound to each call.
+
+const { CALL_EVENTS } = require('./telephonyAdapter');
+const { sendInOrder } = require('./sentenceStream');
+
+class CallEventRouter {
+    constructor(adapter, sessionManager, patientFactory) {
+        this.adapter = adapter;
+        this.sessionManager = sessionManager;
+        this.patientFactory = patientFactory;
+
+        // callId -> { callId, conversationId, documentId, connected, reachedVoicemail, hangingUp, startedAt }
+        this.calls = new Map();
+
+        this.adapter.on(CALL_EVENTS.CONNECTED, event => this.dispatch('connected', event, () => this.onConnected(event)));
+        this.adapter.on(CALL_EVENTS.RECOGNIZED, event => this.dispatch('recognized', event, () => this.onUserInput(event, event.text)));
+        this.adapter.on(CALL_EVENTS.DTMF, event => this.dispatch('dtmf', event, () => this.onUserInput(event, event.digits)));
+        this.adapter.on(CALL_EVENTS.VOICEMAIL, event => this.dispatch('voicemail', event, () => this.onVoicemail(event)));
+        this.adapter.on(CALL_EVENTS.HANG_UP, event => this.dispatch('hangup', event, () => this.onHangUp(event)));
+    }
+
+    // Run an event handler without letting a failure escape the event emitter
+    dispatch(type, event, handler) {
+        Promise.resolve()
+            .then(handler)
+            .catch(error => console.error(`[CallRouter] Error handling ${ type } for call ${ event.callId }:`, error.message));
+    }
+
+    // Create a session for the patient and ring their phone
+    async dial(patient) {
+        if (!patient.phoneNumber) {
+            throw new Error(`Patient ${ patient.DocumentID } has no phone number`);
+        }
+
+        const conversationId = this.sessionManager.generateConversationId('phone');
+        this.sessionManager.createSession(conversationId, patient);
+
+        let callId;
+        try {
+            ({ callId } = await this.adapter.placeCall({ phoneNumber: patient.phoneNumber, conversationId }));
+        } catch (error) {
+            this.sessionManager.endSession(conversationId, 'dial failed');
+            throw error;
+        }
+
+        const call = {
+            callId,
+            conversationId,
+            documentId: patient.DocumentID,
+            connected: false,
+            reachedVoicemail: false,
+            hangingUp: false,
+            startedAt: new Date().toISOString()
+        };
+        this.calls.set(callId, call);
+        // Messages from a nurse who takes over the conversation are spoken on the call
+        this.sessionManager.setDelivery(conversationId, text => this.speak(call, this.getBot(call), text));
+
+        await this.patientFactory.markCallInitiated(patient.DocumentID);
+        await this.patientFactory.recordCallAttempt(patient.DocumentID, {
+            attemptedAt: new Date().toISOString(),
+            outcome: 'dialing',
+            conversationId,
+            callId
+        });
+
+        return { callId, conversationId };
+    }
+
+    getCall(callId) {
+        const call = this.calls.get(callId);
+        if (!call) {
+            throw new Error(`Unknown call ${ callId }`);
+        }
+        return call;
+    }
+
+    getBot(call) {
+        const session = this.sessionManager.getSession(call.conversationId);
+        if (!session) {
+            throw new Error(`No session for conversation ${ call.conversationId }`);
+        }
+        return session.bot;
+    }
+
+    // Speak a bot reply on the call, with SSML matched to the reply's context, and listen in the call's language.
+    // listen: false plays a sentence with more of the reply still to come.
+    async speak(call, bot, text, { listen = true } = {}) {
+        const ssml = bot.formatSpeechResponse(text, bot.getSpeechContextFromResponse(text));
+        const [locale, ...others] = bot.getRecognitionLocales();
+        await this.adapter.playText(call.callId, text, ssml, { locale, candidateLocales: others.length > 0 ? [locale, ...others] : null, listen });
+    }
+
+    async onConnected({ callId }) {
+        const call = this.getCall(callId);
+        call.connected = true;
+        await this.patientFactory.updateCallAttempt(call.documentId, call.conversationId, { outcome: 'connected' });
+
+        const bot = this.getBot(call);
+        const openingLine = await bot.processMessage('__START_CALL__');
+        await this.speak(call, bot, openingLine);
+        await this.hangUpIfEnded(call, bot);
+    }
+
+    // Recognized speech and DTMF digits both reach the bot as a user turn. The reply is played a sentence at a time
+    // as the bot completes each one, listening again after the last.
+    async onUserInput({ callId }, text) {
+        const call = this.getCall(callId);
+        const bot = this.getBot(call);
+
+        const sender = sendInOrder(async sentence => {
+            const startedAt = Date.now();
+            await this.speak(call, bot, sentence.text, { listen: sentence.final });
+            console.log(`[CallRouter] Sentence ${ sentence.index + 1 } on call ${ callId } ready after ${ sentence.elapsedMs }ms, played in ${ Date.now() - startedAt }ms`);
+        });
+        try {
+            await bot.streamMessage(text, sentence => sender.send(sentence));
+        } catch (error) {
+            console.error(`[CallRouter] Bot error on call ${ callId }:`, error.message);
+            sender.send({ text: bot.getErrorResponse(error), index: 0, final: true, elapsedMs: 0 });
+        }
+
+        // Nothing is played while a nurse has taken over the conversation
+        await sender.done();
+        await this.hangUpIfEnded(call, bot);
+    }
+
+    // The bot ends a call itself after the wrap-up's goodbye, or when it could not confirm who answered or the call went
+    // off script (voicemail, someone else, a call-back, a refusal); store how it ended on the call attempt and hang up
+    // once its last line is spoken
+    async hangUpIfEnded(call, bot) {
+        if (!bot.callEnded || call.hangingUp) {
+            return;
+        }
+        call.hangingUp = true;
+        if (bot.callOutcome) {
+            const { outcome, callbackAt } = bot.callOutcome;
+            await this.patientFactory.updateCallAttempt(call.documentId, call.conversationId, { outcome, ...(callbackAt ? { callbackAt } : {}) });
+        }
+        await this.adapter.hangUp(call.callId);
+    }
+
+    // The provider detected an answering machine; the message is left after its greeting and says nothing about the patient
+    async onVoicemail({ callId }) {
+        const call = this.getCall(callId);
+        call.reachedVoicemail = true;
+        const bot = this.getBot(call);
+        const message = await bot.leaveVoicemail();
+        if (message !== null) {
+            await this.speak(call, bot, message);
+        }
+        await this.hangUpIfEnded(call, bot);
+    }
+
+    async onHangUp({ callId, reason }) {
+        const call = this.calls.get(callId);
+        if (!call) {
+            return;
+        }
+
+        const changes = { endedAt: new Date().toISOString(), hangUpReason: reason || null };
+        const session = this.sessionManager.getSession(call.conversationId);
+        if (!call.connected && !call.reachedVoicemail) {
+            changes.outcome = 'no-answer';
+        } else if (session && !session.bot.callEnded) {
+            // The line went dead (or the patient hung up) while the bot was still talking: completed or dropped
+            changes.outcome = session.bot.getCallOutcome();
+        }
+        this.calls.delete(callId);
+        this.sessionManager.endSession(call.conversationId, changes.outcome || 'call ended');
+        await this.patientFactory.updateCallAttempt(call.documentId, call.conversationId, changes);
+    }
+
+    listCalls() {
+        return Array.from(this.calls.values());
+    }
+}
+
+module.exports = { CallEventRouter };
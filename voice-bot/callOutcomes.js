@@ -0,0 +1,190 @@
+// Healthcare Voice Agent - Call Outcomes
+// Recognizes the replies that take an outbound call off script: an answering machine's greeting, someone other than
+// the patient, a request to be called back later (and the time asked for) and a refusal. Every call attempt ends with
+// one of OUTCOMES, which the campaign uses to decide whether and when to call again.
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// How a call attempt that reached someone ended
+const OUTCOMES = ['completed', 'voicemail', 'wrong-person', 'call-back-later', 'refused', 'dropped', 'identity-not-verified'];
+
+// Checked in order, so a refusal that also says "later" is still a refusal. Voicemail greetings and someone other
+// than the patient are only listened for until the patient has confirmed who they are. Refusals and requests to call
+// back are about the call itself ("this is a bad time", "not interested in this call"), not "a bad time last night".
+const OUTCOME_PATTERNS = [
+    {
+        outcome: 'voicemail',
+        beforeVerification: true,
+        patterns: [
+            /leave (me |us )?(a |your )?(short |brief )?message/, /after the (tone|beep)/, /(not|isn't|is not) available to take your call/,
+            /voice ?mail/, /mailbox/, /record your message/, /can'?t come to the phone/, /संदेश छोड़/
+        ]
+    },
+    {
+        outcome: 'refused',
+        patterns: [
+            /(stop|quit|don'?t|do not) call(ing)? (me|us|here|this number|again)/, /(^|\bi'?m |\bi am |\bwe'?re )not interested([,.!]|$| in (this|these|your|the) calls?| in talking)/,
+            /no more calls/,
+            /(don'?t|do not) want (to (talk|speak|do this)|these calls|any calls|this call)/, /remove (me|my number)/,
+            /take (me|my number) off/, /leave me alone/, /call (mat|na) (karo|karein|karna)/, /कॉल (मत|ना) कर/
+        ]
+    },
+    {
+        outcome: 'wrong-person',
+        beforeVerification: true,
+        patterns: [
+            /wrong number/, /(no ?one|nobody) (here )?(by|with|called|named) that name/, /(doesn'?t|does not|don'?t|do not) live here/,
+            /(he|she)('s| is) not (here|home|in|around|available)/, /(he|she) (isn'?t|is not) (here|home|in|around|available)/,
+            /(he|she)('s| is) (out|away|at work|asleep|sleeping)/, /you (have|got) the wrong/, /i'?m not (him|her|the patient)/,
+            /gal?at number/, /(गलत|ग़लत) नंबर/
+        ]
+    },
+    {
+        outcome: 'call-back-later',
+        patterns: [
+            /call (me |us )?(back )?(later|another time|some other time|tomorrow|tonight|this (morning|afternoon|evening)|in (an?|half|\d+|a few) |at \d|on (mon|tues|wednes|thurs|fri|satur|sun)day)/,
+            /(try|call) (me )?(again )?later/, /\b(this|it|now)('s| is) (not a good|a bad) time\b/, /\b(this|it|now) (isn'?t|is not) a good time\b/,
+            /\b(not a good|a bad) time (to|for) (talk|call|chat|this)/, /(i'?m|i am) (busy|driving|at work|in a meeting) right now/,
+            /can('t| ?not) talk (right )?now([,.!]|$)/, /baad (mein|me) (call|phone|baat)/, /बाद में (कॉल|फ़ोन|फोन|बात)/
+        ]
+    }
+];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, few: 3, couple: 2 };
+
+// Times already gone ("last night", "since this morning", "two days ago"), left out when reading a call-back time
+const PAST_TIME = /\b(last|yesterday|since( this)?|this past) (night|morning|afternoon|evening)\b|\byesterday\b|\b\w+ (minutes?|hours?|days?|weeks?) ago\b/g;
+
+// Hour a call back is placed at when only the part of the day is asked for
+const PARTS_OF_DAY = { morning: 10, afternoon: 15, evening: 18, tonight: 19, night: 19 };
+// "Tomorrow" with no time of day
+const DEFAULT_CALLBACK_HOUR = 10;
+// A bare "at 5" is taken as the afternoon or evening below this hour
+const EARLIEST_MORNING_HOUR = 8;
+
+// The off-script outcome a reply asks for: { outcome, matched } or null when the call should carry on.
+// options.verified: the patient has confirmed who they are, so they are neither a machine nor someone else.
+function classifyReply(text, options = {}) {
+    const lowerText = String(text || '').toLowerCase().replace(/[’‘]/g, '\'');
+    for (const { outcome, beforeVerification, patterns } of OUTCOME_PATTERNS) {
+        if (beforeVerification && options.verified) {
+            continue;
+        }
+        for (const pattern of patterns) {
+            const match = pattern.exec(lowerText);
+            if (match) {
+                return { outcome, matched: match[0] };
+            }
+        }
+    }
+    return null;
+}
+
+// Calendar date, time and weekday of an instant in a time zone
+function localParts(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'long',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+    };
+}
+
+// The instant a wall-clock time in a time zone falls on; day may run past the end of the month
+function fromLocalTime({ year, month, day, hour, minute }, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const shown = localParts(new Date(guess), timeZone);
+    const offset = Date.UTC(shown.year, shown.month - 1, shown.day, shown.hour, shown.minute) - guess;
+    return new Date(guess - offset);
+}
+
+// Hour and minute named in a reply ("at 5", "5:30 pm", "17:00", "around 6 o'clock"), or null
+function parseClockTime(text, partOfDay) {
+    const match = /\b(?:(at|around|after|by|about) )?(\d{1,2})(?:[:.](\d{2}))? ?(am|pm|a\.m\.|p\.m\.|o'?clock)?(?![\d:])/.exec(text);
+    if (!match || (!match[1] && !match[3] && !match[4])) {
+        return null;
+    }
+    let hour = Number(match[2]);
+    const minute = Number(match[3] || 0);
+    const meridiem = (match[4] || '').replace(/\./g, '');
+    if (hour > 23 || minute > 59) {
+        return null;
+    }
+    if (meridiem === 'pm' && hour < 12) {
+        hour += 12;
+    } else if (meridiem === 'am' && hour === 12) {
+        hour = 0;
+    } else if (meridiem !== 'am' && hour < 12 && (['afternoon', 'evening', 'tonight', 'night'].includes(partOfDay) || (!partOfDay && hour < EARLIEST_MORNING_HOUR))) {
+        hour += 12;
+    }
+    return { hour, minute };
+}
+
+// When a patient asked to be called back: "in 2 hours", "in half an hour", "tomorrow at 5", "this evening",
+// "on Monday morning", "at 6:30 pm". Times are the patient's local time (options.timeZone, default UTC) and
+// always in the future; null when the reply names no time. Times already gone ("last night") are not read as one.
+function parseCallbackTime(text, options = {}) {
+    const now = options.now || new Date();
+    const timeZone = options.timeZone || 'UTC';
+    const lowerText = String(text || '').toLowerCase().replace(PAST_TIME, ' ');
+
+    if (/\bin (half an|a half) hour\b/.test(lowerText)) {
+        return new Date(now.getTime() + 30 * MINUTE_MS);
+    }
+    const relative = /\bin (?:about |around )?(an?|\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|(?:a )?few|(?:a )?couple(?: of)?) (hour|hr|minute|min)s?\b/.exec(lowerText);
+    if (relative) {
+        const count = Number(relative[1]) || NUMBER_WORDS[relative[1].replace(/^a |of$/g, '').trim()];
+        return new Date(now.getTime() + count * (relative[2].startsWith('h') ? HOUR_MS : MINUTE_MS));
+    }
+
+    const today = localParts(now, timeZone);
+    let dayOffset = null;
+    const weekday = WEEKDAYS.findIndex(name => new RegExp(`\\b${ name }\\b`).test(lowerText));
+    if (/\btomorrow\b/.test(lowerText)) {
+        dayOffset = 1;
+    } else if (weekday !== -1) {
+        dayOffset = (weekday - today.weekday + 7) % 7 || 7;
+    } else if (/\b(today|tonight|this (morning|afternoon|evening))\b/.test(lowerText)) {
+        dayOffset = 0;
+    }
+
+    const partOfDay = Object.keys(PARTS_OF_DAY).find(part => new RegExp(`\\b${ part }\\b`).test(lowerText));
+    const clock = parseClockTime(lowerText, partOfDay);
+    if (!clock && !partOfDay && dayOffset === null) {
+        return null;
+    }
+    const { hour, minute } = clock || { hour: partOfDay ? PARTS_OF_DAY[partOfDay] : DEFAULT_CALLBACK_HOUR, minute: 0 };
+
+    const at = offset => fromLocalTime({ year: today.year, month: today.month, day: today.day + offset, hour, minute }, timeZone);
+    if (dayOffset !== null) {
+        return at(dayOffset);
+    }
+    // A time with no day is the next time the clock shows it
+    const sameDay = at(0);
+    return sameDay > now ? sameDay : at(1);
+}
+
+// "Tuesday, 5:00 PM" in the call's language and the patient's time zone
+function describeCallbackTime(date, options = {}) {
+    const locale = options.locale || 'en-US';
+    const timeZone = options.timeZone || 'UTC';
+    const weekday = new Intl.DateTimeFormat(locale, { timeZone, weekday: 'long' }).format(date);
+    const time = new Intl.DateTimeFormat(locale, { timeZone, hour: 'numeric', minute: '2-digit' }).format(date);
+    return `${ weekday }, ${ time }`;
+}
+
+module.exports = { OUTCOMES, classifyReply, parseCallbackTime, describeCallbackTime };
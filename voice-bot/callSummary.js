@@ -0,0 +1,226 @@
+// Healthcare Voice Agent - End-of-Call Nurse Summary
+// Builds the structured summary of a finished follow-up call (adherence per medication, side effects, safety events,
+// appointment changes and open follow-ups) and renders it as a plain-text clinical note for the care team.
+
+const { SEVERITIES } = require('./redFlagEngine');
+
+// Red-flag severities that are safety events rather than routine side effects
+const SAFETY_SEVERITIES = ['emergency', 'urgent'];
+
+// "2030-01-15T10:00:00" -> "2030-01-15 10:00" ("... UTC" for timestamps); other text is shown as it is
+function formatDateTime(value) {
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value || '')) {
+        return value;
+    }
+    return `${ value.slice(0, 16).replace('T', ' ') }${ value.endsWith('Z') ? ' UTC' : '' }`;
+}
+
+// Overall adherence for one medication from its typed answers
+function adherenceStatus(answers) {
+    if (answers.filledPrescription === false) {
+        return 'not-filled';
+    }
+    if (answers.missedDoses > 0) {
+        return 'missed-doses';
+    }
+    if (answers.filledPrescription === true) {
+        return 'adherent';
+    }
+    return 'unknown';
+}
+
+function summarizeMedications(prescriptions, medicationAnswers) {
+    return prescriptions.map(prescription => {
+        const answers = medicationAnswers.find(medication => medication.medicationName === prescription.medicationName) || {};
+        const summary = {
+            medicationName: prescription.medicationName,
+            dosage: prescription.dosage || null,
+            frequency: prescription.frequency || null,
+            filledPrescription: answers.filledPrescription === undefined ? null : answers.filledPrescription,
+            missedDoses: answers.missedDoses === undefined ? null : answers.missedDoses,
+            sideEffects: answers.sideEffects || []
+        };
+        return { ...summary, status: adherenceStatus(summary) };
+    });
+}
+
+// Red-flag symptoms first, then side effects the patient mentioned that no red-flag rule picked up
+// (a side effect is already covered when a flag names it or was raised on the words it came from)
+function summarizeSideEffects(medications, redFlags) {
+    const sideEffects = redFlags.map(flag => ({
+        symptom: flag.symptom,
+        medicationName: flag.medicationName || null,
+        severity: flag.severity,
+        quote: flag.quote || null
+    }));
+    const covered = symptom => sideEffects.some(effect => {
+        const mentioned = symptom.toLowerCase();
+        return [effect.symptom, effect.quote || ''].some(text => text.toLowerCase().includes(mentioned)) ||
+            mentioned.includes(effect.symptom.toLowerCase());
+    });
+
+    medications.forEach(medication => medication.sideEffects
+        .filter(symptom => !covered(symptom))
+        .forEach(symptom => sideEffects.push({ symptom, medicationName: medication.medicationName, severity: null, quote: null })));
+    return sideEffects.sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+}
+
+function severityRank(severity) {
+    const rank = SEVERITIES.indexOf(severity);
+    return rank === -1 ? SEVERITIES.length : rank;
+}
+
+// Emergency and urgent red flags, and nurse takeovers, in the order they happened
+function summarizeSafetyEvents(redFlags, transcript) {
+    const flags = redFlags
+        .filter(flag => SAFETY_SEVERITIES.includes(flag.severity))
+        .map(flag => ({
+            type: 'red-flag',
+            at: flag.detectedAt,
+            severity: flag.severity,
+            symptom: flag.symptom,
+            ruleId: flag.ruleId,
+            medicationName: flag.medicationName || null,
+            quote: flag.quote || null,
+            escalationId: flag.escalationId || null
+        }));
+    const takeovers = transcript
+        .filter(entry => entry.event === 'takeover')
+        .map(entry => ({ type: 'nurse-takeover', at: entry.at, nurse: entry.nurse }));
+    return [...flags, ...takeovers].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+}
+
+// What the call did to the follow-up appointment: the last booking, reschedule or cancellation, else what was already on file
+function summarizeAppointment(appointmentChanges, existingAppointment) {
+    const change = appointmentChanges[appointmentChanges.length - 1];
+    if (change) {
+        return {
+            status: change.action,
+            appointmentDateTime: change.appointmentDateTime || null,
+            previousDateTime: change.previousDateTime || null
+        };
+    }
+    const scheduled = existingAppointment && existingAppointment.scheduled;
+    return {
+        status: scheduled ? 'unchanged' : 'none',
+        appointmentDateTime: scheduled ? existingAppointment.appointmentDateTime || null : null,
+        previousDateTime: null
+    };
+}
+
+// Things a nurse should pick up after the call, most pressing first
+function listOpenFollowUps(summary) {
+    const followUps = [];
+    const add = (type, medicationName, detail) => followUps.push({ type, medicationName: medicationName || null, detail });
+
+    summary.safetyEvents
+        .filter(event => event.type === 'red-flag')
+        .forEach(event => add('safety-event', event.medicationName,
+            `${ event.severity === 'emergency' ? 'Emergency' : 'Urgent' }: ${ event.symptom } reported${ event.escalationId ? ` (escalation ${ event.escalationId })` : '' }`));
+    summary.medications.forEach(medication => {
+        if (medication.status === 'not-filled') {
+            add('prescription-not-filled', medication.medicationName, `${ medication.medicationName } prescription has not been filled`);
+        } else if (medication.status === 'unknown') {
+            add('adherence-unconfirmed', medication.medicationName, `${ medication.medicationName } adherence was not confirmed on the call`);
+        }
+        if (medication.missedDoses > 0) {
+            add('missed-doses', medication.medicationName, `${ medication.medicationName }: ${ medication.missedDoses } missed dose${ medication.missedDoses === 1 ? '' : 's' }`);
+        }
+    });
+    summary.sideEffects
+        .filter(effect => !SAFETY_SEVERITIES.includes(effect.severity))
+        .forEach(effect => add('side-effect', effect.medicationName,
+            `Review reported ${ effect.symptom }${ effect.medicationName ? ` (${ effect.medicationName })` : '' }`));
+    if (['none', 'canceled'].includes(summary.appointment.status)) {
+        add('no-appointment', null, 'No follow-up appointment is booked');
+    }
+    if (summary.call.pendingStates.length > 0) {
+        add('call-incomplete', null, `Call ended (${ summary.call.endReason }) before finishing: ${ summary.call.pendingStates.join(', ') }`);
+    }
+    return followUps;
+}
+
+// Structured summary of a finished call. Every field is always present (null or empty when there is nothing to say),
+// so saving it over the previous call's summary leaves nothing stale behind.
+function summarizeCall(call) {
+    const { patientRecord, flow, adherence = {}, redFlags = [], transcript = [], appointmentChanges = [], completedStates = [] } = call;
+    const medications = summarizeMedications(patientRecord.prescriptions || [], adherence.medications || []);
+
+    const summary = {
+        generatedAt: call.endedAt || new Date().toISOString(),
+        conversationId: call.conversationId || null,
+        patientName: patientRecord.patientName,
+        doctorName: patientRecord.doctorName,
+        protocol: { id: flow.id, version: flow.version },
+        language: call.language || null,
+        call: {
+            startedAt: call.startedAt || null,
+            endedAt: call.endedAt || null,
+            endReason: call.endReason || 'ended',
+            completedStates: [...completedStates],
+            pendingStates: flow.sequence.filter(stateId => !completedStates.includes(stateId))
+        },
+        medications,
+        sideEffects: summarizeSideEffects(medications, redFlags),
+        safetyEvents: summarizeSafetyEvents(redFlags, transcript),
+        appointment: summarizeAppointment(appointmentChanges, patientRecord.followUpAppointment)
+    };
+    return { ...summary, openFollowUps: listOpenFollowUps(summary) };
+}
+
+function describeMedication(medication) {
+    const name = [medication.medicationName, medication.dosage, medication.frequency].filter(Boolean).join(' ');
+    const details = {
+        adherent: 'filled and taking as prescribed',
+        'missed-doses': `${ medication.filledPrescription === true ? 'filled, ' : '' }${ medication.missedDoses } missed dose${ medication.missedDoses === 1 ? '' : 's' }`,
+        'not-filled': 'prescription not filled',
+        unknown: 'not confirmed'
+    };
+    return `${ name }: ${ details[medication.status] }`;
+}
+
+function describeAppointment(appointment) {
+    const when = formatDateTime(appointment.appointmentDateTime);
+    const from = appointment.previousDateTime ? ` (was ${ formatDateTime(appointment.previousDateTime) })` : '';
+    switch (appointment.status) {
+    case 'booked':
+        return `Booked for ${ when }`;
+    case 'rescheduled':
+        return `Rescheduled to ${ when }${ from }`;
+    case 'canceled':
+        return `Canceled${ from }`;
+    case 'unchanged':
+        return `Unchanged, ${ when }`;
+    default:
+        return 'None booked';
+    }
+}
+
+// Plain-text clinical note for the chart or a nurse's inbox
+function formatClinicalNote(summary, documentId) {
+    const bullets = (items, empty) => items.length > 0 ? items.map(item => `- ${ item }`) : [`- ${ empty }`];
+    const lines = [
+        `Follow-up call summary: ${ summary.patientName }${ documentId ? ` (${ documentId })` : '' }`,
+        `Doctor: Dr. ${ summary.doctorName }`,
+        `Call: ${ summary.call.endedAt ? formatDateTime(summary.call.endedAt) : 'time unknown' }, ended (${ summary.call.endReason }), protocol ${ summary.protocol.id }@${ summary.protocol.version }${ summary.language ? `, in ${ summary.language }` : '' }`,
+        '',
+        'Medication adherence:',
+        ...bullets(summary.medications.map(describeMedication), 'No prescriptions on file'),
+        '',
+        'Reported side effects:',
+        ...bullets(summary.sideEffects.map(effect => `${ effect.symptom }${ effect.medicationName ? ` (${ effect.medicationName })` : '' }${ effect.severity ? `, ${ effect.severity }` : '' }${ effect.quote ? `: "${ effect.quote }"` : '' }`), 'None reported'),
+        '',
+        'Safety events:',
+        ...bullets(summary.safetyEvents.map(event => event.type === 'nurse-takeover'
+            ? `${ formatDateTime(event.at) } ${ event.nurse } took over the call`
+            : `${ formatDateTime(event.at) } ${ event.severity.toUpperCase() } ${ event.symptom }${ event.escalationId ? `, escalation ${ event.escalationId }` : '' }`), 'None'),
+        '',
+        `Appointment: ${ describeAppointment(summary.appointment) }`,
+        '',
+        'Open follow-ups:',
+        ...bullets(summary.openFollowUps.map(followUp => followUp.detail), 'None')
+    ];
+    return `${ lines.join('\n') }\n`;
+}
+
+module.exports = { summarizeCall, formatClinicalNote, adherenceStatus };
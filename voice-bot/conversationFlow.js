@@ -0,0 +1,316 @@
+// Healthcare Voice Agent - Conversation Flows
+// Declarative follow-up call protocols: the states a call moves through, what Jenny says and asks in each,
+// which transitions are allowed, when a state is complete and which tools it may use. Flows are versioned
+// JSON files in flows/ (or CONVERSATION_FLOWS_DIR), checked when loaded so a bad protocol stops the server.
+// Flows are written in English; "translations" give the lines Jenny speaks in other languages.
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const FLOW_SCHEMA = require('./flow.schema.json');
+const { SCHEDULING_TOOLS } = require('./schedulingPlugin');
+const { isSupportedLanguage } = require('./languages');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateAgainstSchema = ajv.compile(FLOW_SCHEMA);
+
+const DEFAULT_FLOWS_DIR = path.join(__dirname, 'flows');
+const DEFAULT_FLOW_ID = 'discharge-follow-up';
+
+// Triage routes every flow understands; the others are mapped to states by the flow
+const BUILT_IN_ROUTES = ['ROUTE_TO_SAFETY', 'ROUTE_TO_FALLBACK'];
+
+// Facts a flow can test in "when", "unless" and "completeWhen". Each state also adds <state>Started and <state>Completed.
+const FACTS = ['medicationPickedUp', 'dosageDiscussed', 'medicationsRemaining', 'medicationsReviewed', 'appointmentBooked', 'safetyEvent'];
+
+// Values the bot fills in for {placeholders}
+const PLACEHOLDERS = [
+    'Patient_Name', 'Doctor_Name', 'prescribed_medications', 'medication_count', 'treatment_name', 'medication_details',
+    'next_medication', 'symptoms', 'Symptoms', 'emergency_script', 'today_long', 'today', 'tomorrow', 'opening', 'resume',
+    'question', 'when', 'medication_status', 'appointment_status', 'appointment_time', 'appointment_number', 'appointment_subject'
+];
+
+// The only placeholders allowed in lines that may be spoken before anything about the patient may be: identity
+// verification, and the closing lines for voicemail, someone else answering, call-backs and refusals
+const UNVERIFIED_PLACEHOLDERS = { verification: ['question'], outcomes: ['when'] };
+
+const TOOL_NAMES = SCHEDULING_TOOLS.map(tool => tool.function.name);
+
+const PLACEHOLDER_PATTERN = /{([A-Za-z_]+)}/g;
+
+function invalidFlow(id, message) {
+    return new Error(`[Flow] Invalid conversation flow "${ id }": ${ message }`);
+}
+
+// Fill {placeholders} from values; ones without a value are left as they are
+function renderTemplate(text, values) {
+    return String(text).replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+        values[name] === undefined || values[name] === null ? placeholder : String(values[name]));
+}
+
+// Every string in a definition with its JSON path, so placeholders can be checked wherever they appear
+function collectText(value, where, found = []) {
+    if (typeof value === 'string') {
+        found.push({ text: value, where });
+    } else if (Array.isArray(value)) {
+        value.forEach((item, index) => collectText(item, `${ where }[${ index }]`, found));
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => collectText(item, where ? `${ where }.${ key }` : key, found));
+    }
+    return found;
+}
+
+// Check a flow definition against flow.schema.json and for references the schema cannot see (states, facts,
+// tools, placeholders); throws on the first problem. Returns the flow with its states ready for the bot.
+function compileFlow(definition) {
+    const id = definition && typeof definition.id === 'string' ? definition.id : 'unknown';
+    if (!validateAgainstSchema(definition)) {
+        const [error] = validateAgainstSchema.errors;
+        throw invalidFlow(id, `${ error.instancePath || '/' } ${ error.message }`);
+    }
+
+    const stateIds = Object.keys(definition.states);
+    const facts = new Set([...FACTS, ...stateIds.flatMap(stateId => [`${ stateId }Started`, `${ stateId }Completed`])]);
+    const requireState = (stateId, where) => {
+        if (!definition.states[stateId]) {
+            throw invalidFlow(id, `${ where } refers to unknown state "${ stateId }"`);
+        }
+    };
+    const requireFacts = (names, where) => (names || []).forEach(name => {
+        if (!facts.has(name)) {
+            throw invalidFlow(id, `${ where } uses unknown fact "${ name }"`);
+        }
+    });
+
+    requireState(definition.initialState, 'initialState');
+    requireState(definition.safety.continueIn, 'safety.continueIn');
+    Object.entries(definition.triage.routes).forEach(([route, stateId]) => {
+        if (BUILT_IN_ROUTES.includes(route)) {
+            throw invalidFlow(id, `triage route ${ route } is built in and cannot be mapped to a state`);
+        }
+        requireState(stateId, `triage route ${ route }`);
+    });
+
+    const states = {};
+    Object.entries(definition.states).forEach(([stateId, state]) => {
+        const where = `state "${ stateId }"`;
+        (state.transitions || []).forEach(transition => {
+            requireState(transition.to, `${ where } transition`);
+            requireFacts(transition.when, `${ where } transition to "${ transition.to }"`);
+            requireFacts(transition.unless, `${ where } transition to "${ transition.to }"`);
+        });
+        (state.contextPrompts || []).forEach((contextPrompt, index) => {
+            requireFacts(contextPrompt.when, `${ where } context prompt #${ index + 1 }`);
+            requireFacts(contextPrompt.unless, `${ where } context prompt #${ index + 1 }`);
+        });
+        if (state.completeWhen) {
+            requireFacts(state.completeWhen.facts, `${ where } completeWhen`);
+        }
+        if (state.next) {
+            requireState(state.next, `${ where } next`);
+        }
+        if (state.type === 'wrap-up' && state.next) {
+            throw invalidFlow(id, `${ where } ends the call with its goodbye, so it cannot have a next state`);
+        }
+        const unknownTool = (state.tools || []).find(tool => !TOOL_NAMES.includes(tool));
+        if (unknownTool) {
+            throw invalidFlow(id, `${ where } uses unknown tool "${ unknownTool }"; expected one of ${ TOOL_NAMES.join(', ') }`);
+        }
+
+        let startedBy = null;
+        if (state.startedBy) {
+            try {
+                startedBy = new RegExp(state.startedBy, 'i');
+            } catch (error) {
+                throw invalidFlow(id, `${ where } has an invalid startedBy pattern: ${ error.message }`);
+            }
+        }
+
+        states[stateId] = {
+            ...state,
+            id: stateId,
+            startedBy,
+            tools: state.tools || [],
+            transitions: state.transitions || [],
+            contextPrompts: state.contextPrompts || [],
+            completeWhen: state.completeWhen || {},
+            messages: state.messages || {}
+        };
+    });
+
+    if (!states[definition.initialState].opening) {
+        throw invalidFlow(id, `initial state "${ definition.initialState }" needs an opening line for the greeting`);
+    }
+
+    collectText(definition, '').forEach(({ text, where }) => {
+        for (const [, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+            if (!PLACEHOLDERS.includes(name)) {
+                throw invalidFlow(id, `${ where } uses unknown placeholder {${ name }}`);
+            }
+        }
+    });
+
+    Object.entries(UNVERIFIED_PLACEHOLDERS).forEach(([block, allowed]) => {
+        const unverifiedText = [
+            ...collectText(definition[block], block),
+            ...Object.entries(definition.translations || {}).flatMap(([language, translation]) => collectText(translation[block], `translations.${ language }.${ block }`))
+        ];
+        unverifiedText.forEach(({ text, where }) => {
+            for (const [, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+                if (!allowed.includes(name)) {
+                    throw invalidFlow(id, `${ where } uses {${ name }}, but nothing about the patient may be said before they are verified`);
+                }
+            }
+        });
+    });
+
+    Object.entries(definition.translations || {}).forEach(([language, translation]) => checkTranslation(definition, language, translation));
+
+    // The states the call steps through in order, following "next" from the initial state
+    const sequence = [];
+    for (let stateId = definition.initialState; stateId; stateId = states[stateId].next) {
+        if (sequence.includes(stateId)) {
+            throw invalidFlow(id, `"next" loops back to state "${ stateId }"`);
+        }
+        sequence.push(stateId);
+    }
+
+    return Object.freeze({ ...definition, states, sequence });
+}
+
+// A translation may only give lines the English flow has, for a language Jenny speaks
+function checkTranslation(definition, language, translation) {
+    const where = `translation "${ language }"`;
+    if (!isSupportedLanguage(language)) {
+        throw invalidFlow(definition.id, `${ where } is for a language Jenny does not speak`);
+    }
+    const requireMessages = (messages, english, at) => Object.keys(messages || {}).forEach(key => {
+        if (!english[key]) {
+            throw invalidFlow(definition.id, `${ where } translates unknown message ${ at }${ key }`);
+        }
+    });
+
+    requireMessages(translation.messages, definition.messages, 'messages.');
+    Object.entries(translation.states || {}).forEach(([stateId, stateTranslation]) => {
+        const state = definition.states[stateId];
+        if (!state) {
+            throw invalidFlow(definition.id, `${ where } refers to unknown state "${ stateId }"`);
+        }
+        const { messages, ...lines } = stateTranslation;
+        Object.keys(lines).filter(key => !state[key]).forEach(key => {
+            throw invalidFlow(definition.id, `${ where } translates ${ key } of state "${ stateId }", which has none`);
+        });
+        requireMessages(messages, state.messages || {}, `states.${ stateId }.messages.`);
+    });
+}
+
+// The flow as spoken in a language: its translated lines over the English ones. Flows without a translation for
+// the language (or English) come back as they are.
+const localizedFlows = new WeakMap();
+function localizeFlow(flow, language) {
+    const translation = flow.translations && flow.translations[language];
+    if (!translation) {
+        return flow;
+    }
+
+    const cache = localizedFlows.get(flow) || new Map();
+    localizedFlows.set(flow, cache);
+    if (!cache.has(language)) {
+        const states = Object.fromEntries(Object.entries(flow.states).map(([stateId, state]) => {
+            const { messages, ...lines } = (translation.states || {})[stateId] || {};
+            return [stateId, { ...state, ...lines, messages: { ...state.messages, ...messages } }];
+        }));
+        cache.set(language, Object.freeze({
+            ...flow,
+            language,
+            greetings: { ...flow.greetings, ...translation.greetings },
+            verification: {
+                ...flow.verification,
+                ...translation.verification,
+                questions: { ...flow.verification.questions, ...(translation.verification || {}).questions }
+            },
+            outcomes: { ...flow.outcomes, ...translation.outcomes },
+            safety: { ...flow.safety, ...translation.safety },
+            messages: { ...flow.messages, ...translation.messages },
+            states
+        }));
+    }
+    return cache.get(language);
+}
+
+function loadDefinitions(directory) {
+    let files;
+    try {
+        files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        throw new Error(`[Flow] Cannot read conversation flows from ${ directory }: ${ error.message }`);
+    }
+
+    return files.map(file => {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        } catch (error) {
+            throw new Error(`[Flow] Cannot read conversation flow ${ file }: ${ error.message }`);
+        }
+    });
+}
+
+// The clinic's follow-up protocols by id, one of which is the default for patients without their own
+class ConversationFlowLibrary {
+    constructor(options = {}) {
+        this.directory = options.directory || process.env.CONVERSATION_FLOWS_DIR || DEFAULT_FLOWS_DIR;
+        const definitions = options.flows || loadDefinitions(this.directory);
+
+        this.flows = new Map();
+        definitions.forEach(definition => {
+            const flow = compileFlow(definition);
+            if (this.flows.has(flow.id)) {
+                throw invalidFlow(flow.id, 'is defined more than once');
+            }
+            this.flows.set(flow.id, flow);
+        });
+
+        this.defaultFlowId = options.defaultFlowId || process.env.CONVERSATION_FLOW || DEFAULT_FLOW_ID;
+        if (!this.flows.has(this.defaultFlowId)) {
+            throw new Error(`[Flow] Default conversation flow "${ this.defaultFlowId }" not found (loaded: ${ [...this.flows.keys()].join(', ') || 'none' })`);
+        }
+        console.log(`[Flow] Loaded ${ this.flows.size } conversation flow(s); default is ${ this.defaultFlowId }`);
+    }
+
+    has(id) {
+        return this.flows.has(id);
+    }
+
+    // Flow by id, or null
+    get(id) {
+        return this.flows.get(id) || null;
+    }
+
+    getDefault() {
+        return this.flows.get(this.defaultFlowId);
+    }
+
+    // The patient's own follow-up protocol when one is set, otherwise the default
+    forPatient(patientRecord) {
+        const protocol = patientRecord && patientRecord.followUpProtocol;
+        if (protocol && !this.flows.has(protocol)) {
+            console.warn(`[Flow] Unknown follow-up protocol "${ protocol }" for ${ patientRecord.DocumentID }; using ${ this.defaultFlowId }`);
+        }
+        return this.get(protocol) || this.getDefault();
+    }
+
+    // One line per flow for listings
+    list() {
+        return [...this.flows.values()].map(flow => ({
+            id: flow.id,
+            version: flow.version,
+            name: flow.name,
+            description: flow.description || null,
+            default: flow.id === this.defaultFlowId,
+            states: Object.keys(flow.states),
+            translations: Object.keys(flow.translations || {})
+        }));
+    }
+}
+
+module.exports = { ConversationFlowLibrary, compileFlow, localizeFlow, renderTemplate, FACTS, PLACEHOLDERS };
@@ -0,0 +1,150 @@
+// Healthcare Voice Agent - Conversation Memory
+// Keeps the conversation sent to the LLM within a token budget. The latest turns go verbatim; once the history no
+// longer fits, older turns are folded into a rolling state note. Turns the bot pins because they matter clinically
+// (safety events, booking confirmations, the wrap-up read-back, a nurse's lines) always go verbatim.
+
+const DEFAULT_CONTEXT_TOKEN_BUDGET = 6000;
+const DEFAULT_RECENT_TURNS = 6;
+
+// Tokens each chat message costs on top of its text (role and separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Longest a patient or Jenny line is kept in the note when the summarizer is not available
+const FALLBACK_LINE_CHARS = 160;
+// Most tokens those shortened lines may take; the oldest are dropped past it
+const DEFAULT_FALLBACK_NOTE_TOKENS = 1500;
+
+const NOTE_HEADING = '### EARLIER IN THIS CALL (summary of older turns) ###';
+
+// Rough token count without a tokenizer: about four characters per token for English, and two for the Indian
+// scripts, which tokenize less densely. Errs high, so the budget is kept.
+function estimateTokens(text) {
+    const value = String(text || '');
+    const other = (value.match(/[\u0080-\uFFFF]/g) || []).length;
+    return Math.ceil((value.length - other) / 4 + other / 2);
+}
+
+// Tokens for one chat message, including any tool calls it asks for
+function countMessageTokens(message) {
+    return MESSAGE_OVERHEAD_TOKENS +
+        estimateTokens(message.content) +
+        (message.tool_calls ? estimateTokens(JSON.stringify(message.tool_calls)) : 0) +
+        (message.name ? estimateTokens(message.name) : 0);
+}
+
+function countTokens(messages) {
+    return messages.reduce((total, message) => total + countMessageTokens(message), 0);
+}
+
+// Where each turn of the history starts. Tool results belong to the turn that asked for them, so a tool call and
+// its result are never split between the note and the messages sent.
+function turnStarts(history) {
+    return history.map((message, index) => index).filter(index => history[index].role !== 'tool');
+}
+
+// "Patient: ..." and "Jenny: ..." lines for the turns being folded into the note
+function describeTurns(messages) {
+    return messages
+        .filter(message => ['user', 'assistant'].includes(message.role) && message.content)
+        .map(message => `${ message.role === 'user' ? 'Patient' : 'Jenny' }: ${ message.content }`);
+}
+
+class ConversationMemory {
+    constructor(options = {}) {
+        // Tokens for the whole request: system prompt, tools, history and the reply
+        this.maxTokens = options.maxTokens || Number(process.env.CONTEXT_TOKEN_BUDGET) || DEFAULT_CONTEXT_TOKEN_BUDGET;
+        // Turns that always go verbatim, however full the budget is
+        this.recentTurns = options.recentTurns || Number(process.env.CONTEXT_RECENT_TURNS) || DEFAULT_RECENT_TURNS;
+        // summarize(note, lines) -> the new note; without it older lines are kept shortened, the newest of them within
+        // fallbackNoteTokens
+        this.summarize = options.summarize || null;
+        this.fallbackNoteTokens = options.fallbackNoteTokens || DEFAULT_FALLBACK_NOTE_TOKENS;
+
+        this.pinned = new WeakSet();
+        this.note = '';
+        // Messages of the history before this index are in the note (pinned ones are still sent)
+        this.foldedThrough = 0;
+    }
+
+    // Keep these history messages verbatim for the rest of the call
+    pin(...messages) {
+        messages.filter(Boolean).forEach(message => this.pinned.add(message));
+    }
+
+    isPinned(message) {
+        return this.pinned.has(message);
+    }
+
+    // The messages to send in place of the history: the note, the pinned older messages and the newer ones as they
+    // are. reservedTokens is what the system prompt, tools and reply take. Older turns are folded into the note
+    // when the history does not fit, keeping the latest recentTurns.
+    async contextFor(history, reservedTokens = 0) {
+        const available = this.maxTokens - reservedTokens;
+        let context = this.build(history);
+        if (countTokens(context) <= available) {
+            return context;
+        }
+
+        const starts = turnStarts(history);
+        const foldTo = starts.length > this.recentTurns ? starts[starts.length - this.recentTurns] : 0;
+        if (foldTo > this.foldedThrough) {
+            await this.fold(history.slice(this.foldedThrough, foldTo));
+            this.foldedThrough = foldTo;
+            context = this.build(history);
+        }
+
+        const tokens = countTokens(context);
+        if (tokens > available) {
+            console.warn(`[Memory] Conversation needs ${ tokens } tokens with only ${ available } left in the budget; the latest and pinned turns are sent anyway`);
+        }
+        return context;
+    }
+
+    build(history) {
+        const older = history.slice(0, this.foldedThrough).filter(message => this.isPinned(message));
+        const note = this.note ? [{ role: 'system', content: `${ NOTE_HEADING }\n${ this.note }` }] : [];
+        return [...note, ...older, ...history.slice(this.foldedThrough)];
+    }
+
+    // Fold older turns into the note. Pinned ones are sent verbatim and are left out of it.
+    async fold(messages) {
+        const lines = describeTurns(messages.filter(message => !this.isPinned(message)));
+        if (lines.length === 0) {
+            return;
+        }
+
+        if (this.summarize) {
+            try {
+                const note = await this.summarize(this.note, lines);
+                if (note && note.trim()) {
+                    this.note = note.trim();
+                    console.log(`[Memory] Folded ${ lines.length } older line(s) into the state note (${ estimateTokens(this.note) } tokens)`);
+                    return;
+                }
+                throw new Error('empty summary');
+            } catch (error) {
+                console.error('[Memory] Summarizing older turns failed, keeping them shortened:', error.message);
+            }
+        }
+
+        const shortened = lines.map(line => line.length > FALLBACK_LINE_CHARS ? `${ line.slice(0, FALLBACK_LINE_CHARS - 3) }...` : line);
+        const noteLines = [...this.note.split('\n'), ...shortened].filter(Boolean);
+        while (noteLines.length > 1 && estimateTokens(noteLines.join('\n')) > this.fallbackNoteTokens) {
+            noteLines.shift();
+        }
+        this.note = noteLines.join('\n');
+    }
+
+    // How full the context is for this history, for monitoring
+    getStats(history) {
+        return {
+            maxTokens: this.maxTokens,
+            historyTokens: countTokens(history),
+            contextTokens: countTokens(this.build(history)),
+            foldedMessages: this.foldedThrough,
+            noteTokens: estimateTokens(this.note)
+        };
+    }
+}
+
+module.exports = { ConversationMemory, estimateTokens, countMessageTokens, countTokens };
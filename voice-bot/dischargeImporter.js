@@ -0,0 +1,336 @@
+// Healthcare Voice Agent - Discharge Importer
+// Bulk-loads discharged patients from CSV files or HL7 v2 ADT^A03 messages, upserting by MRN or DocumentID
+// and reporting what happened to every row (accepted, updated or rejected).
+
+const { mergeDeep } = require('./patientRepository');
+const { validatePatient, withPatientDefaults } = require('./patientSchema');
+const { parseAdtA03, normalizePhoneNumber, compact } = require('./hl7AdtParser');
+
+const IMPORT_FORMATS = ['csv', 'hl7'];
+
+// CSV header (compared without case, spaces, "_" or "-") -> patient record field
+const CSV_COLUMNS = {
+    documentid: 'DocumentID',
+    mrn: 'mrn',
+    dateofbirth: 'dateOfBirth',
+    dob: 'dateOfBirth',
+    patientname: 'patientName',
+    doctorname: 'doctorName',
+    dischargedate: 'dischargeDate',
+    followupwindowweeks: 'followUpWindowWeeks',
+    phonenumber: 'phoneNumber',
+    timezone: 'timeZone',
+    medicationname: 'medicationName',
+    dosage: 'dosage',
+    frequency: 'frequency'
+};
+
+// Several medications fit in one CSV row as "|"-separated lists, matched up by position
+const MEDICATION_SEPARATOR = '|';
+
+// Split CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes) into rows of cells
+function parseCsvRows(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Parse a CSV discharge file into importer rows; row 1 is the first line after the header
+function parseCsv(text, options = {}) {
+    const [header, ...dataRows] = parseCsvRows(text);
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map(name => CSV_COLUMNS[name.toLowerCase().replace(/[\s_-]/g, '')] || null);
+
+    return dataRows.map((cells, index) => {
+        const values = {};
+        columns.forEach((field, column) => {
+            if (field) {
+                values[field] = (cells[column] || '').trim();
+            }
+        });
+
+        const row = { row: index + 1 };
+        const prescriptions = parseCsvPrescriptions(values);
+        if (prescriptions.error) {
+            // Who the row was for, so the rejection can be traced back to the patient
+            const identifiers = compact({ DocumentID: values.DocumentID, mrn: values.mrn, patientName: values.patientName });
+            return { ...row, identifiers, errors: [prescriptions.error] };
+        }
+
+        let dischargeDate = values.dischargeDate;
+        if (/^\d{4}-\d{2}-\d{2}$/.test(dischargeDate || '')) {
+            dischargeDate = `${ dischargeDate }T00:00:00Z`;
+        }
+
+        const weeks = values.followUpWindowWeeks;
+        return {
+            ...row,
+            record: compact({
+                DocumentID: values.DocumentID,
+                mrn: values.mrn,
+                dateOfBirth: values.dateOfBirth,
+                patientName: values.patientName,
+                doctorName: values.doctorName,
+                dischargeDate,
+                followUpWindowWeeks: /^\d+$/.test(weeks || '') ? Number(weeks) : weeks,
+                phoneNumber: normalizePhoneNumber(values.phoneNumber, options.defaultCountryCode),
+                timeZone: values.timeZone,
+                prescriptions: prescriptions.list
+            })
+        };
+    });
+}
+
+// Keys a parsed record is known by within one batch
+function batchKeys(record) {
+    if (!record) {
+        return [];
+    }
+    return [record.mrn && `mrn:${ record.mrn }`, record.DocumentID && `id:${ record.DocumentID }`].filter(Boolean);
+}
+
+// Build prescriptions from the medicationName / dosage / frequency columns of one CSV row
+function parseCsvPrescriptions(values) {
+    const split = value => (value ? value.split(MEDICATION_SEPARATOR).map(part => part.trim()) : []);
+    const names = split(values.medicationName);
+    const dosages = split(values.dosage);
+    const frequencies = split(values.frequency);
+
+    if (names.length === 0 && dosages.length === 0 && frequencies.length === 0) {
+        return { list: undefined };
+    }
+    if (dosages.length !== names.length || frequencies.length !== names.length) {
+        return {
+            error: {
+                field: 'prescriptions',
+                message: `medicationName, dosage and frequency must list the same number of "${ MEDICATION_SEPARATOR }"-separated values`
+            }
+        };
+    }
+
+    return {
+        list: names.map((medicationName, i) => ({ medicationName, dosage: dosages[i], frequency: frequencies[i] }))
+    };
+}
+
+// Pick the import format from an explicit hint, else by sniffing for an HL7 header
+function detectFormat(content, hint) {
+    if (hint) {
+        const format = String(hint).toLowerCase();
+        if (!IMPORT_FORMATS.includes(format)) {
+            const error = new Error(`Unknown import format "${ hint }", expected one of: ${ IMPORT_FORMATS.join(', ') }`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return format;
+    }
+
+    return /^\s*(MSH|FHS|BHS)\|/.test(String(content || '')) ? 'hl7' : 'csv';
+}
+
+// Top-level fields whose values differ between two versions of a record
+function changedFields(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+function conflict(field, message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    error.fields = [{ field, message }];
+    return error;
+}
+
+class DischargeImporter {
+    constructor(repository, options = {}) {
+        if (!repository) {
+            throw new Error('A patient repository is required');
+        }
+
+        this.repository = repository;
+        // Country code added to national phone numbers (e.g. "+91"); empty keeps them as given
+        this.defaultCountryCode = options.defaultCountryCode ?? process.env.DISCHARGE_IMPORT_COUNTRY_CODE ?? '';
+    }
+
+    // Parse content in the given format into rows of { row, record } or { row, errors }
+    parse(content, format) {
+        const options = { defaultCountryCode: this.defaultCountryCode };
+        return format === 'hl7' ? parseAdtA03(content, options) : parseCsv(content, options);
+    }
+
+    // Import every row and return a report; with dryRun nothing is written. A patient listed again in the same batch
+    // (same MRN or DocumentID) is rejected after the first row imported for them, so a dry run reports what a real one does.
+    async importDischarges(content, { format, dryRun = false } = {}) {
+        const resolvedFormat = detectFormat(content, format);
+        await this.repository.init();
+
+        const rows = [];
+        const imported = new Map();
+        for (const parsed of this.parse(content, resolvedFormat)) {
+            const keys = batchKeys(parsed.record);
+            const firstRow = keys.map(key => imported.get(key)).find(Boolean);
+            if (firstRow) {
+                const field = parsed.record.mrn ? 'mrn' : 'DocumentID';
+                rows.push(await this.importRow({ ...parsed, errors: [{ field, message: `repeats row ${ firstRow } of this batch; only the first row for a patient is imported` }] }, dryRun));
+                continue;
+            }
+
+            const result = await this.importRow(parsed, dryRun);
+            if (result.status !== 'rejected') {
+                keys.forEach(key => imported.set(key, parsed.row));
+            }
+            rows.push(result);
+        }
+
+        const count = status => rows.filter(row => row.status === status).length;
+        const report = {
+            format: resolvedFormat,
+            dryRun,
+            total: rows.length,
+            accepted: count('accepted'),
+            updated: count('updated'),
+            rejected: count('rejected'),
+            rows
+        };
+
+        console.log(`[Import] ${ dryRun ? 'Dry run of' : 'Imported' } ${ report.total } ${ resolvedFormat } row(s): ` +
+            `${ report.accepted } accepted, ${ report.updated } updated, ${ report.rejected } rejected`);
+        return report;
+    }
+
+    // Existing patient a record refers to, by DocumentID first and then MRN; null for a new patient
+    async findExisting(record) {
+        const [byMrn] = record.mrn ? await this.repository.queryPatients({ mrn: record.mrn }) : [];
+
+        if (record.DocumentID) {
+            const byId = await this.repository.getPatient(record.DocumentID);
+            if (byMrn && byMrn.DocumentID !== record.DocumentID) {
+                throw conflict('mrn', `already belongs to patient ${ byMrn.DocumentID }`);
+            }
+            if (byId && record.mrn && byId.mrn && byId.mrn !== record.mrn) {
+                throw conflict('mrn', `does not match the MRN stored for patient ${ byId.DocumentID }`);
+            }
+            return byId;
+        }
+
+        return byMrn || null;
+    }
+
+    // A later discharge of a known patient starts a new follow-up episode; the previous one moves to dischargeHistory
+    applyDischarge(existing, record) {
+        const updated = mergeDeep(existing, record);
+        const newEpisode = Boolean(record.dischargeDate) &&
+            new Date(record.dischargeDate).getTime() !== new Date(existing.dischargeDate).getTime();
+
+        if (newEpisode) {
+            const fresh = withPatientDefaults({});
+            updated.dischargeHistory = [
+                ...(existing.dischargeHistory || []),
+                {
+                    dischargeDate: existing.dischargeDate,
+                    followUpCall: existing.followUpCall,
+                    followUpAppointment: existing.followUpAppointment
+                }
+            ];
+            updated.followUpCall = fresh.followUpCall;
+            updated.followUpAppointment = fresh.followUpAppointment;
+        }
+
+        return { updated, newEpisode };
+    }
+
+    // Create or update the patient for one parsed row and describe the result
+    async importRow(parsed, dryRun) {
+        const known = parsed.record || parsed.identifiers || {};
+        const result = {
+            row: parsed.row,
+            ...(parsed.messageControlId ? { messageControlId: parsed.messageControlId } : {}),
+            documentId: known.DocumentID || null,
+            mrn: known.mrn || null,
+            patientName: known.patientName || null
+        };
+        const reject = errors => ({ ...result, status: 'rejected', errors });
+
+        if (parsed.errors) {
+            return reject(parsed.errors);
+        }
+
+        try {
+            const existing = await this.findExisting(parsed.record);
+
+            if (existing) {
+                const { updated, newEpisode } = this.applyDischarge(existing, parsed.record);
+                const { valid, errors } = validatePatient(updated);
+                if (!valid) {
+                    return reject(errors);
+                }
+
+                const changes = changedFields(existing, updated);
+                if (!dryRun && changes.length > 0) {
+                    await this.repository.replacePatient(existing.DocumentID, updated);
+                }
+                return { ...result, documentId: existing.DocumentID, status: 'updated', changes, newEpisode };
+            }
+
+            const patient = withPatientDefaults(parsed.record);
+            const { valid, errors } = validatePatient(patient);
+            if (!valid) {
+                return reject(errors);
+            }
+
+            if (!dryRun) {
+                await this.repository.createPatient(patient);
+            }
+            return { ...result, documentId: dryRun ? result.documentId : patient.DocumentID, status: 'accepted' };
+        } catch (error) {
+            if (!error.statusCode) {
+                throw error;
+            }
+            return reject(error.fields || [{ field: '', message: error.message }]);
+        }
+    }
+}
+
+module.exports = { DischargeImporter, IMPORT_FORMATS, detectFormat, parseCsv };
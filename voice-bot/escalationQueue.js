@@ -0,0 +1,187 @@
+// Healthcare Voice Agent - Care-Team Escalation Queue
+// Records each issue flagged on a call (patient, severity, transcript excerpt, time) for the nursing team
+// to acknowledge and resolve, and hands an alert for it to the notification outbox.
+
+const crypto = require('crypto');
+const path = require('path');
+const { JsonFileStore } = require('./jsonFileStore');
+const { SEVERITIES } = require('./redFlagEngine');
+
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+const EXCERPT_SPEAKERS = { patient: 'Patient', assistant: 'Assistant', nurse: 'Nurse' };
+
+function escalationError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function invalidField(field, message) {
+    const error = escalationError(400, 'Escalation update failed validation');
+    error.fields = [{ field, message }];
+    return error;
+}
+
+// Subject line and plain-text body of the care-team alert
+function formatAlert(escalation) {
+    const subject = `[${ escalation.severity.toUpperCase() }] ${ escalation.reason } - ${ escalation.patientName }`;
+    const lines = [
+        `Patient: ${ escalation.patientName } (${ escalation.documentId })`,
+        escalation.phoneNumber ? `Phone: ${ escalation.phoneNumber }` : null,
+        escalation.doctorName ? `Doctor: Dr. ${ escalation.doctorName }` : null,
+        `Severity: ${ escalation.severity }`,
+        `Reason: ${ escalation.reason }`,
+        escalation.medicationNames.length > 0 ? `Medication: ${ escalation.medicationNames.join(', ') }` : null,
+        `Raised: ${ escalation.createdAt }`,
+        '',
+        'Transcript excerpt:',
+        ...escalation.excerpt.map(line => `${ EXCERPT_SPEAKERS[line.role] || 'Assistant' }: ${ line.text }`)
+    ];
+    return { subject, text: lines.filter(line => line !== null).join('\n') };
+}
+
+class EscalationQueue {
+    constructor(options = {}) {
+        const filePath = options.filePath !== undefined
+            ? options.filePath
+            : process.env.ESCALATION_STORE_PATH || path.join(__dirname, 'escalations.json');
+        this.store = new JsonFileStore(filePath, { escalations: [] });
+        this.outbox = options.outbox || null;
+    }
+
+    // Record a flagged issue and queue its alert. details: { patient, severity, reason, ruleIds, medicationNames,
+    // quote, excerpt, conversationId }. A repeat of the same rules on the same call returns the open escalation.
+    async raise(details) {
+        const { patient } = details;
+        if (!patient || !patient.DocumentID) {
+            throw new Error('An escalation needs the patient record');
+        }
+        if (!SEVERITIES.includes(details.severity)) {
+            throw new Error(`Unknown escalation severity: ${ details.severity }`);
+        }
+
+        const ruleIds = details.ruleIds || [];
+        const { escalation, created } = await this.store.mutate(document => {
+            const repeat = details.conversationId && document.escalations.find(existing =>
+                existing.status !== 'resolved' &&
+                existing.conversationId === details.conversationId &&
+                ruleIds.every(ruleId => existing.ruleIds.includes(ruleId)));
+            if (repeat) {
+                return { escalation: repeat, created: false };
+            }
+
+            const escalation = {
+                id: crypto.randomUUID(),
+                documentId: patient.DocumentID,
+                patientName: patient.patientName,
+                phoneNumber: patient.phoneNumber || null,
+                doctorName: patient.doctorName || null,
+                severity: details.severity,
+                reason: details.reason,
+                ruleIds,
+                medicationNames: details.medicationNames || [],
+                quote: details.quote || null,
+                excerpt: details.excerpt || [],
+                conversationId: details.conversationId || null,
+                status: 'open',
+                createdAt: new Date().toISOString(),
+                acknowledgedAt: null,
+                acknowledgedBy: null,
+                resolvedAt: null,
+                resolvedBy: null,
+                resolution: null
+            };
+            document.escalations.push(escalation);
+            return { escalation, created: true };
+        });
+
+        if (!created) {
+            console.log(`[Escalation] ${ escalation.id } already open for ${ escalation.reason } on this call`);
+            return escalation;
+        }
+
+        console.warn(`[Escalation] ${ escalation.severity.toUpperCase() } ${ escalation.id } for ${ escalation.patientName }: ${ escalation.reason }`);
+        if (this.outbox) {
+            await this.outbox.enqueue({
+                escalationId: escalation.id,
+                documentId: escalation.documentId,
+                severity: escalation.severity,
+                ...formatAlert(escalation)
+            });
+        }
+        return escalation;
+    }
+
+    // Escalations for the nursing worklist: open first, most severe first, oldest first.
+    // criteria: { status, severity, documentId }
+    async list(criteria = {}) {
+        if (criteria.status !== undefined && !STATUSES.includes(criteria.status)) {
+            throw invalidField('status', `must be one of ${ STATUSES.join(', ') }`);
+        }
+        if (criteria.severity !== undefined && !SEVERITIES.includes(criteria.severity)) {
+            throw invalidField('severity', `must be one of ${ SEVERITIES.join(', ') }`);
+        }
+
+        const { escalations } = await this.store.read();
+        return escalations
+            .filter(escalation => criteria.status === undefined || escalation.status === criteria.status)
+            .filter(escalation => criteria.severity === undefined || escalation.severity === criteria.severity)
+            .filter(escalation => criteria.documentId === undefined || escalation.documentId === criteria.documentId)
+            .sort((a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) ||
+                SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+                a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // Escalation by id, or null
+    async get(id) {
+        const { escalations } = await this.store.read();
+        return escalations.find(escalation => escalation.id === id) || null;
+    }
+
+    // A nurse has seen the escalation and is handling it
+    async acknowledge(id, { by, note } = {}) {
+        return this.transition(id, by, escalation => {
+            if (escalation.status !== 'open') {
+                throw escalationError(409, `Escalation ${ id } is already ${ escalation.status }`);
+            }
+            escalation.status = 'acknowledged';
+            escalation.acknowledgedAt = new Date().toISOString();
+            escalation.acknowledgedBy = by;
+            if (note) {
+                escalation.acknowledgementNote = note;
+            }
+        });
+    }
+
+    // The issue has been dealt with; an open escalation can be resolved without acknowledging it first
+    async resolve(id, { by, note } = {}) {
+        return this.transition(id, by, escalation => {
+            if (escalation.status === 'resolved') {
+                throw escalationError(409, `Escalation ${ id } is already resolved`);
+            }
+            escalation.status = 'resolved';
+            escalation.resolvedAt = new Date().toISOString();
+            escalation.resolvedBy = by;
+            escalation.resolution = note || null;
+        });
+    }
+
+    async transition(id, by, apply) {
+        if (typeof by !== 'string' || !by.trim()) {
+            throw invalidField('by', 'is required (the nurse handling the escalation)');
+        }
+
+        const escalation = await this.store.mutate(document => {
+            const found = document.escalations.find(candidate => candidate.id === id);
+            if (!found) {
+                throw escalationError(404, `Escalation ${ id } not found`);
+            }
+            apply(found);
+            return found;
+        });
+        console.log(`[Escalation] ${ id } ${ escalation.status } by ${ by }`);
+        return escalation;
+    }
+}
+
+module.exports = { EscalationQueue, STATUSES, formatAlert };
@@ -0,0 +1,112 @@
+// Healthcare Voice Agent - Intent Evaluation CLI
+// Usage: node evaluateIntents.js [<evaluation file>] [--threshold <n>] [--json] [--out <file>] [--min-accuracy <n>]
+// Scores the local intent router on labelled patient turns (intentEvaluation.json by default): overall accuracy, how
+// many turns it routes without the triage LLM and how often those are right, and per-route precision and recall.
+// With --min-accuracy, exits 2 when the accuracy of the turns routed locally is below it.
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+const { IntentClassifier, evaluateIntents, loadEvaluationCases } = require('./intentClassifier');
+const { ConversationFlowLibrary } = require('./conversationFlow');
+
+const USAGE = 'Usage: node evaluateIntents.js [<evaluation file>] [--threshold <n>] [--json] [--out <file>] [--min-accuracy <n>]';
+
+function parseArgs(argv) {
+    const args = { file: undefined, threshold: undefined, json: false, out: null, minAccuracy: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--threshold') {
+            args.threshold = Number(argv[++i]);
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (arg === '--out') {
+            args.out = argv[++i];
+        } else if (arg === '--min-accuracy') {
+            args.minAccuracy = Number(argv[++i]);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${ arg }`);
+        } else {
+            args.file = arg;
+        }
+    }
+    if (args.threshold !== undefined && !(args.threshold > 0)) {
+        throw new Error('--threshold must be a number above 0');
+    }
+    if (args.minAccuracy !== null && !(args.minAccuracy >= 0 && args.minAccuracy <= 1)) {
+        throw new Error('--min-accuracy must be a number from 0 to 1');
+    }
+    return args;
+}
+
+function formatRatio(value) {
+    return value === null ? '-' : value.toFixed(2);
+}
+
+function formatReport(report) {
+    const lines = [
+        `${ report.cases } turn(s), confidence threshold ${ report.threshold }`,
+        `  accuracy (local guess for every turn) ${ formatRatio(report.accuracy) }`,
+        `  routed without the LLM                ${ report.confident.cases }/${ report.cases } (${ formatRatio(report.confident.rate) }), accuracy ${ formatRatio(report.confident.accuracy) }`,
+        `  sent to the triage LLM                ${ formatRatio(report.llmFallbackRate) }`,
+        `  decided by rules                      ${ report.bySource.rule.cases }, accuracy ${ formatRatio(report.bySource.rule.accuracy) }`,
+        `  decided by the classifier             ${ report.bySource.model.cases }, accuracy ${ formatRatio(report.bySource.model.accuracy) }`,
+        '',
+        `  ${ 'route'.padEnd(22) } precision  recall  f1    turns`
+    ];
+    Object.entries(report.intents).forEach(([route, scores]) => {
+        lines.push(`  ${ route.padEnd(22) } ${ formatRatio(scores.precision).padEnd(10) } ${ formatRatio(scores.recall).padEnd(7) } ${ formatRatio(scores.f1).padEnd(5) } ${ scores.support }`);
+    });
+    lines.push('', '  confusion (expected -> predicted)');
+    Object.entries(report.confusion).forEach(([expected, predicted]) => {
+        lines.push(`  ${ expected.padEnd(22) } ${ Object.entries(predicted).map(([route, count]) => `${ route } ${ count }`).join(', ') || '-' }`);
+    });
+    if (report.misses.length > 0) {
+        lines.push('', '  misses');
+        report.misses.forEach(miss => {
+            lines.push(`  ${ miss.confident ? 'WRONG' : 'to LLM' } "${ miss.text }" (${ miss.flow }/${ miss.step }): expected ${ miss.expected }, got ${ miss.predicted } by ${ miss.source } at ${ miss.confidence.toFixed(2) }`);
+        });
+    }
+    return lines.join('\n');
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${ error.message }\n${ USAGE }`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Startup logging goes to stderr so --json output stays parseable
+    const { log } = console;
+    console.log = console.error;
+    let report;
+    try {
+        const classifier = new IntentClassifier({ threshold: args.threshold });
+        report = evaluateIntents(classifier, loadEvaluationCases(args.file), new ConversationFlowLibrary());
+    } finally {
+        console.log = log;
+    }
+
+    if (args.out) {
+        fs.writeFileSync(args.out, `${ JSON.stringify(report, null, 2) }\n`);
+    }
+    console.log(args.json ? JSON.stringify(report, null, 2) : formatReport(report));
+
+    if (args.minAccuracy !== null && (report.confident.accuracy === null || report.confident.accuracy < args.minAccuracy)) {
+        console.error(`\nAccuracy of locally routed turns ${ formatRatio(report.confident.accuracy) } is below ${ args.minAccuracy }`);
+        process.exitCode = 2;
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('[Intent] Evaluation failed:', error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,128 @@
+// Healthcare Voice Agent - Transcript Evaluation CLI
+// Usage: node evaluateTranscripts.js [<folder or file>...] [--llm] [--json] [--out <file>] [--baseline <file>] [--tolerance <n>]
+// Scores saved calls (TRANSCRIPT_DIR by default); --llm adds the rubric graded by the LLM_PROVIDER model.
+// With --baseline, exits 2 when any aggregate score dropped by more than the tolerance.
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+const { TranscriptStore, readCall } = require('./transcriptStore');
+const { TranscriptEvaluator, compareReports } = require('./transcriptEvaluator');
+
+const USAGE = 'Usage: node evaluateTranscripts.js [<folder or file>...] [--llm] [--json] [--out <file>] [--baseline <file>] [--tolerance <n>]';
+
+function parseArgs(argv) {
+    const args = { paths: [], llm: false, json: false, out: null, baseline: null, tolerance: 0 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--llm') {
+            args.llm = true;
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (arg === '--out') {
+            args.out = argv[++i];
+        } else if (arg === '--baseline') {
+            args.baseline = argv[++i];
+        } else if (arg === '--tolerance') {
+            args.tolerance = Number(argv[++i]);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${ arg }`);
+        } else {
+            args.paths.push(arg);
+        }
+    }
+    if (Number.isNaN(args.tolerance) || args.tolerance < 0) {
+        throw new Error('--tolerance must be a number of 0 or more');
+    }
+    return args;
+}
+
+// Saved calls from each folder or file given, or from the transcript store
+async function loadCalls(paths) {
+    if (paths.length === 0) {
+        return new TranscriptStore().list();
+    }
+    const calls = [];
+    for (const target of paths) {
+        if (fs.statSync(target).isDirectory()) {
+            calls.push(...await new TranscriptStore({ directory: target }).list());
+        } else {
+            calls.push(await readCall(target));
+        }
+    }
+    return calls;
+}
+
+function formatScore(score) {
+    return score === null ? '-' : score.toFixed(2);
+}
+
+// "call chat-123  Jane Doe  rules 0.80  rubric 0.90", then one line per failed check
+function formatCall(report) {
+    const lines = [`call ${ report.conversationId }  ${ report.patientName || report.documentId }  rules ${ formatScore(report.ruleScore) }  rubric ${ formatScore(report.rubricScore) }`];
+    report.checks
+        .filter(check => check.status === 'fail')
+        .forEach(check => check.findings.forEach(finding => lines.push(`  FAIL ${ check.id }: ${ finding.problem }`)));
+    if (report.rubric && report.rubric.error) {
+        lines.push(`  rubric not graded: ${ report.rubric.error }`);
+    }
+    return lines.join('\n');
+}
+
+function formatAggregate(aggregate) {
+    const lines = [`${ aggregate.calls } call(s)  rules ${ formatScore(aggregate.ruleScore) }  rubric ${ formatScore(aggregate.rubricScore) }`];
+    Object.entries(aggregate.checks).forEach(([id, check]) => {
+        lines.push(`  ${ id.padEnd(28) } ${ check.passed }/${ check.passed + check.failed } passed (${ formatScore(check.passRate) })`);
+    });
+    Object.entries(aggregate.rubric).forEach(([id, score]) => {
+        lines.push(`  rubric ${ id.padEnd(21) } ${ formatScore(score) } / 5`);
+    });
+    return lines.join('\n');
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${ error.message }\n${ USAGE }`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const calls = await loadCalls(args.paths);
+    let llmProvider = null;
+    if (args.llm) {
+        const { createLlmProvider } = require('./llmProvider');
+        llmProvider = createLlmProvider();
+    }
+
+    const report = await new TranscriptEvaluator({ llmProvider }).evaluate(calls);
+    const regressions = args.baseline ? compareReports(JSON.parse(fs.readFileSync(args.baseline, 'utf8')), report, args.tolerance) : [];
+
+    if (args.out) {
+        fs.writeFileSync(args.out, `${ JSON.stringify(report, null, 2) }\n`);
+    }
+    if (args.json) {
+        console.log(JSON.stringify(args.baseline ? { ...report, regressions } : report, null, 2));
+    } else {
+        report.calls.forEach(call => console.log(formatCall(call)));
+        console.log(`\n${ formatAggregate(report.aggregate) }`);
+        if (args.baseline) {
+            console.log(regressions.length === 0
+                ? `\nNo regressions against ${ args.baseline }`
+                : `\nRegressions against ${ args.baseline }:\n${ regressions.map(regression => `  ${ regression.metric } ${ regression.baseline } -> ${ regression.current }`).join('\n') }`);
+        }
+    }
+
+    if (regressions.length > 0) {
+        process.exitCode = 2;
+    }
+}
+
+main().catch(error => {
+    console.error('[Evaluator] Failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,166 @@
+// Healthcare Voice Agent - FHIR R4 Export
+// Read, search and Bundle export of FHIR resources over the patient store.
+// Every resource handed out is validated against the FHIR JSON structure first.
+
+const crypto = require('crypto');
+const { validateFhirResource } = require('./fhirSchema');
+const {
+    DOCUMENT_ID_SYSTEM,
+    FOLLOW_UP_QUESTIONNAIRE,
+    toDocumentId,
+    toFhirResources
+} = require('./fhirMapper');
+
+// Resource types derived from patient records (Questionnaire and Bundle are not)
+const PATIENT_RESOURCE_TYPES = ['Patient', 'MedicationRequest', 'Appointment', 'QuestionnaireResponse'];
+
+function unsupportedType(resourceType) {
+    const error = new Error(`Resource type ${ resourceType } is not supported`);
+    error.statusCode = 404;
+    return error;
+}
+
+class FhirExporter {
+    constructor(repository, options = {}) {
+        if (!repository) {
+            throw new Error('A patient repository is required');
+        }
+
+        this.repository = repository;
+        // Identifier system of the hospital MRNs, e.g. "urn:oid:1.2.36.146.595.217.0.1"
+        this.mrnSystem = options.mrnSystem || process.env.FHIR_MRN_SYSTEM || undefined;
+    }
+
+    resourcesFor(patient) {
+        return toFhirResources(patient, { mrnSystem: this.mrnSystem });
+    }
+
+    // Throw a 500 listing the failing elements if a generated resource is not valid FHIR
+    checked(resource) {
+        const { valid, errors } = validateFhirResource(resource);
+        if (!valid) {
+            const error = new Error(`Generated ${ resource.resourceType } failed FHIR validation`);
+            error.statusCode = 500;
+            error.fields = errors;
+            throw error;
+        }
+        return resource;
+    }
+
+    // Wrap resources in a Bundle of the given type ("searchset" or "collection")
+    bundle(type, resources, baseUrl) {
+        const bundle = {
+            resourceType: 'Bundle',
+            id: crypto.randomUUID(),
+            type,
+            timestamp: new Date().toISOString()
+        };
+        if (type === 'searchset') {
+            bundle.total = resources.length;
+        }
+        if (resources.length > 0) {
+            bundle.entry = resources.map(resource => ({
+                fullUrl: `${ baseUrl }/${ resource.resourceType }/${ resource.id }`,
+                resource,
+                ...(type === 'searchset' ? { search: { mode: 'match' } } : {})
+            }));
+        }
+        return this.checked(bundle);
+    }
+
+    // Patient record a FHIR patient reference ("Patient/abc" or "abc") points to
+    async findPatient(reference) {
+        const id = String(reference).replace(/^Patient\//, '');
+        return this.repository.getPatient(toDocumentId('Patient', id));
+    }
+
+    // Patients whose identifier matches a Patient search token ("system|value" or a bare value)
+    async findPatientsByIdentifier(identifier) {
+        const [system, value] = identifier.includes('|') ? identifier.split('|') : [null, identifier];
+
+        if (system === DOCUMENT_ID_SYSTEM) {
+            const patient = await this.repository.getPatient(value);
+            return patient ? [patient] : [];
+        }
+
+        const byMrn = await this.repository.queryPatients({ mrn: value });
+        if (system) {
+            return byMrn.filter(patient => this.resourcesFor(patient).Patient[0].identifier
+                .some(id => id.system === system && id.value === value));
+        }
+
+        const byDocumentId = await this.repository.getPatient(value);
+        return byDocumentId && !byMrn.some(patient => patient.DocumentID === byDocumentId.DocumentID)
+            ? [...byMrn, byDocumentId]
+            : byMrn;
+    }
+
+    // Read one resource by type and id; null when it does not exist
+    async read(resourceType, id) {
+        if (resourceType === 'Questionnaire') {
+            return id === FOLLOW_UP_QUESTIONNAIRE.id ? this.checked(FOLLOW_UP_QUESTIONNAIRE) : null;
+        }
+        if (!PATIENT_RESOURCE_TYPES.includes(resourceType)) {
+            throw unsupportedType(resourceType);
+        }
+
+        const patient = await this.repository.getPatient(toDocumentId(resourceType, id));
+        const resource = patient && this.resourcesFor(patient)[resourceType].find(r => r.id === id);
+        return resource ? this.checked(resource) : null;
+    }
+
+    // Search one resource type; supports patient / subject references, _id and (for Patient) identifier
+    async search(resourceType, params, baseUrl) {
+        if (resourceType === 'Questionnaire') {
+            return this.bundle('searchset', [FOLLOW_UP_QUESTIONNAIRE], baseUrl);
+        }
+        if (!PATIENT_RESOURCE_TYPES.includes(resourceType)) {
+            throw unsupportedType(resourceType);
+        }
+
+        const patientReference = params.patient || params.subject || (resourceType === 'Patient' ? params._id : undefined);
+        let patients;
+        if (patientReference) {
+            const patient = await this.findPatient(patientReference);
+            patients = patient ? [patient] : [];
+        } else if (resourceType === 'Patient' && params.identifier) {
+            patients = await this.findPatientsByIdentifier(params.identifier);
+        } else {
+            patients = await this.repository.queryPatients();
+        }
+
+        let resources = patients.flatMap(patient => this.resourcesFor(patient)[resourceType]);
+        if (params._id && resourceType !== 'Patient') {
+            resources = resources.filter(resource => resource.id === params._id);
+        }
+        return this.bundle('searchset', resources, baseUrl);
+    }
+
+    // Patient $everything: the patient and every resource that refers to them; null for an unknown patient
+    async everything(patientId, baseUrl) {
+        const patient = await this.findPatient(patientId);
+        if (!patient) {
+            return null;
+        }
+
+        const resources = this.resourcesFor(patient);
+        return this.bundle('searchset', PATIENT_RESOURCE_TYPES.flatMap(type => resources[type]), baseUrl);
+    }
+
+    // Collection Bundle of every patient's resources plus the follow-up Questionnaire, for bulk hand-over to the EHR
+    async exportAll(baseUrl, criteria = {}) {
+        const patients = await this.repository.queryPatients(criteria);
+        const resources = patients.flatMap(patient => {
+            const byType = this.resourcesFor(patient);
+            return PATIENT_RESOURCE_TYPES.flatMap(type => byType[type]);
+        });
+
+        if (resources.some(resource => resource.resourceType === 'QuestionnaireResponse')) {
+            resources.push(FOLLOW_UP_QUESTIONNAIRE);
+        }
+        console.log(`[FHIR] Exported ${ resources.length } resources for ${ patients.length } patients`);
+        return this.bundle('collection', resources, baseUrl);
+    }
+}
+
+module.exports = { FhirExporter, PATIENT_RESOURCE_TYPES };
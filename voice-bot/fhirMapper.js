@@ -0,0 +1,228 @@
+// Healthcare Voice Agent - FHIR R4 Mapping
+// Maps patient records to FHIR Patient, MedicationRequest, Appointment and QuestionnaireResponse resources.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DOCUMENT_ID_SYSTEM = 'urn:healthcare-voice-agent:document-id';
+const DEFAULT_MRN_SYSTEM = 'urn:healthcare-voice-agent:mrn';
+const IDENTIFIER_TYPE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v2-0203';
+
+// Follow-up appointments are booked as one-hour calendar slots (see schedulingPlugin.js)
+const APPOINTMENT_MINUTES = 60;
+
+// The follow-up call's adherence questions, shared by the Questionnaire and its responses
+const FOLLOW_UP_QUESTIONNAIRE = {
+    resourceType: 'Questionnaire',
+    id: 'post-discharge-follow-up',
+    url: 'urn:healthcare-voice-agent:questionnaire:post-discharge-follow-up',
+    name: 'PostDischargeFollowUp',
+    title: 'Post-discharge medication follow-up call',
+    status: 'active',
+    item: [
+        { linkId: 'filled-prescription', text: 'Has the patient filled their prescription?', type: 'boolean' },
+        { linkId: 'missed-doses', text: 'How many doses has the patient missed?', type: 'integer' },
+        { linkId: 'side-effects-reported', text: 'Has the patient had any side effects?', type: 'boolean' },
+        { linkId: 'side-effects', text: 'Which side effects did the patient report?', type: 'string', repeats: true }
+    ]
+};
+
+// Resource id suffixes for resources derived from one patient record
+const RESOURCE_SUFFIXES = {
+    MedicationRequest: /-rx-\d+$/,
+    Appointment: /-appointment$/,
+    QuestionnaireResponse: /-follow-up$/
+};
+
+// FHIR ids allow letters, digits, "-" and "."; DocumentIDs may also contain "_", which never occurs with "."
+function toFhirId(documentId) {
+    return documentId.replace(/_/g, '.');
+}
+
+// DocumentID of the patient a FHIR resource id was derived from
+function toDocumentId(resourceType, fhirId) {
+    const suffix = RESOURCE_SUFFIXES[resourceType];
+    return (suffix ? fhirId.replace(suffix, '') : fhirId).replace(/\./g, '_');
+}
+
+function patientReference(patient) {
+    return { reference: `Patient/${ toFhirId(patient.DocumentID) }`, display: patient.patientName };
+}
+
+function doctorReference(patient) {
+    return { display: `Dr. ${ patient.doctorName }` };
+}
+
+// "50mcg" -> { value: 50, unit: 'mcg' }; null when the dosage is free text
+function parseDoseQuantity(dosage) {
+    const match = /^(\d+(?:\.\d+)?)\s*([A-Za-zµ/]+)$/.exec((dosage || '').trim());
+    return match ? { value: Number(match[1]), unit: match[2] } : null;
+}
+
+// Patient resource with DocumentID and MRN identifiers
+function toFhirPatient(patient, options = {}) {
+    const nameParts = patient.patientName.trim().split(/\s+/);
+    const name = { use: 'official', text: patient.patientName };
+    if (nameParts.length > 1) {
+        name.family = nameParts[nameParts.length - 1];
+        name.given = nameParts.slice(0, -1);
+    }
+
+    const identifier = [{ use: 'secondary', system: DOCUMENT_ID_SYSTEM, value: patient.DocumentID }];
+    if (patient.mrn) {
+        identifier.unshift({
+            use: 'usual',
+            type: { coding: [{ system: IDENTIFIER_TYPE_SYSTEM, code: 'MR', display: 'Medical record number' }] },
+            system: options.mrnSystem || DEFAULT_MRN_SYSTEM,
+            value: patient.mrn
+        });
+    }
+
+    const resource = {
+        resourceType: 'Patient',
+        id: toFhirId(patient.DocumentID),
+        identifier,
+        active: true,
+        name: [name]
+    };
+    if (patient.dateOfBirth) {
+        resource.birthDate = patient.dateOfBirth;
+    }
+    if (patient.phoneNumber) {
+        resource.telecom = [{ system: 'phone', value: patient.phoneNumber, use: 'mobile' }];
+    }
+    if (patient.doctorName) {
+        resource.generalPractitioner = [doctorReference(patient)];
+    }
+    return resource;
+}
+
+// One MedicationRequest per discharge prescription
+function toFhirMedicationRequests(patient) {
+    return (patient.prescriptions || []).map((prescription, index) => {
+        const dosage = {
+            sequence: 1,
+            text: `${ prescription.dosage } ${ prescription.frequency }`,
+            timing: { code: { text: prescription.frequency } }
+        };
+        const doseQuantity = parseDoseQuantity(prescription.dosage);
+        if (doseQuantity) {
+            dosage.doseAndRate = [{ doseQuantity }];
+        }
+
+        return {
+            resourceType: 'MedicationRequest',
+            id: `${ toFhirId(patient.DocumentID) }-rx-${ index + 1 }`,
+            status: 'active',
+            intent: 'order',
+            medicationCodeableConcept: { text: prescription.medicationName },
+            subject: patientReference(patient),
+            authoredOn: patient.dischargeDate,
+            requester: doctorReference(patient),
+            dosageInstruction: [dosage]
+        };
+    });
+}
+
+// Follow-up Appointment: booked once scheduled on the call, otherwise proposed within the follow-up window
+function toFhirAppointment(patient) {
+    const appointment = patient.followUpAppointment || {};
+    const start = appointment.scheduled && appointment.appointmentDateTime ? new Date(appointment.appointmentDateTime) : null;
+    const booked = Boolean(start) && !Number.isNaN(start.getTime());
+    const participantStatus = booked ? 'accepted' : 'needs-action';
+
+    const resource = {
+        resourceType: 'Appointment',
+        id: `${ toFhirId(patient.DocumentID) }-appointment`,
+        status: booked ? 'booked' : 'proposed',
+        description: `Post-discharge follow-up with Dr. ${ patient.doctorName }`,
+        participant: [
+            { actor: patientReference(patient), required: 'required', status: participantStatus },
+            { actor: doctorReference(patient), required: 'required', status: participantStatus }
+        ]
+    };
+
+    if (booked) {
+        // Appointment times without an offset are server-local, as booked by the scheduling plugin
+        resource.start = start.toISOString();
+        resource.end = new Date(start.getTime() + APPOINTMENT_MINUTES * 60 * 1000).toISOString();
+        resource.minutesDuration = APPOINTMENT_MINUTES;
+        if (appointment.confirmationSent) {
+            resource.comment = 'Confirmation sent to patient';
+        }
+    } else {
+        const dischargedAt = new Date(patient.dischargeDate);
+        resource.requestedPeriod = [{
+            start: dischargedAt.toISOString(),
+            end: new Date(dischargedAt.getTime() + (patient.followUpWindowWeeks || 2) * 7 * DAY_MS).toISOString()
+        }];
+    }
+
+    return resource;
+}
+
+// Adherence answers from the follow-up call; null until a call has been made
+function toFhirQuestionnaireResponse(patient) {
+    const call = patient.followUpCall || {};
+    const answers = call.adherenceAnswers || {};
+    const hasAnswers = Object.values(answers).some(value => value !== null && value !== undefined);
+    if (!call.callInitiated && !hasAnswers) {
+        return null;
+    }
+
+    const questions = Object.fromEntries(FOLLOW_UP_QUESTIONNAIRE.item.map(item => [item.linkId, item.text]));
+    const item = [];
+    const addItem = (linkId, answer) => item.push({ linkId, text: questions[linkId], answer });
+
+    if (typeof answers.filledPrescription === 'boolean') {
+        addItem('filled-prescription', [{ valueBoolean: answers.filledPrescription }]);
+    }
+    if (Number.isInteger(answers.missedDoses)) {
+        addItem('missed-doses', [{ valueInteger: answers.missedDoses }]);
+    }
+    if (Array.isArray(answers.sideEffects)) {
+        const sideEffects = answers.sideEffects.filter(Boolean);
+        addItem('side-effects-reported', [{ valueBoolean: sideEffects.length > 0 }]);
+        if (sideEffects.length > 0) {
+            addItem('side-effects', sideEffects.map(sideEffect => ({ valueString: sideEffect })));
+        }
+    }
+
+    const resource = {
+        resourceType: 'QuestionnaireResponse',
+        id: `${ toFhirId(patient.DocumentID) }-follow-up`,
+        questionnaire: FOLLOW_UP_QUESTIONNAIRE.url,
+        status: call.callCompleted ? 'completed' : 'in-progress',
+        subject: patientReference(patient),
+        source: patientReference(patient)
+    };
+    if (call.callTimestamp) {
+        resource.authored = call.callTimestamp;
+    }
+    if (item.length > 0) {
+        resource.item = item;
+    }
+    return resource;
+}
+
+// Every FHIR resource derived from one patient record, keyed by resource type
+function toFhirResources(patient, options = {}) {
+    const questionnaireResponse = toFhirQuestionnaireResponse(patient);
+    return {
+        Patient: [toFhirPatient(patient, options)],
+        MedicationRequest: toFhirMedicationRequests(patient),
+        Appointment: [toFhirAppointment(patient)],
+        QuestionnaireResponse: questionnaireResponse ? [questionnaireResponse] : []
+    };
+}
+
+module.exports = {
+    DOCUMENT_ID_SYSTEM,
+    FOLLOW_UP_QUESTIONNAIRE,
+    toFhirId,
+    toDocumentId,
+    toFhirPatient,
+    toFhirMedicationRequests,
+    toFhirAppointment,
+    toFhirQuestionnaireResponse,
+    toFhirResources
+};
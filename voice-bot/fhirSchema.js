@@ -0,0 +1,61 @@
+// Healthcare Voice Agent - FHIR Resource Validation
+// Checks exported FHIR resources (and every resource inside a Bundle) against fhir.schema.json
+
+const Ajv = require('ajv');
+const FHIR_SCHEMA = require('./fhir.schema.json');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+ajv.addSchema(FHIR_SCHEMA);
+
+// Resource types the export produces, each with its own compiled validator
+const FHIR_RESOURCE_TYPES = ['Patient', 'MedicationRequest', 'Appointment', 'QuestionnaireResponse', 'Questionnaire', 'Bundle'];
+const validators = Object.fromEntries(FHIR_RESOURCE_TYPES.map(type => [
+    type,
+    ajv.compile({ $ref: `${ FHIR_SCHEMA.$id }#/definitions/${ type }` })
+]));
+
+// Convert an Ajv error into { field, message } with a dotted path prefixed by the resource location
+function toFieldError(error, prefix) {
+    let field = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    let message = error.message;
+    if (error.keyword === 'required') {
+        field = field ? `${ field }.${ error.params.missingProperty }` : error.params.missingProperty;
+        message = 'is required';
+    } else if (error.keyword === 'additionalProperties') {
+        field = field ? `${ field }.${ error.params.additionalProperty }` : error.params.additionalProperty;
+        message = 'is not an element of this resource';
+    } else if (error.keyword === 'not') {
+        // The only "not" rule in the schema is bdl-1 on Bundle.total
+        field = field ? `${ field }.total` : 'total';
+        message = 'is only allowed in searchset and history bundles';
+    }
+    return { field: prefix + field, message };
+}
+
+function collectErrors(resource, prefix) {
+    const validate = resource && validators[resource.resourceType];
+    if (!validate) {
+        return [{ field: `${ prefix }resourceType`, message: `must be one of ${ FHIR_RESOURCE_TYPES.join(', ') }` }];
+    }
+
+    const errors = validate(resource)
+        ? []
+        : validate.errors.filter(error => error.keyword !== 'if').map(error => toFieldError(error, prefix));
+
+    if (resource.resourceType === 'Bundle') {
+        (resource.entry || []).forEach((entry, index) => {
+            if (entry.resource) {
+                errors.push(...collectErrors(entry.resource, `${ prefix }entry.${ index }.resource.`));
+            }
+        });
+    }
+    return errors;
+}
+
+// Validate a FHIR resource; returns { valid, errors: [{ field, message }] }
+function validateFhirResource(resource) {
+    const errors = collectErrors(resource, '');
+    return { valid: errors.length === 0, errors };
+}
+
+module.exports = { FHIR_RESOURCE_TYPES, validateFhirResource };
@@ -0,0 +1,242 @@
+// Healthcare Voice Agent - HL7 v2 ADT^A03 Parser
+// Turns discharge (ADT^A03) messages into partial patient records for the discharge importer.
+
+// HL7 interval codes (RXE-1 / TQ1-3) -> frequency wording used in patient records
+const FREQUENCY_CODES = {
+    QD: 'Once daily',
+    QAM: 'Once daily in the morning',
+    QPM: 'Once daily in the evening',
+    QHS: 'Once daily at night',
+    BID: 'Twice daily',
+    TID: 'Three times a day',
+    QID: 'Four times a day',
+    PRN: 'As needed'
+};
+
+// Split a batch into messages; each message starts at an MSH segment. Batch envelopes are dropped.
+function splitMessages(text) {
+    const segments = String(text || '')
+        .split(/\r\n|\r|\n/)
+        .map(segment => segment.trim())
+        .filter(segment => segment && !/^(FHS|BHS|BTS|FTS)\b/.test(segment));
+
+    const messages = [];
+    for (const segment of segments) {
+        if (segment.startsWith('MSH') || messages.length === 0) {
+            messages.push([]);
+        }
+        messages[messages.length - 1].push(segment);
+    }
+    return messages;
+}
+
+// Parse the segments of one message using the delimiters declared in its MSH segment
+function parseSegments(lines) {
+    const header = lines[0];
+    if (!header.startsWith('MSH') || header.length < 8) {
+        throw new Error('Message does not start with an MSH segment');
+    }
+
+    const fieldSeparator = header[3];
+    const [component, repetition, escape, subcomponent] = header.slice(4, 8);
+    const delimiters = { field: fieldSeparator, component, repetition, escape, subcomponent };
+
+    const segments = lines.map(line => {
+        const fields = line.split(fieldSeparator);
+        // MSH-1 is the field separator itself, so shift MSH fields to keep HL7 numbering
+        if (fields[0] === 'MSH') {
+            fields.splice(1, 0, fieldSeparator);
+        }
+        return { name: fields[0], fields };
+    });
+
+    return { segments, delimiters };
+}
+
+// Undo HL7 escape sequences (\F\, \S\, \T\, \R\, \E\)
+function unescapeValue(value, delimiters) {
+    const { escape } = delimiters;
+    if (!value || !value.includes(escape)) {
+        return value;
+    }
+
+    const replacements = {
+        F: delimiters.field,
+        S: delimiters.component,
+        T: delimiters.subcomponent,
+        R: delimiters.repetition,
+        E: escape
+    };
+    const pattern = new RegExp(`\\${ escape }([FSTRE])\\${ escape }`, 'g');
+    return value.replace(pattern, (match, code) => replacements[code]);
+}
+
+// Accessor for field/repetition/component values of one parsed message
+function createReader({ segments, delimiters }) {
+    const find = name => segments.find(segment => segment.name === name) || null;
+
+    const repetitions = (segment, fieldNumber) => {
+        const raw = segment && segment.fields[fieldNumber];
+        return raw ? raw.split(delimiters.repetition) : [];
+    };
+
+    const component = (value, componentNumber) => {
+        const parts = (value || '').split(delimiters.component);
+        const part = (parts[componentNumber - 1] || '').split(delimiters.subcomponent)[0];
+        return unescapeValue(part.trim(), delimiters);
+    };
+
+    const value = (segment, fieldNumber, componentNumber = 1) => component(repetitions(segment, fieldNumber)[0], componentNumber);
+
+    return { find, repetitions, component, value };
+}
+
+// Convert an HL7 TS (YYYYMMDD[HHMM[SS[.S]]][+/-ZZZZ]) to ISO 8601; times without an offset are read as UTC
+function parseHl7Timestamp(ts) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(?:(\d{2})(?:\.\d+)?)?)?([+-]\d{4})?$/.exec(ts || '');
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hour = '00', minute = '00', second = '00', offset] = match;
+    const zone = offset ? `${ offset.slice(0, 3) }:${ offset.slice(3) }` : 'Z';
+    const date = new Date(`${ year }-${ month }-${ day }T${ hour }:${ minute }:${ second }${ zone }`);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().replace('.000Z', 'Z');
+}
+
+// Normalize an XTN phone number to E.164, adding the default country code to national numbers
+function parsePhoneNumber(xtn, reader, defaultCountryCode) {
+    const countryCode = reader.component(xtn, 5);
+    const areaCode = reader.component(xtn, 6);
+    const localNumber = reader.component(xtn, 7);
+
+    if (localNumber) {
+        const digits = `${ countryCode }${ areaCode }${ localNumber }`.replace(/\D/g, '');
+        return countryCode ? `+${ digits }` : normalizePhoneNumber(digits, defaultCountryCode);
+    }
+
+    return normalizePhoneNumber(reader.component(xtn, 1) || reader.component(xtn, 12), defaultCountryCode);
+}
+
+// Strip punctuation from a phone number and make it international where possible
+function normalizePhoneNumber(phoneNumber, defaultCountryCode) {
+    if (!phoneNumber) {
+        return undefined;
+    }
+
+    const trimmed = phoneNumber.trim();
+    const digits = trimmed.replace(/\D/g, '');
+    if (trimmed.startsWith('+')) {
+        return `+${ digits }`;
+    }
+    if (digits.startsWith('00')) {
+        return `+${ digits.slice(2) }`;
+    }
+    if (defaultCountryCode) {
+        return `${ defaultCountryCode }${ digits.replace(/^0+/, '') }`;
+    }
+    return digits;
+}
+
+// Discharge medications from RXE segments (with an optional TQ1 timing segment after each)
+function parsePrescriptions(reader, segments) {
+    const prescriptions = [];
+
+    segments.forEach((segment, index) => {
+        if (segment.name !== 'RXE') {
+            return;
+        }
+
+        const medicationName = reader.value(segment, 2, 2) || reader.value(segment, 2, 1);
+        const amount = reader.value(segment, 3);
+        const units = reader.value(segment, 5, 2) || reader.value(segment, 5, 1);
+
+        const next = segments[index + 1];
+        const interval = reader.value(segment, 1, 2) || (next && next.name === 'TQ1' ? reader.value(next, 3) : '');
+        const frequency = FREQUENCY_CODES[interval.toUpperCase()] || interval;
+
+        prescriptions.push({
+            medicationName,
+            dosage: amount ? `${ amount }${ units }` : units,
+            frequency
+        });
+    });
+
+    return prescriptions;
+}
+
+// Parse one ADT^A03 message into { controlId, record }; throws with a readable message when it cannot be used
+function parseAdtA03Message(lines, options = {}) {
+    const parsed = parseSegments(lines);
+    const reader = createReader(parsed);
+
+    const msh = reader.find('MSH');
+    const messageType = `${ reader.value(msh, 9, 1) }^${ reader.value(msh, 9, 2) }`;
+    if (messageType !== 'ADT^A03') {
+        throw new Error(`Unsupported message type ${ messageType }, expected ADT^A03`);
+    }
+
+    const pid = reader.find('PID');
+    if (!pid) {
+        throw new Error('Message has no PID segment');
+    }
+    const pv1 = reader.find('PV1');
+    const evn = reader.find('EVN');
+
+    // Prefer the identifier typed MR (medical record number), else the first one listed
+    const identifiers = reader.repetitions(pid, 3);
+    const mrnIdentifier = identifiers.find(cx => reader.component(cx, 5).toUpperCase() === 'MR') || identifiers[0];
+    const mrn = reader.component(mrnIdentifier, 1);
+
+    const familyName = reader.value(pid, 5, 1);
+    const givenName = reader.value(pid, 5, 2);
+    const patientName = [givenName, familyName].filter(Boolean).join(' ');
+
+    // Date of birth (PID-7) as YYYY-MM-DD; the time of birth, when sent, is dropped
+    const birth = /^(\d{4})(\d{2})(\d{2})/.exec(reader.value(pid, 7) || '');
+    const dateOfBirth = birth ? `${ birth[1] }-${ birth[2] }-${ birth[3] }` : undefined;
+
+    const phone = reader.repetitions(pid, 13)[0];
+    const phoneNumber = phone ? parsePhoneNumber(phone, reader, options.defaultCountryCode) : undefined;
+
+    // Attending doctor (PV1-7) is stored by family name, as in the existing records
+    const doctorName = pv1 ? reader.value(pv1, 7, 2) || reader.value(pv1, 7, 1) : '';
+
+    const dischargeTs = (pv1 && reader.value(pv1, 45)) || (evn && (reader.value(evn, 6) || reader.value(evn, 2))) || '';
+    const dischargeDate = parseHl7Timestamp(dischargeTs) || dischargeTs;
+
+    const prescriptions = parsePrescriptions(reader, parsed.segments);
+
+    return {
+        controlId: reader.value(msh, 10) || null,
+        record: compact({
+            mrn,
+            patientName,
+            dateOfBirth,
+            doctorName,
+            phoneNumber,
+            dischargeDate,
+            prescriptions: prescriptions.length > 0 ? prescriptions : undefined
+        })
+    };
+}
+
+// Parse a file or request body of one or more ADT^A03 messages into importer rows
+function parseAdtA03(text, options = {}) {
+    return splitMessages(text).map((lines, index) => {
+        const row = { row: index + 1 };
+        try {
+            const { controlId, record } = parseAdtA03Message(lines, options);
+            return { ...row, messageControlId: controlId, record };
+        } catch (error) {
+            return { ...row, errors: [{ field: '', message: error.message }] };
+        }
+    });
+}
+
+// Drop empty values so a partial record never overwrites stored fields with blanks
+function compact(record) {
+    return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+module.exports = { parseAdtA03, parseHl7Timestamp, normalizePhoneNumber, compact };
@@ -0,0 +1,156 @@
+// Healthcare Voice Agent - Identity Verification
+// Confirms that whoever answered is the patient before any health information is spoken: their date of birth,
+// or the last four digits of their MRN when no date of birth is on file. Only a few attempts are allowed.
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const REFERENCE_DIGITS = 4;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+// Month names as spoken in Hindi, in calendar order
+const HINDI_MONTHS = ['जनवरी', 'फ़रवरी', 'मार्च', 'अप्रैल', 'मई', 'जून', 'जुलाई', 'अगस्त', 'सितंबर', 'अक्टूबर', 'नवंबर', 'दिसंबर'];
+const DIGIT_WORDS = { zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9' };
+
+// Zero digit of each Indian script a patient may answer in (see languages.js); the nine after it follow in order
+const SCRIPT_ZEROS = [0x0966, 0x09E6, 0x0AE6, 0x0BE6, 0x0C66, 0x0CE6, 0x0D66];
+
+// Lower case with digits of any Indian script as 0-9 and spoken digits ("four five") as numbers
+function normalizeAnswer(answer) {
+    const text = String(answer || '').toLowerCase().replace(/[\u0966-\u0D6F]/g, char => {
+        const zero = SCRIPT_ZEROS.find(start => char.charCodeAt(0) >= start && char.charCodeAt(0) <= start + 9);
+        return zero === undefined ? char : String(char.charCodeAt(0) - zero);
+    });
+    return text.replace(/\b(zero|one|two|three|four|five|six|seven|eight|nine)\b/g, word => DIGIT_WORDS[word]);
+}
+
+function toDate(year, month, day) {
+    const [y, m, d] = [year, month, day].map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+// Every date (YYYY-MM-DD) an answer could mean: "1956-03-05", "5th March 1956", "March 5, 1956", "05/03/1956" and
+// keypad "05031956", with English or Hindi month names. Numeric dates are read day first and month first, as
+// patients write either.
+function parseDates(answer) {
+    const text = normalizeAnswer(answer).replace(/(\d)(st|nd|rd|th)\b/g, '$1');
+    const dates = [];
+
+    let match = /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/.exec(text);
+    if (match) {
+        dates.push(toDate(match[1], match[2], match[3]));
+    }
+    match = /\b(\d{1,2})[-/. ]+(\d{1,2})[-/. ]+(\d{4})\b/.exec(text);
+    if (match) {
+        dates.push(toDate(match[3], match[2], match[1]), toDate(match[3], match[1], match[2]));
+    }
+    match = /\b(\d{2})(\d{2})(\d{4})\b/.exec(text);
+    if (match) {
+        dates.push(toDate(match[3], match[2], match[1]), toDate(match[3], match[1], match[2]), toDate(match[0].slice(0, 4), match[0].slice(4, 6), match[0].slice(6)));
+    }
+
+    const spokenMonth = MONTHS.findIndex(name => new RegExp(`\\b${ name.slice(0, 3) }(${ name.slice(3) })?\\b`).test(text));
+    const month = spokenMonth !== -1 ? spokenMonth : HINDI_MONTHS.findIndex(name => text.includes(name));
+    const year = /\b(\d{4})\b/.exec(text);
+    const day = /\b(\d{1,2})\b/.exec(text.replace(/\b\d{4}\b/g, ''));
+    if (month !== -1 && year && day) {
+        dates.push(toDate(year[1], month + 1, day[1]));
+    }
+    return [...new Set(dates.filter(Boolean))];
+}
+
+// The digits in an answer, spoken or keyed: "4 5 6 7", "four five six seven" -> "4567"
+function parseDigits(answer) {
+    return normalizeAnswer(answer).replace(/\D/g, '');
+}
+
+class IdentityVerifier {
+    // options.required (default: IDENTITY_VERIFICATION is not "off"), options.maxAttempts (default
+    // IDENTITY_VERIFICATION_ATTEMPTS or 3). status is "pending" until the answer matches ("verified") or the attempts
+    // run out ("failed"); "unverifiable" when the record has nothing to check against, "not-required" when turned off.
+    constructor(patientRecord, options = {}) {
+        const required = options.required ?? process.env.IDENTITY_VERIFICATION !== 'off';
+        this.maxAttempts = options.maxAttempts || Number(process.env.IDENTITY_VERIFICATION_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+
+        const referenceDigits = parseDigits(patientRecord.mrn);
+        if (patientRecord.dateOfBirth) {
+            this.method = 'dateOfBirth';
+        } else if (referenceDigits.length >= REFERENCE_DIGITS) {
+            this.method = 'reference';
+        } else {
+            this.method = null;
+        }
+        this.dateOfBirth = patientRecord.dateOfBirth || null;
+        this.referenceDigits = referenceDigits;
+
+        this.attempts = 0;
+        if (!required) {
+            this.status = 'not-required';
+        } else {
+            this.status = this.method ? 'pending' : 'unverifiable';
+        }
+        this.completedAt = null;
+    }
+
+    // True once health information may be spoken
+    get verified() {
+        return ['verified', 'not-required'].includes(this.status);
+    }
+
+    // True when the call has to end without the patient's details
+    get failed() {
+        return ['failed', 'unverifiable'].includes(this.status);
+    }
+
+    // Check one answer. Returns "verified", "mismatch" or "unclear" (ask again), or "failed" once the attempts run out.
+    check(answer) {
+        if (this.status !== 'pending') {
+            throw new Error(`Identity verification is ${ this.status }`);
+        }
+        this.attempts++;
+
+        const outcome = this.matches(answer);
+        if (outcome === 'verified') {
+            this.status = 'verified';
+        } else if (this.attempts >= this.maxAttempts) {
+            this.status = 'failed';
+        }
+        if (this.status !== 'pending') {
+            this.completedAt = new Date().toISOString();
+            return this.status;
+        }
+        return outcome;
+    }
+
+    // "verified" when the answer holds the expected date or digits, "mismatch" when it holds others, "unclear" when none
+    matches(answer) {
+        if (this.method === 'dateOfBirth') {
+            const dates = parseDates(answer);
+            if (dates.length === 0) {
+                return 'unclear';
+            }
+            return dates.includes(this.dateOfBirth) ? 'verified' : 'mismatch';
+        }
+
+        const digits = parseDigits(answer);
+        if (digits.length === 0) {
+            return 'unclear';
+        }
+        return digits === this.referenceDigits.slice(-REFERENCE_DIGITS) || digits === this.referenceDigits ? 'verified' : 'mismatch';
+    }
+
+    // What is saved on the patient record; a call that ended while still asking is "incomplete"
+    toRecord(conversationId = null) {
+        return {
+            status: this.status === 'pending' ? 'incomplete' : this.status,
+            method: this.method,
+            attempts: this.attempts,
+            at: this.completedAt || new Date().toISOString(),
+            conversationId
+        };
+    }
+}
+
+module.exports = { IdentityVerifier, parseDates, parseDigits };
@@ -0,0 +1,85 @@
+// Healthcare Voice Agent - Discharge Import CLI
+// Usage: node importDischarges.js <file> [--format csv|hl7] [--dry-run] [--json]
+// Imports into the store configured by PATIENT_STORE / PATIENT_STORE_PATH; exits 2 when any row was rejected.
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+const { createPatientRepository } = require('./patientRepository');
+const { DischargeImporter } = require('./dischargeImporter');
+
+// File extension -> import format, when --format is not given
+const EXTENSION_FORMATS = { '.csv': 'csv', '.hl7': 'hl7' };
+
+function parseArgs(argv) {
+    const args = { file: null, format: null, dryRun: false, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') {
+            args.format = argv[++i];
+        } else if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (!args.file) {
+            args.file = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${ arg }`);
+        }
+    }
+    return args;
+}
+
+// One line per row, e.g. "row 3  rejected  Jane Doe (MRN 12345)  phoneNumber must be an E.164 phone number"
+function formatRow(row) {
+    const who = [row.patientName, row.mrn && `(MRN ${ row.mrn })`].filter(Boolean).join(' ') || row.documentId || '-';
+    let detail = '';
+    if (row.status === 'rejected') {
+        detail = row.errors.map(error => `${ error.field } ${ error.message }`.trim()).join('; ');
+    } else if (row.status === 'updated') {
+        detail = row.changes.length > 0 ? `changed: ${ row.changes.join(', ') }` : 'no changes';
+        detail += row.newEpisode ? ' (new discharge)' : '';
+    }
+    return `row ${ String(row.row).padEnd(4) } ${ row.status.padEnd(9) } ${ who }  ${ row.documentId || '' }  ${ detail }`.trimEnd();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file) {
+        console.error('Usage: node importDischarges.js <file> [--format csv|hl7] [--dry-run] [--json]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const content = fs.readFileSync(args.file, 'utf-8');
+    const format = args.format || EXTENSION_FORMATS[path.extname(args.file).toLowerCase()];
+    // With --json, the import summary and the store's startup logging go to stderr so stdout stays parseable
+    const { log } = console;
+    if (args.json) {
+        console.log = console.error;
+    }
+    let report;
+    try {
+        const importer = new DischargeImporter(createPatientRepository());
+        report = await importer.importDischarges(content, { format, dryRun: args.dryRun });
+    } finally {
+        console.log = log;
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        report.rows.forEach(row => console.log(formatRow(row)));
+    }
+
+    if (report.rejected > 0) {
+        process.exitCode = 2;
+    }
+}
+
+main().catch(error => {
+    console.error('[Import] Failed:', error.message);
+    process.exitCode = 1;
+});
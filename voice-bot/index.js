@@ -8,15 +8,83 @@ dotenv.config({ path: ENV_FILE });
 
 const express = require('express');
 const {
+    ActivityTypes,
     CloudAdapter,
-    ConfigurationBotFrameworkAuthentication
+    ConfigurationBotFrameworkAuthentication,
+    EndOfConversationCodes,
+    MessageFactory,
+    TurnContext
 } = require('botbuilder');
 
 const { EchoBot } = require('./bot');
 const { PatientBotFactory } = require('./patientBotFactory');
+const { SessionManager } = require('./sessionManager');
+const { CallCampaign, UNANSWERED_OUTCOMES } = require('./callCampaign');
+const { createTelephonyAdapter } = require('./telephonyAdapter');
+const { SimulatedTelephonyAdapter } = require('./telephonySimulator');
+const { DischargeImporter } = require('./dischargeImporter');
+const { FhirExporter } = require('./fhirExporter');
+const { CallEventRouter } = require('./callEventRouter');
+const { EscalationQueue } = require('./escalationQueue');
+const { NotificationOutbox } = require('./notificationOutbox');
+const { createNotificationChannels } = require('./notificationChannels');
+const { NurseTakeover } = require('./nurseTakeover');
+const { createLlmProvider } = require('./llmProvider');
+const { TranscriptStore } = require('./transcriptStore');
+const { formatClinicalNote } = require('./callSummary');
 
-// Initialize patient bot factory
-const patientFactory = new PatientBotFactory();
+// Care-team escalations: flagged issues are queued for the nurses and alerts go out through the
+// notification outbox on the channels named in ESCALATION_CHANNELS (email, teams, sms, file, memory)
+const notificationOutbox = new NotificationOutbox(createNotificationChannels());
+const escalationQueue = new EscalationQueue({ outbox: notificationOutbox });
+notificationOutbox.start();
+
+// LLM provider chosen by LLM_PROVIDER; built at startup so missing credentials stop the server here
+const llmProvider = createLlmProvider();
+console.log(`[LLM] Using ${ llmProvider.name } provider`);
+
+// Finished calls are saved to TRANSCRIPT_DIR for review; score them with npm run evaluate-transcripts
+const transcriptStore = new TranscriptStore();
+
+// Initialize patient bot factory and per-conversation session manager
+const patientFactory = new PatientBotFactory(undefined, { escalationQueue, llmProvider, transcriptStore });
+const sessionManager = new SessionManager(patientFactory);
+
+// Supervisor mode: nurses watch live transcripts and take over conversations
+const nurseTakeover = new NurseTakeover(sessionManager);
+
+// Start a follow-up call session for a patient and produce the bot's opening line
+const startCallForPatient = async (patient) => {
+    const conversationId = sessionManager.generateConversationId('call');
+    const session = sessionManager.createSession(conversationId, patient);
+    await patientFactory.markCallInitiated(patient.DocumentID);
+    await patientFactory.recordCallAttempt(patient.DocumentID, {
+        attemptedAt: new Date().toISOString(),
+        outcome: 'in-progress',
+        conversationId
+    });
+
+    const openingLine = await session.bot.processMessage('__START_CALL__');
+    console.log(`[Calls] Started ${ conversationId } for ${ patient.patientName }`);
+    return { conversationId, openingLine };
+};
+
+// Bulk discharge import (CSV or HL7 ADT^A03) into the same patient store
+const dischargeImporter = new DischargeImporter(patientFactory.repository);
+
+// FHIR R4 view of the patient store for the EHR
+const fhirExporter = new FhirExporter(patientFactory.repository);
+
+// Telephony: outbound calls and call events are routed into per-call bot sessions
+const telephonyAdapter = createTelephonyAdapter();
+const callRouter = new CallEventRouter(telephonyAdapter, sessionManager, patientFactory);
+console.log(`[Telephony] Using ${ telephonyAdapter.name } adapter`);
+
+// Outbound call campaign (auto-dial is opt-in via CAMPAIGN_AUTO_DIAL=true)
+const callCampaign = new CallCampaign(patientFactory, {
+    dialer: (patient) => callRouter.dial(patient),
+    isInCall: (documentId) => sessionManager.hasPatientSession(documentId)
+});
 
 // Create HTTP server with voice chat routing
 const app = express();
@@ -43,11 +111,16 @@ app.get('/webchat', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// Nurse supervisor console
+app.get('/supervisor', (req, res) => {
+    res.sendFile(path.join(__dirname, 'supervisor.html'));
+});
+
 // Patient management API endpoints
-app.get('/api/patients', (req, res) => {
+app.get('/api/patients', async (req, res) => {
     try {
-        const stats = patientFactory.getPatientStats();
-        const patientsNeeding = patientFactory.getPatientsNeedingCalls();
+        const stats = await patientFactory.getPatientStats();
+        const patientsNeeding = await patientFactory.getPatientsNeedingCalls();
         
         res.json({
             stats,
@@ -56,7 +129,7 @@ app.get('/api/patients', (req, res) => {
                 name: p.patientName,
                 doctor: p.doctorName,
                 dischargeDate: p.dischargeDate,
-                medication: p.prescriptions[0]?.medicationName || 'N/A'
+                medications: (p.prescriptions || []).map(prescription => prescription.medicationName)
             }))
         });
     } catch (error) {
@@ -65,9 +138,9 @@ app.get('/api/patients', (req, res) => {
     }
 });
 
-app.get('/api/patients/:documentId', (req, res) => {
+app.get('/api/patients/:documentId', async (req, res) => {
     try {
-        const patient = patientFactory.getPatientById(req.params.documentId);
+        const patient = await patientFactory.getPatientById(req.params.documentId);
         if (!patient) {
             return res.status(404).json({ error: 'Patient not found' });
         }
@@ -79,6 +152,483 @@ app.get('/api/patients/:documentId', (req, res) => {
     }
 });
 
+// Nurse summary of the patient's last follow-up call: JSON, or the plain-text clinical note with ?format=text
+app.get('/api/patients/:documentId/summary', async (req, res) => {
+    try {
+        const patient = await patientFactory.getPatientById(req.params.documentId);
+        if (!patient) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        const summary = patient.followUpCall && patient.followUpCall.summary;
+        if (!summary) {
+            return res.status(404).json({ error: 'No call summary yet' });
+        }
+
+        if (req.query.format === 'text') {
+            return res.type('text/plain').send(formatClinicalNote(summary, patient.DocumentID));
+        }
+        res.json({ documentId: patient.DocumentID, ...summary });
+    } catch (error) {
+        console.error('[API] Error fetching call summary:', error);
+        res.status(500).json({ error: 'Failed to fetch call summary' });
+    }
+});
+
+// Map patient store errors to HTTP responses, including field-level validation errors
+const sendPatientError = (res, error, fallbackMessage) => {
+    if (error.fields) {
+        return res.status(400).json({ error: 'Validation failed', fields: error.fields });
+    }
+    if (error.statusCode === 404 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error(`[API] ${ fallbackMessage }:`, error);
+    res.status(500).json({ error: fallbackMessage });
+};
+
+app.post('/api/patients', async (req, res) => {
+    try {
+        const patient = await patientFactory.createPatient(req.body);
+        res.status(201).location(`/api/patients/${ patient.DocumentID }`).json(patient);
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to create patient');
+    }
+});
+
+app.put('/api/patients/:documentId', async (req, res) => {
+    try {
+        res.json(await patientFactory.replacePatient(req.params.documentId, req.body));
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to replace patient');
+    }
+});
+
+app.patch('/api/patients/:documentId', async (req, res) => {
+    try {
+        const patient = await patientFactory.patchPatient(req.params.documentId, req.body);
+        if (!patient) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        res.json(patient);
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to update patient');
+    }
+});
+
+app.delete('/api/patients/:documentId', async (req, res) => {
+    try {
+        if (!(await patientFactory.deletePatient(req.params.documentId))) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to delete patient');
+    }
+});
+
+// Bulk import discharges from a CSV file or HL7 v2 ADT^A03 messages sent as the raw request body.
+// ?format=csv|hl7 (detected from the content when omitted), ?dryRun=true to validate without saving.
+app.post('/api/patients/import', express.text({ type: () => true, limit: '5mb' }), async (req, res) => {
+    try {
+        const content = typeof req.body === 'string' ? req.body : '';
+        if (!content.trim()) {
+            return res.status(400).json({ error: 'Request body must contain CSV or HL7 content' });
+        }
+
+        const report = await dischargeImporter.importDischarges(content, {
+            format: req.query.format,
+            dryRun: req.query.dryRun === 'true'
+        });
+        res.json(report);
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('[API] Error importing discharges:', error);
+        res.status(500).json({ error: 'Failed to import discharges' });
+    }
+});
+
+// Start a follow-up call for a chosen patient and return the opening line
+app.post('/api/calls', async (req, res) => {
+    try {
+        const documentId = req.body?.documentId;
+        if (!documentId) {
+            return res.status(400).json({ error: 'documentId is required' });
+        }
+
+        const patient = await patientFactory.getPatientById(documentId);
+        if (!patient) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        if (patient.followUpCall.callCompleted) {
+            return res.status(409).json({ error: 'Follow-up call already completed for this patient' });
+        }
+
+        if (sessionManager.hasPatientSession(documentId)) {
+            return res.status(409).json({ error: 'A call is already in progress for this patient' });
+        }
+
+        const { conversationId, openingLine } = await startCallForPatient(patient);
+
+        res.status(201).json({
+            conversationId,
+            documentId,
+            patientName: patient.patientName,
+            openingLine,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('[API Calls] Error starting call:', error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to start call', message: error.message });
+    }
+});
+
+// Campaign queue: who gets called next and why
+app.get('/api/campaign/queue', async (req, res) => {
+    try {
+        const queue = await callCampaign.getQueue();
+        res.json({
+            generatedAt: new Date().toISOString(),
+            config: callCampaign.config,
+            next: queue.find(entry => entry.status === 'ready') || null,
+            queue
+        });
+    } catch (error) {
+        console.error('[API] Error building campaign queue:', error);
+        res.status(500).json({ error: 'Failed to build campaign queue' });
+    }
+});
+
+// Record the outcome of a dial attempt made outside the server (e.g. no answer)
+app.post('/api/campaign/attempts', async (req, res) => {
+    try {
+        const { documentId, outcome } = req.body || {};
+        if (!documentId || !outcome) {
+            return res.status(400).json({ error: 'documentId and outcome are required' });
+        }
+        if (![...UNANSWERED_OUTCOMES, 'connected'].includes(outcome)) {
+            return res.status(400).json({ error: `outcome must be one of: ${ [...UNANSWERED_OUTCOMES, 'connected'].join(', ') }` });
+        }
+        if (!(await patientFactory.getPatientById(documentId))) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        const attempt = await callCampaign.recordAttempt(documentId, outcome);
+        res.status(201).json(attempt);
+    } catch (error) {
+        console.error('[API] Error recording call attempt:', error);
+        res.status(500).json({ error: 'Failed to record call attempt' });
+    }
+});
+
+// Place a phone call to a patient (by documentId or phoneNumber) through the telephony adapter
+app.post('/api/telephony/calls', async (req, res) => {
+    try {
+        const { documentId, phoneNumber } = req.body || {};
+        if (!documentId && !phoneNumber) {
+            return res.status(400).json({ error: 'documentId or phoneNumber is required' });
+        }
+
+        const patient = documentId
+            ? await patientFactory.getPatientById(documentId)
+            : await patientFactory.getPatientByPhoneNumber(phoneNumber);
+        if (!patient) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        if (patient.followUpCall.callCompleted) {
+            return res.status(409).json({ error: 'Follow-up call already completed for this patient' });
+        }
+        if (sessionManager.hasPatientSession(patient.DocumentID)) {
+            return res.status(409).json({ error: 'A call is already in progress for this patient' });
+        }
+
+        const call = await callRouter.dial(patient);
+        res.status(201).json({ ...call, documentId: patient.DocumentID, provider: telephonyAdapter.name });
+    } catch (error) {
+        console.error('[Telephony] Error placing call:', error);
+        res.status(error.statusCode || 502).json({ error: 'Failed to place call', message: error.message });
+    }
+});
+
+app.get('/api/telephony/calls', (req, res) => {
+    res.json({ provider: telephonyAdapter.name, calls: callRouter.listCalls() });
+});
+
+// Call event webhook for telephony providers: { type, callId, text?, digits?, reason? }
+app.post('/api/telephony/events', (req, res) => {
+    try {
+        const type = telephonyAdapter.handleWebhookEvent(req.body);
+        res.status(202).json({ accepted: type });
+    } catch (error) {
+        console.error('[Telephony] Rejected call event:', error.message);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Local call simulator controls (only with TELEPHONY_PROVIDER=simulator)
+if (telephonyAdapter instanceof SimulatedTelephonyAdapter) {
+    const simulatorActions = {
+        answer: (callId) => telephonyAdapter.answer(callId),
+        say: (callId, body) => telephonyAdapter.say(callId, body.text),
+        dtmf: (callId, body) => telephonyAdapter.pressKeys(callId, body.digits),
+        voicemail: (callId) => telephonyAdapter.reachVoicemail(callId),
+        hangup: (callId) => telephonyAdapter.remoteHangUp(callId)
+    };
+
+    app.get('/api/telephony/simulator/calls', (req, res) => {
+        res.json(telephonyAdapter.listCalls());
+    });
+
+    app.post('/api/telephony/simulator/calls/:callId/:action', (req, res) => {
+        const action = simulatorActions[req.params.action];
+        if (!action) {
+            return res.status(404).json({ error: `Unknown simulator action: ${ req.params.action }` });
+        }
+
+        try {
+            action(req.params.callId, req.body || {});
+            res.status(202).json(telephonyAdapter.getCall(req.params.callId));
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+        }
+    });
+}
+
+// Active conversation sessions (one EchoBot per conversation)
+app.get('/api/sessions', (req, res) => {
+    res.json({
+        maxSessions: sessionManager.maxSessions,
+        sessions: sessionManager.listSessions()
+    });
+});
+
+app.delete('/api/sessions/:conversationId', (req, res) => {
+    if (!sessionManager.endSession(req.params.conversationId, 'closed via API')) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.status(204).end();
+});
+
+// --- NURSE SUPERVISOR MODE ---
+// Nurses watch a live transcript, take a conversation over (the bot stops replying), send messages that reach
+// the patient on their own channel, and hand control back. Takeover requests carry { nurse } in the body.
+
+// Transcript so far; ?since=<seq> returns only newer lines
+app.get('/api/sessions/:conversationId/transcript', (req, res) => {
+    const session = sessionManager.getSession(req.params.conversationId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const since = Number(req.query.since) || 0;
+    res.json({
+        conversationId: session.conversationId,
+        patientName: session.bot.patientRecord.patientName,
+        takeover: session.bot.takeover,
+        transcript: session.bot.transcript.filter(entry => entry.seq > since)
+    });
+});
+
+// Live transcript as server-sent events: the transcript so far, then each new line as it is said
+app.get('/api/sessions/:conversationId/transcript/stream', (req, res) => {
+    const session = sessionManager.getSession(req.params.conversationId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    const send = entry => res.write(`data: ${ JSON.stringify(entry) }\n\n`);
+    session.bot.transcript.forEach(send);
+
+    const stopWatching = session.bot.onTranscript(send);
+    // Comment lines keep proxies from closing a quiet stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        stopWatching();
+    });
+});
+
+app.post('/api/sessions/:conversationId/takeover', async (req, res) => {
+    try {
+        res.status(201).json(await nurseTakeover.takeOver(req.params.conversationId, req.body || {}));
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to take over conversation');
+    }
+});
+
+app.post('/api/sessions/:conversationId/messages', async (req, res) => {
+    try {
+        res.status(201).json(await nurseTakeover.say(req.params.conversationId, req.body || {}));
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to send nurse message');
+    }
+});
+
+app.post('/api/sessions/:conversationId/handback', async (req, res) => {
+    try {
+        res.json(await nurseTakeover.handBack(req.params.conversationId, req.body || {}));
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to hand conversation back');
+    }
+});
+
+// Messages for clients without a push channel (the local voice chat polls this during a takeover)
+app.get('/api/sessions/:conversationId/pending-messages', (req, res) => {
+    const messages = sessionManager.takePendingMessages(req.params.conversationId);
+    if (!messages) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ messages });
+});
+
+// --- CARE-TEAM ESCALATIONS ---
+// Nursing worklist of issues flagged on calls. Acknowledge and resolve take { by, note } in the body.
+
+// Escalations, open and most severe first; ?status=open|acknowledged|resolved, ?severity=, ?documentId= narrow it
+app.get('/api/escalations', async (req, res) => {
+    try {
+        const { status, severity, documentId } = req.query;
+        const escalations = await escalationQueue.list({ status, severity, documentId });
+        res.json({ count: escalations.length, escalations });
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to list escalations');
+    }
+});
+
+app.get('/api/escalations/:id', async (req, res) => {
+    try {
+        const escalation = await escalationQueue.get(req.params.id);
+        if (!escalation) {
+            return res.status(404).json({ error: 'Escalation not found' });
+        }
+        res.json({ ...escalation, notifications: await notificationOutbox.list({ escalationId: escalation.id }) });
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to load escalation');
+    }
+});
+
+app.post('/api/escalations/:id/acknowledge', async (req, res) => {
+    try {
+        res.json(await escalationQueue.acknowledge(req.params.id, req.body || {}));
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to acknowledge escalation');
+    }
+});
+
+app.post('/api/escalations/:id/resolve', async (req, res) => {
+    try {
+        res.json(await escalationQueue.resolve(req.params.id, req.body || {}));
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to resolve escalation');
+    }
+});
+
+// Notification outbox (delivery status of each alert per channel); ?status=pending|sent|failed, ?channel=
+app.get('/api/notifications', async (req, res) => {
+    try {
+        const { status, channel, escalationId } = req.query;
+        res.json({ notifications: await notificationOutbox.list({ status, channel, escalationId }) });
+    } catch (error) {
+        console.error('[API] Error listing notifications:', error);
+        res.status(500).json({ error: 'Failed to list notifications' });
+    }
+});
+
+// --- CONVERSATION FLOWS ---
+// Follow-up call protocols loaded from flows/ (read-only; a patient's followUpProtocol picks one)
+
+app.get('/api/flows', (req, res) => {
+    const flows = patientFactory.flowLibrary.list();
+    res.json({ count: flows.length, defaultFlow: patientFactory.flowLibrary.defaultFlowId, flows });
+});
+
+// Full definition of a flow: states, prompts, transitions, completion criteria and tools
+app.get('/api/flows/:id', (req, res) => {
+    const flow = patientFactory.flowLibrary.get(req.params.id);
+    if (!flow) {
+        return res.status(404).json({ error: 'Conversation flow not found' });
+    }
+    const states = Object.fromEntries(Object.entries(flow.states).map(([stateId, state]) => {
+        const { id, startedBy, ...rest } = state;
+        return [stateId, startedBy ? { ...rest, startedBy: startedBy.source } : rest];
+    }));
+    res.json({ ...flow, states });
+});
+
+// --- FHIR R4 EXPORT ---
+// Patient, MedicationRequest, Appointment and QuestionnaireResponse resources derived from patient records.
+// Responses use application/fhir+json; errors are returned as OperationOutcome resources.
+
+const sendFhir = (res, status, resource) => res.status(status).type('application/fhir+json').json(resource);
+
+const sendOperationOutcome = (res, status, code, diagnostics) => sendFhir(res, status, {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity: 'error', code, diagnostics }]
+});
+
+const sendFhirError = (res, error) => {
+    if (error.statusCode === 404) {
+        return sendOperationOutcome(res, 404, 'not-supported', error.message);
+    }
+
+    console.error('[FHIR] Export failed:', error.message, error.fields || '');
+    sendOperationOutcome(res, 500, 'exception', error.message);
+};
+
+// Base URL used for Bundle fullUrls (FHIR_BASE_URL, else this server's /fhir)
+const fhirBaseUrl = (req) => process.env.FHIR_BASE_URL || `${ req.protocol }://${ req.get('host') }/fhir`;
+
+// Collection Bundle of every patient's resources; ?callCompleted=true|false narrows it
+app.get('/fhir/export', async (req, res) => {
+    try {
+        const criteria = {};
+        if (req.query.callCompleted !== undefined) {
+            criteria.callCompleted = req.query.callCompleted === 'true';
+        }
+        sendFhir(res, 200, await fhirExporter.exportAll(fhirBaseUrl(req), criteria));
+    } catch (error) {
+        sendFhirError(res, error);
+    }
+});
+
+app.get('/fhir/Patient/:id/$everything', async (req, res) => {
+    try {
+        const bundle = await fhirExporter.everything(req.params.id, fhirBaseUrl(req));
+        if (!bundle) {
+            return sendOperationOutcome(res, 404, 'not-found', `Patient/${ req.params.id } not found`);
+        }
+        sendFhir(res, 200, bundle);
+    } catch (error) {
+        sendFhirError(res, error);
+    }
+});
+
+// Search, e.g. /fhir/MedicationRequest?patient=Patient/abc or /fhir/Patient?identifier=MRN123
+app.get('/fhir/:resourceType', async (req, res) => {
+    try {
+        sendFhir(res, 200, await fhirExporter.search(req.params.resourceType, req.query, fhirBaseUrl(req)));
+    } catch (error) {
+        sendFhirError(res, error);
+    }
+});
+
+app.get('/fhir/:resourceType/:id', async (req, res) => {
+    try {
+        const resource = await fhirExporter.read(req.params.resourceType, req.params.id);
+        if (!resource) {
+            return sendOperationOutcome(res, 404, 'not-found', `${ req.params.resourceType }/${ req.params.id } not found`);
+        }
+        sendFhir(res, 200, resource);
+    } catch (error) {
+        sendFhirError(res, error);
+    }
+});
+
 // Port configuration
 const port = process.env.PORT || 3978;
 
@@ -98,6 +648,34 @@ app.get('/api/directline/token', async (req, res) => {
     }
 });
 
+// A client that sends Accept: text/event-stream to /api/chat or /api/messages hears the reply a sentence at a time
+const wantsEventStream = (req) => (req.get('Accept') || '').includes('text/event-stream');
+
+// Reply to a patient message as server-sent events: "sentence" ({ text, ssml, locale, index, final, elapsedMs }) as
+// soon as each sentence is complete, then "done" with the body the JSON endpoint would send and the turn's latency
+// per stage, or "error"
+const streamReply = async (res, session, text, describeReply) => {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    const sendEvent = (event, data) => res.write(`event: ${ event }\ndata: ${ JSON.stringify(data) }\n\n`);
+
+    const { bot } = session;
+    const turnsBefore = bot.turnStats.turns.length;
+    try {
+        const response = await bot.streamMessage(text, sentence => sendEvent('sentence', {
+            ...sentence,
+            ssml: bot.formatSpeechResponse(sentence.text, bot.getSpeechContextFromResponse(sentence.text)),
+            locale: bot.language.code
+        }));
+        const turn = bot.turnStats.turns.length > turnsBefore ? bot.turnStats.turns[bot.turnStats.turns.length - 1] : null;
+        sendEvent('done', { ...describeReply(response), latencyMs: turn ? turn.latencyMs : null });
+    } catch (error) {
+        console.error('[Stream] Error processing message:', error);
+        sendEvent('error', { message: 'I apologize, but I encountered an error. Please try again.' });
+    }
+    res.end();
+};
+
 // Health check endpoint
 app.get('/api/test', (req, res) => {
     res.json({ 
@@ -116,17 +694,40 @@ app.post('/api/chat', async (req, res) => {
         if (!userMessage) {
             return res.status(400).json({ error: 'Message is required' });
         }
-        
-        const response = await myBot.processMessage(userMessage);
-        console.log('[API Chat] Bot response:', response);
-        
-        res.json({ 
-            response: response || 'I apologize, but I encountered an issue.',
+
+        const conversationId = req.body.conversationId || sessionManager.generateConversationId('chat');
+        const session = await sessionManager.getOrCreateSession(conversationId, req.body.documentId);
+        // Under nurse takeover the bot has no reply (null); the nurse's messages are fetched from pending-messages
+        const describeReply = response => ({
+            conversationId,
+            response: response === null ? '' : response || 'I apologize, but I encountered an issue.',
+            locale: session.bot.language.code,
+            callEnded: session.bot.callEnded,
+            ...(session.bot.takeover ? { takeoverBy: session.bot.takeover.nurse } : {}),
             timestamp: new Date().toISOString()
         });
+
+        if (wantsEventStream(req)) {
+            return streamReply(res, session, userMessage, describeReply);
+        }
+
+        const response = await session.bot.processMessage(userMessage);
+        console.log('[API Chat] Bot response:', response);
+
+        res.json(describeReply(response));
     } catch (error) {
+        // The conversation has already ended; the client stops sending to it
+        if (error.ended) {
+            return res.status(410).json({
+                conversationId: req.body.conversationId,
+                response: '',
+                callEnded: true,
+                outcome: error.ended.reason,
+                timestamp: new Date().toISOString()
+            });
+        }
         console.error('[API Chat] Error:', error);
-        res.status(500).json({ 
+        res.status(error.statusCode || 500).json({ 
             error: 'Internal server error',
             message: error.message 
         });
@@ -172,23 +773,55 @@ const onTurnErrorHandler = async (context, error) => {
 adapter.onTurnError = onTurnErrorHandler;
 
 // --- PATIENT DATA INTEGRATION ---
-// For demo purposes, we'll create a bot instance for the first patient
-// In production, you would create different bot instances for each patient call
+// Each conversation gets its own bot instance from the session manager.
+// Callers bind a patient by passing a documentId; otherwise a demo patient is chosen
+// (set DEMO_PATIENT_NAME to pin one, e.g. 'Anjali').
 
-console.log('\n=== Patient Bot Factory Initialization ===');
-const patientStats = patientFactory.getPatientStats();
-console.log('Patient Statistics:', patientStats);
+patientFactory.init()
+    .then(async () => {
+        console.log('\n=== Patient Bot Factory Initialization ===');
+        const patientStats = await patientFactory.getPatientStats();
+        console.log('Patient Statistics:', patientStats);
 
-// Select a patient for the demo (you can specify a name or get the next one)
-const demoPatient = patientFactory.selectPatientForDemo(); // or pass a name: .selectPatientForDemo('Anjali')
-const myBot = patientFactory.createBotForPatient(demoPatient);
+        if (process.env.CAMPAIGN_AUTO_DIAL === 'true') {
+            callCampaign.start();
+        }
+    })
+    .catch(error => {
+        console.error('[Startup] Failed to open patient store:', error.message);
+        process.exit(1);
+    });
 
-console.log(`\n=== Bot Created for Patient ===`);
-console.log(`Patient: ${demoPatient.patientName}`);
-console.log(`Doctor: Dr. ${demoPatient.doctorName}`);
-console.log(`Medication: ${demoPatient.prescriptions[0].medicationName} ${demoPatient.prescriptions[0].dosage}`);
-console.log(`Discharge Date: ${new Date(demoPatient.dischargeDate).toLocaleDateString()}`);
-console.log('=====================================\n');
+// Run a Bot Framework turn against the session for the activity's conversation
+const runSessionTurn = async (context) => {
+    const documentId = context.activity.channelData?.documentId || null;
+    let session;
+    try {
+        session = await sessionManager.getOrCreateSession(context.activity.conversation.id, documentId);
+    } catch (error) {
+        if (!error.ended) {
+            throw error;
+        }
+        // The conversation has already ended; tell the client again so it closes the chat
+        return context.sendActivity({
+            type: ActivityTypes.EndOfConversation,
+            code: EndOfConversationCodes.CompletedSuccessfully,
+            value: { outcome: error.ended.reason, at: error.ended.endedAt }
+        });
+    }
+
+    // Nurse messages during a takeover are sent to this conversation as proactive messages
+    const reference = TurnContext.getConversationReference(context.activity);
+    const turnAdapter = context.adapter;
+    sessionManager.setDelivery(session.conversationId, text => turnAdapter.continueConversationAsync(
+        process.env.MicrosoftAppId,
+        reference,
+        async (proactiveContext) => {
+            await proactiveContext.sendActivity(MessageFactory.text(text, session.bot.formatSpeechResponse(text, session.bot.getSpeechContextFromResponse(text))));
+        }
+    ));
+    return session.bot.run(context);
+};
 
 // Main Bot Framework message endpoint
 app.post('/api/messages', async (req, res) => {
@@ -196,24 +829,53 @@ app.post('/api/messages', async (req, res) => {
         // Handle direct HTTP requests from voice chat interfaces
         if (req.body && req.body.text && req.body.type === 'message') {
             console.log('[Direct API] Received message:', req.body.text);
-            
+
+            const conversationId = req.body.conversation?.id || sessionManager.generateConversationId('local');
+            const documentId = req.body.channelData?.documentId || null;
+
             try {
-                const response = await myBot.processMessage(req.body.text);
-                
-                const botResponse = {
-                    type: 'message',
-                    text: response || 'I apologize, but I encountered an issue processing your request.',
-                    from: { id: 'jenny_bot', name: 'Jenny' },
-                    timestamp: new Date().toISOString()
+                const session = await sessionManager.getOrCreateSession(conversationId, documentId);
+                // Under nurse takeover the bot has no reply; the nurse's messages are fetched from pending-messages
+                const describeReply = response => {
+                    const channelData = {
+                        ...(session.bot.takeover ? { takeoverBy: session.bot.takeover.nurse } : {}),
+                        // The call is over (its session is already closed); the client stops listening
+                        ...(session.bot.callEnded ? { callEnded: true, outcome: session.bot.getCallOutcome() } : {})
+                    };
+                    return {
+                        type: 'message',
+                        conversation: { id: conversationId },
+                        text: response === null ? '' : response || 'I apologize, but I encountered an issue processing your request.',
+                        from: { id: 'jenny_bot', name: 'Jenny' },
+                        locale: session.bot.language.code,
+                        timestamp: new Date().toISOString(),
+                        ...(Object.keys(channelData).length > 0 ? { channelData } : {})
+                    };
                 };
-                
+
+                if (wantsEventStream(req)) {
+                    return streamReply(res, session, req.body.text, describeReply);
+                }
+
+                const botResponse = describeReply(await session.bot.processMessage(req.body.text));
                 console.log('[Direct API] Bot response:', botResponse.text);
                 res.json(botResponse);
                 
             } catch (botError) {
+                if (botError.ended) {
+                    return res.status(410).json({
+                        type: 'message',
+                        conversation: { id: conversationId },
+                        text: '',
+                        from: { id: 'jenny_bot', name: 'Jenny' },
+                        timestamp: new Date().toISOString(),
+                        channelData: { callEnded: true, outcome: botError.ended.reason }
+                    });
+                }
                 console.error('[Direct API] Bot processing error:', botError);
-                res.json({
+                res.status(botError.statusCode || 200).json({
                     type: 'message',
+                    conversation: { id: conversationId },
                     text: 'I apologize, but I encountered an error. Please try again.',
                     from: { id: 'jenny_bot', name: 'Jenny' },
                     timestamp: new Date().toISOString()
@@ -221,7 +883,7 @@ app.post('/api/messages', async (req, res) => {
             }
         } else {
             // Process Bot Framework requests
-            await adapter.process(req, res, (context) => myBot.run(context));
+            await adapter.process(req, res, runSessionTurn);
         }
     } catch (error) {
         console.error('[API] Error processing message:', error);
@@ -238,5 +900,5 @@ app.post('/api/messages', async (req, res) => {
 app.on('upgrade', async (req, socket, head) => {
     const streamingAdapter = new CloudAdapter(botFrameworkAuthentication);
     streamingAdapter.onTurnError = onTurnErrorHandler;
-    await streamingAdapter.process(req, socket, head, (context) => myBot.run(context));
+    await streamingAdapter.process(req, socket, head, runSessionTurn);
 });
@@ -0,0 +1,259 @@
+// Healthcare Voice Agent - Intent Classifier
+// Routes a patient turn to a ROUTE_TO_* intent locally, without an LLM call: keyword rules first, then a naive Bayes
+// classifier trained at startup on labelled examples. Rules and examples live in intentTraining.json (or
+// INTENT_TRAINING_PATH). A result below the confidence threshold is left to the triage LLM.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TRAINING_PATH = path.join(__dirname, 'intentTraining.json');
+const DEFAULT_EVALUATION_PATH = path.join(__dirname, 'intentEvaluation.json');
+
+// Routes every flow has; the others come from the flow's triage.routes
+const BUILT_IN_INTENTS = ['ROUTE_TO_SAFETY', 'ROUTE_TO_FALLBACK'];
+
+// A reply to the question Jenny just asked ("yes", "not yet", "no problems"); it goes where the call is
+const CURRENT_STEP = 'CURRENT_STEP';
+
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.75;
+
+// Rule matches are trusted this much; a message that fits rules for more than one intent is left to the classifier
+const RULE_CONFIDENCE = 0.95;
+
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[’‘]/g, '\'').replace(/\s+/g, ' ').trim();
+}
+
+// Words and word pairs; letters, marks and digits of any script, so Hindi in Devanagari is kept
+function features(text) {
+    const words = normalize(text).replace(/'/g, '').match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+    const pairs = words.slice(1).map((word, index) => `${ words[index] } ${ word }`);
+    return [...words, ...pairs];
+}
+
+function invalidTraining(message) {
+    return new Error(`[Intent] Invalid intent training data: ${ message }`);
+}
+
+// Multinomial naive Bayes with add-one smoothing
+class NaiveBayesClassifier {
+    constructor() {
+        this.classes = new Map();
+        this.vocabulary = new Set();
+        this.examples = 0;
+    }
+
+    train(examples) {
+        examples.forEach(({ text, intent }) => {
+            const entry = this.classes.get(intent) || { examples: 0, words: 0, counts: new Map() };
+            entry.examples += 1;
+            features(text).forEach(feature => {
+                entry.counts.set(feature, (entry.counts.get(feature) || 0) + 1);
+                entry.words += 1;
+                this.vocabulary.add(feature);
+            });
+            this.classes.set(intent, entry);
+            this.examples += 1;
+        });
+        return this;
+    }
+
+    // [{ intent, probability }] for the intents allowed, most likely first
+    predict(text, allowed = [...this.classes.keys()]) {
+        const words = features(text).filter(feature => this.vocabulary.has(feature));
+        const scores = allowed.filter(intent => this.classes.has(intent)).map(intent => {
+            const entry = this.classes.get(intent);
+            const likelihood = words.reduce((total, feature) =>
+                total + Math.log(((entry.counts.get(feature) || 0) + 1) / (entry.words + this.vocabulary.size)), 0);
+            return { intent, score: Math.log(entry.examples / this.examples) + likelihood };
+        });
+        if (scores.length === 0) {
+            return [];
+        }
+
+        const top = Math.max(...scores.map(entry => entry.score));
+        const total = scores.reduce((sum, entry) => sum + Math.exp(entry.score - top), 0);
+        return scores
+            .map(({ intent, score }) => ({ intent, probability: Math.exp(score - top) / total }))
+            .sort((a, b) => b.probability - a.probability);
+    }
+}
+
+// Check and compile the training file; throws on the first problem so bad data fails at startup
+function compileTraining(config) {
+    if (!config || !Array.isArray(config.rules) || !Array.isArray(config.examples)) {
+        throw invalidTraining('expected "rules" and "examples" arrays');
+    }
+    if (config.symptomPatterns !== undefined && !Array.isArray(config.symptomPatterns)) {
+        throw invalidTraining('"symptomPatterns" must be an array');
+    }
+
+    const rules = config.rules.map((rule, index) => {
+        if (!rule || typeof rule.intent !== 'string' || !Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+            throw invalidTraining(`rule #${ index + 1 } needs an intent and at least one pattern`);
+        }
+        try {
+            return { intent: rule.intent, patterns: rule.patterns.map(pattern => new RegExp(pattern, 'iu')) };
+        } catch (error) {
+            throw invalidTraining(`rule #${ index + 1 } (${ rule.intent }): ${ error.message }`);
+        }
+    });
+    config.examples.forEach((example, index) => {
+        if (!example || typeof example.text !== 'string' || typeof example.intent !== 'string') {
+            throw invalidTraining(`example #${ index + 1 } needs text and an intent`);
+        }
+    });
+    let symptomPatterns;
+    try {
+        symptomPatterns = (config.symptomPatterns || []).map(pattern => new RegExp(pattern, 'iu'));
+    } catch (error) {
+        throw invalidTraining(`symptomPatterns: ${ error.message }`);
+    }
+    return { rules, examples: config.examples, symptomPatterns };
+}
+
+class IntentClassifier {
+    // options: { rules, examples } (default: INTENT_TRAINING_PATH or intentTraining.json), threshold
+    // (INTENT_CONFIDENCE_THRESHOLD, default 0.75; above 1 sends every turn to the triage LLM)
+    constructor(options = {}) {
+        let training = options.rules && options.examples ? options : null;
+        if (!training) {
+            const trainingPath = options.trainingPath || process.env.INTENT_TRAINING_PATH || DEFAULT_TRAINING_PATH;
+            try {
+                training = JSON.parse(fs.readFileSync(trainingPath, 'utf8'));
+            } catch (error) {
+                throw invalidTraining(`cannot read ${ trainingPath }: ${ error.message }`);
+            }
+        }
+
+        const { rules, examples, symptomPatterns } = compileTraining(training);
+        this.rules = rules;
+        this.symptomPatterns = symptomPatterns;
+        this.model = new NaiveBayesClassifier().train(examples);
+        const threshold = options.threshold !== undefined ? options.threshold : Number(process.env.INTENT_CONFIDENCE_THRESHOLD);
+        this.threshold = Number.isFinite(threshold) && threshold > 0 ? threshold : DEFAULT_CONFIDENCE_THRESHOLD;
+        console.log(`[Intent] Trained on ${ examples.length } examples with ${ rules.length } rules (confidence threshold ${ this.threshold })`);
+    }
+
+    // Classify a patient turn. context: { routes (the flow's ROUTE_TO_* names), preferredRoute (the route for the step
+    // the call is on), medicationNames }. Returns { route, intent, source: "rule" | "model", confidence, confident };
+    // route is the intent with a reply to the current question sent where the call is.
+    classify(text, context = {}) {
+        const allowed = [...BUILT_IN_INTENTS, ...(context.routes || []), CURRENT_STEP];
+        // The classifier alone never sends a patient to the safety script; only a rule or the LLM does. A turn that
+        // mentions symptoms or distress goes anywhere else only on the LLM's word, as it may be an emergency.
+        const symptomatic = this.mentionsSymptoms(text);
+        const toResult = (intent, source, confidence) => ({
+            route: intent === CURRENT_STEP ? context.preferredRoute || 'ROUTE_TO_FALLBACK' : intent,
+            intent,
+            source,
+            confidence,
+            confident: confidence >= this.threshold && !(source === 'model' && intent === 'ROUTE_TO_SAFETY') &&
+                !(symptomatic && intent !== 'ROUTE_TO_SAFETY')
+        });
+
+        // Distress outranks whatever else the patient mentions
+        const ruled = this.matchRules(text, allowed, context.medicationNames || []);
+        if (ruled.includes('ROUTE_TO_SAFETY') || ruled.length === 1) {
+            return toResult(ruled.includes('ROUTE_TO_SAFETY') ? 'ROUTE_TO_SAFETY' : ruled[0], 'rule', RULE_CONFIDENCE);
+        }
+
+        const [best] = this.model.predict(text, allowed);
+        return best ? toResult(best.intent, 'model', best.probability) : toResult('ROUTE_TO_FALLBACK', 'model', 0);
+    }
+
+    // Whether the text fits symptomPatterns (pain, bleeding, dizziness, distress and so on)
+    mentionsSymptoms(text) {
+        const value = normalize(text);
+        return this.symptomPatterns.some(pattern => pattern.test(value));
+    }
+
+    // Intents whose rules the text fits; naming one of the patient's medications counts for ROUTE_TO_ADHERENCE
+    matchRules(text, allowed, medicationNames) {
+        const value = normalize(text);
+        const intents = new Set(this.rules
+            .filter(rule => allowed.includes(rule.intent) && rule.patterns.some(pattern => pattern.test(value)))
+            .map(rule => rule.intent));
+        if (allowed.includes('ROUTE_TO_ADHERENCE') && medicationNames.some(name => name && value.includes(normalize(name).split(' ')[0]))) {
+            intents.add('ROUTE_TO_ADHERENCE');
+        }
+        return [...intents];
+    }
+}
+
+// The routing context for a call on the given flow step, as callTriageAgent builds it
+function routingContext(flow, stepId) {
+    const routes = Object.keys(flow.triage.routes);
+    return { routes, preferredRoute: routes.find(route => flow.triage.routes[route] === stepId) || null };
+}
+
+function ratio(part, whole) {
+    return whole === 0 ? null : part / whole;
+}
+
+// Score the classifier on labelled cases ({ text, flow, step, expected }) from intentEvaluation.json; flows is a
+// ConversationFlowLibrary. accuracy is the local guess for every case (routing during an LLM outage); confident is the
+// share of turns routed without the LLM and how often those were right. Per route: precision, recall and F1 of the
+// local guess; confusion counts expected -> predicted.
+function evaluateIntents(classifier, cases, flows) {
+    const results = cases.map(testCase => {
+        const flow = flows.get(testCase.flow);
+        if (!flow) {
+            throw new Error(`[Intent] Evaluation case "${ testCase.text }" names unknown flow "${ testCase.flow }"`);
+        }
+        const result = classifier.classify(testCase.text, routingContext(flow, testCase.step));
+        return { ...testCase, predicted: result.route, source: result.source, confidence: result.confidence, confident: result.confident };
+    });
+
+    const correct = list => list.filter(result => result.predicted === result.expected).length;
+    const confident = results.filter(result => result.confident);
+    const bySource = {};
+    ['rule', 'model'].forEach(source => {
+        const matching = results.filter(result => result.source === source);
+        bySource[source] = { cases: matching.length, accuracy: ratio(correct(matching), matching.length) };
+    });
+
+    const routes = [...new Set(results.flatMap(result => [result.expected, result.predicted]))].sort();
+    const confusion = {};
+    const intents = {};
+    routes.forEach(route => {
+        confusion[route] = {};
+        routes.forEach(predicted => {
+            const count = results.filter(result => result.expected === route && result.predicted === predicted).length;
+            if (count > 0) {
+                confusion[route][predicted] = count;
+            }
+        });
+        const truePositives = results.filter(result => result.expected === route && result.predicted === route).length;
+        const precision = ratio(truePositives, results.filter(result => result.predicted === route).length);
+        const recall = ratio(truePositives, results.filter(result => result.expected === route).length);
+        intents[route] = {
+            support: results.filter(result => result.expected === route).length,
+            precision,
+            recall,
+            f1: precision && recall ? (2 * precision * recall) / (precision + recall) : 0
+        };
+    });
+
+    return {
+        cases: results.length,
+        threshold: classifier.threshold,
+        accuracy: ratio(correct(results), results.length),
+        confident: {
+            cases: confident.length,
+            rate: ratio(confident.length, results.length),
+            accuracy: ratio(correct(confident), confident.length)
+        },
+        llmFallbackRate: ratio(results.length - confident.length, results.length),
+        bySource,
+        intents,
+        confusion,
+        misses: results.filter(result => result.predicted !== result.expected)
+    };
+}
+
+function loadEvaluationCases(evaluationPath = DEFAULT_EVALUATION_PATH) {
+    return JSON.parse(fs.readFileSync(evaluationPath, 'utf8')).cases;
+}
+
+module.exports = { IntentClassifier, NaiveBayesClassifier, CURRENT_STEP, features, routingContext, evaluateIntents, loadEvaluationCases };
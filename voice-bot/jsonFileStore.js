@@ -0,0 +1,59 @@
+// Healthcare Voice Agent - JSON Document Store
+// A single JSON document kept in a file (or only in memory when no file is given),
+// with read-modify-write changes applied one at a time.
+
+const fs = require('fs');
+
+class JsonFileStore {
+    // filePath: where to keep the document, or null to keep it in memory; initial: document used when there is no file
+    // yet, or null when the file must already exist
+    constructor(filePath, initial = {}) {
+        this.filePath = filePath || null;
+        this.initial = initial;
+        this.memory = JSON.parse(JSON.stringify(initial));
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.filePath) {
+            return JSON.parse(JSON.stringify(this.memory));
+        }
+
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath, 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT' && this.initial !== null) {
+                return JSON.parse(JSON.stringify(this.initial));
+            }
+            throw new Error(`Failed to load ${ this.filePath }: ${ error.message }`);
+        }
+    }
+
+    async save(document) {
+        if (!this.filePath) {
+            this.memory = JSON.parse(JSON.stringify(document));
+            return;
+        }
+        await fs.promises.writeFile(this.filePath, JSON.stringify(document, null, 2));
+    }
+
+    // Latest document, after any pending writes
+    async read() {
+        await this.writeQueue;
+        return this.load();
+    }
+
+    // Run a read-modify-write against the document, one at a time; resolves with the mutator's result
+    mutate(mutator) {
+        const run = this.writeQueue.then(async () => {
+            const document = await this.load();
+            const result = mutator(document);
+            await this.save(document);
+            return result;
+        });
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+}
+
+module.exports = { JsonFileStore };
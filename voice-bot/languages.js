@@ -0,0 +1,98 @@
+// Healthcare Voice Agent - Call Languages
+// Languages a follow-up call can be held in: the Azure neural voice and speech recognition locale for each, the
+// name the LLM is told to reply in, and detection of the language a patient answers in. Replies written in an
+// Indian script are told apart by their script; romanized Hindi ("haan, maine dawai le li") by common words.
+
+const DEFAULT_LANGUAGE = 'en-US';
+
+// Keyed by BCP-47 tag, which is also the recognition locale. Only Jenny (en-US) takes speaking styles;
+// "and" joins spoken lists ("Amlodipine and Atorvastatin").
+const LANGUAGES = {
+    'en-US': { name: 'English', voice: 'en-US-JennyNeural', script: 'Latn', voiceStyles: true, and: 'and' },
+    'en-IN': { name: 'English', voice: 'en-IN-NeerjaNeural', script: 'Latn', voiceStyles: false, and: 'and' },
+    'hi-IN': { name: 'Hindi', voice: 'hi-IN-SwaraNeural', script: 'Deva', voiceStyles: false, and: 'और' },
+    'mr-IN': { name: 'Marathi', voice: 'mr-IN-AarohiNeural', script: 'Deva', voiceStyles: false, and: 'आणि' },
+    'bn-IN': { name: 'Bengali', voice: 'bn-IN-TanishaaNeural', script: 'Beng', voiceStyles: false, and: 'এবং' },
+    'gu-IN': { name: 'Gujarati', voice: 'gu-IN-DhwaniNeural', script: 'Gujr', voiceStyles: false, and: 'અને' },
+    'ta-IN': { name: 'Tamil', voice: 'ta-IN-PallaviNeural', script: 'Taml', voiceStyles: false, and: 'மற்றும்' },
+    'te-IN': { name: 'Telugu', voice: 'te-IN-ShrutiNeural', script: 'Telu', voiceStyles: false, and: 'మరియు' },
+    'kn-IN': { name: 'Kannada', voice: 'kn-IN-SapnaNeural', script: 'Knda', voiceStyles: false, and: 'ಮತ್ತು' },
+    'ml-IN': { name: 'Malayalam', voice: 'ml-IN-SobhanaNeural', script: 'Mlym', voiceStyles: false, and: 'കൂടാതെ' }
+};
+
+// Unicode blocks of the scripts above
+const SCRIPT_PATTERNS = {
+    Latn: /[a-z]/gi,
+    Deva: /[\u0900-\u097F]/g,
+    Beng: /[\u0980-\u09FF]/g,
+    Gujr: /[\u0A80-\u0AFF]/g,
+    Taml: /[\u0B80-\u0BFF]/g,
+    Telu: /[\u0C00-\u0C7F]/g,
+    Knda: /[\u0C80-\u0CFF]/g,
+    Mlym: /[\u0D00-\u0D7F]/g
+};
+
+// Common romanized Hindi words that are not also English words
+const ROMANIZED_HINDI = new Set([
+    'haan', 'haanji', 'nahi', 'nahin', 'ji', 'hai', 'hain', 'maine', 'mujhe', 'mera', 'meri', 'mere', 'dawai', 'dawa',
+    'dawaai', 'kya', 'kab', 'kaise', 'theek', 'thik', 'accha', 'acha', 'abhi', 'aaj', 'liya', 'liye', 'gaya', 'gayi',
+    'raha', 'rahi', 'rahe', 'hoon', 'hun', 'bhi', 'aur', 'lekin', 'bahut', 'dard', 'kuch', 'sab', 'samay', 'roz'
+]);
+
+// A reply must be mostly one script, and plain English at least this many words, before it decides the language
+const MIN_SCRIPT_SHARE = 0.6;
+const MIN_ENGLISH_WORDS = 3;
+
+// Language by tag, with its tag as code; null when it is not one Jenny speaks
+function getLanguage(code) {
+    const language = LANGUAGES[code];
+    return language ? { code, recognitionLocale: code, ...language } : null;
+}
+
+// The patient's language when Jenny speaks it, else DEFAULT_LANGUAGE (default en-US)
+function resolveLanguage(code, env = process.env) {
+    if (code && !LANGUAGES[code]) {
+        console.warn(`[Language] Unsupported language "${ code }"; using the default`);
+    }
+    return getLanguage(code) || getLanguage(env.DEFAULT_LANGUAGE) || getLanguage(DEFAULT_LANGUAGE);
+}
+
+function isSupportedLanguage(code) {
+    return Boolean(LANGUAGES[code]);
+}
+
+// The language a patient's reply is in: { code, confidence, method } or null when the reply is too short or mixed to
+// tell. current is the call's language, kept when the reply fits it (Hindi and Marathi share a script, as do the
+// English voices); english is the English used when a reply switches from another language to English.
+function detectLanguage(text, options = {}) {
+    const current = options.current || DEFAULT_LANGUAGE;
+    const counts = Object.entries(SCRIPT_PATTERNS).map(([script, pattern]) => [script, (String(text).match(pattern) || []).length]);
+    const letters = counts.reduce((total, [, count]) => total + count, 0);
+    if (letters === 0) {
+        return null;
+    }
+    const [script, count] = counts.sort((a, b) => b[1] - a[1])[0];
+    const share = count / letters;
+    if (share < MIN_SCRIPT_SHARE) {
+        return null;
+    }
+
+    const inScript = code => LANGUAGES[code].script === script;
+    if (script !== 'Latn') {
+        const code = inScript(current) ? current : Object.keys(LANGUAGES).find(inScript);
+        return { code, confidence: Math.round(share * 100) / 100, method: 'script' };
+    }
+
+    const words = String(text).toLowerCase().match(/[a-z']+/g) || [];
+    const hindiWords = words.filter(word => ROMANIZED_HINDI.has(word)).length;
+    if (hindiWords >= 2 && hindiWords / words.length >= 0.25) {
+        return { code: 'hi-IN', confidence: Math.min(0.5 + hindiWords / words.length, 0.95), method: 'romanized' };
+    }
+    if (words.length < MIN_ENGLISH_WORDS || hindiWords > 0) {
+        return null;
+    }
+    const english = inScript(current) ? current : (options.english || DEFAULT_LANGUAGE);
+    return { code: english, confidence: Math.round(share * 100) / 100, method: 'script' };
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, getLanguage, resolveLanguage, isSupportedLanguage, detectLanguage };
@@ -0,0 +1,509 @@
+// Healthcare Voice Agent - LLM Providers
+// Common interface for chat completions, so the bot can run against Azure OpenAI, any OpenAI-compatible
+// endpoint (including locally hosted models), a scripted mock, or request/response fixtures recorded on disk
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'llm-fixtures');
+
+// What the mock says when no rule matches
+const DEFAULT_MOCK_REPLY = 'Thank you. Is there anything else I can help you with today?';
+
+// Dates the prompts carry (today, tomorrow) are masked in fixture keys so a recording replays on any day
+const DATE_PATTERNS = [
+    /\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?/g,
+    /(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday), [A-Z][a-z]+ \d{1,2}, \d{4}/g
+];
+
+// Base provider. complete() takes an OpenAI-style chat request ({ messages, tools, tool_choice, max_tokens, ... })
+// and resolves with the assistant message ({ role, content, tool_calls }). stream() resolves with the same message
+// and hands onText each piece of the reply's text as it is generated; providers that cannot stream hand it all at once.
+class LlmProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async complete(request) {
+        throw new Error(`${ this.name } LLM provider does not implement complete`);
+    }
+
+    async stream(request, onText) {
+        const message = await this.complete(request);
+        if (message && message.content) {
+            onText(message.content);
+        }
+        return message;
+    }
+}
+
+// Build the assistant message from the chunks of a streamed chat completion. Tool calls arrive in pieces keyed by
+// index: the id and name first, then the arguments a few characters at a time.
+class StreamedMessage {
+    constructor() {
+        this.content = '';
+        this.toolCalls = [];
+    }
+
+    add(delta, onText) {
+        if (delta.content) {
+            this.content += delta.content;
+            onText(delta.content);
+        }
+        (delta.tool_calls || []).forEach(part => {
+            const index = part.index || 0;
+            const call = this.toolCalls[index] || (this.toolCalls[index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+            if (part.id) call.id = part.id;
+            if (part.function && part.function.name) call.function.name += part.function.name;
+            if (part.function && part.function.arguments) call.function.arguments += part.function.arguments;
+        });
+    }
+
+    toMessage() {
+        const toolCalls = this.toolCalls.filter(Boolean);
+        return {
+            role: 'assistant',
+            content: this.content || null,
+            ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+        };
+    }
+}
+
+// Read a server-sent event stream and hand each data payload to onData, until [DONE] or the end of the stream
+function readEventStream(stream, onData) {
+    return new Promise((resolve, reject) => {
+        let buffer = '';
+        let done = false;
+        const finish = () => {
+            if (!done) {
+                done = true;
+                resolve();
+            }
+        };
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => {
+            buffer += chunk;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (done || !line.startsWith('data:')) continue;
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') {
+                    finish();
+                    return;
+                }
+                try {
+                    onData(JSON.parse(data));
+                } catch (error) {
+                    done = true;
+                    stream.destroy();
+                    reject(error);
+                    return;
+                }
+            }
+        });
+        stream.on('end', finish);
+        stream.on('close', () => {
+            if (!done) {
+                done = true;
+                reject(Object.assign(new Error('stream closed before the reply was complete'), { code: 'ECONNRESET' }));
+            }
+        });
+        stream.on('error', error => {
+            if (!done) {
+                done = true;
+                reject(error);
+            }
+        });
+    });
+}
+
+// Any server that speaks the OpenAI chat completions API: OpenAI itself, vLLM, Ollama, LM Studio, llama.cpp ...
+// Retries timeouts, dropped connections, 5xx and 429 with exponential backoff.
+class OpenAICompatibleProvider extends LlmProvider {
+    constructor(config, name = 'openai-compatible') {
+        super(name);
+        if (name === 'openai-compatible' && (!config.baseUrl || !config.model)) {
+            throw new Error('OPENAI_BASE_URL and OPENAI_MODEL are required for the openai-compatible LLM provider');
+        }
+
+        this.baseUrl = config.baseUrl ? config.baseUrl.replace(/\/+$/, '') : null;
+        this.apiKey = config.apiKey || null;
+        this.model = config.model || null;
+        this.maxRetries = config.maxRetries || 3;
+        this.retryDelayMs = config.retryDelayMs || 1000;
+        this.timeoutMs = config.timeoutMs || 30000;
+    }
+
+    endpoint() {
+        return `${ this.baseUrl }/chat/completions`;
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${ this.apiKey }`;
+        }
+        return headers;
+    }
+
+    body(request) {
+        return { model: this.model, ...request };
+    }
+
+    async complete(request) {
+        return this.withRetries(async () => {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+
+            let response;
+            try {
+                response = await axios.post(this.endpoint(), this.body(request), {
+                    headers: this.headers(),
+                    signal: controller.signal
+                });
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            if (!response.data?.choices?.[0]?.message) {
+                throw new Error(`Invalid response structure from ${ this.name }`);
+            }
+            return response.data.choices[0].message;
+        });
+    }
+
+    // The same request with stream: true. The timeout is for the wait between chunks, not the whole reply. Only a
+    // request that failed before any text was handed on is retried, so the patient never hears a sentence twice.
+    async stream(request, onText) {
+        let started = false;
+        return this.withRetries(async () => {
+            const controller = new AbortController();
+            let body = null;
+            // A stalled stream is ended with an AbortError, as a request that timed out would be
+            const abort = () => {
+                controller.abort();
+                if (body) {
+                    body.destroy(Object.assign(new Error('stream timed out'), { name: 'AbortError' }));
+                }
+            };
+            let timeoutId = setTimeout(abort, this.timeoutMs);
+            const message = new StreamedMessage();
+            try {
+                const response = await axios.post(this.endpoint(), { ...this.body(request), stream: true }, {
+                    headers: this.headers(),
+                    signal: controller.signal,
+                    responseType: 'stream'
+                });
+                body = response.data;
+                await readEventStream(body, chunk => {
+                    clearTimeout(timeoutId);
+                    timeoutId = setTimeout(abort, this.timeoutMs);
+                    const delta = chunk.choices?.[0]?.delta;
+                    if (delta) {
+                        message.add(delta, text => {
+                            started = true;
+                            onText(text);
+                        });
+                    }
+                });
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            const reply = message.toMessage();
+            if (!reply.content && !reply.tool_calls) {
+                throw new Error(`Empty streamed response from ${ this.name }`);
+            }
+            return reply;
+        }, () => !started);
+    }
+
+    // Run one API call with exponential backoff on retryable errors while canRetry() allows it
+    async withRetries(call, canRetry = () => true) {
+        let lastError;
+        for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+            try {
+                const message = await call();
+                console.log(`[LLM] ${ this.name } call successful (attempt ${ attempt + 1 })`);
+                return message;
+            } catch (error) {
+                lastError = error;
+                console.error(`[LLM] ${ this.name } API error (attempt ${ attempt + 1 }):`, error.message);
+
+                if (this.isRetryableError(error) && canRetry() && attempt < this.maxRetries - 1) {
+                    const delay = this.retryDelayMs * Math.pow(2, attempt) + Math.random() * 1000;
+                    console.log(`[LLM] Retrying in ${ delay.toFixed(0) }ms...`);
+                    await this.sleep(delay);
+                    continue;
+                }
+                break;
+            }
+        }
+
+        // The bot picks what to say to the patient from these messages
+        console.error(`[LLM] ${ this.name } API failed after all retries.`);
+        if (lastError.response?.status === 429) throw new Error('rate limit');
+        if (lastError.response?.status === 401) throw new Error('authentication');
+        if (lastError.name === 'AbortError' || lastError.name === 'CanceledError') throw new Error('timeout');
+        throw new Error('API error');
+    }
+
+    isRetryableError(error) {
+        if (['AbortError', 'CanceledError'].includes(error.name) || ['ECONNRESET', 'ETIMEDOUT'].includes(error.code)) {
+            return true;
+        }
+        if (error.response) {
+            const status = error.response.status;
+            return status >= 500 || status === 429;
+        }
+        return false;
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Azure OpenAI: the model is picked by deployment in the URL and the key goes in the api-key header
+class AzureOpenAIProvider extends OpenAICompatibleProvider {
+    constructor(config) {
+        super(config, 'azure-openai');
+        const missing = [
+            ['AZURE_OPENAI_ENDPOINT', config.endpoint],
+            ['AZURE_OPENAI_KEY', config.apiKey],
+            ['AZURE_OPENAI_DEPLOYMENT_NAME', config.deploymentName]
+        ].filter(([, value]) => !value).map(([name]) => name);
+        if (missing.length > 0) {
+            throw new Error(`Missing required environment variables for the azure-openai LLM provider: ${ missing.join(', ') }`);
+        }
+
+        this.endpointUrl = config.endpoint.endsWith('/') ? config.endpoint : `${ config.endpoint }/`;
+        this.deploymentName = config.deploymentName;
+        this.apiVersion = config.apiVersion || '2024-05-01-preview';
+    }
+
+    endpoint() {
+        return `${ this.endpointUrl }openai/deployments/${ this.deploymentName }/chat/completions?api-version=${ this.apiVersion }`;
+    }
+
+    headers() {
+        return { 'api-key': this.apiKey, 'Content-Type': 'application/json' };
+    }
+
+    body(request) {
+        return request;
+    }
+}
+
+// True when text fits a rule matcher: a substring (ignoring case), a RegExp or a function; no matcher fits anything
+function matches(matcher, text) {
+    if (matcher === undefined || matcher === null) return true;
+    if (matcher instanceof RegExp) return matcher.test(text);
+    if (typeof matcher === 'function') return Boolean(matcher(text));
+    return String(text).toLowerCase().includes(String(matcher).toLowerCase());
+}
+
+// Scripted provider for offline runs and tests, no network involved. Rules are tried in order and the first
+// whose system and lastMessage matchers fit the request replies; every request is kept in `requests`.
+class MockLlmProvider extends LlmProvider {
+    constructor(options = {}) {
+        super('mock');
+        this.rules = [];
+        this.requests = [];
+        this.fallback = options.fallback !== undefined ? options.fallback : DEFAULT_MOCK_REPLY;
+        (options.rules || []).forEach(rule => this.when(rule, rule.reply, rule));
+    }
+
+    // Load rules from a JSON script: { "rules": [{ "system", "lastMessage", "reply", "times" }], "fallback" }
+    static fromFile(filePath) {
+        let script;
+        try {
+            script = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`[LLM] Cannot read mock LLM script ${ filePath }: ${ error.message }`);
+        }
+        return new MockLlmProvider(script);
+    }
+
+    // Assistant message asking for one tool call, for scripting scheduling turns
+    static toolCall(name, args = {}) {
+        return {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{
+                id: `call_${ crypto.randomUUID() }`,
+                type: 'function',
+                function: { name, arguments: JSON.stringify(args) }
+            }]
+        };
+    }
+
+    // Reply to requests whose system prompt and last message match. The reply is text, an assistant message
+    // or a function of the request returning either; times limits how often the rule is used.
+    when(criteria, reply, { times } = {}) {
+        const rule = typeof criteria === 'function'
+            ? { test: criteria }
+            : { system: criteria.system, lastMessage: criteria.lastMessage };
+        this.rules.push({ ...rule, reply, remaining: times || Infinity });
+        return this;
+    }
+
+    async complete(request) {
+        this.requests.push(request);
+        const messages = request.messages || [];
+        const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n');
+        const last = messages.length > 0 ? messages[messages.length - 1] : null;
+        const lastMessage = last && last.role !== 'system' ? String(last.content || '') : '';
+
+        const rule = this.rules.find(candidate => candidate.remaining > 0 && (candidate.test
+            ? candidate.test(request)
+            : matches(candidate.system, system) && matches(candidate.lastMessage, lastMessage)));
+        if (rule) {
+            rule.remaining -= 1;
+        }
+
+        const reply = rule ? rule.reply : this.fallback;
+        const message = typeof reply === 'function' ? await reply(request) : reply;
+        return typeof message === 'string' ? { role: 'assistant', content: message } : { role: 'assistant', ...message };
+    }
+
+    // The scripted reply handed on a word at a time, as a model would stream it
+    async stream(request, onText) {
+        const message = await this.complete(request);
+        for (const word of String(message.content || '').match(/\S+\s*/g) || []) {
+            await Promise.resolve();
+            onText(word);
+        }
+        return message;
+    }
+}
+
+// Same JSON for the same object whatever order its keys were set in
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${ value.map(stableStringify).join(',') }]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${ Object.keys(value).sort().map(key => `${ JSON.stringify(key) }:${ stableStringify(value[key]) }`).join(',') }}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Fixture name for a request: a hash of the request with dates masked
+function fixtureKey(request) {
+    const text = DATE_PATTERNS.reduce((masked, pattern) => masked.replace(pattern, '<date>'), stableStringify(request));
+    return crypto.createHash('sha256').update(text).digest('hex').slice(0, 24);
+}
+
+// Records what another provider answers as JSON fixtures (mode "record"), or answers from those fixtures with
+// no network at all (mode "replay"); a request that was never recorded fails in replay mode.
+class RecordReplayProvider extends LlmProvider {
+    constructor(options = {}) {
+        super(options.mode === 'record' ? 'record' : 'replay');
+        this.mode = options.mode || 'replay';
+        if (!['record', 'replay'].includes(this.mode)) {
+            throw new Error(`Unknown record/replay mode: ${ this.mode }`);
+        }
+        if (this.mode === 'record' && !options.provider) {
+            throw new Error('The record LLM provider needs a provider to record from');
+        }
+
+        this.provider = options.provider || null;
+        this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    }
+
+    fixturePath(key) {
+        return path.join(this.fixturesDir, `${ key }.json`);
+    }
+
+    async complete(request) {
+        return this.answer(request, () => this.provider.complete(request));
+    }
+
+    // Recorded while streaming from the provider; a replayed reply is handed on whole. Fixtures are the same either way.
+    async stream(request, onText) {
+        const response = await this.answer(request, () => this.provider.stream(request, onText));
+        if (this.mode === 'replay' && response && response.content) {
+            onText(response.content);
+        }
+        return response;
+    }
+
+    async answer(request, ask) {
+        const key = fixtureKey(request);
+        const fixturePath = this.fixturePath(key);
+
+        if (this.mode === 'replay') {
+            if (!fs.existsSync(fixturePath)) {
+                throw new Error(`[LLM] No recorded response for request ${ key } in ${ this.fixturesDir }; record it with LLM_PROVIDER=record`);
+            }
+            const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+            console.log(`[LLM] Replayed response ${ key }`);
+            return fixture.response;
+        }
+
+        const response = await ask();
+        fs.mkdirSync(this.fixturesDir, { recursive: true });
+        const fixture = { key, provider: this.provider.name, recordedAt: new Date().toISOString(), request, response };
+        fs.writeFileSync(fixturePath, `${ JSON.stringify(fixture, null, 2) }\n`);
+        console.log(`[LLM] Recorded response ${ key }`);
+        return response;
+    }
+}
+
+// Build the provider selected by LLM_PROVIDER (defaults to Azure OpenAI)
+function createLlmProvider(env = process.env) {
+    const provider = env.LLM_PROVIDER || 'azure-openai';
+
+    if (provider === 'azure-openai') {
+        return new AzureOpenAIProvider({
+            endpoint: env.AZURE_OPENAI_ENDPOINT,
+            apiKey: env.AZURE_OPENAI_KEY,
+            deploymentName: env.AZURE_OPENAI_DEPLOYMENT_NAME,
+            apiVersion: env.AZURE_OPENAI_API_VERSION
+        });
+    }
+
+    if (provider === 'openai-compatible') {
+        return new OpenAICompatibleProvider({
+            baseUrl: env.OPENAI_BASE_URL,
+            apiKey: env.OPENAI_API_KEY,
+            model: env.OPENAI_MODEL
+        });
+    }
+
+    if (provider === 'mock') {
+        return env.LLM_MOCK_SCRIPT ? MockLlmProvider.fromFile(env.LLM_MOCK_SCRIPT) : new MockLlmProvider();
+    }
+
+    if (provider === 'record') {
+        const recorded = env.LLM_RECORD_PROVIDER || 'azure-openai';
+        if (['record', 'replay'].includes(recorded)) {
+            throw new Error(`LLM_RECORD_PROVIDER cannot be ${ recorded }`);
+        }
+        return new RecordReplayProvider({
+            mode: 'record',
+            provider: createLlmProvider({ ...env, LLM_PROVIDER: recorded }),
+            fixturesDir: env.LLM_FIXTURES_DIR
+        });
+    }
+
+    if (provider === 'replay') {
+        return new RecordReplayProvider({ mode: 'replay', fixturesDir: env.LLM_FIXTURES_DIR });
+    }
+
+    throw new Error(`Unknown LLM_PROVIDER: ${ provider }`);
+}
+
+module.exports = {
+    LlmProvider,
+    OpenAICompatibleProvider,
+    AzureOpenAIProvider,
+    MockLlmProvider,
+    RecordReplayProvider,
+    createLlmProvider,
+    fixtureKey
+};
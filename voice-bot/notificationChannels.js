@@ -0,0 +1,225 @@
+// Healthcare Voice Agent - Care-Team Notification Channels
+// Pluggable channels that deliver escalation alerts: email (Microsoft Graph), Teams incoming webhook,
+// SMS (Azure Communication Services), plus file and in-memory channels for local runs and tests.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { SEVERITIES } = require('./redFlagEngine');
+
+const TEAMS_THEME_COLORS = { emergency: 'D13438', urgent: 'F7630C', routine: '0078D4' };
+
+// Base channel. Channels override send(notification) and only receive alerts at or above their minimum severity.
+// A notification is { id, escalationId, documentId, severity, subject, text }.
+class NotificationChannel {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.minSeverity = options.minSeverity || 'routine';
+        if (!SEVERITIES.includes(this.minSeverity)) {
+            throw new Error(`Unknown minimum severity for ${ name } channel: ${ this.minSeverity }`);
+        }
+    }
+
+    // Whether alerts of this severity go out on this channel
+    accepts(severity) {
+        return SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(this.minSeverity);
+    }
+
+    async send(notification) {
+        throw new Error(`${ this.name } channel does not implement send`);
+    }
+}
+
+// Email through Microsoft Graph sendMail, using the same app registration as the calendar integration
+class EmailChannel extends NotificationChannel {
+    constructor(config) {
+        super('email', config);
+        if (!config.to || config.to.length === 0) {
+            throw new Error('ESCALATION_EMAIL_TO is required for the email notification channel');
+        }
+        if (!config.from) {
+            throw new Error('ESCALATION_EMAIL_FROM (or GRAPH_USER_ID) is required for the email notification channel');
+        }
+
+        this.to = config.to;
+        this.from = config.from;
+        this.credentials = { tenantId: config.tenantId, clientId: config.clientId, clientSecret: config.clientSecret };
+        this.graphClient = config.graphClient || null;
+    }
+
+    // Graph client built on first use, so the channel can be configured without network access
+    getGraphClient() {
+        if (!this.graphClient) {
+            const { ClientSecretCredential } = require('@azure/identity');
+            const { Client } = require('@microsoft/microsoft-graph-client');
+            const { tenantId, clientId, clientSecret } = this.credentials;
+            const credential = new ClientSecretCredential(tenantId, clientId, clientSecret);
+            this.graphClient = Client.initWithMiddleware({
+                authProvider: {
+                    getAccessToken: async () => (await credential.getToken('https://graph.microsoft.com/.default')).token
+                }
+            });
+        }
+        return this.graphClient;
+    }
+
+    async send(notification) {
+        await this.getGraphClient().api(`/users/${ this.from }/sendMail`).post({
+            message: {
+                subject: notification.subject,
+                importance: notification.severity === 'routine' ? 'normal' : 'high',
+                body: { contentType: 'Text', content: notification.text },
+                toRecipients: this.to.map(address => ({ emailAddress: { address } }))
+            },
+            saveToSentItems: false
+        });
+    }
+}
+
+// Microsoft Teams incoming webhook (MessageCard payload)
+class TeamsWebhookChannel extends NotificationChannel {
+    constructor(config) {
+        super('teams', config);
+        if (!config.webhookUrl) {
+            throw new Error('ESCALATION_TEAMS_WEBHOOK_URL is required for the teams notification channel');
+        }
+
+        this.webhookUrl = config.webhookUrl;
+        this.timeoutMs = config.timeoutMs || 15000;
+    }
+
+    async send(notification) {
+        await axios.post(this.webhookUrl, {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: notification.subject,
+            themeColor: TEAMS_THEME_COLORS[notification.severity],
+            title: notification.subject,
+            text: notification.text.replace(/\n/g, '  \n')
+        }, { timeout: this.timeoutMs });
+    }
+}
+
+// SMS through the Azure Communication Services REST API, signed with the resource access key
+class SmsChannel extends NotificationChannel {
+    constructor(config) {
+        super('sms', { ...config, minSeverity: config.minSeverity || 'urgent' });
+        const connection = /endpoint=([^;]+);accesskey=([^;]+)/i.exec(config.connectionString || '');
+        if (!connection) {
+            throw new Error('ACS_CONNECTION_STRING ("endpoint=...;accesskey=...") is required for the sms notification channel');
+        }
+        if (!config.from || !config.to || config.to.length === 0) {
+            throw new Error('ESCALATION_SMS_FROM and ESCALATION_SMS_TO are required for the sms notification channel');
+        }
+
+        this.endpoint = connection[1].replace(/\/?$/, '/');
+        this.accessKey = connection[2];
+        this.from = config.from;
+        this.to = config.to;
+        this.timeoutMs = config.timeoutMs || 15000;
+    }
+
+    // HMAC-SHA256 request signature required by Communication Services
+    signRequest(url, body) {
+        const date = new Date().toUTCString();
+        const contentHash = crypto.createHash('sha256').update(body).digest('base64');
+        const stringToSign = `POST\n${ url.pathname }${ url.search }\n${ date };${ url.host };${ contentHash }`;
+        const signature = crypto.createHmac('sha256', Buffer.from(this.accessKey, 'base64')).update(stringToSign).digest('base64');
+        return {
+            'x-ms-date': date,
+            'x-ms-content-sha256': contentHash,
+            Authorization: `HMAC-SHA256 SignedHeaders=x-ms-date;host;x-ms-content-sha256&Signature=${ signature }`,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    async send(notification) {
+        const url = new URL('sms?api-version=2021-03-07', this.endpoint);
+        // Text messages carry the subject only; the full excerpt is in the escalation queue
+        const body = JSON.stringify({
+            from: this.from,
+            smsRecipients: this.to.map(to => ({ to })),
+            message: `${ notification.subject }. Details: /api/escalations/${ notification.escalationId }`
+        });
+        await axios.post(url.toString(), body, { headers: this.signRequest(url, body), timeout: this.timeoutMs });
+    }
+}
+
+// Appends each alert as a line of JSON to a local file
+class FileChannel extends NotificationChannel {
+    constructor(config = {}) {
+        super('file', config);
+        this.filePath = config.filePath || path.join(__dirname, 'escalation-notifications.log');
+    }
+
+    async send(notification) {
+        const line = JSON.stringify({ ...notification, sentAt: new Date().toISOString() });
+        await fs.promises.appendFile(this.filePath, `${ line }\n`);
+    }
+}
+
+// Keeps alerts in memory; set fail to an Error to simulate a delivery failure
+class MemoryChannel extends NotificationChannel {
+    constructor(config = {}) {
+        super(config.name || 'memory', config);
+        this.sent = [];
+        this.fail = null;
+    }
+
+    async send(notification) {
+        if (this.fail) {
+            throw this.fail;
+        }
+        this.sent.push(notification);
+    }
+}
+
+function listOf(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Build the channels named in ESCALATION_CHANNELS (comma separated, defaults to "file")
+function createNotificationChannels(env = process.env) {
+    const names = env.ESCALATION_CHANNELS === undefined ? ['file'] : listOf(env.ESCALATION_CHANNELS);
+    const minSeverity = name => env[`ESCALATION_${ name.toUpperCase() }_MIN_SEVERITY`] || undefined;
+
+    return names.map(name => {
+        switch (name) {
+        case 'email':
+            return new EmailChannel({
+                minSeverity: minSeverity(name),
+                to: listOf(env.ESCALATION_EMAIL_TO),
+                from: env.ESCALATION_EMAIL_FROM || env.GRAPH_USER_ID,
+                tenantId: env.GRAPH_TENANT_ID,
+                clientId: env.GRAPH_CLIENT_ID,
+                clientSecret: env.GRAPH_CLIENT_SECRET
+            });
+        case 'teams':
+            return new TeamsWebhookChannel({ minSeverity: minSeverity(name), webhookUrl: env.ESCALATION_TEAMS_WEBHOOK_URL });
+        case 'sms':
+            return new SmsChannel({
+                minSeverity: minSeverity(name),
+                connectionString: env.ACS_CONNECTION_STRING,
+                from: env.ESCALATION_SMS_FROM,
+                to: listOf(env.ESCALATION_SMS_TO)
+            });
+        case 'file':
+            return new FileChannel({ minSeverity: minSeverity(name), filePath: env.ESCALATION_FILE_PATH });
+        case 'memory':
+            return new MemoryChannel({ minSeverity: minSeverity(name) });
+        default:
+            throw new Error(`Unknown escalation notification channel: ${ name }`);
+        }
+    });
+}
+
+module.exports = {
+    NotificationChannel,
+    EmailChannel,
+    TeamsWebhookChannel,
+    SmsChannel,
+    FileChannel,
+    MemoryChannel,
+    createNotificationChannels
+};
@@ -0,0 +1,159 @@
+// Healthcare Voice Agent - Notification Outbox
+// Care-team alerts are written to the outbox first and delivered from there, one entry per channel,
+// so an alert is never lost when a channel is down: failed deliveries are retried with backoff.
+
+const crypto = require('crypto');
+const path = require('path');
+const { JsonFileStore } = require('./jsonFileStore');
+
+const MINUTE_MS = 60 * 1000;
+
+class NotificationOutbox {
+    constructor(channels = [], options = {}) {
+        this.channels = channels;
+
+        const env = process.env;
+        const filePath = options.filePath !== undefined
+            ? options.filePath
+            : env.NOTIFICATION_OUTBOX_PATH || path.join(__dirname, 'notificationOutbox.json');
+        this.store = new JsonFileStore(filePath, { notifications: [] });
+
+        this.config = {
+            maxAttempts: options.maxAttempts || Number(env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+            retryBaseDelayMs: options.retryBaseDelayMs ?? (Number(env.NOTIFICATION_RETRY_BASE_DELAY_MS) || MINUTE_MS),
+            pollIntervalMs: options.pollIntervalMs || Number(env.NOTIFICATION_POLL_INTERVAL_MS) || MINUTE_MS
+        };
+
+        this.timer = null;
+        this.flushing = null;
+        // Set when flush is asked for during a delivery run, which then looks again for entries queued meanwhile
+        this.flushRequested = false;
+    }
+
+    // Queue an alert on every channel that takes its severity, then start delivering in the background
+    async enqueue(alert) {
+        const now = new Date().toISOString();
+        const entries = this.channels
+            .filter(channel => channel.accepts(alert.severity))
+            .map(channel => ({
+                id: crypto.randomUUID(),
+                escalationId: alert.escalationId,
+                documentId: alert.documentId,
+                channel: channel.name,
+                severity: alert.severity,
+                subject: alert.subject,
+                text: alert.text,
+                status: 'pending',
+                attempts: 0,
+                createdAt: now,
+                nextAttemptAt: now
+            }));
+
+        if (entries.length === 0) {
+            console.warn(`[Outbox] No notification channel takes ${ alert.severity } alerts; escalation ${ alert.escalationId } is only in the queue`);
+            return [];
+        }
+
+        await this.store.mutate(document => document.notifications.push(...entries));
+        this.flush().catch(error => console.error('[Outbox] Delivery run failed:', error.message));
+        return entries;
+    }
+
+    // Deliver every pending entry that is due; only one delivery run at a time. An entry queued during a run is
+    // delivered by that run before it resolves, rather than waiting for the next poll.
+    flush() {
+        if (this.flushing) {
+            this.flushRequested = true;
+            return this.flushing;
+        }
+        this.flushing = (async () => {
+            let delivered = 0;
+            do {
+                this.flushRequested = false;
+                delivered += await this.deliverDue();
+            } while (this.flushRequested);
+            return delivered;
+        })().finally(() => {
+            this.flushing = null;
+        });
+        return this.flushing;
+    }
+
+    async deliverDue() {
+        const now = Date.now();
+        const { notifications } = await this.store.read();
+        const due = notifications.filter(entry => entry.status === 'pending' && Date.parse(entry.nextAttemptAt) <= now);
+
+        for (const entry of due) {
+            const result = await this.deliver(entry);
+            await this.store.mutate(document => {
+                const stored = document.notifications.find(notification => notification.id === entry.id);
+                if (stored) {
+                    Object.assign(stored, result);
+                }
+            });
+        }
+        return due.length;
+    }
+
+    // Send one entry; returns the fields to store (sent, or a retry time / failed after the last attempt)
+    async deliver(entry) {
+        const attempts = entry.attempts + 1;
+        const channel = this.channels.find(candidate => candidate.name === entry.channel);
+
+        try {
+            if (!channel) {
+                throw new Error(`channel ${ entry.channel } is not configured`);
+            }
+            await channel.send({
+                id: entry.id,
+                escalationId: entry.escalationId,
+                documentId: entry.documentId,
+                severity: entry.severity,
+                subject: entry.subject,
+                text: entry.text
+            });
+            console.log(`[Outbox] Sent ${ entry.severity } alert for escalation ${ entry.escalationId } via ${ entry.channel }`);
+            return { status: 'sent', attempts, sentAt: new Date().toISOString(), lastError: null };
+        } catch (error) {
+            if (attempts >= this.config.maxAttempts) {
+                console.error(`[Outbox] Giving up on ${ entry.channel } alert ${ entry.id } after ${ attempts } attempts:`, error.message);
+                return { status: 'failed', attempts, lastError: error.message };
+            }
+
+            const delay = this.config.retryBaseDelayMs * Math.pow(2, attempts - 1);
+            console.warn(`[Outbox] ${ entry.channel } alert ${ entry.id } failed (attempt ${ attempts }), retrying in ${ delay }ms:`, error.message);
+            return { attempts, lastError: error.message, nextAttemptAt: new Date(Date.now() + delay).toISOString() };
+        }
+    }
+
+    // Outbox entries, newest first; criteria: { status, escalationId, channel }
+    async list(criteria = {}) {
+        const { notifications } = await this.store.read();
+        return notifications
+            .filter(entry => Object.entries(criteria).every(([key, value]) => value === undefined || entry[key] === value))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Deliver anything left over from the last run, then retry due deliveries on a timer
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        const run = () => this.flush().catch(error => console.error('[Outbox] Delivery run failed:', error.message));
+        this.timer = setInterval(run, this.config.pollIntervalMs);
+        this.timer.unref();
+        run();
+        console.log(`[Outbox] Delivering through ${ this.channels.map(channel => channel.name).join(', ') || 'no channels' } (retry poll every ${ this.config.pollIntervalMs }ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = { NotificationOutbox };
@@ -0,0 +1,83 @@
+// Healthcare Voice Agent - Nurse Takeover
+// Lets a nurse step into a live conversation: the bot stops replying, the nurse's messages reach the
+// patient through the channel they are already on, and the nurse hands control back when done.
+
+function takeoverError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function requireField(value, field, message) {
+    if (typeof value !== 'string' || !value.trim()) {
+        const error = takeoverError(400, 'Takeover request failed validation');
+        error.fields = [{ field, message }];
+        throw error;
+    }
+    return value.trim();
+}
+
+class NurseTakeover {
+    constructor(sessionManager) {
+        this.sessionManager = sessionManager;
+    }
+
+    getSession(conversationId) {
+        const session = this.sessionManager.getSession(conversationId);
+        if (!session) {
+            throw takeoverError(404, `Session ${ conversationId } not found`);
+        }
+        return session;
+    }
+
+    // The session, checked to be under takeover by this nurse
+    getTakenOverSession(conversationId, nurse) {
+        const session = this.getSession(conversationId);
+        const { takeover } = session.bot;
+        if (!takeover) {
+            throw takeoverError(409, `Conversation ${ conversationId } is not under nurse takeover`);
+        }
+        if (takeover.nurse !== nurse) {
+            throw takeoverError(409, `Conversation ${ conversationId } is taken over by ${ takeover.nurse }`);
+        }
+        return session;
+    }
+
+    // Pause the bot and give the conversation to the nurse; an optional first message goes straight to the patient
+    async takeOver(conversationId, { nurse, message } = {}) {
+        nurse = requireField(nurse, 'nurse', 'is required (the nurse taking over)');
+        const session = this.getSession(conversationId);
+        if (session.bot.takeover) {
+            throw takeoverError(409, `Conversation ${ conversationId } is already taken over by ${ session.bot.takeover.nurse }`);
+        }
+
+        session.bot.beginTakeover(nurse);
+        if (message && message.trim()) {
+            await this.say(conversationId, { nurse, text: message });
+        }
+        return session.bot.takeover;
+    }
+
+    // Send the nurse's words to the patient (typed, or speech recognised in the supervisor console)
+    async say(conversationId, { nurse, text } = {}) {
+        nurse = requireField(nurse, 'nurse', 'is required (the nurse sending the message)');
+        text = requireField(text, 'text', 'is required');
+        const session = this.getTakenOverSession(conversationId, nurse);
+
+        const entry = session.bot.addNurseMessage(text);
+        await this.sessionManager.deliverToPatient(conversationId, text, nurse);
+        return entry;
+    }
+
+    // Give the conversation back to the bot, which picks up where the call stands
+    async handBack(conversationId, { nurse } = {}) {
+        nurse = requireField(nurse, 'nurse', 'is required (the nurse handing back)');
+        const session = this.getTakenOverSession(conversationId, nurse);
+
+        const resumeMessage = session.bot.endTakeover();
+        await this.sessionManager.deliverToPatient(conversationId, resumeMessage, 'Jenny');
+        return { resumeMessage };
+    }
+}
+
+module.exports = { NurseTakeover };
@@ -1,37 +1,124 @@
 // Healthcare Voice Agent - Patient Data Loader and Bot Factory
 // This file handles loading patient data and creating personalized bot instances
 
-const fs = require('fs');
-const path = require('path');
 const { EchoBot } = require('./bot');
+const { createPatientRepository, mergeDeep } = require('./patientRepository');
+const { validatePatient, withPatientDefaults } = require('./patientSchema');
+const { ConversationFlowLibrary } = require('./conversationFlow');
+const { LANGUAGES, isSupportedLanguage } = require('./languages');
+
+// Error raised when a patient record fails schema validation; carries field-level errors
+function validationError(errors) {
+    const error = new Error('Patient record failed validation');
+    error.statusCode = 400;
+    error.fields = errors;
+    return error;
+}
+
+// Validate a record and throw a 400 error listing every invalid field
+function assertValidPatient(record) {
+    const { valid, errors } = validatePatient(record);
+    if (!valid) {
+        throw validationError(errors);
+    }
+}
 
 class PatientBotFactory {
-    constructor() {
-        this.patientsFilePath = path.join(__dirname, 'patients.json');
-        this.patientsData = this.loadPatientData();
-    }
-
-    loadPatientData() {
-        try {
-            const data = fs.readFileSync(this.patientsFilePath, 'utf-8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.error('[Factory] Error loading patient data:', error.message);
-            throw new Error('Failed to load patient data');
+    constructor(repository = createPatientRepository(), options = {}) {
+        // Patient storage (JSON file or SQLite, chosen by PATIENT_STORE)
+        this.repository = repository;
+        // Care-team escalation queue handed to every bot, so red flags reach the nurses
+        this.escalationQueue = options.escalationQueue || null;
+        // Follow-up call protocols; a patient's followUpProtocol picks one, otherwise the default runs
+        this.flowLibrary = options.flowLibrary || new ConversationFlowLibrary();
+        // LLM provider shared by every bot; without one the bots use the LLM_PROVIDER default
+        this.llmProvider = options.llmProvider || null;
+        // Finished calls are saved here for review and transcript evaluation
+        this.transcriptStore = options.transcriptStore || null;
+    }
+
+    // Validate a record and check its follow-up protocol is one the clinic has defined and its language one Jenny speaks
+    assertValidRecord(record) {
+        assertValidPatient(record);
+        if (record.followUpProtocol !== undefined && !this.flowLibrary.has(record.followUpProtocol)) {
+            const ids = this.flowLibrary.list().map(flow => flow.id);
+            throw validationError([{ field: 'followUpProtocol', message: `must be one of ${ ids.join(', ') }` }]);
         }
+        if (record.preferredLanguage !== undefined && !isSupportedLanguage(record.preferredLanguage)) {
+            throw validationError([{ field: 'preferredLanguage', message: `must be one of ${ Object.keys(LANGUAGES).join(', ') }` }]);
+        }
+    }
+
+    // Open the underlying patient store
+    async init() {
+        await this.repository.init();
+    }
+
+    // List patients, optionally filtered by repository criteria
+    async listPatients(criteria = {}) {
+        return this.repository.queryPatients(criteria);
     }
 
     // Get all patients who need follow-up calls
-    getPatientsNeedingCalls() {
-        return this.patientsData.filter(patient =>
-            !patient.followUpCall.callCompleted &&
-            !patient.followUpCall.callInitiated
-        );
+    async getPatientsNeedingCalls() {
+        return this.repository.queryPatients({ callCompleted: false, callInitiated: false });
     }
 
     // Get a specific patient by DocumentID
-    getPatientById(documentId) {
-        return this.patientsData.find(patient => patient.DocumentID === documentId);
+    async getPatientById(documentId) {
+        return this.repository.getPatient(documentId);
+    }
+
+    // Find a patient by their E.164 phone number
+    async getPatientByPhoneNumber(phoneNumber) {
+        const [patient] = await this.repository.queryPatients({ phoneNumber });
+        return patient || null;
+    }
+
+    // Admit a new patient record; a DocumentID is generated when none is supplied
+    async createPatient(record) {
+        const patient = withPatientDefaults(record || {});
+        this.assertValidRecord(patient);
+
+        const created = await this.repository.createPatient(patient);
+        console.log(`[Factory] Created patient: ${ created.patientName } (${ created.DocumentID })`);
+        return created;
+    }
+
+    // Replace a patient record in full (PUT semantics)
+    async replacePatient(documentId, record) {
+        if (record && record.DocumentID && record.DocumentID !== documentId) {
+            throw validationError([{ field: 'DocumentID', message: 'does not match the patient being replaced' }]);
+        }
+
+        const patient = { ...record, DocumentID: documentId };
+        this.assertValidRecord(patient);
+        return this.repository.replacePatient(documentId, patient);
+    }
+
+    // Apply a partial update (PATCH semantics); the merged record must still be valid
+    async patchPatient(documentId, changes) {
+        if (changes && changes.DocumentID && changes.DocumentID !== documentId) {
+            throw validationError([{ field: 'DocumentID', message: 'cannot be changed' }]);
+        }
+
+        const existing = await this.repository.getPatient(documentId);
+        if (!existing) {
+            return null;
+        }
+
+        const merged = mergeDeep(existing, changes);
+        this.assertValidRecord(merged);
+        return this.repository.replacePatient(documentId, merged);
+    }
+
+    // Remove a patient record
+    async deletePatient(documentId) {
+        const deleted = await this.repository.deletePatient(documentId);
+        if (deleted) {
+            console.log(`[Factory] Deleted patient: ${ documentId }`);
+        }
+        return deleted;
     }
 
     // Create a bot instance for a specific patient
@@ -41,12 +128,47 @@ class PatientBotFactory {
         }
 
         console.log(`[Factory] Creating bot for patient: ${patientRecord.patientName} (${patientRecord.DocumentID})`);
-        return new EchoBot(patientRecord);
+        return new EchoBot(patientRecord, {
+            patientRepository: this.repository,
+            escalationQueue: this.escalationQueue,
+            flowLibrary: this.flowLibrary,
+            llmProvider: this.llmProvider,
+            transcriptStore: this.transcriptStore
+        });
+    }
+
+    // Record that a follow-up call has been started for a patient
+    async markCallInitiated(documentId) {
+        const patient = await this.repository.updatePatient(documentId, {
+            followUpCall: {
+                callInitiated: true,
+                callTimestamp: new Date().toISOString()
+            }
+        });
+
+        console.log(`[Factory] Call initiated for patient: ${ patient.patientName } (${ documentId })`);
+        return patient;
+    }
+
+    // Append a dial attempt (time, outcome, conversation) to the patient's call history
+    async recordCallAttempt(documentId, attempt) {
+        await this.repository.appendCallAttempt(documentId, attempt);
+        console.log(`[Factory] Recorded call attempt for ${ documentId }: ${ attempt.outcome }`);
+        return attempt;
+    }
+
+    // Update the call attempt made for a conversation (outcome, end time, ...)
+    async updateCallAttempt(documentId, conversationId, changes) {
+        const attempt = await this.repository.updateCallAttempt(documentId, conversationId, changes);
+        if (!attempt) {
+            console.warn(`[Factory] No call attempt for conversation ${ conversationId }`);
+        }
+        return attempt;
     }
 
     // Get the next patient who needs a call (for demo purposes)
-    getNextPatientForCall() {
-        const patientsNeeding = this.getPatientsNeedingCalls();
+    async getNextPatientForCall() {
+        const patientsNeeding = await this.getPatientsNeedingCalls();
         if (patientsNeeding.length === 0) {
             console.log('[Factory] No patients currently need follow-up calls');
             return null;
@@ -58,11 +180,9 @@ class PatientBotFactory {
     }
 
     // Simulate selecting a patient for calling (for demo/testing)
-    selectPatientForDemo(patientName = null) {
+    async selectPatientForDemo(patientName = null) {
         if (patientName) {
-            const patient = this.patientsData.find(p =>
-                p.patientName.toLowerCase().includes(patientName.toLowerCase())
-            );
+            const [patient] = await this.repository.queryPatients({ nameContains: patientName });
             if (patient) {
                 console.log(`[Factory] Selected patient: ${patient.patientName} for demo`);
                 return patient;
@@ -70,25 +190,27 @@ class PatientBotFactory {
         }
 
         // Default to random patient for demo
-        const randomIndex = Math.floor(Math.random() * this.patientsData.length);
-        const demoPatient = this.patientsData[randomIndex];
+        const patients = await this.repository.queryPatients();
+        const randomIndex = Math.floor(Math.random() * patients.length);
+        const demoPatient = patients[randomIndex];
         console.log(`[Factory] Using random demo patient: ${demoPatient.patientName}`);
         return demoPatient;
     }
 
     // Get patient statistics
-    getPatientStats() {
-        const total = this.patientsData.length;
-        const callsCompleted = this.patientsData.filter(p => p.followUpCall.callCompleted).length;
-        const callsInitiated = this.patientsData.filter(p => p.followUpCall.callInitiated && !p.followUpCall.callCompleted).length;
-        const callsPending = this.patientsData.filter(p => !p.followUpCall.callInitiated).length;
+    async getPatientStats() {
+        const patients = await this.repository.queryPatients();
+        const total = patients.length;
+        const callsCompleted = patients.filter(p => p.followUpCall.callCompleted).length;
+        const callsInitiated = patients.filter(p => p.followUpCall.callInitiated && !p.followUpCall.callCompleted).length;
+        const callsPending = patients.filter(p => !p.followUpCall.callInitiated).length;
 
         return {
             total,
             callsCompleted,
             callsInitiated,
             callsPending,
-            appointmentsScheduled: this.patientsData.filter(p => p.followUpAppointment.scheduled).length
+            appointmentsScheduled: patients.filter(p => p.followUpAppointment.scheduled).length
         };
     }
 }
@@ -99,23 +221,26 @@ module.exports = { PatientBotFactory };
 // Example usage for testing/demo (uncomment to test)
 /*
 if (require.main === module) {
-    const factory = new PatientBotFactory();
-
-    // Show statistics
-    console.log('\n=== Patient Statistics ===');
-    console.log(factory.getPatientStats());
-
-    // Get next patient for call
-    const patientForCall = factory.getNextPatientForCall();
-    if (patientForCall) {
-        console.log(`\n=== Next Patient for Call ===`);
-        console.log(`Name: ${patientForCall.patientName}`);
-        console.log(`Doctor: Dr. ${patientForCall.doctorName}`);
-        console.log(`Medication: ${patientForCall.prescriptions[0].medicationName} ${patientForCall.prescriptions[0].dosage}`);
-
-        // Create bot for this patient
-        const bot = factory.createBotForPatient(patientForCall);
-        console.log(`Bot created successfully for ${patientForCall.patientName}`);
-    }
+    (async () => {
+        const factory = new PatientBotFactory();
+        await factory.init();
+
+        // Show statistics
+        console.log('\n=== Patient Statistics ===');
+        console.log(await factory.getPatientStats());
+
+        // Get next patient for call
+        const patientForCall = await factory.getNextPatientForCall();
+        if (patientForCall) {
+            console.log(`\n=== Next Patient for Call ===`);
+            console.log(`Name: ${patientForCall.patientName}`);
+            console.log(`Doctor: Dr. ${patientForCall.doctorName}`);
+            console.log(`Medication: ${patientForCall.prescriptions[0].medicationName} ${patientForCall.prescriptions[0].dosage}`);
+
+            // Create bot for this patient
+            const bot = factory.createBotForPatient(patientForCall);
+            console.log(`Bot created successfully for ${patientForCall.patientName}`);
+        }
+    })();
 }
 */
@@ -0,0 +1,257 @@
+// Healthcare Voice Agent - Patient Repository
+// Storage interface for patient records shared by PatientBotFactory and EchoBot,
+// with a JSON-file implementation. The SQLite implementation lives in sqlitePatientRepository.js.
+
+const path = require('path');
+const { JsonFileStore } = require('./jsonFileStore');
+
+// Base repository. Implementations return copies of records, never live references.
+class PatientRepository {
+    // Prepare the store (open files, create schema). Safe to call more than once.
+    async init() {}
+
+    // Patient record by DocumentID, or null
+    async getPatient(documentId) {
+        throw new Error('getPatient is not implemented');
+    }
+
+    // Patients matching criteria: { documentId, mrn, phoneNumber, nameContains, callInitiated, callCompleted }
+    async queryPatients(criteria = {}) {
+        throw new Error('queryPatients is not implemented');
+    }
+
+    // Insert a new patient record; fails with 409 if the DocumentID already exists
+    async createPatient(record) {
+        throw new Error('createPatient is not implemented');
+    }
+
+    // Replace a whole patient record and return it
+    async replacePatient(documentId, record) {
+        throw new Error('replacePatient is not implemented');
+    }
+
+    // Deep-merge changes into a patient record and return the updated record
+    async updatePatient(documentId, changes) {
+        throw new Error('updatePatient is not implemented');
+    }
+
+    // Remove a patient record; resolves false if it did not exist
+    async deletePatient(documentId) {
+        throw new Error('deletePatient is not implemented');
+    }
+
+    // Append red flags to followUpCall.redFlags in one step and return the updated record
+    async appendRedFlags(documentId, flags) {
+        throw new Error('appendRedFlags is not implemented');
+    }
+
+    // Append a call attempt to followUpCall.callAttempts and return it
+    async appendCallAttempt(documentId, attempt) {
+        throw new Error('appendCallAttempt is not implemented');
+    }
+
+    // Merge changes into the call attempt made for a conversation; null if there is none
+    async updateCallAttempt(documentId, conversationId, changes) {
+        throw new Error('updateCallAttempt is not implemented');
+    }
+}
+
+// Whether a patient record satisfies query criteria
+function matchesCriteria(patient, criteria = {}) {
+    if (criteria.documentId !== undefined && patient.DocumentID !== criteria.documentId) {
+        return false;
+    }
+    if (criteria.mrn !== undefined && patient.mrn !== criteria.mrn) {
+        return false;
+    }
+    if (criteria.phoneNumber !== undefined && patient.phoneNumber !== criteria.phoneNumber) {
+        return false;
+    }
+    if (criteria.nameContains !== undefined &&
+        !patient.patientName.toLowerCase().includes(criteria.nameContains.toLowerCase())) {
+        return false;
+    }
+    if (criteria.callInitiated !== undefined && Boolean(patient.followUpCall.callInitiated) !== criteria.callInitiated) {
+        return false;
+    }
+    if (criteria.callCompleted !== undefined && Boolean(patient.followUpCall.callCompleted) !== criteria.callCompleted) {
+        return false;
+    }
+    return true;
+}
+
+// Recursively merge plain objects; arrays and other values in `changes` replace the original
+function mergeDeep(target, changes) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(changes || {})) {
+        const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+        const targetIsPlainObject = result[key] && typeof result[key] === 'object' && !Array.isArray(result[key]);
+        result[key] = isPlainObject && targetIsPlainObject ? mergeDeep(result[key], value) : value;
+    }
+    return result;
+}
+
+function notFound(documentId) {
+    const error = new Error(`Patient ${ documentId } not found`);
+    error.statusCode = 404;
+    return error;
+}
+
+function alreadyExists(documentId) {
+    const error = new Error(`Patient ${ documentId } already exists`);
+    error.statusCode = 409;
+    return error;
+}
+
+// Patients stored as a JSON array in a single file (the original patients.json format).
+// The file is re-read on every operation and writes are serialized (see jsonFileStore.js), so every reader sees the
+// latest data. The file must exist; it is never created empty.
+class JsonFilePatientRepository extends PatientRepository {
+    constructor(filePath = path.join(__dirname, 'patients.json')) {
+        super();
+        this.filePath = filePath;
+        this.store = new JsonFileStore(filePath, null);
+    }
+
+    async init() {
+        await this.readAll();
+    }
+
+    async readAll() {
+        try {
+            return await this.store.read();
+        } catch (error) {
+            console.error('[PatientRepository] Error loading patient data:', error.message);
+            throw new Error('Failed to load patient data');
+        }
+    }
+
+    // Run a read-modify-write against the file, one at a time
+    mutate(mutator) {
+        return this.store.mutate(mutator);
+    }
+
+    async getPatient(documentId) {
+        const patients = await this.readAll();
+        return patients.find(patient => patient.DocumentID === documentId) || null;
+    }
+
+    async queryPatients(criteria = {}) {
+        const patients = await this.readAll();
+        return patients.filter(patient => matchesCriteria(patient, criteria));
+    }
+
+    async createPatient(record) {
+        return this.mutate(patients => {
+            if (patients.some(patient => patient.DocumentID === record.DocumentID)) {
+                throw alreadyExists(record.DocumentID);
+            }
+
+            patients.push(record);
+            return record;
+        });
+    }
+
+    async replacePatient(documentId, record) {
+        return this.mutate(patients => {
+            const index = patients.findIndex(patient => patient.DocumentID === documentId);
+            if (index === -1) {
+                throw notFound(documentId);
+            }
+
+            patients[index] = { ...record, DocumentID: documentId };
+            return patients[index];
+        });
+    }
+
+    async deletePatient(documentId) {
+        return this.mutate(patients => {
+            const index = patients.findIndex(patient => patient.DocumentID === documentId);
+            if (index === -1) {
+                return false;
+            }
+
+            patients.splice(index, 1);
+            return true;
+        });
+    }
+
+    async updatePatient(documentId, changes) {
+        return this.mutate(patients => {
+            const index = patients.findIndex(patient => patient.DocumentID === documentId);
+            if (index === -1) {
+                throw notFound(documentId);
+            }
+
+            patients[index] = mergeDeep(patients[index], changes);
+            return patients[index];
+        });
+    }
+
+    async appendRedFlags(documentId, flags) {
+        return this.mutate(patients => {
+            const patient = patients.find(p => p.DocumentID === documentId);
+            if (!patient) {
+                throw notFound(documentId);
+            }
+
+            patient.followUpCall.redFlags = [...(patient.followUpCall.redFlags || []), ...flags];
+            return patient;
+        });
+    }
+
+    async appendCallAttempt(documentId, attempt) {
+        return this.mutate(patients => {
+            const patient = patients.find(p => p.DocumentID === documentId);
+            if (!patient) {
+                throw notFound(documentId);
+            }
+
+            patient.followUpCall.callAttempts = patient.followUpCall.callAttempts || [];
+            patient.followUpCall.callAttempts.push(attempt);
+            return attempt;
+        });
+    }
+
+    async updateCallAttempt(documentId, conversationId, changes) {
+        return this.mutate(patients => {
+            const patient = patients.find(p => p.DocumentID === documentId);
+            const attempt = patient && (patient.followUpCall.callAttempts || []).find(a => a.conversationId === conversationId);
+            if (!attempt) {
+                return null;
+            }
+
+            Object.assign(attempt, changes);
+            return attempt;
+        });
+    }
+}
+
+// Build the repository selected by PATIENT_STORE ("json" by default, or "sqlite")
+function createPatientRepository(env = process.env) {
+    const store = env.PATIENT_STORE || 'json';
+
+    if (store === 'json') {
+        return new JsonFilePatientRepository(env.PATIENT_STORE_PATH || path.join(__dirname, 'patients.json'));
+    }
+
+    if (store === 'sqlite') {
+        const { SqlitePatientRepository } = require('./sqlitePatientRepository');
+        return new SqlitePatientRepository({
+            dbPath: env.PATIENT_STORE_PATH || path.join(__dirname, 'patients.db'),
+            seedFile: env.PATIENT_SEED_FILE || path.join(__dirname, 'patients.json')
+        });
+    }
+
+    throw new Error(`Unknown PATIENT_STORE: ${ store }`);
+}
+
+module.exports = {
+    PatientRepository,
+    notFound,
+    alreadyExists,
+    JsonFilePatientRepository,
+    createPatientRepository,
+    matchesCriteria,
+    mergeDeep
+};
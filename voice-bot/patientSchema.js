@@ -0,0 +1,98 @@
+// Healthcare Voice Agent - Patient Record Schema
+// Validates patient records against patient.schema.json and reports field-level errors
+
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const PATIENT_SCHEMA = require('./patient.schema.json');
+
+// True for a time zone Intl knows (IANA names such as "Asia/Kolkata"); calling-hour checks throw on anything else
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone }).format();
+        return typeof timeZone === 'string' && timeZone.length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+ajv.addFormat('iana-time-zone', isValidTimeZone);
+const validateAgainstSchema = ajv.compile(PATIENT_SCHEMA);
+
+// Friendlier messages for fields whose raw schema errors are hard to act on
+const FIELD_MESSAGES = {
+    DocumentID: 'must be 6-64 letters, digits, "_" or "-"',
+    phoneNumber: 'must be an E.164 phone number, e.g. +919988776655',
+    dischargeDate: 'must be an ISO 8601 date-time, e.g. 2025-07-13T11:00:00Z',
+    dateOfBirth: 'must be an ISO 8601 date, e.g. 1956-03-05',
+    timeZone: 'must be an IANA time zone, e.g. Asia/Kolkata'
+};
+
+const DOCUMENT_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Generate a 19-character ID in the same style as the existing DocumentIDs
+function generateDocumentId() {
+    const bytes = crypto.randomBytes(19);
+    return Array.from(bytes, byte => DOCUMENT_ID_ALPHABET[byte % DOCUMENT_ID_ALPHABET.length]).join('');
+}
+
+// Fill in the call-tracking fields a newly admitted record starts with
+function withPatientDefaults(record) {
+    return {
+        ...record,
+        DocumentID: record.DocumentID || generateDocumentId(),
+        followUpWindowWeeks: record.followUpWindowWeeks ?? 2,
+        followUpCall: {
+            callInitiated: false,
+            callCompleted: false,
+            callTimestamp: null,
+            adherenceAnswers: {
+                filledPrescription: null,
+                missedDoses: null,
+                sideEffects: null
+            },
+            callTranscriptUrl: null,
+            ...record.followUpCall
+        },
+        followUpAppointment: {
+            scheduled: false,
+            appointmentDateTime: null,
+            confirmationSent: false,
+            ...record.followUpAppointment
+        }
+    };
+}
+
+// Convert an Ajv error into { field, message } using dotted field paths
+function toFieldError(error) {
+    let field = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    if (error.keyword === 'required') {
+        field = field ? `${ field }.${ error.params.missingProperty }` : error.params.missingProperty;
+        return { field, message: 'is required' };
+    }
+
+    const message = (['pattern', 'format'].includes(error.keyword) && FIELD_MESSAGES[field]) || error.message;
+    return { field, message };
+}
+
+// Validate a complete patient record; returns { valid, errors: [{ field, message }] }
+function validatePatient(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { valid: false, errors: [{ field: '', message: 'must be a JSON object' }] };
+    }
+
+    if (validateAgainstSchema(record)) {
+        return { valid: true, errors: [] };
+    }
+
+    // One message per field is enough for a form to act on
+    const seen = new Set();
+    const errors = validateAgainstSchema.errors
+        .map(toFieldError)
+        .filter(error => !seen.has(error.field) && seen.add(error.field));
+    return { valid: false, errors };
+}
+
+module.exports = { PATIENT_SCHEMA, validatePatient, withPatientDefaults, generateDocumentId, isValidTimeZone };
@@ -0,0 +1,167 @@
+// Healthcare Voice Agent - Clinical Red-Flag Engine
+// Deterministic, medication-aware symptom rules checked on every patient turn before any LLM call.
+// Rules live in redFlagRules.json (or RED_FLAG_RULES_PATH) and carry a severity tier:
+// emergency (scripted safety response), urgent (same-day callback) or routine (noted for the care team).
+
+const fs = require('fs');
+const path = require('path');
+
+// Highest severity first
+const SEVERITIES = ['emergency', 'urgent', 'routine'];
+
+const DEFAULT_RULES_PATH = path.join(__dirname, 'redFlagRules.json');
+
+// Words that cancel a symptom mentioned shortly after them in the same clause ("no chest pain", "I don't feel dizzy")
+const NEGATION = /\b(no|not|never|without|none|nothing like|don'?t|doesn'?t|didn'?t|haven'?t|hasn'?t|isn'?t|aren'?t|wasn'?t)\b/;
+// How many words before a symptom a negation reaches ("I have not had any chest pain")
+const NEGATION_REACH_WORDS = 4;
+// Where a new clause starts, so "I didn't take my pills and now I have chest pain" keeps the chest pain
+const CLAUSE_BREAK = /[.,;!?]|\b(and|but|so|now|then|because|though|although)\b/g;
+
+// A short yes to a question that named a symptom ("Any bleeding?" - "Yes, a little")
+const AFFIRMATIVE = /^(yes|yeah|yep|yup|i do|i have|i am|i did|a (little|bit)|sometimes|some|kind of|sort of)\b/;
+
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[’‘]/g, '\'').replace(/\s+/g, ' ').trim();
+}
+
+// First word of a medication name, compared without case ("Warfarin Sodium" -> "warfarin")
+function medicationKey(name) {
+    return normalize(name).split(' ')[0];
+}
+
+function invalidRules(message) {
+    return new Error(`[RedFlag] Invalid red-flag rules: ${ message }`);
+}
+
+// Check and compile the rules file; throws on the first invalid rule so bad configuration fails at startup
+function compileRules(config) {
+    const rules = Array.isArray(config) ? config : config && config.rules;
+    if (!Array.isArray(rules)) {
+        throw invalidRules('expected a "rules" array');
+    }
+
+    const ids = new Set();
+    return rules.map((rule, index) => {
+        const where = rule && rule.id ? `rule "${ rule.id }"` : `rule #${ index + 1 }`;
+        if (!rule || typeof rule.id !== 'string' || !rule.id) {
+            throw invalidRules(`${ where } needs an id`);
+        }
+        if (ids.has(rule.id)) {
+            throw invalidRules(`${ where } is defined twice`);
+        }
+        ids.add(rule.id);
+        if (!SEVERITIES.includes(rule.severity)) {
+            throw invalidRules(`${ where } has severity "${ rule.severity }"; expected one of ${ SEVERITIES.join(', ') }`);
+        }
+        if (!Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+            throw invalidRules(`${ where } needs at least one pattern`);
+        }
+        if (rule.medications !== undefined && (!Array.isArray(rule.medications) || rule.medications.length === 0)) {
+            throw invalidRules(`${ where } has an empty "medications" list`);
+        }
+
+        let patterns;
+        try {
+            patterns = rule.patterns.map(pattern => new RegExp(pattern, 'gi'));
+        } catch (error) {
+            throw invalidRules(`${ where } has an invalid pattern: ${ error.message }`);
+        }
+
+        return {
+            id: rule.id,
+            symptom: rule.symptom || rule.id,
+            severity: rule.severity,
+            medications: rule.medications ? rule.medications.map(medicationKey) : null,
+            patterns
+        };
+    });
+}
+
+function loadRules(rulesPath) {
+    try {
+        return JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    } catch (error) {
+        throw invalidRules(`cannot read ${ rulesPath }: ${ error.message }`);
+    }
+}
+
+// Whether a symptom at index is negated by one of the few words before it in its clause
+function isNegated(text, index) {
+    const before = text.slice(0, index);
+    const clauseStart = [...before.matchAll(CLAUSE_BREAK)].reduce((start, found) => found.index + found[0].length, 0);
+    const words = before.slice(clauseStart).trim().split(' ').filter(Boolean);
+    return NEGATION.test(words.slice(-NEGATION_REACH_WORDS).join(' '));
+}
+
+// First match of a rule in the text that is not negated just before it
+function findMention(rule, text) {
+    for (const pattern of rule.patterns) {
+        for (const match of text.matchAll(pattern)) {
+            if (!isNegated(text, match.index)) {
+                return match[0];
+            }
+        }
+    }
+    return null;
+}
+
+// The last question in an assistant line, so "Would you like to schedule?" after a safety script is not re-read as symptoms
+function lastQuestionSentence(text) {
+    const questions = normalize(text).match(/[^.?!]*\?/g);
+    return questions ? questions[questions.length - 1].trim() : '';
+}
+
+class RedFlagEngine {
+    constructor(options = {}) {
+        const config = options.rules || loadRules(options.rulesPath || process.env.RED_FLAG_RULES_PATH || DEFAULT_RULES_PATH);
+        this.rules = compileRules(config);
+    }
+
+    // Rules that apply to a patient: every general rule plus the rules for their prescriptions
+    rulesFor(prescriptions) {
+        const prescribed = new Map(prescriptions.map(prescription => [medicationKey(prescription.medicationName), prescription.medicationName]));
+        return this.rules
+            .filter(rule => !rule.medications || rule.medications.some(key => prescribed.has(key)))
+            .map(rule => ({
+                rule,
+                medicationName: rule.medications ? prescribed.get(rule.medications.find(key => prescribed.has(key))) : null
+            }));
+    }
+
+    // Check one patient utterance. Returns { severity, flags } where severity is the highest tier found (or null)
+    // and flags are sorted most severe first, one per symptom rule.
+    evaluate(userText, context = {}) {
+        const text = normalize(userText);
+        const applicable = this.rulesFor(context.prescriptions || []);
+
+        let flags = this.match(applicable, text, userText, false);
+        if (flags.length === 0 && AFFIRMATIVE.test(text) && context.lastQuestion) {
+            flags = this.match(applicable, lastQuestionSentence(context.lastQuestion), userText, true);
+        }
+
+        flags.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+        return { severity: flags.length > 0 ? flags[0].severity : null, flags };
+    }
+
+    match(applicable, text, userText, fromQuestion) {
+        const flags = [];
+        for (const { rule, medicationName } of applicable) {
+            const matched = text && findMention(rule, text);
+            if (matched) {
+                flags.push({
+                    ruleId: rule.id,
+                    symptom: rule.symptom,
+                    severity: rule.severity,
+                    ...(medicationName ? { medicationName } : {}),
+                    matched,
+                    quote: userText.trim(),
+                    ...(fromQuestion ? { confirmedQuestion: true } : {})
+                });
+            }
+        }
+        return flags;
+    }
+}
+
+module.exports = { RedFlagEngine, SEVERITIES, compileRules };
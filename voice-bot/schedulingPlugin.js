@@ -550,4 +550,14 @@ class SchedulingPlugin {
     }
 }
 
-module.exports.SchedulingPlugin = SchedulingPlugin;
\ No newline at end of file
+// Function-calling specs for the plugin methods; a conversation flow state lists the ones it may use by name
+const SCHEDULING_TOOLS = [
+    { type: 'function', function: { name: 'findAvailability', description: 'Checks for available appointment slots on a specific date (YYYY-MM-DD).', parameters: { type: 'object', properties: { date: { type: 'string', description: 'The date to check, in YYYY-MM-DD format.' } }, required: ['date'] } } },
+    { type: 'function', function: { name: 'createAppointment', description: 'Books a new appointment.', parameters: { type: 'object', properties: { appointmentDateTime: { type: 'string', description: 'The appointment time in ISO 8601 format (e.g., "2025-07-15T14:00:00").' }, patientName: { type: 'string', description: "The patient's name." } }, required: ['appointmentDateTime', 'patientName'] } } },
+    { type: 'function', function: { name: 'listAppointments', description: 'Lists all appointments for a specific date (YYYY-MM-DD).', parameters: { type: 'object', properties: { date: { type: 'string', description: 'The date to check, in YYYY-MM-DD format.' } }, required: ['date'] } } },
+    { type: 'function', function: { name: 'cancelAppointment', description: 'Cancels an existing appointment.', parameters: { type: 'object', properties: { date: { type: 'string', description: 'The appointment date in YYYY-MM-DD format.' }, time: { type: 'string', description: 'The appointment time (e.g., "9:00 AM").' } }, required: ['date', 'time'] } } },
+    { type: 'function', function: { name: 'rescheduleAppointment', description: 'Reschedules an appointment.', parameters: { type: 'object', properties: { originalDate: { type: 'string', description: 'The original appointment date (YYYY-MM-DD).' }, originalTime: { type: 'string', description: 'The original appointment time.' }, newDateTime: { type: 'string', description: 'The new appointment time in ISO 8601 format.' }, patientName: { type: 'string', description: "The patient's name." } }, required: ['originalDate', 'originalTime', 'newDateTime', 'patientName'] } } }
+];
+
+module.exports.SchedulingPlugin = SchedulingPlugin;
+module.exports.SCHEDULING_TOOLS = SCHEDULING_TOOLS;
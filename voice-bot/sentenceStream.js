@@ -0,0 +1,122 @@
+// Healthcare Voice Agent - Sentence Stream
+// Cuts a reply into sentences while the LLM is still writing it, so each sentence can be spoken as soon as it is
+// complete instead of after the whole turn
+
+// Words ending in a full stop that do not end a sentence ("Dr. Sharma", "e.g. twice a day")
+const ABBREVIATIONS = /(?:^|[\s(])(?:dr|mr|mrs|ms|st|jr|sr|vs|etc|approx|e\.g|i\.e|[a-z])\.$/i;
+
+// Sentence-ending punctuation (the Devanagari danda included) and any closing quote or bracket, then whitespace; or
+// a line break
+const BOUNDARY = /[.!?।]+["'”’)\]]*\s+|\n+/g;
+
+// Where the first complete sentence of text ends, or -1. A sentence only counts as complete once something follows
+// it, so the last one of a reply is never cut short.
+function sentenceEnd(text) {
+    BOUNDARY.lastIndex = 0;
+    let match;
+    while ((match = BOUNDARY.exec(text)) !== null) {
+        const end = match.index + match[0].length;
+        if (end >= text.length) {
+            return -1;
+        }
+        if (match[0].startsWith('\n') || !ABBREVIATIONS.test(text.slice(0, match.index + 1))) {
+            return end;
+        }
+    }
+    return -1;
+}
+
+function splitSentences(text) {
+    const sentences = [];
+    let rest = String(text || '');
+    let end;
+    while ((end = sentenceEnd(rest)) !== -1) {
+        sentences.push(rest.slice(0, end).trim());
+        rest = rest.slice(end);
+    }
+    sentences.push(rest.trim());
+    return sentences.filter(Boolean);
+}
+
+function normalize(sentence) {
+    return sentence.replace(/\s+/g, ' ').trim();
+}
+
+// Hands onSentence({ text, index, final, elapsedMs }) each sentence of one reply: those complete so far as the LLM's
+// text is pushed in, then the rest once finish() has the whole reply. The reply may add lines around the LLM's text
+// (a handoff, an appointment summary); those are said at the end. final marks the last sentence of the reply.
+class SentenceStream {
+    constructor(onSentence) {
+        this.onSentence = onSentence;
+        this.buffer = '';
+        this.said = [];
+        this.startedAt = Date.now();
+        this.firstSentenceMs = null;
+        this.finished = false;
+    }
+
+    push(text) {
+        this.buffer += text;
+        let end;
+        while ((end = sentenceEnd(this.buffer)) !== -1) {
+            const sentence = this.buffer.slice(0, end).trim();
+            this.buffer = this.buffer.slice(end);
+            if (sentence) {
+                this.emit(sentence, false);
+            }
+        }
+    }
+
+    // The end of one LLM reply; text from another one this turn starts a new sentence
+    endPart() {
+        if (this.buffer.trim()) {
+            this.buffer += ' ';
+        }
+    }
+
+    finish(reply) {
+        const sentences = splitSentences(reply);
+        const said = this.said.map(normalize);
+        const inOrder = said.every((sentence, index) => sentences[index] !== undefined && normalize(sentences[index]) === sentence);
+        if (!inOrder) {
+            console.warn('[Speech] The reply does not start with the sentences already spoken; saying the rest of it');
+        }
+        const rest = inOrder ? sentences.slice(said.length) : sentences.filter(sentence => !said.includes(normalize(sentence)));
+        rest.forEach((sentence, index) => this.emit(sentence, index === rest.length - 1));
+        this.buffer = '';
+        this.finished = true;
+    }
+
+    emit(text, final) {
+        const elapsedMs = Date.now() - this.startedAt;
+        if (this.firstSentenceMs === null) {
+            this.firstSentenceMs = elapsedMs;
+        }
+        this.said.push(text);
+        this.onSentence({ text, index: this.said.length - 1, final, elapsedMs });
+    }
+}
+
+// Send sentences one after another (send returns a promise) without holding up the stream that produces them. done()
+// resolves once every sentence has been sent, or rejects with the first failure; nothing is sent after one.
+function sendInOrder(send) {
+    let queue = Promise.resolve();
+    let failure = null;
+    return {
+        send(sentence) {
+            queue = queue
+                .then(() => (failure ? null : send(sentence)))
+                .catch(error => {
+                    failure = failure || error;
+                });
+        },
+        async done() {
+            await queue;
+            if (failure) {
+                throw failure;
+            }
+        }
+    };
+}
+
+module.exports = { SentenceStream, splitSentences, sendInOrder };
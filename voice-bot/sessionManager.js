@@ -0,0 +1,258 @@
+// Healthcare Voice Agent - Conversation Session Manager
+// Keeps one EchoBot per conversation so concurrent follow-up calls never share history or state
+
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 50;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+// How long an ended conversation's ID is remembered, so a late message is told the call is over
+const DEFAULT_ENDED_TTL_MS = 60 * 60 * 1000;
+
+class SessionManager {
+    constructor(patientFactory, options = {}) {
+        if (!patientFactory) {
+            throw new Error('A patient bot factory is required');
+        }
+
+        this.patientFactory = patientFactory;
+        this.idleTimeoutMs = options.idleTimeoutMs || Number(process.env.SESSION_IDLE_TIMEOUT_MS) || DEFAULT_IDLE_TIMEOUT_MS;
+        this.maxSessions = options.maxSessions || Number(process.env.MAX_CONCURRENT_SESSIONS) || DEFAULT_MAX_SESSIONS;
+
+        // conversationId -> { conversationId, documentId, bot, createdAt, lastActivityAt, deliver, pendingMessages }
+        this.sessions = new Map();
+        // conversationId -> { documentId, reason, endedAt } for conversations that have ended, kept for endedTtlMs
+        this.endedTtlMs = options.endedTtlMs || Number(process.env.SESSION_ENDED_TTL_MS) || DEFAULT_ENDED_TTL_MS;
+        this.endedSessions = new Map();
+
+        const sweepIntervalMs = options.sweepIntervalMs || DEFAULT_SWEEP_INTERVAL_MS;
+        this.sweepTimer = setInterval(() => this.expireIdleSessions(), sweepIntervalMs);
+        // Never keep the process alive just to sweep sessions
+        if (this.sweepTimer.unref) {
+            this.sweepTimer.unref();
+        }
+
+        console.log(`[Sessions] Initialized (idle timeout ${ this.idleTimeoutMs }ms, max ${ this.maxSessions } sessions)`);
+    }
+
+    // Generate a conversation ID for callers that did not supply one
+    generateConversationId(prefix = 'conv') {
+        return `${ prefix }-${ Date.now() }-${ Math.random().toString(36).slice(2, 8) }`;
+    }
+
+    // Look up a live session; when a DocumentID is given it must match the bound patient
+    getSession(conversationId, documentId = null) {
+        const session = this.sessions.get(conversationId);
+        if (!session) {
+            return null;
+        }
+
+        if (documentId && session.documentId !== documentId) {
+            const error = new Error(`Conversation ${ conversationId } is bound to a different patient`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        session.lastActivityAt = Date.now();
+        return session;
+    }
+
+    // Create a new session with a fresh EchoBot for the given patient record
+    createSession(conversationId, patientRecord) {
+        if (!patientRecord) {
+            throw new Error('Patient record is required');
+        }
+
+        if (this.sessions.has(conversationId)) {
+            const error = new Error(`Conversation ${ conversationId } already exists`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        // An ended conversation is never reopened, which would bind its ID to a fresh bot (and a new demo patient)
+        const ended = this.getEndedSession(conversationId);
+        if (ended) {
+            const error = new Error(`Conversation ${ conversationId } has ended (${ ended.reason })`);
+            error.statusCode = 410;
+            error.ended = ended;
+            throw error;
+        }
+
+        if (this.sessions.size >= this.maxSessions) {
+            // Reclaim idle sessions before refusing a new caller
+            this.expireIdleSessions();
+        }
+
+        if (this.sessions.size >= this.maxSessions) {
+            const error = new Error(`Maximum of ${ this.maxSessions } concurrent sessions reached`);
+            error.statusCode = 503;
+            throw error;
+        }
+
+        const now = Date.now();
+        const session = {
+            conversationId,
+            documentId: patientRecord.DocumentID,
+            bot: this.patientFactory.createBotForPatient(patientRecord),
+            createdAt: now,
+            lastActivityAt: now,
+            // How to reach the patient outside a reply (e.g. a nurse's message); see setDelivery
+            deliver: null,
+            pendingMessages: []
+        };
+
+        // Lets the bot tag what it records during the call (e.g. red flags) with the conversation
+        session.bot.conversationId = conversationId;
+        // A call the bot ends itself (wrapped up, or ended early) closes its session once the record is saved
+        if (typeof session.bot.onCallEnd === 'function') {
+            session.bot.onCallEnd(({ outcome }) => this.endSession(conversationId, outcome));
+        }
+        this.sessions.set(conversationId, session);
+        console.log(`[Sessions] Started ${ conversationId } for patient ${ patientRecord.DocumentID } (${ this.sessions.size } active)`);
+        return session;
+    }
+
+    // Resolve the session for a conversation, creating it on first contact.
+    // Without a DocumentID a demo patient is chosen, matching the original single-bot behavior.
+    async getOrCreateSession(conversationId, documentId = null) {
+        const existing = this.getSession(conversationId, documentId);
+        if (existing) {
+            return existing;
+        }
+
+        let patientRecord;
+        if (documentId) {
+            patientRecord = await this.patientFactory.getPatientById(documentId);
+            if (!patientRecord) {
+                const error = new Error(`Patient ${ documentId } not found`);
+                error.statusCode = 404;
+                throw error;
+            }
+        } else {
+            patientRecord = await this.patientFactory.selectPatientForDemo(process.env.DEMO_PATIENT_NAME || null);
+        }
+
+        return this.createSession(conversationId, patientRecord);
+    }
+
+    // How a recently ended conversation ended: { documentId, reason, endedAt }, or null
+    getEndedSession(conversationId) {
+        const ended = this.endedSessions.get(conversationId);
+        if (!ended || Date.now() - ended.endedAt > this.endedTtlMs) {
+            return null;
+        }
+        return { ...ended, endedAt: new Date(ended.endedAt).toISOString() };
+    }
+
+    // Register how messages reach this conversation's patient outside a reply: speaking on the phone call,
+    // or a proactive Bot Framework message. Without one, messages wait in pendingMessages for the client to fetch.
+    setDelivery(conversationId, deliver) {
+        const session = this.sessions.get(conversationId);
+        if (session) {
+            session.deliver = deliver;
+        }
+    }
+
+    // Send a message to the patient through the channel they are on
+    async deliverToPatient(conversationId, text, from) {
+        const session = this.getSession(conversationId);
+        if (!session) {
+            const error = new Error(`Session ${ conversationId } not found`);
+            error.statusCode = 404;
+            throw error;
+        }
+
+        if (session.deliver) {
+            await session.deliver(text);
+        } else {
+            session.pendingMessages.push({ text, from, at: new Date().toISOString() });
+        }
+    }
+
+    // Messages waiting for a client that has no push channel (the local voice chat polls for them)
+    takePendingMessages(conversationId) {
+        const session = this.sessions.get(conversationId);
+        if (!session) {
+            return null;
+        }
+        return session.pendingMessages.splice(0);
+    }
+
+    // Whether any live session is bound to the given patient
+    hasPatientSession(documentId) {
+        for (const session of this.sessions.values()) {
+            if (session.documentId === documentId) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Remove a session explicitly (call ended, caller hung up)
+    endSession(conversationId, reason = 'ended') {
+        const session = this.sessions.get(conversationId);
+        if (!session) {
+            return false;
+        }
+
+        this.sessions.delete(conversationId);
+        this.endedSessions.set(conversationId, { documentId: session.documentId, reason, endedAt: Date.now() });
+        console.log(`[Sessions] Closed ${ conversationId } (${ reason }, ${ this.sessions.size } active)`);
+
+        // Saving the call's answers runs in the background so closing a session never waits on the LLM or the store
+        if (typeof session.bot.endCall === 'function') {
+            session.bot.endCall(reason).catch(error => {
+                console.error(`[Sessions] Failed to save call data for ${ conversationId }:`, error.message);
+            });
+        }
+        return true;
+    }
+
+    // Drop sessions that have been quiet for longer than the idle timeout, and forget conversations ended too long ago
+    expireIdleSessions(now = Date.now()) {
+        for (const [conversationId, ended] of this.endedSessions) {
+            if (now - ended.endedAt > this.endedTtlMs) {
+                this.endedSessions.delete(conversationId);
+            }
+        }
+
+        let expired = 0;
+        for (const [conversationId, session] of this.sessions) {
+            if (now - session.lastActivityAt > this.idleTimeoutMs) {
+                this.endSession(conversationId, 'idle timeout');
+                expired++;
+            }
+        }
+        return expired;
+    }
+
+    // Summaries of active sessions for monitoring endpoints
+    listSessions() {
+        return Array.from(this.sessions.values()).map(session => ({
+            conversationId: session.conversationId,
+            documentId: session.documentId,
+            patientName: session.bot.patientRecord.patientName,
+            flow: session.bot.flow ? { id: session.bot.flow.id, version: session.bot.flow.version } : null,
+            language: session.bot.language ? session.bot.language.code : null,
+            identityVerification: session.bot.identity ? session.bot.identity.status : null,
+            activeAgent: session.bot.activeAgent,
+            adherence: session.bot.adherenceTracker ? session.bot.adherenceTracker.getAnswers() : null,
+            redFlags: session.bot.redFlags || [],
+            takeover: session.bot.takeover || null,
+            context: session.bot.memory ? {
+                ...session.bot.memory.getStats(session.bot.conversationHistory),
+                promptTokens: session.bot.turnStats.promptTokens,
+                llmRequests: session.bot.turnStats.llmRequests
+            } : null,
+            createdAt: new Date(session.createdAt).toISOString(),
+            lastActivityAt: new Date(session.lastActivityAt).toISOString()
+        }));
+    }
+
+    // Stop the sweep timer and forget every session
+    close() {
+        clearInterval(this.sweepTimer);
+        this.sessions.clear();
+        this.endedSessions.clear();
+    }
+}
+
+module.exports = { SessionManager };
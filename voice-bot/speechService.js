@@ -2,9 +2,12 @@
 // Optimized for medical terminology and patient conversations
 
 const sdk = require('microsoft-cognitiveservices-speech-sdk');
+const { resolveLanguage } = require('./languages');
 
 class HealthcareSpeechService {
-    constructor() {
+    // options.language: BCP-47 tag of the call's language (DEFAULT_LANGUAGE when not given)
+    constructor(options = {}) {
+        this.language = resolveLanguage(options.language);
         this.speechConfig = this.initializeSpeechConfig();
         this.medicalTerms = this.loadMedicalVocabulary();
     }
@@ -16,8 +19,8 @@ class HealthcareSpeechService {
         );
 
         // Enhanced configuration for healthcare conversations
-        speechConfig.speechRecognitionLanguage = "en-US";
-        speechConfig.speechSynthesisVoiceName = "en-US-JennyNeural";
+        speechConfig.speechRecognitionLanguage = this.language.recognitionLocale;
+        speechConfig.speechSynthesisVoiceName = this.language.voice;
         
         // Set output format for high quality audio
         speechConfig.speechSynthesisOutputFormat = 
@@ -45,9 +48,12 @@ class HealthcareSpeechService {
         ];
     }
 
-    // Create speech recognizer with healthcare optimizations
-    createSpeechRecognizer(audioConfig) {
-        const recognizer = new sdk.SpeechRecognizer(this.speechConfig, audioConfig);
+    // Create speech recognizer with healthcare optimizations. candidateLocales (up to four) lets the service
+    // detect which of them the patient is speaking while the call's language is not yet settled.
+    createSpeechRecognizer(audioConfig, candidateLocales = null) {
+        const recognizer = candidateLocales && candidateLocales.length > 1
+            ? sdk.SpeechRecognizer.FromConfig(this.speechConfig, sdk.AutoDetectSourceLanguageConfig.fromLanguages(candidateLocales.slice(0, 4)), audioConfig)
+            : new sdk.SpeechRecognizer(this.speechConfig, audioConfig);
         
         // Add custom vocabulary for better medical term recognition
         const phraseList = sdk.PhraseListGrammar.fromRecognizer(recognizer);
@@ -73,7 +79,7 @@ class HealthcareSpeechService {
 
     // Generate SSML for different conversation contexts
     generateSSML(text, context = 'normal', voiceStyle = 'customerservice') {
-        const voiceName = "en-US-JennyNeural";
+        const { code, voice, voiceStyles } = this.language;
         
         const contextSettings = {
             welcome: { rate: '0.9', pitch: 'medium', style: 'customerservice' },
@@ -97,8 +103,11 @@ class HealthcareSpeechService {
             '<emphasis level="strong">$1</emphasis>'
         );
 
-        return `<speak version="1.0" xml:lang="en-US">
-            <voice name="${voiceName}" style="${settings.style}" styledegree="0.8">
+        // Only some neural voices take speaking styles
+        const style = voiceStyles ? ` style="${ settings.style }" styledegree="0.8"` : '';
+
+        return `<speak version="1.0" xml:lang="${ code }">
+            <voice name="${ voice }"${ style }>
                 <prosody rate="${settings.rate}" pitch="${settings.pitch}">
                     ${enhancedText}
                 </prosody>
@@ -0,0 +1,300 @@
+// Healthcare Voice Agent - SQLite Patient Repository
+// Embedded SQLite store (sql.js, no native build) persisted to a single database file.
+// On first start the database is seeded from patients.json.
+
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const { PatientRepository, mergeDeep, notFound, alreadyExists } = require('./patientRepository');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS patients (
+    document_id TEXT PRIMARY KEY,
+    patient_name TEXT NOT NULL,
+    phone_number TEXT,
+    discharge_date TEXT,
+    call_initiated INTEGER NOT NULL DEFAULT 0,
+    call_completed INTEGER NOT NULL DEFAULT 0,
+    record TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_patients_phone ON patients (phone_number);
+CREATE TABLE IF NOT EXISTS call_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_id TEXT NOT NULL REFERENCES patients (document_id) ON DELETE CASCADE,
+    conversation_id TEXT,
+    attempted_at TEXT,
+    outcome TEXT,
+    attempt TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_call_attempts_patient ON call_attempts (document_id);
+`;
+
+class SqlitePatientRepository extends PatientRepository {
+    constructor({ dbPath = null, seedFile = null } = {}) {
+        super();
+        this.dbPath = dbPath;
+        this.seedFile = seedFile;
+        this.db = null;
+        this.ready = null;
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = this.open();
+        }
+        return this.ready;
+    }
+
+    async open() {
+        const SQL = await initSqlJs();
+        const exists = this.dbPath && fs.existsSync(this.dbPath);
+
+        this.db = exists ? new SQL.Database(fs.readFileSync(this.dbPath)) : new SQL.Database();
+        this.db.run('PRAGMA foreign_keys = ON;');
+        this.db.run(SCHEMA);
+
+        if (!exists && this.seedFile && fs.existsSync(this.seedFile)) {
+            const patients = JSON.parse(fs.readFileSync(this.seedFile, 'utf-8'));
+            this.transaction(() => patients.forEach(patient => this.insertPatient(patient)));
+            console.log(`[PatientRepository] Seeded SQLite store with ${ patients.length } patients from ${ this.seedFile }`);
+        }
+
+        this.persist();
+        console.log(`[PatientRepository] SQLite store ready (${ this.dbPath || 'in-memory' })`);
+    }
+
+    // Write the in-memory database back to its file
+    persist() {
+        if (this.dbPath) {
+            fs.writeFileSync(this.dbPath, Buffer.from(this.db.export()));
+        }
+    }
+
+    transaction(work) {
+        this.db.run('BEGIN;');
+        try {
+            const result = work();
+            this.db.run('COMMIT;');
+            return result;
+        } catch (error) {
+            this.db.run('ROLLBACK;');
+            throw error;
+        }
+    }
+
+    all(sql, params = []) {
+        const statement = this.db.prepare(sql);
+        try {
+            statement.bind(params);
+            const rows = [];
+            while (statement.step()) {
+                rows.push(statement.getAsObject());
+            }
+            return rows;
+        } finally {
+            statement.free();
+        }
+    }
+
+    // Store a full patient record, splitting call attempts into their own table
+    insertPatient(patient) {
+        const { callAttempts = [], ...followUpCall } = patient.followUpCall || {};
+        this.writePatientRow({ ...patient, followUpCall });
+        callAttempts.forEach(attempt => this.insertAttempt(patient.DocumentID, attempt));
+    }
+
+    writePatientRow(patient) {
+        const record = { ...patient, followUpCall: { ...patient.followUpCall } };
+        delete record.followUpCall.callAttempts;
+
+        this.db.run(
+            `INSERT INTO patients
+                (document_id, patient_name, phone_number, discharge_date, call_initiated, call_completed, record)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (document_id) DO UPDATE SET
+                patient_name = excluded.patient_name,
+                phone_number = excluded.phone_number,
+                discharge_date = excluded.discharge_date,
+                call_initiated = excluded.call_initiated,
+                call_completed = excluded.call_completed,
+                record = excluded.record`,
+            [
+                record.DocumentID,
+                record.patientName,
+                record.phoneNumber || null,
+                record.dischargeDate || null,
+                record.followUpCall.callInitiated ? 1 : 0,
+                record.followUpCall.callCompleted ? 1 : 0,
+                JSON.stringify(record)
+            ]
+        );
+    }
+
+    insertAttempt(documentId, attempt) {
+        this.db.run(
+            'INSERT INTO call_attempts (document_id, conversation_id, attempted_at, outcome, attempt) VALUES (?, ?, ?, ?, ?)',
+            [documentId, attempt.conversationId || null, attempt.attemptedAt || null, attempt.outcome || null, JSON.stringify(attempt)]
+        );
+    }
+
+    // Rebuild a patient record (with its call attempts) from a patients row
+    toRecord(row) {
+        const record = JSON.parse(row.record);
+        const attempts = this.all('SELECT attempt FROM call_attempts WHERE document_id = ? ORDER BY id', [row.document_id]);
+        if (attempts.length > 0) {
+            record.followUpCall.callAttempts = attempts.map(attempt => JSON.parse(attempt.attempt));
+        }
+        return record;
+    }
+
+    // Patient record by DocumentID, or null. Synchronous, so a write can read and update a record with nothing in between.
+    readPatient(documentId) {
+        const [row] = this.all('SELECT * FROM patients WHERE document_id = ?', [documentId]);
+        return row ? this.toRecord(row) : null;
+    }
+
+    async getPatient(documentId) {
+        await this.init();
+        return this.readPatient(documentId);
+    }
+
+    async queryPatients(criteria = {}) {
+        await this.init();
+        const clauses = [];
+        const params = [];
+
+        if (criteria.documentId !== undefined) {
+            clauses.push('document_id = ?');
+            params.push(criteria.documentId);
+        }
+        if (criteria.mrn !== undefined) {
+            clauses.push("json_extract(record, '$.mrn') = ?");
+            params.push(criteria.mrn);
+        }
+        if (criteria.phoneNumber !== undefined) {
+            clauses.push('phone_number = ?');
+            params.push(criteria.phoneNumber);
+        }
+        if (criteria.nameContains !== undefined) {
+            clauses.push('LOWER(patient_name) LIKE ?');
+            params.push(`%${ criteria.nameContains.toLowerCase() }%`);
+        }
+        if (criteria.callInitiated !== undefined) {
+            clauses.push('call_initiated = ?');
+            params.push(criteria.callInitiated ? 1 : 0);
+        }
+        if (criteria.callCompleted !== undefined) {
+            clauses.push('call_completed = ?');
+            params.push(criteria.callCompleted ? 1 : 0);
+        }
+
+        const where = clauses.length > 0 ? `WHERE ${ clauses.join(' AND ') }` : '';
+        return this.all(`SELECT * FROM patients ${ where } ORDER BY rowid`, params).map(row => this.toRecord(row));
+    }
+
+    async createPatient(record) {
+        await this.init();
+        this.transaction(() => {
+            if (this.readPatient(record.DocumentID)) {
+                throw alreadyExists(record.DocumentID);
+            }
+            this.insertPatient(record);
+        });
+        this.persist();
+        return this.readPatient(record.DocumentID);
+    }
+
+    async replacePatient(documentId, record) {
+        await this.init();
+        this.transaction(() => {
+            if (!this.readPatient(documentId)) {
+                throw notFound(documentId);
+            }
+            this.db.run('DELETE FROM call_attempts WHERE document_id = ?', [documentId]);
+            this.insertPatient({ ...record, DocumentID: documentId });
+        });
+        this.persist();
+        return this.readPatient(documentId);
+    }
+
+    async deletePatient(documentId) {
+        await this.init();
+        const deleted = this.transaction(() => {
+            if (!this.readPatient(documentId)) {
+                return false;
+            }
+            this.db.run('DELETE FROM call_attempts WHERE document_id = ?', [documentId]);
+            this.db.run('DELETE FROM patients WHERE document_id = ?', [documentId]);
+            return true;
+        });
+        this.persist();
+        return deleted;
+    }
+
+    // The record is read and merged inside the transaction, so two updates in flight cannot overwrite each other
+    async updatePatient(documentId, changes) {
+        await this.init();
+        this.transaction(() => {
+            const existing = this.readPatient(documentId);
+            if (!existing) {
+                throw notFound(documentId);
+            }
+
+            this.writePatientRow(mergeDeep(existing, changes));
+            if (changes.followUpCall && Array.isArray(changes.followUpCall.callAttempts)) {
+                this.db.run('DELETE FROM call_attempts WHERE document_id = ?', [documentId]);
+                changes.followUpCall.callAttempts.forEach(attempt => this.insertAttempt(documentId, attempt));
+            }
+        });
+        this.persist();
+        return this.readPatient(documentId);
+    }
+
+    async appendRedFlags(documentId, flags) {
+        await this.init();
+        const updated = this.transaction(() => {
+            const existing = this.readPatient(documentId);
+            if (!existing) {
+                throw notFound(documentId);
+            }
+
+            existing.followUpCall.redFlags = [...(existing.followUpCall.redFlags || []), ...flags];
+            this.writePatientRow(existing);
+            return existing;
+        });
+        this.persist();
+        return updated;
+    }
+
+    async appendCallAttempt(documentId, attempt) {
+        await this.init();
+        const [row] = this.all('SELECT document_id FROM patients WHERE document_id = ?', [documentId]);
+        if (!row) {
+            throw notFound(documentId);
+        }
+
+        this.insertAttempt(documentId, attempt);
+        this.persist();
+        return attempt;
+    }
+
+    async updateCallAttempt(documentId, conversationId, changes) {
+        await this.init();
+        const [row] = this.all(
+            'SELECT id, attempt FROM call_attempts WHERE document_id = ? AND conversation_id = ? ORDER BY id DESC LIMIT 1',
+            [documentId, conversationId]
+        );
+        if (!row) {
+            return null;
+        }
+
+        const attempt = { ...JSON.parse(row.attempt), ...changes };
+        this.db.run(
+            'UPDATE call_attempts SET outcome = ?, attempt = ? WHERE id = ?',
+            [attempt.outcome || null, JSON.stringify(attempt), row.id]
+        );
+        this.persist();
+        return attempt;
+    }
+}
+
+module.exports = { SqlitePatientRepository };
@@ -0,0 +1,107 @@
+// Healthcare Voice Agent - Telephony Adapter Layer
+// Common interface for placing outbound calls and receiving call events from a telephony provider
+
+const { EventEmitter } = require('events');
+const axios = require('axios');
+
+// Events every adapter emits; each payload carries at least { callId }
+const CALL_EVENTS = {
+    CONNECTED: 'connected', // { callId }
+    RECOGNIZED: 'recognized', // { callId, text }
+    DTMF: 'dtmf', // { callId, digits }
+    HANG_UP: 'hangup', // { callId, reason }
+    VOICEMAIL: 'voicemail' // { callId }
+};
+
+// Base adapter. Providers override placeCall, playText and hangUp and emit CALL_EVENTS.
+class TelephonyAdapter extends EventEmitter {
+    constructor(name) {
+        super();
+        this.name = name;
+    }
+
+    // Start an outbound call; resolves with { callId }
+    async placeCall({ phoneNumber, conversationId }) {
+        throw new Error(`${ this.name } adapter does not implement placeCall`);
+    }
+
+    // Speak text (with optional SSML) to the person on the call, then listen for the answer in
+    // options.locale (or in any of options.candidateLocales while the call's language is not settled).
+    // options.listen: false queues the text behind what is playing without listening, for a reply spoken a
+    // sentence at a time.
+    async playText(callId, text, ssml = null, options = {}) {
+        throw new Error(`${ this.name } adapter does not implement playText`);
+    }
+
+    // End the call from our side
+    async hangUp(callId) {
+        throw new Error(`${ this.name } adapter does not implement hangUp`);
+    }
+
+    // Normalize a provider webhook payload into a call event and emit it
+    handleWebhookEvent(payload) {
+        const type = payload && payload.type;
+        if (!Object.values(CALL_EVENTS).includes(type) || !payload.callId) {
+            throw new Error(`Unsupported call event: ${ type }`);
+        }
+
+        this.emit(type, { ...payload });
+        return type;
+    }
+}
+
+// Adapter for the Azure Function that places calls over Azure Communication Services.
+// The function posts call events back to /api/telephony/events.
+class HttpFunctionTelephonyAdapter extends TelephonyAdapter {
+    constructor(config) {
+        super('http-function');
+        if (!config.functionUrl) {
+            throw new Error('TELEPHONY_FUNCTION_URL is required for the http-function telephony adapter');
+        }
+
+        this.functionUrl = config.functionUrl;
+        this.callbackUrl = config.callbackUrl || null;
+        this.timeoutMs = config.timeoutMs || 15000;
+    }
+
+    async placeCall({ phoneNumber, conversationId }) {
+        const response = await axios.get(`${ this.functionUrl }/make_phone_call`, {
+            params: { phoneNumber, conversationId, callbackUrl: this.callbackUrl },
+            timeout: this.timeoutMs
+        });
+
+        const callId = response.data?.callId || response.data?.callConnectionId || conversationId;
+        console.log(`[Telephony] Call placed to ${ phoneNumber } (call ${ callId })`);
+        return { callId };
+    }
+
+    async playText(callId, text, ssml = null, options = {}) {
+        const { locale = null, candidateLocales = null, listen = true } = options;
+        await axios.post(`${ this.functionUrl }/play_text`, { callId, text, ssml, locale, candidateLocales, listen }, { timeout: this.timeoutMs });
+    }
+
+    async hangUp(callId) {
+        await axios.post(`${ this.functionUrl }/hang_up`, { callId }, { timeout: this.timeoutMs });
+    }
+}
+
+// Build the adapter selected by TELEPHONY_PROVIDER (defaults to the local simulator)
+function createTelephonyAdapter(env = process.env) {
+    const provider = env.TELEPHONY_PROVIDER || 'simulator';
+
+    if (provider === 'http-function') {
+        return new HttpFunctionTelephonyAdapter({
+            functionUrl: env.TELEPHONY_FUNCTION_URL,
+            callbackUrl: env.TELEPHONY_CALLBACK_URL
+        });
+    }
+
+    if (provider === 'simulator') {
+        const { SimulatedTelephonyAdapter } = require('./telephonySimulator');
+        return new SimulatedTelephonyAdapter();
+    }
+
+    throw new Error(`Unknown TELEPHONY_PROVIDER: ${ provider }`);
+}
+
+module.exports = { TelephonyAdapter, HttpFunctionTelephonyAdapter, createTelephonyAdapter, CALL_EVENTS };
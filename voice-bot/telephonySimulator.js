@@ -0,0 +1,114 @@
+// Healthcare Voice Agent - Local Call Automation Simulator
+// Emits the same call events as a real telephony provider so full call lifecycles can be
+// exercised end to end without placing real phone calls.
+
+const { TelephonyAdapter, CALL_EVENTS } = require('./telephonyAdapter');
+
+class SimulatedTelephonyAdapter extends TelephonyAdapter {
+    constructor() {
+        super('simulator');
+        // callId -> { callId, phoneNumber, conversationId, state, transcript[] }
+        this.calls = new Map();
+        this.nextCallNumber = 1;
+    }
+
+    async placeCall({ phoneNumber, conversationId }) {
+        const callId = `sim-call-${ this.nextCallNumber++ }`;
+        this.calls.set(callId, {
+            callId,
+            phoneNumber,
+            conversationId,
+            state: 'ringing',
+            transcript: []
+        });
+
+        console.log(`[Simulator] Ringing ${ phoneNumber } (call ${ callId })`);
+        return { callId };
+    }
+
+    async playText(callId, text, ssml = null, options = {}) {
+        const call = this.getCall(callId);
+        if (call.state !== 'connected') {
+            throw new Error(`Call ${ callId } is not connected`);
+        }
+
+        call.transcript.push({ speaker: 'bot', text, locale: options.locale || null, timestamp: new Date().toISOString() });
+        console.log(`[Simulator] Bot -> ${ callId }: ${ text }`);
+    }
+
+    async hangUp(callId) {
+        const call = this.getCall(callId);
+        if (call.state === 'ended') {
+            return;
+        }
+
+        call.state = 'ended';
+        this.emit(CALL_EVENTS.HANG_UP, { callId, reason: 'bot' });
+    }
+
+    getCall(callId) {
+        const call = this.calls.get(callId);
+        if (!call) {
+            const error = new Error(`Simulated call ${ callId } not found`);
+            error.statusCode = 404;
+            throw error;
+        }
+        return call;
+    }
+
+    // --- Simulation controls: play the part of the person (or machine) on the other end ---
+
+    answer(callId) {
+        const call = this.getCall(callId);
+        this.assertState(call, 'ringing');
+        call.state = 'connected';
+        this.emit(CALL_EVENTS.CONNECTED, { callId });
+    }
+
+    say(callId, text) {
+        const call = this.getCall(callId);
+        this.assertState(call, 'connected');
+        call.transcript.push({ speaker: 'patient', text, timestamp: new Date().toISOString() });
+        this.emit(CALL_EVENTS.RECOGNIZED, { callId, text });
+    }
+
+    pressKeys(callId, digits) {
+        const call = this.getCall(callId);
+        this.assertState(call, 'connected');
+        call.transcript.push({ speaker: 'patient', dtmf: digits, timestamp: new Date().toISOString() });
+        this.emit(CALL_EVENTS.DTMF, { callId, digits });
+    }
+
+    reachVoicemail(callId) {
+        const call = this.getCall(callId);
+        this.assertState(call, 'ringing');
+        call.state = 'connected';
+        this.emit(CALL_EVENTS.VOICEMAIL, { callId });
+    }
+
+    // The remote party hangs up (or the phone is never answered while ringing)
+    remoteHangUp(callId) {
+        const call = this.getCall(callId);
+        if (call.state === 'ended') {
+            return;
+        }
+
+        const reason = call.state === 'ringing' ? 'no-answer' : 'remote';
+        call.state = 'ended';
+        this.emit(CALL_EVENTS.HANG_UP, { callId, reason });
+    }
+
+    assertState(call, expected) {
+        if (call.state !== expected) {
+            const error = new Error(`Call ${ call.callId } is ${ call.state }, expected ${ expected }`);
+            error.statusCode = 409;
+            throw error;
+        }
+    }
+
+    listCalls() {
+        return Array.from(this.calls.values());
+    }
+}
+
+module.exports = { SimulatedTelephonyAdapter };
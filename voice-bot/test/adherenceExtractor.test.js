@@ -0,0 +1,72 @@
+// Healthcare Voice Agent - Adherence Extractor Tests
+// The rules that fill adherenceAnswers from the patient's words, and the end-of-call LLM pass that checks them
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AdherenceExtractor, MedicationAdherenceTracker } = require('../adherenceExtractor');
+const { quietly } = require('./support/quietly');
+
+// The answers after one patient line, said in reply to question
+function answersFor(text, question = '') {
+    const extractor = new AdherenceExtractor();
+    extractor.observe(text, question);
+    return extractor.getAnswers();
+}
+
+describe('adherence extractor', () => {
+    it('reads pickup, missed doses and side effects from the patient\'s words', () => {
+        assert.equal(answersFor('Yes, I picked it up on Monday.').filledPrescription, true);
+        assert.equal(answersFor('I haven\'t been able to pick it up yet.').filledPrescription, false);
+        assert.equal(answersFor('I missed two doses last week.').missedDoses, 2);
+        assert.equal(answersFor('I take it every morning with breakfast.').missedDoses, 0);
+        assert.deepEqual(answersFor('It makes me a bit dizzy and tired.').sideEffects, ['dizziness', 'fatigue']);
+        assert.deepEqual(answersFor('No side effects at all.').sideEffects, []);
+    });
+
+    it('takes a bare answer from the question it follows', () => {
+        assert.equal(answersFor('Not yet.', 'Have you picked up your Amlodipine from the pharmacy?').filledPrescription, false);
+        assert.equal(answersFor('Yes, every day.', 'Have you been taking it as prescribed?').missedDoses, 0);
+        assert.equal(answersFor('None.', 'Have you missed any doses?').missedDoses, 0);
+    });
+
+    it('does not read "every day" or "not yet" about something else as an adherence answer', () => {
+        const vomiting = answersFor('I have been throwing up every day.');
+        assert.equal(vomiting.missedDoses, null);
+        assert.deepEqual(vomiting.sideEffects, ['vomiting']);
+        assert.equal(answersFor('Not yet, but I feel fine.', 'Have you had a chance to book the follow-up?').filledPrescription, null);
+        assert.equal(answersFor('The swelling has not gone down yet.').filledPrescription, null);
+    });
+
+    it('keeps a low-confidence answer out of the answers but in the evidence', () => {
+        const answers = answersFor('I skipped a few days.');
+        assert.equal(answers.missedDoses, null);
+        assert.equal(answers.evidence.missedDoses.value, 3);
+    });
+
+    it('raises the confidence when the LLM agrees, and ignores an answer it cannot quote', () => quietly(async () => {
+        const reply = {
+            filledPrescription: { value: true, evidence: 'I picked it up', confidence: 0.9 },
+            missedDoses: { value: 4, evidence: 'I missed four doses', confidence: 0.9 },
+            sideEffects: { value: [], evidence: 'No side effects', confidence: 0.7 }
+        };
+        const extractor = new AdherenceExtractor({ complete: async () => ({ content: JSON.stringify(reply) }) });
+        const history = [{ role: 'assistant', content: 'Have you picked it up?' }, { role: 'user', content: 'Yes, I picked it up yesterday.' }];
+        extractor.observe(history[1].content, history[0].content);
+        const answers = await extractor.finalize(history);
+
+        assert.equal(answers.filledPrescription, true);
+        assert.equal(answers.evidence.filledPrescription.source, 'rules+llm');
+        assert.equal(answers.evidence.filledPrescription.confidence, 0.99);
+        assert.equal(answers.missedDoses, null);
+    }));
+
+    it('keeps answers apart for each medication', () => {
+        const tracker = new MedicationAdherenceTracker([{ medicationName: 'Amlodipine 5mg' }, { medicationName: 'Atorvastatin 20mg' }]);
+        tracker.observe('I picked up the Amlodipine.', 'Have you picked up your medications?');
+        tracker.observe('I have not picked up the Atorvastatin.', 'And the other one?');
+        const answers = tracker.getAnswers();
+        assert.deepEqual(answers.medications.map(medication => [medication.medicationName, medication.filledPrescription]),
+            [['Amlodipine 5mg', true], ['Atorvastatin 20mg', false]]);
+        assert.equal(answers.filledPrescription, false);
+    });
+});
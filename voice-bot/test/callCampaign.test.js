@@ -0,0 +1,46 @@
+// Healthcare Voice Agent - Call Campaign Tests
+// Who is called next: retries with backoff, and attempts that have not reported how they ended
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CallCampaign } = require('../callCampaign');
+
+const NOW = new Date('2030-01-10T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+// A patient discharged a week before NOW whose last call attempt was placed minutesAgo with outcome
+function patientWithAttempt(outcome, minutesAgo) {
+    return {
+        DocumentID: 'simOneMedication002',
+        patientName: 'Meera Nair',
+        timeZone: 'UTC',
+        dischargeDate: '2030-01-03T09:00:00Z',
+        followUpCall: {
+            callAttempts: [{ attemptedAt: new Date(NOW.getTime() - minutesAgo * 60 * 1000).toISOString(), outcome }]
+        }
+    };
+}
+
+describe('call campaign', () => {
+    const campaign = new CallCampaign({}, { callingHoursStart: 0, callingHoursEnd: 24, retryBaseDelayMs: 2 * HOUR_MS, staleCallMs: HOUR_MS });
+
+    it('does not dial a patient again while their last call has not reported how it ended', () => {
+        ['dialing', 'connected', 'in-progress'].forEach(outcome => {
+            const entry = campaign.evaluatePatient(patientWithAttempt(outcome, 5), NOW);
+            assert.equal(entry.status, 'in-call', outcome);
+            assert.equal(entry.nextEligibleAt, '2030-01-10T12:55:00.000Z');
+        });
+    });
+
+    it('retries an attempt that never ended with backoff, as an unsuccessful one', () => {
+        const entry = campaign.evaluatePatient(patientWithAttempt('connected', 90), NOW);
+        assert.equal(entry.status, 'backoff');
+        assert.equal(entry.unansweredAttempts, 1);
+        assert.equal(entry.nextEligibleAt, '2030-01-10T12:30:00.000Z');
+    });
+
+    it('dials again once the backoff after an unanswered call has passed', () => {
+        assert.equal(campaign.evaluatePatient(patientWithAttempt('no-answer', 60), NOW).status, 'backoff');
+        assert.equal(campaign.evaluatePatient(patientWithAttempt('no-answer', 150), NOW).status, 'ready');
+    });
+});
@@ -0,0 +1,48 @@
+// Healthcare Voice Agent - Call End Tests
+// The closing line goes back as soon as the call ends; the call record is saved behind it
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EchoBot } = require('../bot');
+const { JsonFilePatientRepository } = require('../patientRepository');
+const { MockLlmProvider } = require('../llmProvider');
+const { FakeCalendar } = require('./support/fakeCalendar');
+const { quietly } = require('./support/quietly');
+
+const FIXTURE_PATIENTS = path.join(__dirname, 'fixtures', 'patients.json');
+
+describe('end of call', () => {
+    it('says the closing line without waiting for the end-of-call LLM pass, and saves the call once it is done', () => quietly(async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-bot-call-end-'));
+        try {
+            const storePath = path.join(directory, 'patients.json');
+            fs.copyFileSync(FIXTURE_PATIENTS, storePath);
+            const repository = new JsonFilePatientRepository(storePath);
+            const patient = await repository.getPatient('simTwoMedications01');
+
+            // The adherence extraction does not answer until the test lets it
+            let answerExtraction;
+            const extracted = new Promise(resolve => {
+                answerExtraction = resolve;
+            });
+            const llm = new MockLlmProvider().when({ system: 'You extract medication adherence' }, () => extracted);
+            const bot = new EchoBot(patient, { patientRepository: repository, llmProvider: llm, schedulingPlugin: new FakeCalendar() });
+
+            await bot.processMessage('__START_CALL__');
+            await bot.processMessage(patient.dateOfBirth);
+            const closingLine = await bot.processMessage('I\'m not interested, please stop calling me.');
+            assert.match(closingLine, /^I understand, and I won't keep you\./);
+            assert.equal(bot.callEnded, true);
+            assert.equal((await repository.getPatient(patient.DocumentID)).followUpCall.summary, undefined);
+
+            answerExtraction('{}');
+            await bot.endCall('hang-up');
+            assert.equal((await repository.getPatient(patient.DocumentID)).followUpCall.summary.call.endReason, 'refused');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }));
+});
@@ -0,0 +1,128 @@
+// Healthcare Voice Agent - Call Event Router Tests
+// Phone calls played through the telephony simulator: each call event reaches the session bound to the call, and how
+// the call ended is stored on its call attempt
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EchoBot } = require('../bot');
+const { SimulatedTelephonyAdapter } = require('../telephonySimulator');
+const { CallEventRouter } = require('../callEventRouter');
+const { SessionManager } = require('../sessionManager');
+const { PatientBotFactory } = require('../patientBotFactory');
+const { JsonFilePatientRepository } = require('../patientRepository');
+const { MockLlmProvider } = require('../llmProvider');
+const { FakeCalendar } = require('./support/fakeCalendar');
+
+const FIXTURE_PATIENTS = path.join(__dirname, 'fixtures', 'patients.json');
+
+// The bot factory, with the fake calendar in place of Microsoft Graph
+class SimulatedBotFactory extends PatientBotFactory {
+    createBotForPatient(patientRecord) {
+        return new EchoBot(patientRecord, { patientRepository: this.repository, llmProvider: this.llmProvider, schedulingPlugin: new FakeCalendar() });
+    }
+}
+
+// Call events are handled asynchronously; wait until the handlers have done what the test is looking for
+async function waitFor(condition, timeoutMs = 2000) {
+    const startedAt = Date.now();
+    while (!(await condition())) {
+        if (Date.now() - startedAt > timeoutMs) {
+            throw new Error('Timed out waiting for the call router');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('call event router', () => {
+    let directory;
+    let factory;
+    let sessions;
+    let adapter;
+    let router;
+    const { log, warn } = console;
+
+    before(() => {
+        console.log = () => {};
+        console.warn = () => {}; console.error = (...a) => process.stderr.write(a.join(' ') + '\n');
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-bot-calls-'));
+        const storePath = path.join(directory, 'patients.json');
+        fs.copyFileSync(FIXTURE_PATIENTS, storePath);
+        factory = new SimulatedBotFactory(new JsonFilePatientRepository(storePath), { llmProvider: new MockLlmProvider() });
+        sessions = new SessionManager(factory);
+        adapter = new SimulatedTelephonyAdapter();
+        router = new CallEventRouter(adapter, sessions, factory);
+    });
+
+    after(() => {
+        sessions.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+        console.log = log;
+        console.warn = warn;
+    });
+
+    // What the bot has said on a call so far, a sentence per line
+    const botLines = callId => adapter.getCall(callId).transcript.filter(entry => entry.speaker === 'bot').map(entry => entry.text);
+
+    // The patient's side of the call, then wait until the bot has said what the test expects back
+    const respond = async (callId, act, expected) => {
+        const spokenBefore = botLines(callId).length;
+        act();
+        await waitFor(() => expected.test(botLines(callId).slice(spokenBefore).join(' ')));
+    };
+
+    // The call attempt stored for a call
+    const attemptFor = async (documentId, callId) => {
+        const patient = await factory.getPatientById(documentId);
+        return patient.followUpCall.callAttempts.find(attempt => attempt.callId === callId);
+    };
+
+    it('opens with the identity question, takes answers spoken or keyed in, and stores a hang-up as a dropped call', async () => {
+        const patient = await factory.getPatientById('simTwoMedications01');
+        const { callId, conversationId } = await router.dial(patient);
+        assert.equal((await attemptFor(patient.DocumentID, callId)).outcome, 'dialing');
+
+        await respond(callId, () => adapter.answer(callId), /could you please confirm your date of birth/);
+        assert.equal((await attemptFor(patient.DocumentID, callId)).outcome, 'connected');
+        await respond(callId, () => adapter.say(callId, 'Who is this?'), /^I'm sorry, I didn't catch that\. .*date of birth/);
+
+        // Twelfth of April 1958, keyed in on the phone
+        await respond(callId, () => adapter.pressKeys(callId, '12041958'), /^Thank you for confirming\. Hello Ravi Kumar! .* Have you picked up your Amlodipine yet\?$/);
+        const { bot } = sessions.getSession(conversationId);
+        assert.equal(bot.identity.verified, true);
+
+        adapter.remoteHangUp(callId);
+        await waitFor(() => sessions.getEndedSession(conversationId) !== null);
+        await bot.endCall();
+        const attempt = await attemptFor(patient.DocumentID, callId);
+        assert.deepEqual([attempt.outcome, attempt.hangUpReason], ['dropped', 'remote']);
+        assert.equal(sessions.getEndedSession(conversationId).reason, 'dropped');
+        assert.equal(router.calls.has(callId), false);
+    });
+
+    it('leaves a message on an answering machine and hangs up', async () => {
+        const patient = await factory.getPatientById('simOneMedication002');
+        const { callId, conversationId } = await router.dial(patient);
+        const { bot } = sessions.getSession(conversationId);
+
+        adapter.reachVoicemail(callId);
+        await waitFor(() => adapter.getCall(callId).state === 'ended' && !router.calls.has(callId));
+        await bot.endCall();
+        assert.deepEqual(botLines(callId), [bot.flow.outcomes.voicemail]);
+        assert.ok(!botLines(callId)[0].includes(patient.patientName));
+        assert.deepEqual([(await attemptFor(patient.DocumentID, callId)).outcome, sessions.getEndedSession(conversationId).reason], ['voicemail', 'voicemail']);
+    });
+
+    it('stores a call nobody answered as no-answer', async () => {
+        const patient = await factory.getPatientById('simOneMedication002');
+        const { callId, conversationId } = await router.dial(patient);
+
+        adapter.remoteHangUp(callId);
+        await waitFor(() => sessions.getEndedSession(conversationId) !== null);
+        const attempt = await attemptFor(patient.DocumentID, callId);
+        assert.deepEqual([attempt.outcome, attempt.hangUpReason], ['no-answer', 'no-answer']);
+        assert.deepEqual(botLines(callId), []);
+    });
+});
@@ -0,0 +1,53 @@
+// Healthcare Voice Agent - Call Outcome Tests
+// Replies that take a call off script, and the call-back times patients ask for
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyReply, parseCallbackTime, describeCallbackTime } = require('../callOutcomes');
+
+// Sunday 18 October 2026, 2:30 PM in Kolkata
+const NOW = new Date('2026-10-18T09:00:00Z');
+const TIME_ZONE = 'Asia/Kolkata';
+
+function callbackAt(text) {
+    const date = parseCallbackTime(text, { now: NOW, timeZone: TIME_ZONE });
+    return date && date.toISOString();
+}
+
+describe('call outcomes', () => {
+    it('recognizes voicemail greetings, someone else, call-back requests and refusals', () => {
+        const outcome = (text, options) => (classifyReply(text, options) || {}).outcome || null;
+        assert.equal(outcome('You have reached 555 0134. Please leave a message after the tone.'), 'voicemail');
+        assert.equal(outcome('Sorry, you have the wrong number.'), 'wrong-person');
+        assert.equal(outcome('She is not home right now.'), 'wrong-person');
+        assert.equal(outcome('I\'m in a meeting, call me back in an hour.'), 'call-back-later');
+        assert.equal(outcome('Not interested, please call me later... actually, stop calling me.'), 'refused');
+        assert.equal(outcome('Ravi baad mein call karega'), 'call-back-later');
+    });
+
+    it('leaves ordinary answers alone, and stops listening for machines once the patient is confirmed', () => {
+        ['Who is asking?', 'I missed two doses last week.', 'Can my doctor call me back about the dose?', 'My daughter handles all of that.']
+            .forEach(text => assert.equal(classifyReply(text), null, text));
+        assert.equal(classifyReply('Should I leave a message for the doctor?', { verified: true }), null);
+    });
+
+    it('only ends the call for a bad time or a lack of interest in the call itself', () => {
+        ['I had a bad time last night, I have been really dizzy since the new pill.', 'I am not interested in taking the pills anymore.',
+            'I can\'t talk right now without coughing.'].forEach(text => assert.equal(classifyReply(text, { verified: true }), null, text));
+        assert.equal(classifyReply('This is a bad time, sorry.').outcome, 'call-back-later');
+        assert.equal(classifyReply('I\'m not interested.').outcome, 'refused');
+    });
+
+    it('reads the call-back time in the patient\'s time zone', () => {
+        assert.equal(callbackAt('call me back in 2 hours'), '2026-10-18T11:00:00.000Z');
+        assert.equal(callbackAt('in half an hour'), '2026-10-18T09:30:00.000Z');
+        assert.equal(callbackAt('tomorrow at 5'), '2026-10-19T11:30:00.000Z');
+        assert.equal(callbackAt('this evening'), '2026-10-18T12:30:00.000Z');
+        assert.equal(callbackAt('on Monday morning'), '2026-10-19T04:30:00.000Z');
+        assert.equal(callbackAt('at 10 am'), '2026-10-19T04:30:00.000Z');
+        assert.equal(callbackAt('later, I am busy'), null);
+        assert.equal(callbackAt('call me later, I slept badly last night'), null);
+        assert.equal(callbackAt('I was dizzy last night, call me back tomorrow'), '2026-10-19T04:30:00.000Z');
+        assert.match(describeCallbackTime(new Date('2026-10-19T11:30:00Z'), { timeZone: TIME_ZONE }), /^Monday, 5:00\sPM$/);
+    });
+});
@@ -0,0 +1,141 @@
+// Healthcare Voice Agent - Conversation Memory Tests
+// The context budget: which turns are sent verbatim, which are folded into the state note, and what a long call sends
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConversationMemory, estimateTokens, countTokens } = require('../conversationMemory');
+const { simulateCall, SCHEDULING_AGENT, SUMMARIZER } = require('./support/conversationSimulator');
+const { quietly } = require('./support/quietly');
+const { PERSONAS } = require('./personas');
+
+// A call of plain question-and-answer turns, each line long enough to count
+function buildHistory(turns) {
+    const history = [];
+    for (let turn = 1; turn <= turns; turn++) {
+        history.push({ role: 'user', content: `Patient answer number ${ turn }. ${ 'I take it every morning. '.repeat(8) }` });
+        history.push({ role: 'assistant', content: `Jenny question number ${ turn }. ${ 'Have you had any side effects? '.repeat(8) }` });
+    }
+    return history;
+}
+
+describe('conversation memory', () => {
+    it('estimates tokens, counting non-English script more densely', () => {
+        assert.equal(estimateTokens('abcdefgh'), 2);
+        assert.equal(estimateTokens(''), 0);
+        assert.ok(estimateTokens('हाँ, मैंने दवाई ले ली है।') > estimateTokens('Yes, I picked it up.'));
+        assert.equal(countTokens([{ role: 'user', content: 'abcd' }]), 5);
+    });
+
+    it('sends the history as it is while it fits the budget', async () => {
+        const memory = new ConversationMemory({ maxTokens: 100000, recentTurns: 2 });
+        const history = buildHistory(10);
+        assert.deepEqual(await memory.contextFor(history, 1000), history);
+        assert.equal(memory.note, '');
+    });
+
+    it('folds older turns into the state note once the history outgrows the budget', async () => {
+        const folded = [];
+        const memory = new ConversationMemory({
+            maxTokens: 1200,
+            recentTurns: 4,
+            summarize: async (note, lines) => {
+                folded.push(...lines);
+                return '- Takes the medication every morning';
+            }
+        });
+        const history = buildHistory(10);
+        const context = await memory.contextFor(history, 200);
+
+        assert.equal(context[0].role, 'system');
+        assert.match(context[0].content, /EARLIER IN THIS CALL[\s\S]*Takes the medication every morning/);
+        assert.deepEqual(context.slice(1), history.slice(-4));
+        assert.equal(folded.length, 16);
+        assert.match(folded[0], /^Patient: Patient answer number 1\./);
+        assert.ok(countTokens(context) < countTokens(history));
+
+        // Nothing more is folded while the context fits; then only what has aged out since
+        folded.length = 0;
+        history.push(...buildHistory(5));
+        await memory.contextFor(history, 200);
+        assert.equal(folded.length, 0);
+        history.push(...buildHistory(1));
+        await memory.contextFor(history, 200);
+        assert.equal(folded.length, 12);
+    });
+
+    it('keeps pinned turns verbatim and out of the note', async () => {
+        let lines = [];
+        const memory = new ConversationMemory({ maxTokens: 1000, recentTurns: 2, summarize: async (note, newLines) => { lines = newLines; return '- note'; } });
+        const history = buildHistory(8);
+        const safetyTurn = history.slice(2, 4);
+        memory.pin(...safetyTurn);
+
+        const context = await memory.contextFor(history, 0);
+        assert.deepEqual(context.slice(1, 3), safetyTurn);
+        assert.ok(!lines.some(line => line.includes('number 2.')));
+    });
+
+    it('never splits a tool call from its result', async () => {
+        const memory = new ConversationMemory({ maxTokens: 600, recentTurns: 2, summarize: async () => '- note' });
+        const history = buildHistory(6);
+        const toolRequest = { role: 'assistant', content: null, tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'findAvailability', arguments: '{}' } }] };
+        const toolResult = { role: 'tool', tool_call_id: 'call-1', name: 'findAvailability', content: 'Available slots: 10:00 AM' };
+        history.push({ role: 'user', content: 'Tuesday please.' }, toolRequest, toolResult, { role: 'assistant', content: 'I have 10 AM on Tuesday.' });
+
+        const context = await memory.contextFor(history, 0);
+        const sentResult = context.findIndex(message => message.role === 'tool');
+        assert.ok(sentResult > 0);
+        assert.equal(context[sentResult - 1], toolRequest);
+    });
+
+    it('keeps older lines shortened in the note when the summary fails', async () => {
+        const memory = new ConversationMemory({ maxTokens: 800, recentTurns: 2, summarize: async () => { throw new Error('LLM unavailable'); } });
+        const history = buildHistory(6);
+        const context = await quietly(() => memory.contextFor(history, 0));
+
+        const noteLines = context[0].content.split('\n').slice(1);
+        assert.equal(noteLines.length, 10);
+        assert.ok(noteLines.every(line => line.length <= 160));
+        assert.match(noteLines[0], /^Patient: Patient answer number 1\..*\.\.\.$/);
+    });
+
+    it('drops the oldest shortened lines once the note outgrows its own budget', async () => {
+        const memory = new ConversationMemory({ maxTokens: 800, recentTurns: 2, fallbackNoteTokens: 200 });
+        const history = buildHistory(6);
+        await memory.contextFor(history, 0);
+        history.push(...buildHistory(4));
+        await memory.contextFor(history, 0);
+
+        // Eighteen lines folded; the four newest fit
+        const noteLines = memory.note.split('\n');
+        assert.ok(estimateTokens(memory.note) <= 200, `note ${ estimateTokens(memory.note) } tokens`);
+        assert.equal(noteLines.length, 4);
+        assert.match(noteLines[3], /^Jenny: Jenny question number 3\./);
+    });
+
+    it('keeps a long call within the budget, with the booking and read-back pinned', async () => {
+        const { bot, llm } = await simulateCall(PERSONAS.compliant, { contextBudget: { maxTokens: 2000, recentTurns: 2 } });
+
+        assert.equal(bot.callOutcome.outcome, 'completed');
+        assert.ok(llm.requests.some(request => request.messages[0].content.includes(SUMMARIZER)));
+        assert.equal(bot.turnStats.turns.length, PERSONAS.compliant.turns.length);
+        assert.ok(bot.turnStats.turns.every(turn => turn.routing && (turn.llmRequests === 0 || turn.promptTokens > 0)));
+        assert.equal(bot.turnStats.llmRequests, llm.requests.length);
+
+        // The reply after booking is asked with the note and the booking exchange, not the whole call
+        const lastScheduling = llm.requests.filter(request => request.messages[0].content.includes(SCHEDULING_AGENT)).pop();
+        const sent = lastScheduling.messages.slice(1);
+        assert.match(sent[0].content, /EARLIER IN THIS CALL/);
+        assert.ok(sent.some(message => message.role === 'tool' && message.name === 'createAppointment'));
+        assert.ok(sent.length < bot.conversationHistory.length);
+
+        // No request has a tool result without the call that asked for it
+        llm.requests.forEach(request => request.messages.filter(message => message.role === 'tool').forEach(message =>
+            assert.ok(request.messages.some(entry => entry.tool_calls && entry.tool_calls.some(call => call.id === message.tool_call_id)))));
+
+        const pinned = bot.conversationHistory.filter(message => bot.memory.isPinned(message));
+        assert.ok(pinned.some(message => message.role === 'tool' && message.name === 'createAppointment'));
+        assert.ok(pinned.some(message => /read back what we agreed/.test(message.content || '')));
+        assert.ok(!pinned.some(message => /picked up the Amlodipine/.test(message.content || '')));
+    });
+});
@@ -0,0 +1,114 @@
+// Healthcare Voice Agent - Discharge Importer Tests
+// CSV files and HL7 ADT^A03 messages read into patient records, and what an import reports for each row
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DischargeImporter, detectFormat, parseCsv } = require('../dischargeImporter');
+const { parseAdtA03, parseHl7Timestamp } = require('../hl7AdtParser');
+const { JsonFilePatientRepository } = require('../patientRepository');
+const { quietly } = require('./support/quietly');
+
+const FIXTURE_PATIENTS = path.join(__dirname, 'fixtures', 'patients.json');
+
+const CSV = [
+    'Document ID,MRN,DOB,Patient_Name,doctor-name,Discharge Date,Phone Number,Medication Name,Dosage,Frequency',
+    'imp001,MRN-7001,1950-01-02,"Rao, Asha",Gupta,2030-01-02,(555) 010-0134,Amlodipine | Aspirin,5mg | 81mg,Once daily | Once daily',
+    'imp002,MRN-7002,1961-03-04,"Sunil ""Sunny"" Das",Mehta,2030-01-03T10:00:00Z,+15550100135,Metformin,500mg,"Twice daily,',
+    'with meals"',
+    '',
+    'imp003,MRN-7003,1970-05-06,Lata Iyer,Gupta,2030-01-04,+15550100136,Aspirin|Atorvastatin,81mg,Once daily'
+].join('\r\n');
+
+const ADT_A03 = [
+    'MSH|^~\\&|EPIC|GENHOSP|VOICEBOT|CARE|20300102093000||ADT^A03|MSG0001|P|2.5.1',
+    'EVN|A03|20300102093000',
+    'PID|1||998877^^^GENHOSP^PI~MRN-8001^^^GENHOSP^MR||Kumar^Ravi||19580412|M|||||^PRN^PH^^91^98^76543210',
+    // Discharged (PV1-45) at 8:30 AM India Standard Time
+    `PV1|1|I|WARD^101^A||||1234^Gupta^Anil${ '|'.repeat(38) }20300102083000+0530`,
+    'RXE|^QD|AMLO5^Amlodipine|5||mg^mg',
+    'RXE||ATOR20^Atorvastatin \\T\\ 20|20||mg',
+    'TQ1|||QHS',
+    'MSH|^~\\&|EPIC|GENHOSP|VOICEBOT|CARE|20300102093500||ADT^A01|MSG0002|P|2.5.1',
+    'PID|1||MRN-8002^^^GENHOSP^MR||Shah^Nina'
+].join('\r');
+
+describe('discharge importer', () => {
+    it('reads CSV headers however they are written, with quoted cells and several medications per row', () => {
+        const [first, second, third] = parseCsv(CSV, { defaultCountryCode: '+1' });
+
+        assert.deepEqual(first, {
+            row: 1,
+            record: {
+                DocumentID: 'imp001',
+                mrn: 'MRN-7001',
+                dateOfBirth: '1950-01-02',
+                patientName: 'Rao, Asha',
+                doctorName: 'Gupta',
+                dischargeDate: '2030-01-02T00:00:00Z',
+                phoneNumber: '+15550100134',
+                prescriptions: [
+                    { medicationName: 'Amlodipine', dosage: '5mg', frequency: 'Once daily' },
+                    { medicationName: 'Aspirin', dosage: '81mg', frequency: 'Once daily' }
+                ]
+            }
+        });
+        assert.equal(second.record.patientName, 'Sunil "Sunny" Das');
+        assert.equal(second.record.dischargeDate, '2030-01-03T10:00:00Z');
+        assert.deepEqual(second.record.prescriptions, [{ medicationName: 'Metformin', dosage: '500mg', frequency: 'Twice daily,\r\nwith meals' }]);
+        assert.deepEqual(third.identifiers, { DocumentID: 'imp003', mrn: 'MRN-7003', patientName: 'Lata Iyer' });
+        assert.equal(third.errors[0].field, 'prescriptions');
+        assert.deepEqual(parseCsv(''), []);
+    });
+
+    it('reads an ADT^A03 message into a patient record, and rejects other message types', () => {
+        const [discharge, admission] = parseAdtA03(ADT_A03);
+
+        assert.deepEqual(discharge, {
+            row: 1,
+            messageControlId: 'MSG0001',
+            record: {
+                mrn: 'MRN-8001',
+                patientName: 'Ravi Kumar',
+                dateOfBirth: '1958-04-12',
+                doctorName: 'Gupta',
+                phoneNumber: '+919876543210',
+                dischargeDate: '2030-01-02T03:00:00Z',
+                prescriptions: [
+                    { medicationName: 'Amlodipine', dosage: '5mg', frequency: 'Once daily' },
+                    { medicationName: 'Atorvastatin & 20', dosage: '20mg', frequency: 'Once daily at night' }
+                ]
+            }
+        });
+        assert.deepEqual(admission, { row: 2, errors: [{ field: '', message: 'Unsupported message type ADT^A01, expected ADT^A03' }] });
+    });
+
+    it('reads HL7 timestamps with and without an offset, and tells the formats apart', () => {
+        assert.equal(parseHl7Timestamp('20300102'), '2030-01-02T00:00:00Z');
+        assert.equal(parseHl7Timestamp('203001020930-0500'), '2030-01-02T14:30:00Z');
+        assert.equal(parseHl7Timestamp('not a date'), null);
+        assert.equal(detectFormat(ADT_A03), 'hl7');
+        assert.equal(detectFormat(CSV), 'csv');
+        assert.throws(() => detectFormat(CSV, 'xml'), error => error.statusCode === 400);
+    });
+
+    it('reports every row of a dry run without writing anything', () => quietly(async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-bot-import-'));
+        try {
+            const storePath = path.join(directory, 'patients.json');
+            fs.copyFileSync(FIXTURE_PATIENTS, storePath);
+            const importer = new DischargeImporter(new JsonFilePatientRepository(storePath), { defaultCountryCode: '+1' });
+            const repeated = `${ CSV }\r\nimp001,MRN-7001,1950-01-02,Asha Rao,Gupta,2030-01-02,+15550100134,,,`;
+
+            const report = await importer.importDischarges(repeated, { dryRun: true });
+            assert.deepEqual([report.format, report.total, report.accepted, report.rejected], ['csv', 4, 2, 2]);
+            assert.deepEqual(report.rows.map(row => row.status), ['accepted', 'accepted', 'rejected', 'rejected']);
+            assert.match(report.rows[3].errors[0].message, /^repeats row 1 of this batch/);
+            assert.equal(fs.readFileSync(storePath, 'utf-8'), fs.readFileSync(FIXTURE_PATIENTS, 'utf-8'));
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }));
+});
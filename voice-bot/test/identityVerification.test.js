@@ -0,0 +1,55 @@
+// Healthcare Voice Agent - Identity Verification Tests
+// Reading dates of birth and reference digits out of spoken or keyed answers, the limit on attempts, and keeping
+// answers out of the call transcript
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { EchoBot } = require('../bot');
+const { IdentityVerifier, parseDates } = require('../identityVerification');
+const { MockLlmProvider } = require('../llmProvider');
+const { FakeCalendar } = require('./support/fakeCalendar');
+const { quietly } = require('./support/quietly');
+
+const PATIENTS = JSON.parse(fs.readFileSync(require.resolve('./fixtures/patients.json'), 'utf-8'));
+
+describe('identity verification', () => {
+    it('reads a date of birth however it is said', () => {
+        ['1958-04-12', 'It is the 12th of April, 1958', 'April 12 1958', '12/04/1958', '04/12/1958', '12041958', '१२ अप्रैल १९५८']
+            .forEach(answer => assert.ok(parseDates(answer).includes('1958-04-12'), answer));
+        assert.deepEqual(parseDates('Who is calling?'), []);
+        assert.deepEqual(parseDates('31/02/1958'), []);
+    });
+
+    it('checks the last four MRN digits when there is no date of birth on file', () => {
+        const verifier = new IdentityVerifier({ mrn: 'MRN-00417' }, { required: true });
+        assert.equal(verifier.method, 'reference');
+        assert.equal(verifier.check('zero four one seven'), 'verified');
+        assert.equal(verifier.verified, true);
+    });
+
+    it('fails after the last allowed attempt, counting answers it could not make out', () => {
+        const verifier = new IdentityVerifier({ dateOfBirth: '1958-04-12' }, { required: true, maxAttempts: 2 });
+        assert.equal(verifier.check('Sorry?'), 'unclear');
+        assert.equal(verifier.check('13 April 1958'), 'failed');
+        assert.deepEqual({ ...verifier.toRecord('call-1'), at: null }, { status: 'failed', method: 'dateOfBirth', attempts: 2, at: null, conversationId: 'call-1' });
+        assert.throws(() => verifier.check('1958-04-12'), /failed/);
+    });
+
+    it('cannot verify a record with nothing to check, and can be turned off', () => {
+        assert.equal(new IdentityVerifier({}, { required: true }).status, 'unverifiable');
+        assert.equal(new IdentityVerifier({}, { required: false }).verified, true);
+    });
+
+    it('keeps an answer given to a nurse who has taken over out of the transcript', () => quietly(async () => {
+        const patient = PATIENTS.find(record => record.DocumentID === 'simTwoMedications01');
+        const bot = new EchoBot(patient, { patientRepository: {}, llmProvider: new MockLlmProvider(), schedulingPlugin: new FakeCalendar() });
+        await bot.processMessage('__START_CALL__');
+        bot.beginTakeover('Nurse Priya');
+
+        assert.equal(await bot.processMessage(`It's ${ patient.dateOfBirth }`), null);
+        const answer = bot.transcript[bot.transcript.length - 1];
+        assert.deepEqual([answer.speaker, answer.text, answer.outcome], ['patient', '[identity answer]', 'takeover']);
+        assert.ok(!JSON.stringify(bot.transcript).includes(patient.dateOfBirth));
+    }));
+});
@@ -0,0 +1,108 @@
+// Healthcare Voice Agent - Intent Classifier Tests
+// Local routing of patient turns: the rules, the trained classifier, when the triage LLM is still asked, routing
+// through an LLM outage, and accuracy on the held-out evaluation set
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { IntentClassifier, evaluateIntents, loadEvaluationCases, routingContext } = require('../intentClassifier');
+const { ConversationFlowLibrary } = require('../conversationFlow');
+const { simulateCall, TRIAGE_AGENT } = require('./support/conversationSimulator');
+const { quietly } = require('./support/quietly');
+const { PERSONAS } = require('./personas');
+
+describe('intent classifier', () => {
+    let classifier;
+    let flows;
+    before(() => quietly(() => {
+        classifier = new IntentClassifier({ threshold: 0.75 });
+        flows = new ConversationFlowLibrary();
+    }));
+
+    const onStep = (flowId, stepId, extra = {}) => ({ ...routingContext(flows.get(flowId), stepId), ...extra });
+
+    it('routes on keyword rules, only for routes the flow has', () => {
+        const scheduling = classifier.classify('Can we book the follow-up appointment?', onStep('discharge-follow-up', 'adherence'));
+        assert.deepEqual(scheduling, { route: 'ROUTE_TO_SCHEDULING', intent: 'ROUTE_TO_SCHEDULING', source: 'rule', confidence: 0.95, confident: true });
+
+        assert.equal(classifier.classify('The incision is a bit sore', onStep('post-surgery', 'medications')).route, 'ROUTE_TO_RECOVERY');
+        // The discharge flow has no recovery step, so the wound rule does not decide there
+        assert.notEqual(classifier.classify('The incision is a bit sore', onStep('discharge-follow-up', 'adherence')).source, 'rule');
+    });
+
+    it('counts the patient\'s own medication names, and lets distress outrank everything else', () => {
+        const context = onStep('discharge-follow-up', 'scheduling', { medicationNames: ['Levothyroxine 50mcg'] });
+        assert.equal(classifier.classify('The levothyroxine is fine', context).route, 'ROUTE_TO_ADHERENCE');
+        assert.equal(classifier.classify('I took too many pills on purpose', context).route, 'ROUTE_TO_SAFETY');
+    });
+
+    it('leaves a turn that mentions symptoms to the triage LLM unless it is routed to safety', () => {
+        const context = onStep('discharge-follow-up', 'adherence', { medicationNames: ['Amlodipine 5mg'] });
+        const chestPain = classifier.classify('I didn\'t take my pills and now I have chest pain', context);
+        assert.equal(chestPain.route, 'ROUTE_TO_ADHERENCE');
+        assert.equal(chestPain.confident, false);
+        assert.equal(classifier.classify('The amlodipine is fine', context).confident, true);
+        assert.equal(classifier.classify('I feel dizzy and I want to die', context).confident, true);
+    });
+
+    it('sends a short answer to the step the call is on', () => {
+        assert.equal(classifier.classify('Yes.', onStep('cardiology', 'symptoms')).route, 'ROUTE_TO_SYMPTOMS');
+        assert.equal(classifier.classify('Not yet', onStep('discharge-follow-up', 'adherence')).route, 'ROUTE_TO_ADHERENCE');
+        assert.equal(classifier.classify('हाँ', onStep('post-surgery', 'recovery')).route, 'ROUTE_TO_RECOVERY');
+        assert.equal(classifier.classify('No.', onStep('discharge-follow-up', 'wrap-up')).route, 'ROUTE_TO_FALLBACK');
+    });
+
+    it('classifies turns no rule covers, and never sends the safety script on the classifier\'s word alone', () => {
+        const result = classifier.classify('What did you say your name was, sorry?', onStep('discharge-follow-up', 'adherence'));
+        assert.equal(result.source, 'model');
+        assert.equal(result.route, 'ROUTE_TO_FALLBACK');
+
+        const distress = classifier.classify('Please help me, I am so scared', onStep('discharge-follow-up', 'adherence'));
+        assert.equal(distress.route, 'ROUTE_TO_SAFETY');
+        assert.equal(distress.confident, false);
+    });
+
+    it('rejects invalid training data', () => {
+        assert.throws(() => new IntentClassifier({ rules: [{ intent: 'ROUTE_TO_SCHEDULING', patterns: ['(book'] }], examples: [] }),
+            /Invalid intent training data: rule #1 \(ROUTE_TO_SCHEDULING\)/);
+        assert.throws(() => new IntentClassifier({ rules: [], examples: [{ text: 'Yes' }] }), /example #1 needs text and an intent/);
+    });
+
+    it('routes most of the evaluation set locally, and gets those right', () => {
+        const report = evaluateIntents(classifier, loadEvaluationCases(), flows);
+        assert.ok(report.cases >= 80);
+        assert.ok(report.accuracy >= 0.85, `accuracy ${ report.accuracy }`);
+        assert.ok(report.confident.rate >= 0.6, `routed locally ${ report.confident.rate }`);
+        assert.ok(report.confident.accuracy >= 0.95, `accuracy when confident ${ report.confident.accuracy }`);
+        assert.ok(report.misses.every(miss => !miss.confident || miss.source === 'rule'));
+        assert.equal(Object.values(report.intents).reduce((total, intent) => total + intent.support, 0), report.cases);
+    });
+});
+
+describe('triage routing', () => {
+    it('routes a call without the triage LLM when the classifier is sure', async () => {
+        const { llm, bot } = await simulateCall(PERSONAS.missedDoses);
+        assert.ok(!llm.requests.some(request => request.messages[0].content.includes(TRIAGE_AGENT)));
+        assert.ok(bot.turnStats.turns.every(turn => turn.routing.source === 'rule' || turn.routing.source === 'model'));
+    });
+
+    it('asks the triage LLM when the classifier is unsure', async () => {
+        const intentClassifier = await quietly(() => new IntentClassifier({ threshold: 2 }));
+        const { llm, bot } = await simulateCall(PERSONAS.confused, { intentClassifier });
+        const triageRequests = llm.requests.filter(request => request.messages[0].content.includes(TRIAGE_AGENT));
+        assert.equal(triageRequests.length, PERSONAS.confused.turns.length);
+        assert.deepEqual(bot.turnStats.turns.map(turn => turn.routing.source), ['llm', 'llm', 'llm']);
+    });
+
+    it('keeps routing on the classifier\'s best guess while the LLM is down', async () => {
+        const intentClassifier = await quietly(() => new IntentClassifier({ threshold: 2 }));
+        const outage = () => {
+            throw new Error('503 Service Unavailable');
+        };
+        const persona = { ...PERSONAS.compliant, llm: [{ system: TRIAGE_AGENT, reply: outage }, ...PERSONAS.compliant.llm] };
+        const { bot, toolCalls } = await quietly(() => simulateCall(persona, { intentClassifier }));
+
+        assert.equal(bot.callOutcome.outcome, 'completed');
+        assert.deepEqual(toolCalls.map(toolCall => toolCall.name), ['findAvailability', 'createAppointment']);
+        assert.ok(bot.turnStats.turns.every(turn => /LLM unavailable/.test(turn.routing.source)));
+    });
+});
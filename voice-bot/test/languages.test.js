@@ -0,0 +1,29 @@
+// Healthcare Voice Agent - Call Language Tests
+// Telling which language a patient's reply is in, and falling back when a record names one Jenny does not speak
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage, resolveLanguage } = require('../languages');
+
+describe('language detection', () => {
+    it('tells Indian languages apart by their script', () => {
+        assert.equal(detectLanguage('हाँ, मैंने दवाई ले ली है।').code, 'hi-IN');
+        assert.equal(detectLanguage('ஆமாம், நான் மருந்து வாங்கிவிட்டேன்.').code, 'ta-IN');
+        assert.equal(detectLanguage('हो, मी औषध घेतले.', { current: 'mr-IN' }).code, 'mr-IN');
+    });
+
+    it('recognizes romanized Hindi by its common words', () => {
+        assert.deepEqual(detectLanguage('Haan ji, maine dawai le li hai'), { code: 'hi-IN', confidence: 0.95, method: 'romanized' });
+    });
+
+    it('switches to English only on a full English sentence', () => {
+        assert.equal(detectLanguage('Yes', { current: 'hi-IN' }), null);
+        assert.equal(detectLanguage('Yes, I picked it up yesterday.', { current: 'hi-IN', english: 'en-IN' }).code, 'en-IN');
+        assert.equal(detectLanguage('Yes, I picked it up yesterday.', { current: 'en-US' }).code, 'en-US');
+    });
+
+    it('falls back to the default language for one that is not supported', () => {
+        assert.equal(resolveLanguage('fr-FR', {}).code, 'en-US');
+        assert.equal(resolveLanguage(undefined, { DEFAULT_LANGUAGE: 'en-IN' }).code, 'en-IN');
+    });
+});
@@ -0,0 +1,95 @@
+// Healthcare Voice Agent - Escalation and Notification Outbox Tests
+// Escalations queue one alert per channel that takes their severity; the outbox retries failed deliveries and
+// delivers an alert queued during a delivery run in that same run
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EscalationQueue } = require('../escalationQueue');
+const { NotificationOutbox } = require('../notificationOutbox');
+const { MemoryChannel } = require('../notificationChannels');
+const { quietly } = require('./support/quietly');
+
+const PATIENT = { DocumentID: 'simOneMedication002', patientName: 'Meera Nair', phoneNumber: '+15550134', doctorName: 'Rao' };
+
+// A channel that takes a while to send, as email or SMS can
+class SlowChannel extends MemoryChannel {
+    constructor(delayMs, config) {
+        super(config);
+        this.delayMs = delayMs;
+    }
+
+    async send(notification) {
+        await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        return super.send(notification);
+    }
+}
+
+function raise(queue, severity, conversationId = 'call-1', ruleIds = [`${ severity }-rule`]) {
+    return queue.raise({
+        patient: PATIENT,
+        severity,
+        reason: `${ severity } symptom`,
+        ruleIds,
+        excerpt: [{ role: 'patient', text: 'My ankles are swollen' }],
+        conversationId
+    });
+}
+
+describe('escalations and the notification outbox', () => {
+    it('queues an alert on each channel that takes its severity, and raises a repeat on the same call once', () => quietly(async () => {
+        const team = new MemoryChannel({ name: 'team' });
+        const pager = new MemoryChannel({ name: 'pager', minSeverity: 'urgent' });
+        const outbox = new NotificationOutbox([team, pager], { filePath: null });
+        const queue = new EscalationQueue({ filePath: null, outbox });
+
+        const routine = await raise(queue, 'routine');
+        const urgent = await raise(queue, 'urgent');
+        assert.equal((await raise(queue, 'urgent')).id, urgent.id);
+        await outbox.flush();
+
+        assert.deepEqual(team.sent.map(notification => notification.escalationId), [routine.id, urgent.id]);
+        assert.deepEqual(pager.sent.map(notification => notification.escalationId), [urgent.id]);
+        assert.match(pager.sent[0].subject, /^\[URGENT\] urgent symptom - Meera Nair$/);
+        assert.match(pager.sent[0].text, /Phone: \+15550134\n[\s\S]*Transcript excerpt:\nPatient: My ankles are swollen/);
+        assert.ok((await outbox.list()).every(entry => entry.status === 'sent'));
+    }));
+
+    it('retries a failed delivery with backoff and gives up after the last attempt', () => quietly(async () => {
+        const channel = new MemoryChannel();
+        channel.fail = new Error('SMTP timeout');
+        const outbox = new NotificationOutbox([channel], { filePath: null, maxAttempts: 2, retryBaseDelayMs: 60000 });
+
+        await outbox.enqueue({ escalationId: 'esc-1', documentId: PATIENT.DocumentID, severity: 'urgent', subject: 'Alert', text: 'Alert' });
+        await outbox.flush();
+        let [entry] = await outbox.list();
+        assert.deepEqual([entry.status, entry.attempts, entry.lastError], ['pending', 1, 'SMTP timeout']);
+        assert.ok(Date.parse(entry.nextAttemptAt) - Date.now() > 50000);
+
+        // Not due again until the backoff has passed
+        await outbox.flush();
+        assert.equal((await outbox.list())[0].attempts, 1);
+        await outbox.store.mutate(document => {
+            document.notifications[0].nextAttemptAt = new Date().toISOString();
+        });
+        await outbox.flush();
+        [entry] = await outbox.list();
+        assert.deepEqual([entry.status, entry.attempts], ['failed', 2]);
+        assert.equal(channel.sent.length, 0);
+    }));
+
+    it('delivers an alert queued during a delivery run in that run, not at the next poll', () => quietly(async () => {
+        const channel = new SlowChannel(200);
+        const outbox = new NotificationOutbox([channel], { filePath: null });
+        const queue = new EscalationQueue({ filePath: null, outbox });
+
+        await raise(queue, 'routine', 'call-1');
+        const running = outbox.flush();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const emergency = await raise(queue, 'emergency', 'call-2');
+        await running;
+
+        const [entry] = await outbox.list({ escalationId: emergency.id });
+        assert.equal(entry.status, 'sent');
+        assert.deepEqual(channel.sent.map(notification => notification.severity), ['routine', 'emergency']);
+    }));
+});
@@ -0,0 +1,58 @@
+// Healthcare Voice Agent - Patient Repository Tests
+// Both stores apply concurrent changes to one patient one after another, so no change overwrites another
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFilePatientRepository } = require('../patientRepository');
+const { SqlitePatientRepository } = require('../sqlitePatientRepository');
+const { quietly } = require('./support/quietly');
+
+const FIXTURE_PATIENTS = path.join(__dirname, 'fixtures', 'patients.json');
+const [PATIENT] = JSON.parse(fs.readFileSync(FIXTURE_PATIENTS, 'utf-8'));
+
+const STORES = {
+    json: dir => {
+        const filePath = path.join(dir, 'patients.json');
+        fs.copyFileSync(FIXTURE_PATIENTS, filePath);
+        return new JsonFilePatientRepository(filePath);
+    },
+    sqlite: dir => new SqlitePatientRepository({ dbPath: path.join(dir, 'patients.db'), seedFile: FIXTURE_PATIENTS })
+};
+
+Object.entries(STORES).forEach(([name, open]) => {
+    describe(`${ name } patient repository`, () => {
+        const withRepository = work => quietly(async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'patient-repository-'));
+            try {
+                const repository = open(dir);
+                await repository.init();
+                await work(repository);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('keeps both of two updates made at the same time', () => withRepository(async repository => {
+            await Promise.all([
+                repository.updatePatient(PATIENT.DocumentID, { followUpCall: { a: 1 } }),
+                repository.updatePatient(PATIENT.DocumentID, { followUpCall: { b: 2 } })
+            ]);
+
+            const { followUpCall } = await repository.getPatient(PATIENT.DocumentID);
+            assert.deepEqual([followUpCall.a, followUpCall.b], [1, 2]);
+        }));
+
+        it('keeps the red flags of two turns recorded at the same time', () => withRepository(async repository => {
+            await Promise.all([
+                repository.appendRedFlags(PATIENT.DocumentID, [{ ruleId: 'chest-pain' }]),
+                repository.appendRedFlags(PATIENT.DocumentID, [{ ruleId: 'fainting' }])
+            ]);
+
+            const { followUpCall } = await repository.getPatient(PATIENT.DocumentID);
+            assert.deepEqual(followUpCall.redFlags.map(flag => flag.ruleId).sort(), ['chest-pain', 'fainting']);
+        }));
+    });
+});
@@ -0,0 +1,387 @@
+// Healthcare Voice Agent - Persona Simulation Tests
+// Whole follow-up calls with scripted patients, against the mock LLM and the fake calendar
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { simulateCall, ADHERENCE_AGENT } = require('./support/conversationSimulator');
+const { PERSONAS, BOOKING_DATE, RESCHEDULE_DATE } = require('./personas');
+const { formatClinicalNote } = require('../callSummary');
+
+// The answers saved for one medication
+function medicationAnswers(record, medicationName) {
+    return record.followUpCall.medicationAnswers.find(answers => answers.medicationName === medicationName);
+}
+
+describe('compliant patient', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.compliant);
+    });
+
+    it('reviews each medication in turn, then moves on to scheduling', () => {
+        assert.match(call.turns[0].bot, /2 medications, Amlodipine and Atorvastatin/);
+        assert.match(call.turns[2].bot, /that covers your Amlodipine\. Next, let's go over your Atorvastatin/);
+        assert.deepEqual(call.turns[4].completedStates, ['adherence']);
+        assert.equal(call.turns[5].state, 'scheduling');
+        assert.deepEqual(call.turns[7].completedStates, ['adherence', 'scheduling']);
+    });
+
+    it('reads back the medications and the booking, then says goodbye and ends the call', () => {
+        assert.match(call.turns[7].bot, /let me read back what we agreed: you're taking Amlodipine as prescribed and we'll check on Atorvastatin another time\. Your follow-up appointment is on Tuesday, January 15 at 10:00\sAM\. Is there anything else/);
+        assert.equal(call.turns[8].bot, 'Thank you for your time, Ravi Kumar. Take care, and goodbye.');
+        assert.deepEqual(call.turns[8].completedStates, ['adherence', 'scheduling', 'wrap-up']);
+        assert.equal(call.bot.callOutcome.outcome, 'completed');
+        assert.equal(call.savedCall.endReason, 'completed');
+    });
+
+    it('checks availability before booking the slot the patient picked', () => {
+        assert.deepEqual(call.toolCalls.map(toolCall => toolCall.name), ['findAvailability', 'createAppointment']);
+        assert.deepEqual(call.toolCalls[1].args, { appointmentDateTime: `${ BOOKING_DATE }T10:00:00`, patientName: 'Ravi Kumar' });
+        assert.deepEqual(call.calendar.appointments, [{ dateTime: `${ BOOKING_DATE }T10:00:00`, patientName: 'Ravi Kumar' }]);
+    });
+
+    it('saves the completed call with the booked appointment', () => {
+        const { followUpCall, followUpAppointment } = call.record;
+        assert.equal(followUpCall.callCompleted, true);
+        assert.deepEqual(followUpCall.protocol, { id: 'discharge-follow-up', version: '1.4.1' });
+        assert.equal(medicationAnswers(call.record, 'Amlodipine').filledPrescription, true);
+        assert.deepEqual(medicationAnswers(call.record, 'Atorvastatin').sideEffects, []);
+        assert.equal(followUpAppointment.scheduled, true);
+        assert.equal(followUpAppointment.appointmentDateTime, `${ BOOKING_DATE }T10:00:00`);
+        assert.equal(followUpCall.redFlags, undefined);
+        assert.equal(call.escalations.length, 0);
+    });
+
+    it('leaves the nurses a summary with the booking and nothing left to chase but the unconfirmed medication', () => {
+        const { summary } = call.record.followUpCall;
+        assert.deepEqual(summary.medications.map(medication => medication.status), ['adherent', 'unknown']);
+        assert.deepEqual(summary.appointment, { status: 'booked', appointmentDateTime: `${ BOOKING_DATE }T10:00:00`, previousDateTime: null });
+        assert.deepEqual(summary.openFollowUps.map(followUp => followUp.type), ['adherence-unconfirmed']);
+        assert.deepEqual(summary.call.pendingStates, []);
+    });
+});
+
+describe('patient who missed doses', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.missedDoses);
+    });
+
+    it('records the missed doses and the unfilled prescription against the right medication', () => {
+        const amlodipine = medicationAnswers(call.record, 'Amlodipine');
+        assert.equal(amlodipine.filledPrescription, true);
+        assert.equal(amlodipine.missedDoses, 2);
+        assert.deepEqual(amlodipine.evidence.missedDoses.evidence, ['I missed two doses last week, I keep forgetting.']);
+        assert.equal(medicationAnswers(call.record, 'Atorvastatin').filledPrescription, false);
+        assert.deepEqual(call.record.followUpCall.adherenceAnswers, { filledPrescription: false, missedDoses: 2, sideEffects: [] });
+    });
+
+    it('finishes the review but not the call when no appointment is booked', () => {
+        assert.equal(call.turns[call.turns.length - 1].state, 'scheduling');
+        assert.deepEqual(call.toolCalls, []);
+        assert.equal(call.record.followUpCall.callCompleted, false);
+        assert.equal(call.record.followUpAppointment.scheduled, false);
+    });
+
+    it('lists the missed doses, unfilled prescription and missing appointment as open follow-ups', () => {
+        const { summary } = call.record.followUpCall;
+        assert.deepEqual(summary.openFollowUps.map(followUp => followUp.detail), [
+            'Amlodipine: 2 missed doses',
+            'Atorvastatin prescription has not been filled',
+            'No follow-up appointment is booked',
+            'Call ended (simulation finished) before finishing: scheduling, wrap-up'
+        ]);
+
+        const note = formatClinicalNote(summary, call.record.DocumentID);
+        assert.match(note, /^Follow-up call summary: Ravi Kumar \(simTwoMedications01\)\n/);
+        assert.match(note, /- Amlodipine 5mg Once daily: filled, 2 missed doses\n- Atorvastatin 20mg Once daily at night: prescription not filled\n/);
+        assert.match(note, /Appointment: None booked\n/);
+    });
+});
+
+describe('patient with a severe side effect', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.severeSideEffect);
+    });
+
+    it('answers with the safety script without asking the LLM', () => {
+        const [, reaction] = call.turns;
+        assert.match(reaction.bot, /please call your doctor or 911 right away/);
+        assert.match(reaction.bot, /Would you like to schedule your follow-up with Dr\. Gupta\?$/);
+        assert.equal(reaction.llmRequests, 0);
+    });
+
+    it('closes the medication review so the call goes on to scheduling', () => {
+        assert.deepEqual(call.turns[1].completedStates, ['adherence']);
+        assert.equal(call.turns[2].state, 'scheduling');
+        assert.deepEqual(call.toolCalls.map(toolCall => toolCall.name), ['findAvailability', 'createAppointment']);
+    });
+
+    it('saves the red flag and raises an emergency escalation for the nurses', () => {
+        const [redFlag] = call.record.followUpCall.redFlags;
+        assert.equal(redFlag.ruleId, 'anaphylaxis');
+        assert.equal(redFlag.severity, 'emergency');
+        assert.equal(call.escalations.length, 1);
+        assert.equal(call.escalations[0].severity, 'emergency');
+        assert.equal(call.escalations[0].id, redFlag.escalationId);
+        assert.deepEqual(medicationAnswers(call.record, 'Amlodipine').sideEffects, ['swelling']);
+    });
+
+    it('puts the emergency at the top of the summary once, with its escalation', () => {
+        const { summary } = call.record.followUpCall;
+        assert.deepEqual(summary.sideEffects.map(effect => effect.symptom), [summary.safetyEvents[0].symptom]);
+        assert.equal(summary.safetyEvents.length, 1);
+        assert.equal(summary.safetyEvents[0].escalationId, call.escalations[0].id);
+        assert.equal(summary.openFollowUps[0].type, 'safety-event');
+        assert.match(formatClinicalNote(summary), /Safety events:\n- .* UTC EMERGENCY /);
+    });
+
+    it('keeps the identity answer out of the saved transcript and the escalation', () => {
+        const { dateOfBirth } = call.record;
+        const answer = call.savedCall.transcript.find(entry => entry.identityAnswer);
+        assert.deepEqual([answer.text, answer.outcome], ['[identity answer]', 'verified']);
+        assert.ok(!JSON.stringify(call.savedCall).includes(dateOfBirth));
+        assert.ok(!call.escalations[0].excerpt.some(line => line.text === '[identity answer]' || line.text.includes(dateOfBirth)));
+    });
+});
+
+describe('patient who reschedules', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.rescheduler);
+    });
+
+    it('moves the existing appointment with one reschedule call', () => {
+        assert.deepEqual(call.toolCalls.map(toolCall => toolCall.name), ['rescheduleAppointment']);
+        assert.match(call.toolCalls[0].result, /^Successfully rescheduled/);
+        assert.deepEqual(call.calendar.appointments, [{ dateTime: `${ RESCHEDULE_DATE }T14:00:00`, patientName: 'Meera Nair' }]);
+    });
+
+    it('saves the new appointment time on the record', () => {
+        assert.equal(call.record.followUpAppointment.scheduled, true);
+        assert.equal(call.record.followUpAppointment.appointmentDateTime, `${ RESCHEDULE_DATE }T14:00:00`);
+        assert.equal(call.record.followUpCall.callCompleted, true);
+        assert.deepEqual(call.turns[3].completedStates, ['adherence', 'scheduling']);
+    });
+
+    it('answers a last question in the wrap-up and asks again before saying goodbye', () => {
+        assert.match(call.turns[3].bot, /Your follow-up appointment is on Wednesday, January 16 at 2:00\sPM\./);
+        assert.equal(call.turns[4].bot, 'Yes, please bring your Levothyroxine so Dr. Sharma can check it. Is there anything else I can help you with today?');
+        assert.match(call.turns[5].bot, /goodbye\.$/);
+        assert.equal(call.record.followUpCall.summary.call.endReason, 'completed');
+    });
+
+    it('summarizes the appointment as moved from the old time', () => {
+        assert.deepEqual(call.record.followUpCall.summary.appointment, {
+            status: 'rescheduled',
+            appointmentDateTime: `${ RESCHEDULE_DATE }T14:00:00`,
+            previousDateTime: `${ BOOKING_DATE } 9:00 AM`
+        });
+        assert.deepEqual(call.record.followUpCall.summary.openFollowUps, []);
+    });
+});
+
+describe('confused or off-topic patient', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.confused);
+    });
+
+    it('keeps the call on the medication review', () => {
+        call.turns.forEach(turn => {
+            assert.equal(turn.state, 'adherence');
+            assert.deepEqual(turn.completedStates, []);
+        });
+        assert.match(call.turns[2].bot, /check on your Levothyroxine/);
+        assert.deepEqual(call.toolCalls, []);
+    });
+
+    it('saves no adherence answers, red flags or appointment changes', () => {
+        const { followUpCall, followUpAppointment } = call.record;
+        assert.equal(followUpCall.callInitiated, true);
+        assert.deepEqual(followUpCall.adherenceAnswers, { filledPrescription: null, missedDoses: null, sideEffects: null });
+        assert.equal(followUpCall.medicationAnswers, undefined);
+        assert.equal(followUpCall.redFlags, undefined);
+        assert.equal(followUpAppointment.appointmentDateTime, `${ BOOKING_DATE }T09:00:00`);
+        assert.equal(call.escalations.length, 0);
+    });
+});
+
+describe('caller who cannot confirm the patient\'s identity', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.wrongPerson);
+    });
+
+    it('ends the call after three answers without saying anything about the patient', () => {
+        const lines = [...call.turns[0].verification.map(exchange => exchange.bot), call.turns[0].bot];
+        assert.equal(lines.length, 4);
+        assert.match(lines[1], /^I'm sorry, I didn't catch that\. .*date of birth/);
+        assert.match(lines[2], /^I'm sorry, that doesn't match what we have on file\./);
+        assert.match(lines[3], /can't go on with this call/);
+        lines.forEach(line => assert.doesNotMatch(line, /Ravi|Kumar|Gupta|Amlodipine|Atorvastatin/));
+        assert.equal(call.turns.length, 1);
+        assert.equal(call.llm.requests.length, 0);
+    });
+
+    it('logs the failed check on the record and for the care team, and saves no answers', () => {
+        const { followUpCall } = call.record;
+        assert.equal(followUpCall.identityVerification.status, 'failed');
+        assert.equal(followUpCall.identityVerification.method, 'dateOfBirth');
+        assert.equal(followUpCall.identityVerification.attempts, 3);
+        assert.equal(followUpCall.summary, undefined);
+        assert.equal(followUpCall.medicationAnswers, undefined);
+        assert.deepEqual(call.escalations.map(escalation => [escalation.severity, escalation.ruleIds[0]]), [['routine', 'identity-not-verified']]);
+        assert.equal(call.savedCall.endReason, 'identity-not-verified');
+    });
+});
+
+describe('chat that starts with a message', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.compliant, { firstMessage: 'Hi, who is this?' });
+    });
+
+    it('answers with the identity question and does not count the message as an answer', () => {
+        const [exchange] = call.turns[0].verification;
+        assert.match(exchange.bot, /^Hello, this is Jenny calling from your care team\..*date of birth/);
+        assert.equal(call.bot.channel, 'chat');
+        assert.equal(call.bot.identity.attempts, 1);
+        assert.equal(call.bot.identity.status, 'verified');
+    });
+});
+
+describe('call answered by an answering machine', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.answeringMachine);
+    });
+
+    it('leaves a message that says nothing about the patient and ends the call', () => {
+        assert.match(call.turns[0].bot, /^Hello, this is Jenny calling from your care team with a routine follow-up call\./);
+        assert.doesNotMatch(call.turns[0].bot, /Ravi|Kumar|Gupta|Amlodipine|Atorvastatin/);
+        assert.equal(call.bot.callOutcome.outcome, 'voicemail');
+        assert.equal(call.savedCall.endReason, 'voicemail');
+        assert.equal(call.record.followUpCall.identityVerification, undefined);
+        assert.equal(call.llm.requests.length, 0);
+    });
+});
+
+describe('patient who asks to be called back later', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.callBackLater);
+    });
+
+    it('asks when to call back and notes the time given', () => {
+        assert.equal(call.turns[0].verification[1].bot, 'Of course. When would be a better time to call you back?');
+        assert.match(call.turns[0].bot, /^Thank you, I'll call you back on \w+day, 5:00\sPM\. Goodbye\.$/);
+        const { outcome, callbackAt } = call.savedCall.outcome;
+        assert.equal(outcome, 'call-back-later');
+        assert.ok(new Date(callbackAt) > new Date());
+    });
+});
+
+describe('patient who declines the call', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.refuses);
+    });
+
+    it('closes politely and lets the care team know', () => {
+        assert.match(call.turns[1].bot, /^I understand, and I won't keep you\./);
+        assert.equal(call.bot.callOutcome.outcome, 'refused');
+        assert.deepEqual(call.escalations.map(escalation => [escalation.severity, escalation.ruleIds[0]]), [['routine', 'call-refused']]);
+        assert.equal(call.record.followUpCall.summary.call.endReason, 'refused');
+    });
+});
+
+describe('patient who had a bad time with a new pill', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.dizzySinceNewPill);
+    });
+
+    it('raises the dizziness and carries on with the call', () => {
+        assert.match(call.turns[1].bot, /same day|today/i);
+        assert.equal(call.bot.callOutcome, null);
+        assert.deepEqual(call.escalations.map(escalation => [escalation.severity, escalation.ruleIds[0]]), [['urgent', 'dizziness']]);
+    });
+});
+
+describe('patient who stopped the pills because of a rash', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.stopsPillsForRash);
+    });
+
+    it('raises the rash and does not take it as a refusal of the call', () => {
+        assert.equal(call.bot.callOutcome, null);
+        assert.ok(call.turns.slice(1).every(turn => turn.llmRequests > 0));
+        assert.ok(call.escalations.length > 0);
+        assert.ok(call.escalations.every(escalation => escalation.severity === 'urgent' && escalation.ruleIds.includes('rash-or-hives')));
+    });
+});
+
+describe('caller who asks to be called back while dizzy', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.busyAndDizzy);
+    });
+
+    it('raises the dizziness before ending the call with the time asked for', () => {
+        assert.equal(call.bot.callOutcome.outcome, 'call-back-later');
+        assert.deepEqual(call.escalations.map(escalation => [escalation.severity, escalation.ruleIds[0]]), [['urgent', 'dizziness']]);
+        assert.deepEqual(call.escalations[0].excerpt.map(line => line.role), ['assistant', 'patient']);
+    });
+});
+
+describe('patient who answers in Hindi', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.hindiSpeaker);
+    });
+
+    it('switches the call to Hindi after the first reply', () => {
+        assert.match(call.turns[0].bot, /^Thank you for confirming\. Hello Meera Nair!/);
+        assert.equal(call.bot.language.code, 'hi-IN');
+        assert.deepEqual(call.bot.getRecognitionLocales(), ['hi-IN']);
+        const prompts = call.llm.requests.map(request => request.messages[0].content).filter(prompt => prompt.includes(ADHERENCE_AGENT));
+        assert.match(prompts[prompts.length - 1], /### LANGUAGE: HINDI \(hi-IN\) ###/);
+    });
+
+    it('tags each transcript line with the language it was spoken in', () => {
+        const verified = call.savedCall.transcript.findIndex(entry => entry.event === 'identity-verified');
+        const languages = call.savedCall.transcript.slice(verified + 1).map(entry => `${ entry.speaker }:${ entry.language }`);
+        assert.deepEqual(languages.slice(0, 3), ['bot:en-US', 'patient:hi-IN', 'bot:hi-IN']);
+        assert.equal(call.savedCall.language, 'hi-IN');
+    });
+
+    it('saves Hindi as the preferred language for the next call', () => {
+        assert.equal(call.record.preferredLanguage, 'hi-IN');
+        assert.equal(call.record.followUpCall.language, 'hi-IN');
+        assert.equal(call.record.followUpCall.summary.language, 'hi-IN');
+    });
+});
+
+describe('patient whose preferred language is Hindi', () => {
+    let call;
+    before(async () => {
+        call = await simulateCall(PERSONAS.hindiPreferred);
+    });
+
+    it('opens the call in Hindi and keeps it there for a romanized Hindi reply', () => {
+        assert.match(call.turns[0].verification[0].bot, /^नमस्ते, मैं जेनी, आपकी केयर टीम की ओर से बोल रही हूँ। आपकी गोपनीयता के लिए/);
+        assert.match(call.turns[0].bot, /^पुष्टि करने के लिए धन्यवाद। नमस्ते Sunita Verma जी!/);
+        assert.match(call.turns[0].bot, /Metformin/);
+        assert.equal(call.turns[1].bot, 'बहुत अच्छा। क्या आप Metformin दिन में दो बार ले रही हैं?');
+        assert.equal(call.bot.language.code, 'hi-IN');
+    });
+
+    it('reads the appointment schedule back in Hindi', async () => {
+        call.bot.schedulingPlugin = { listAppointments: async () => [{ subject: 'Follow-up', startDateTime: `${ BOOKING_DATE }T09:00:00` }] };
+        assert.match(await call.bot.getAppointmentSummary(), /^आपके अपॉइंटमेंट अब इस तरह हैं:\n1\. Follow-up, \S+.*\n$/);
+        assert.match(call.bot.renderText(call.bot.flow.messages.calendarTrouble), /^माफ़ कीजिए, मुझे अभी अपॉइंटमेंट कैलेंडर/);
+    });
+});
@@ -0,0 +1,186 @@
+// Healthcare Voice Agent - Simulated Patient Personas
+// Scripted patients for the simulation tests: what each one says, and what the mock LLM answers on the
+// turns where the bot asks it (rules are tried before the simulator's defaults)
+
+const { MockLlmProvider } = require('../llmProvider');
+const { TRIAGE_AGENT, ADHERENCE_AGENT, SCHEDULING_AGENT, WRAP_UP_AGENT } = require('./support/conversationSimulator');
+
+// Dates on the fake calendar, far enough ahead that they never fall in the past
+const BOOKING_DATE = '2030-01-15';
+const RESCHEDULE_DATE = '2030-01-16';
+
+// Scheduling agent turns shared by the personas that book: check the day, offer the slots, book, confirm
+function bookingRules(patientName) {
+    return [
+        { system: SCHEDULING_AGENT, lastMessage: 'available slots', reply: 'On Tuesday I have 9:00 AM, 10:00 AM or 2:00 PM. Which would you like?' },
+        { system: SCHEDULING_AGENT, lastMessage: 'successfully booked', reply: 'You are all set for Tuesday at 10:00 AM.' },
+        { system: SCHEDULING_AGENT, lastMessage: 'tuesday', reply: MockLlmProvider.toolCall('findAvailability', { date: BOOKING_DATE }) },
+        { system: SCHEDULING_AGENT, lastMessage: '10', reply: MockLlmProvider.toolCall('createAppointment', { appointmentDateTime: `${ BOOKING_DATE }T10:00:00`, patientName }) }
+    ];
+}
+
+const PERSONAS = {
+    // Has both medications, takes them as prescribed, books the follow-up and has nothing else to ask
+    compliant: {
+        documentId: 'simTwoMedications01',
+        turns: [
+            'Yes, I picked up the Amlodipine last week.',
+            'I take it every morning and everything is fine.',
+            'Yes, I picked that one up too.',
+            'I take it every night with no side effects.',
+            'Sure, let us book the appointment.',
+            'Tuesday would be best.',
+            '10 AM please.',
+            'No, that is all. Thank you!'
+        ],
+        llm: [
+            { system: ADHERENCE_AGENT, lastMessage: 'picked up the Amlodipine', reply: 'Great. Have you been taking it once daily as prescribed?' },
+            { system: ADHERENCE_AGENT, lastMessage: 'picked that one up', reply: 'Good. Are you taking it every night?' },
+            ...bookingRules('Ravi Kumar')
+        ]
+    },
+
+    // Picked up the first medication but has been skipping doses, and has not picked up the second one
+    missedDoses: {
+        documentId: 'simTwoMedications01',
+        turns: [
+            'Yes, I picked it up.',
+            'I missed two doses last week, I keep forgetting.',
+            'No problems otherwise.',
+            'No, I have not picked up the Atorvastatin yet.',
+            'No side effects.'
+        ],
+        llm: [
+            { system: ADHERENCE_AGENT, lastMessage: 'missed two doses', reply: 'Thanks for telling me. A pill organiser can help. Any side effects from the Amlodipine?' },
+            { system: ADHERENCE_AGENT, lastMessage: 'not picked up', reply: 'Please pick it up from your pharmacy soon. Any side effects so far?' },
+            { system: ADHERENCE_AGENT, lastMessage: 'picked it up', reply: 'Great. Have you been taking it once daily?' }
+        ]
+    },
+
+    // An allergic reaction to the medication: the safety script, an escalation, then on to scheduling
+    severeSideEffect: {
+        documentId: 'simTwoMedications01',
+        turns: [
+            'I picked it up, but since this morning my lips and tongue are swelling.',
+            'Okay, I will call them. Can we book the appointment too?',
+            'Tuesday would be best.',
+            '10 AM please.'
+        ],
+        llm: bookingRules('Ravi Kumar')
+    },
+
+    // Already has a follow-up booked and asks to move it to another day, then has one last question
+    rescheduler: {
+        documentId: 'simOneMedication002',
+        appointments: [{ dateTime: `${ BOOKING_DATE }T09:00:00`, patientName: 'Meera Nair' }],
+        turns: [
+            'Yes, I picked it up and it is going well.',
+            'I already have an appointment on the 15th, can I reschedule it?',
+            'Please move it from 9 AM on the 15th to 2 PM on the 16th.',
+            'Should I bring my pill bottle to the appointment?',
+            'No thank you, that is everything.'
+        ],
+        llm: [
+            { system: WRAP_UP_AGENT, lastMessage: 'pill bottle', reply: 'Yes, please bring your Levothyroxine so Dr. Sharma can check it.' },
+            { system: SCHEDULING_AGENT, lastMessage: 'successfully rescheduled', reply: 'Done. Your follow-up is now on Wednesday the 16th at 2:00 PM.' },
+            {
+                system: SCHEDULING_AGENT,
+                lastMessage: 'move it from 9 AM',
+                reply: MockLlmProvider.toolCall('rescheduleAppointment', {
+                    originalDate: BOOKING_DATE,
+                    originalTime: '9:00 AM',
+                    newDateTime: `${ RESCHEDULE_DATE }T14:00:00`,
+                    patientName: 'Meera Nair'
+                })
+            }
+        ]
+    },
+
+    // Confused and off-topic answers: nothing should be recorded as an answer and the call stays on medications
+    confused: {
+        documentId: 'simOneMedication002',
+        turns: [
+            'Sorry, who is this again?',
+            'What is the weather going to be like tomorrow?',
+            'I do not know, my daughter handles all of that.'
+        ],
+        llm: [
+            { system: TRIAGE_AGENT, lastMessage: 'weather', reply: 'ROUTE_TO_FALLBACK' },
+            { system: ADHERENCE_AGENT, lastMessage: 'who is this', reply: 'This is Jenny from Dr. Sharma\'s office. I am calling about your Levothyroxine. Have you picked it up?' },
+            { system: ADHERENCE_AGENT, lastMessage: 'weather', reply: 'I am not able to help with the weather, but I would like to check on your Levothyroxine. Have you picked it up?' },
+            { system: ADHERENCE_AGENT, lastMessage: 'daughter', reply: 'That is fine. Could you ask your daughter whether the Levothyroxine was picked up?' }
+        ]
+    },
+
+    // Someone other than the patient answers and cannot give the date of birth on file
+    wrongPerson: {
+        documentId: 'simTwoMedications01',
+        identityAnswers: ['Who is asking?', '1st January 1960', '02/03/1961'],
+        turns: ['Can you just tell me what this is about?']
+    },
+
+    // An answering machine picks up: Jenny leaves a message that says nothing about the patient
+    answeringMachine: {
+        documentId: 'simTwoMedications01',
+        identityAnswers: ['Hi, you have reached 555 0134. Please leave a message after the tone.'],
+        turns: []
+    },
+
+    // Busy when Jenny calls and asks to be called back, giving a time when asked for one
+    callBackLater: {
+        documentId: 'simOneMedication002',
+        identityAnswers: ['Sorry, I\'m driving right now, can you call me later?', 'Tomorrow at 5 pm would be better.'],
+        turns: []
+    },
+
+    // Confirms who they are, then declines the call
+    refuses: {
+        documentId: 'simTwoMedications01',
+        turns: ['I\'m not interested, please stop calling me.']
+    },
+
+    // Says it was a bad time last night: a symptom to follow up, not a request to call back
+    dizzySinceNewPill: {
+        documentId: 'simTwoMedications01',
+        turns: ['I had a bad time last night, I have been really dizzy since the new pill.', 'No, nothing else.']
+    },
+
+    // Has stopped taking the pills because of a rash: a side effect to raise, not a refusal of the call
+    stopsPillsForRash: {
+        documentId: 'simTwoMedications01',
+        turns: ['I am not interested in taking the pills anymore, they give me a rash.', 'I\'m not interested, the Amlodipine gives me a rash.']
+    },
+
+    // Asks to be called back before confirming who they are, but mentions a symptom the care team should hear about
+    busyAndDizzy: {
+        documentId: 'simTwoMedications01',
+        identityAnswers: ['I can\'t talk right now, I\'m too dizzy. Call me back tomorrow at 10 am.'],
+        turns: []
+    },
+
+    // Greeted in English, answers in Hindi: the call switches to Hindi and the language is kept for next time
+    hindiSpeaker: {
+        documentId: 'simOneMedication002',
+        appointments: [{ dateTime: `${ BOOKING_DATE }T09:00:00`, patientName: 'Meera Nair' }],
+        turns: [
+            'हाँ, मैंने दवाई ले ली है।',
+            'मैं इसे रोज़ सुबह लेती हूँ, कोई परेशानी नहीं है।'
+        ],
+        llm: [
+            { system: ADHERENCE_AGENT, reply: 'बहुत अच्छा। क्या आप Levothyroxine रोज़ सुबह ले रही हैं?' }
+        ]
+    },
+
+    // Hindi is on the record, so the call opens in Hindi; the patient answers in romanized Hindi
+    hindiPreferred: {
+        documentId: 'simHindiPreferred003',
+        turns: [
+            'Haan ji, maine dawai le li hai.'
+        ],
+        llm: [
+            { system: ADHERENCE_AGENT, reply: 'बहुत अच्छा। क्या आप Metformin दिन में दो बार ले रही हैं?' }
+        ]
+    }
+};
+
+module.exports = { PERSONAS, BOOKING_DATE, RESCHEDULE_DATE };
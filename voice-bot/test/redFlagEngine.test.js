@@ -0,0 +1,48 @@
+// Healthcare Voice Agent - Red-Flag Engine Tests
+// Emergency phrases are caught, and everyday scheduling and small-talk replies that share their words are not
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RedFlagEngine } = require('../redFlagEngine');
+
+const engine = new RedFlagEngine();
+
+describe('red-flag engine', () => {
+    it('flags seizures and thoughts of self-harm described in the patient\'s words', () => {
+        [
+            ['He had a fit last night', 'seizure'],
+            ['I have been having fits since Sunday', 'seizure'],
+            ['Sometimes I just want to end my life', 'suicidal-ideation'],
+            ['I feel like I should end it all', 'suicidal-ideation']
+        ].forEach(([text, ruleId]) => {
+            const assessment = engine.evaluate(text);
+            assert.equal(assessment.severity, 'emergency', text);
+            assert.equal(assessment.flags[0].ruleId, ruleId, text);
+        });
+    });
+
+    it('negates only the symptom a negation is next to, not the rest of the sentence', () => {
+        [
+            ['I didn\'t take my pills and now I have chest pain', 'chest-pain'],
+            ['I do not feel well and I fainted this morning', 'fainting'],
+            ['I haven\'t been sleeping and I want to kill myself', 'suicidal-ideation']
+        ].forEach(([text, ruleId]) => {
+            const assessment = engine.evaluate(text);
+            assert.equal(assessment.severity, 'emergency', text);
+            assert.ok(assessment.flags.some(flag => flag.ruleId === ruleId), text);
+        });
+        ['No chest pain at all', 'I have not had any chest pain', 'I don\'t feel dizzy', 'I haven\'t fainted or anything']
+            .forEach(text => assert.deepEqual(engine.evaluate(text).flags, [], text));
+    });
+
+    it('does not flag scheduling replies that happen to use the same words', () => {
+        [
+            'Tuesday at 10 fits me fine',
+            'That time fits my schedule',
+            'Whatever fits the doctor best',
+            'I want to end my day early, so a morning slot please',
+            'Can we book it for the end of the month?',
+            'The 9 AM would have fit, but 10 is better'
+        ].forEach(text => assert.deepEqual(engine.evaluate(text).flags, [], text));
+    });
+});
@@ -0,0 +1,67 @@
+// Healthcare Voice Agent - Session Manager Tests
+// One bot per conversation, and what a late message to a conversation that has ended gets
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionManager } = require('../sessionManager');
+
+const PATIENT = { DocumentID: 'simOneMedication002', patientName: 'Meera Nair' };
+
+// Stands in for PatientBotFactory: every bot is bound to PATIENT and can end its own call
+function buildFactory() {
+    const factory = {
+        bots: [],
+        createBotForPatient: patientRecord => {
+            const bot = {
+                patientRecord,
+                endCall: async () => {},
+                onCallEnd: listener => {
+                    bot.endOwnCall = outcome => listener({ outcome });
+                }
+            };
+            factory.bots.push(bot);
+            return bot;
+        },
+        getPatientById: async documentId => documentId === PATIENT.DocumentID ? PATIENT : null,
+        selectPatientForDemo: async () => PATIENT
+    };
+    return factory;
+}
+
+describe('session manager', () => {
+    let sessions;
+    const { log } = console;
+    afterEach(() => {
+        console.log = log;
+        sessions.close();
+    });
+
+    it('tells a late message that its conversation has ended instead of starting a new one', async () => {
+        console.log = () => {};
+        const factory = buildFactory();
+        sessions = new SessionManager(factory, { endedTtlMs: 60000 });
+        const session = await sessions.getOrCreateSession('chat-1');
+        session.bot.endOwnCall('completed');
+
+        await assert.rejects(sessions.getOrCreateSession('chat-1'), error => {
+            assert.equal(error.statusCode, 410);
+            assert.equal(error.ended.reason, 'completed');
+            assert.equal(error.ended.documentId, PATIENT.DocumentID);
+            return true;
+        });
+        assert.throws(() => sessions.createSession('chat-1', PATIENT), /has ended/);
+        assert.equal(factory.bots.length, 1);
+    });
+
+    it('forgets an ended conversation once its time is up', async () => {
+        console.log = () => {};
+        sessions = new SessionManager(buildFactory(), { endedTtlMs: 60000 });
+        await sessions.getOrCreateSession('chat-2');
+        sessions.endSession('chat-2', 'idle timeout');
+        assert.equal(sessions.getEndedSession('chat-2').reason, 'idle timeout');
+
+        sessions.expireIdleSessions(Date.now() + 60001);
+        assert.equal(sessions.getEndedSession('chat-2'), null);
+        assert.ok(await sessions.getOrCreateSession('chat-2'));
+    });
+});
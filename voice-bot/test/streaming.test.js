@@ -0,0 +1,174 @@
+// Healthcare Voice Agent - Streaming Tests
+// Replies cut into sentences as the LLM streams them, spoken early in order, and streamed completions read from an
+// OpenAI-compatible server
+
+const http = require('http');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SentenceStream, splitSentences, sendInOrder } = require('../sentenceStream');
+const { MockLlmProvider, OpenAICompatibleProvider } = require('../llmProvider');
+const { simulateCall } = require('./support/conversationSimulator');
+const { quietly } = require('./support/quietly');
+const { PERSONAS } = require('./personas');
+
+// Mock LLM that knows whether it is still streaming a reply
+class TracingLlm extends MockLlmProvider {
+    async stream(request, onText) {
+        this.streaming = true;
+        try {
+            return await super.stream(request, onText);
+        } finally {
+            this.streaming = false;
+        }
+    }
+}
+
+const normalize = text => text.replace(/\s+/g, ' ').trim();
+
+// Serve one canned response per request, in order, from a local OpenAI-compatible endpoint
+async function withServer(responses, run) {
+    const bodies = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            bodies.push(JSON.parse(body));
+            const { status = 200, events = [] } = responses.shift();
+            res.writeHead(status, { 'Content-Type': 'text/event-stream' });
+            events.forEach(event => res.write(`data: ${ typeof event === 'string' ? event : JSON.stringify(event) }\n\n`));
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        return await run(`http://127.0.0.1:${ server.address().port }/v1`, bodies);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+describe('sentence streaming', () => {
+    it('splits sentences without cutting abbreviations, times or decimals', () => {
+        assert.deepEqual(splitSentences('Dr. Sharma asked me to call. Take 2.5 mg at 10 a.m. Is that right? Yes!'), [
+            'Dr. Sharma asked me to call.',
+            'Take 2.5 mg at 10 a.m.',
+            'Is that right?',
+            'Yes!'
+        ]);
+        assert.deepEqual(splitSentences('बहुत अच्छा। क्या आप दवाई ले रही हैं?'), ['बहुत अच्छा।', 'क्या आप दवाई ले रही हैं?']);
+        assert.deepEqual(splitSentences('You are all set.\n\nAppointment: Tuesday at 10:00 AM'), ['You are all set.', 'Appointment: Tuesday at 10:00 AM']);
+    });
+
+    it('hands on each sentence once it is complete, and the rest of the reply at the end', () => {
+        const sentences = [];
+        const stream = new SentenceStream(sentence => sentences.push(sentence));
+        ['Great', '. Have you ', 'been taking', ' it daily?', ' '].forEach(text => stream.push(text));
+        assert.deepEqual(sentences.map(sentence => sentence.text), ['Great.']);
+
+        // The bot adds the handoff after the agent's reply
+        stream.finish('Great. Have you been taking it daily? Let us also look at your appointment.');
+        assert.deepEqual(sentences.map(sentence => [sentence.text, sentence.index, sentence.final]), [
+            ['Great.', 0, false],
+            ['Have you been taking it daily?', 1, false],
+            ['Let us also look at your appointment.', 2, true]
+        ]);
+        assert.equal(typeof stream.firstSentenceMs, 'number');
+    });
+
+    it('says only what is left when the reply does not start with what was spoken', () => {
+        const sentences = [];
+        const stream = new SentenceStream(sentence => sentences.push(sentence.text));
+        const { warn } = console;
+        console.warn = () => {};
+        try {
+            stream.push('Let me check the calendar. ');
+            stream.endPart();
+            stream.push('I have 10 AM. Does that work?');
+            stream.finish('I have 10 AM. Does that work?');
+        } finally {
+            console.warn = warn;
+        }
+        assert.deepEqual(sentences, ['Let me check the calendar.', 'I have 10 AM.', 'Does that work?']);
+    });
+
+    it('sends sentences one after another and stops at the first failure', async () => {
+        const sent = [];
+        const sender = sendInOrder(async sentence => {
+            await new Promise(resolve => setTimeout(resolve, sentence === 'first' ? 20 : 0));
+            if (sentence === 'second') {
+                throw new Error('line dropped');
+            }
+            sent.push(sentence);
+        });
+        ['first', 'second', 'third'].forEach(sentence => sender.send(sentence));
+        await assert.rejects(sender.done(), /line dropped/);
+        assert.deepEqual(sent, ['first']);
+    });
+
+    it('speaks the agent\'s first sentence while the LLM is still streaming, and every turn in full', async () => {
+        const llm = new TracingLlm();
+        const { turns, bot } = await simulateCall(PERSONAS.compliant, {
+            llm,
+            onSentence: sentence => ({ ...sentence, whileStreaming: Boolean(llm.streaming) })
+        });
+
+        turns.slice(1).forEach(turn => {
+            assert.equal(normalize(turn.sentences.map(sentence => sentence.text).join(' ')), normalize(turn.bot), turn.patient);
+            assert.deepEqual(turn.sentences.map(sentence => sentence.final), turn.sentences.map((sentence, index) => index === turn.sentences.length - 1));
+        });
+
+        // "Great. Have you been taking it once daily as prescribed?": the first sentence goes out mid-stream
+        const [, firstAnswer] = turns;
+        assert.equal(firstAnswer.sentences[0].text, 'Great.');
+        assert.equal(firstAnswer.sentences[0].whileStreaming, true);
+
+        const stats = bot.turnStats.turns[0];
+        ['triage', 'agent', 'total', 'firstSentence'].forEach(stage => assert.equal(typeof stats.latencyMs[stage], 'number', stage));
+        assert.ok(bot.turnStats.turns.some(turn => typeof turn.latencyMs.tools === 'number'));
+    });
+});
+
+describe('streamed completions', () => {
+    it('puts the reply together from content and tool call chunks', async () => {
+        const chunk = delta => ({ choices: [{ index: 0, delta }] });
+        const events = [
+            chunk({ role: 'assistant', content: '' }),
+            chunk({ content: 'Let me ' }),
+            chunk({ content: 'check.' }),
+            chunk({ tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'findAvailability', arguments: '' } }] }),
+            chunk({ tool_calls: [{ index: 0, function: { arguments: '{"date":' } }] }),
+            chunk({ tool_calls: [{ index: 0, function: { arguments: '"2030-01-15"}' } }] }),
+            '[DONE]'
+        ];
+
+        await withServer([{ events }], async (baseUrl, bodies) => {
+            const provider = new OpenAICompatibleProvider({ baseUrl, model: 'local-model' });
+            const pieces = [];
+            const message = await quietly(() => provider.stream({ messages: [{ role: 'user', content: 'Tuesday?' }] }, text => pieces.push(text)));
+
+            assert.equal(bodies[0].stream, true);
+            assert.equal(bodies[0].model, 'local-model');
+            assert.deepEqual(pieces, ['Let me ', 'check.']);
+            assert.deepEqual(message, {
+                role: 'assistant',
+                content: 'Let me check.',
+                tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'findAvailability', arguments: '{"date":"2030-01-15"}' } }]
+            });
+        });
+    });
+
+    it('retries a stream that failed before any text arrived', async () => {
+        const responses = [
+            { status: 503 },
+            { events: [{ choices: [{ delta: { content: 'Hello there.' } }] }, '[DONE]'] }
+        ];
+        await withServer(responses, async (baseUrl, bodies) => {
+            const provider = new OpenAICompatibleProvider({ baseUrl, model: 'local-model', retryDelayMs: 1 });
+            const message = await quietly(() => provider.stream({ messages: [] }, () => {}));
+            assert.equal(message.content, 'Hello there.');
+            assert.equal(bodies.length, 2);
+        });
+    });
+});
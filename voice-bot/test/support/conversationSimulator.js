@@ -0,0 +1,166 @@
+// Healthcare Voice Agent - Conversation Simulator
+// Plays a scripted patient persona through EchoBot.processMessage against the mock LLM and a fake calendar,
+// with the patient store and escalation queue in a temporary folder, and reports what happened on the call
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EchoBot } = require('../../bot');
+const { JsonFilePatientRepository } = require('../../patientRepository');
+const { EscalationQueue } = require('../../escalationQueue');
+const { TranscriptStore } = require('../../transcriptStore');
+const { MockLlmProvider } = require('../../llmProvider');
+const { FakeCalendar } = require('./fakeCalendar');
+
+const FIXTURE_PATIENTS = path.join(__dirname, '..', 'fixtures', 'patients.json');
+
+// System prompt text that tells the agents apart in mock LLM rules
+const TRIAGE_AGENT = 'routing agent';
+const ADHERENCE_AGENT = 'SPECIALTY: MEDICATION ADHERENCE';
+const SCHEDULING_AGENT = 'SPECIALTY: APPOINTMENT SCHEDULING';
+const WRAP_UP_AGENT = 'SPECIALTY: WRAPPING UP THE CALL';
+const SUMMARIZER = 'compact state note';
+
+// Patient words that make the scripted triage agent pick scheduling, as the real one would
+const SCHEDULING_WORDS = /\b(appointment|schedule|book|reschedule|move it)\b/i;
+
+// Text of the last message of a chat request
+function lastText(request) {
+    const last = request.messages[request.messages.length - 1];
+    return String((last && last.content) || '');
+}
+
+// Stand-in for the triage model: scheduling words go to scheduling, anything else follows the route the
+// bot's context says to prefer
+function triage(request) {
+    const context = lastText(request);
+    const said = (/\*\*User message:\*\* "([\s\S]*)"/.exec(context) || [])[1] || '';
+    if (SCHEDULING_WORDS.test(said)) {
+        return 'ROUTE_TO_SCHEDULING';
+    }
+    const preferred = /prefer (ROUTE_TO_[A-Z_]+)/.exec(context);
+    return preferred ? preferred[1] : 'ROUTE_TO_FALLBACK';
+}
+
+// What the mock LLM answers when the persona's own rules do not: routing, adherence extraction (the
+// rule-based answers stand) and a plain question from each agent
+const DEFAULT_RULES = [
+    { system: TRIAGE_AGENT, reply: triage },
+    { system: 'You extract medication adherence', reply: '{}' },
+    { system: ADHERENCE_AGENT, reply: 'Thank you. Have you been taking it as prescribed?' },
+    { system: SCHEDULING_AGENT, reply: 'What day works best for you?' },
+    { system: WRAP_UP_AGENT, reply: 'Dr. Gupta\'s team will follow up with you about that.' },
+    { system: SUMMARIZER, reply: '- Earlier turns of the call (simulated note)' }
+];
+
+function buildLlm(rules, llm = new MockLlmProvider()) {
+    [...rules, ...DEFAULT_RULES].forEach(rule => llm.when(rule, rule.reply, rule));
+    return llm;
+}
+
+// Scheduling tools the LLM asked for on the call, in order, with their arguments and what the calendar said
+function listToolCalls(history) {
+    return history
+        .filter(message => message.role === 'tool')
+        .map(message => {
+            const request = history.find(entry => entry.tool_calls && entry.tool_calls.some(call => call.id === message.tool_call_id));
+            const call = request.tool_calls.find(entry => entry.id === message.tool_call_id);
+            return { name: message.name, args: JSON.parse(call.function.arguments), result: message.content };
+        });
+}
+
+// Run one call. persona: { documentId, turns: [patient lines], llm: [mock LLM rules], appointments: [calendar
+// entries], identityAnswers: [answers to the identity question] }. The call opens with the identity check, answered
+// with identityAnswers (default: the date of birth on file); the first turn's reply is what Jenny said once that
+// was done, with the exchange in its verification list. Resolves with each turn (what was said, the flow state
+// after it, how many LLM requests it made), the tool calls, the saved patient record, the escalations raised and
+// the saved call transcript. Bot logging is hidden unless verbose; options.contextBudget and options.intentClassifier
+// are passed to the bot.
+// options.llm is the mock LLM to load the rules into. With options.onSentence the patient's turns go through
+// streamMessage, and each turn lists the sentences spoken, in order. options.firstMessage opens the call instead of
+// __START_CALL__, as a chat that starts with a message does.
+async function simulateCall(persona, options = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-bot-simulation-'));
+    const storePath = path.join(directory, 'patients.json');
+    fs.copyFileSync(FIXTURE_PATIENTS, storePath);
+
+    const { log, warn } = console;
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    try {
+        const repository = new JsonFilePatientRepository(storePath);
+        const patient = await repository.getPatient(persona.documentId);
+        if (!patient) {
+            throw new Error(`Persona patient ${ persona.documentId } is not in ${ FIXTURE_PATIENTS }`);
+        }
+
+        const llm = buildLlm(persona.llm || [], options.llm);
+        const calendar = new FakeCalendar(persona.appointments || []);
+        const escalationQueue = new EscalationQueue({ filePath: path.join(directory, 'escalations.json') });
+        const transcriptStore = new TranscriptStore({ directory: path.join(directory, 'transcripts') });
+        const bot = new EchoBot(patient, {
+            patientRepository: repository,
+            llmProvider: llm,
+            schedulingPlugin: calendar,
+            escalationQueue,
+            transcriptStore,
+            contextBudget: options.contextBudget,
+            intentClassifier: options.intentClassifier
+        });
+        bot.conversationId = `simulation-${ persona.documentId }`;
+
+        let reply = await bot.processMessage(options.firstMessage || '__START_CALL__');
+        const verification = [];
+        const identityAnswers = [...(persona.identityAnswers || [patient.dateOfBirth])];
+        while (bot.identity.status === 'pending' && !bot.callEnded && identityAnswers.length > 0) {
+            const answer = identityAnswers.shift();
+            verification.push({ bot: reply, patient: answer });
+            reply = await bot.processMessage(answer);
+        }
+
+        const turns = [{
+            patient: null,
+            bot: reply,
+            state: bot.activeAgent,
+            completedStates: [...bot.conversationState.completedStates],
+            llmRequests: llm.requests.length,
+            verification
+        }];
+        for (const text of bot.callEnded ? [] : persona.turns) {
+            const requestsBefore = llm.requests.length;
+            const sentences = [];
+            reply = options.onSentence
+                ? await bot.streamMessage(text, sentence => sentences.push(options.onSentence(sentence, bot) || sentence))
+                : await bot.processMessage(text);
+            turns.push({
+                patient: text,
+                bot: reply,
+                state: bot.activeAgent,
+                completedStates: [...bot.conversationState.completedStates],
+                llmRequests: llm.requests.length - requestsBefore,
+                ...(options.onSentence ? { sentences } : {})
+            });
+        }
+        await bot.endCall('simulation finished');
+
+        return {
+            turns,
+            bot,
+            llm,
+            calendar,
+            toolCalls: listToolCalls(bot.conversationHistory),
+            record: await repository.getPatient(persona.documentId),
+            escalations: await escalationQueue.list(),
+            savedCall: await transcriptStore.get(bot.conversationId)
+        };
+    } finally {
+        console.log = log;
+        console.warn = warn;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+module.exports = { simulateCall, TRIAGE_AGENT, ADHERENCE_AGENT, SCHEDULING_AGENT, WRAP_UP_AGENT, SUMMARIZER };
@@ -0,0 +1,90 @@
+// Healthcare Voice Agent - Fake Calendar
+// In-memory stand-in for the Microsoft Graph scheduling plugin: same methods and reply wording, no network.
+// Every call is kept in `calls` so tests can check what the bot asked the calendar to do.
+
+const SLOT_TIMES = ['09:00', '10:00', '11:00', '14:00', '15:00', '16:00'];
+
+// "09:00" -> "9:00 AM"
+function slotLabel(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return `${ hours % 12 || 12 }:${ String(minutes).padStart(2, '0') } ${ hours < 12 ? 'AM' : 'PM' }`;
+}
+
+// "9 AM", "9:00 am", "14:00" -> "09:00" / "14:00"
+function parseTime(text) {
+    const match = /(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i.exec(String(text));
+    if (!match) {
+        return null;
+    }
+    const meridiem = match[3] && match[3].toLowerCase();
+    const hours = meridiem ? Number(match[1]) % 12 + (meridiem === 'pm' ? 12 : 0) : Number(match[1]);
+    return `${ String(hours).padStart(2, '0') }:${ match[2] || '00' }`;
+}
+
+class FakeCalendar {
+    // appointments: [{ dateTime: '2030-01-15T09:00:00', patientName }] already on the calendar
+    constructor(appointments = []) {
+        this.appointments = appointments.map(appointment => ({ ...appointment }));
+        this.calls = [];
+    }
+
+    async findAvailability(date) {
+        this.calls.push({ name: 'findAvailability', args: { date } });
+        const booked = this.appointments.filter(appointment => appointment.dateTime.startsWith(date)).map(appointment => appointment.dateTime.slice(11, 16));
+        const free = SLOT_TIMES.filter(time => !booked.includes(time));
+        if (free.length === 0) {
+            return `Sorry, no appointment slots are available for ${ date }. All time slots are booked.`;
+        }
+        return `For ${ date }, available slots are at ${ free.map(slotLabel).join(', ') }.`;
+    }
+
+    async createAppointment(appointmentDateTime, patientName) {
+        this.calls.push({ name: 'createAppointment', args: { appointmentDateTime, patientName } });
+        return this.book(appointmentDateTime, patientName);
+    }
+
+    async listAppointments(date) {
+        this.calls.push({ name: 'listAppointments', args: { date } });
+        const found = this.appointments.filter(appointment => appointment.dateTime.startsWith(date));
+        if (found.length === 0) {
+            return `No appointments found for ${ date }.`;
+        }
+        return `Found ${ found.length } appointment(s) for ${ date }:\n${ found.map((appointment, index) =>
+            `${ index + 1 }. Follow-up: ${ appointment.patientName } at ${ slotLabel(appointment.dateTime.slice(11, 16)) }`).join('\n') }`;
+    }
+
+    async cancelAppointment(date, time) {
+        this.calls.push({ name: 'cancelAppointment', args: { date, time } });
+        return this.cancel(date, time);
+    }
+
+    async rescheduleAppointment(originalDate, originalTime, newDateTime, patientName = 'Patient') {
+        this.calls.push({ name: 'rescheduleAppointment', args: { originalDate, originalTime, newDateTime, patientName } });
+        const cancelResult = this.cancel(originalDate, originalTime);
+        if (!cancelResult.startsWith('Successfully')) {
+            return `Failed to reschedule: ${ cancelResult }`;
+        }
+        return `Successfully rescheduled your appointment. ${ cancelResult } ${ this.book(newDateTime, patientName) }`;
+    }
+
+    book(appointmentDateTime, patientName) {
+        const dateTime = appointmentDateTime.slice(0, 19);
+        if (this.appointments.some(appointment => appointment.dateTime === dateTime)) {
+            return 'The appointment details are invalid. Please try with different date/time.';
+        }
+        this.appointments.push({ dateTime, patientName });
+        return `Perfect! I've successfully booked a real appointment for ${ patientName } on ${ dateTime.slice(0, 10) } at ${ slotLabel(dateTime.slice(11, 16)) }. Event ID: fake-${ this.appointments.length }`;
+    }
+
+    cancel(date, time) {
+        const start = parseTime(time);
+        const index = this.appointments.findIndex(appointment => appointment.dateTime === `${ date }T${ start }:00`);
+        if (!start || index === -1) {
+            return `No appointment found at ${ time } on ${ date }.`;
+        }
+        this.appointments.splice(index, 1);
+        return `Successfully canceled your appointment on ${ date } at ${ slotLabel(start) }.`;
+    }
+}
+
+module.exports = { FakeCalendar };
@@ -0,0 +1,17 @@
+// Healthcare Voice Agent - Quiet Test Runs
+// Runs code with the console's log, warning and error output hidden, for tests that expect the code to complain
+
+// Resolves with run's result; run may return a promise or a plain value
+function quietly(run) {
+    const { log, warn, error } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+    return Promise.resolve().then(run).finally(() => {
+        console.log = log;
+        console.warn = warn;
+        console.error = error;
+    });
+}
+
+module.exports = { quietly };
@@ -0,0 +1,71 @@
+// Healthcare Voice Agent - Call Transcript Store
+// Saves each finished call (patient, protocol, what was said, red flags, booking) as one JSON file in
+// TRANSCRIPT_DIR (default ./transcripts) so calls can be reviewed and scored later
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TRANSCRIPT_DIR = path.join(__dirname, 'transcripts');
+
+class TranscriptStore {
+    constructor(options = {}) {
+        this.directory = options.directory || process.env.TRANSCRIPT_DIR || DEFAULT_TRANSCRIPT_DIR;
+    }
+
+    // One file per conversation; characters that are unsafe in file names become "_"
+    fileFor(conversationId) {
+        return path.join(this.directory, `${ String(conversationId).replace(/[^A-Za-z0-9_.-]/g, '_') }.json`);
+    }
+
+    // Save a finished call; returns the file it was written to
+    async save(call) {
+        if (!call || !call.conversationId) {
+            throw new Error('A saved call needs its conversationId');
+        }
+
+        const filePath = this.fileFor(call.conversationId);
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(filePath, `${ JSON.stringify(call, null, 2) }\n`);
+        console.log(`[Transcripts] Saved ${ call.conversationId } (${ call.transcript.length } lines)`);
+        return filePath;
+    }
+
+    // Saved call by conversation id, or null
+    async get(conversationId) {
+        return readCall(this.fileFor(conversationId)).catch(error => {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        });
+    }
+
+    // Every saved call, oldest first
+    async list() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const calls = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => readCall(path.join(this.directory, file))));
+        return calls.sort((a, b) => String(a.endedAt).localeCompare(String(b.endedAt)));
+    }
+}
+
+async function readCall(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error(`[Transcripts] Cannot read saved call ${ filePath }: ${ error.message }`);
+    }
+}
+
+module.exports = { TranscriptStore, readCall };